@@ -1,51 +1,184 @@
 #!/usr/bin/env node
 
-const WebSocket = require('ws');
+const { createTransport } = require('./utils/transport');
+const {
+    DerivApi,
+    DerivApiError,
+    RequestTimeoutError,
+    ConnectionClosedError,
+    AuthorizationError,
+    InsufficientBalanceError
+} = require('./utils/derivApi');
+const PaperTrader = require('./utils/paperTrader');
+const ContractSimulator = require('./utils/contractSimulator');
+const MarketState = require('./utils/marketState');
+const TradeScheduler = require('./utils/tradeScheduler');
+const { ContractSelector } = require('./utils/contractFamilies');
+const ConnectionMonitor = require('./utils/connectionMonitor');
+const ControlServer = require('./utils/controlServer');
+const { MetricsRegistry } = require('./utils/metrics');
+const notifier = require('./utils/notifications');
+const RiskManager = require('./utils/riskManager');
+const { StakeSizer } = require('./utils/staking');
+const TickRecorder = require('./utils/tickRecorder');
+const ProbabilityCalibrator = require('./utils/calibration');
+const DecisionJournal = require('./utils/decisionJournal');
+const ShadowTrader = require('./utils/shadowTrader');
+const ModelRegistry = require('./utils/modelRegistry');
+const { RandomnessDiagnostics } = require('./utils/randomness');
+const RegimeDetector = require('./utils/regimeDetector');
+const FeaturePipeline = require('./utils/featurePipeline');
+const path = require('path');
 const logger = require('./utils/logger');
 const storage = require('./utils/storage');
+const { MIGRATIONS } = require('./utils/migrations');
 const config = require('./utils/config');
 
 // ============================================================================
 // DERIV TRADING BOT - Cloud Edition with Advanced ML
 // ============================================================================
 
+// Trading mode for each entropy level of the detected regime
+const REGIME_MODES = { low: 'precision', medium: 'balanced', high: 'exploration' };
+
 class DerivTradingBot {
-    constructor() {
-        // WebSocket
-        this.ws = null;
+    constructor(options = {}) {
+        // Runtime options (the backtester replaces these)
+        this.clock = options.clock || Date.now;
+        this.persistData = options.persistData !== false;
+        this.tradeDelayMs = options.tradeDelayMs !== undefined ? options.tradeDelayMs : 100;
+        this.notifier = options.notifier !== undefined ? options.notifier : notifier;
+        this.enableTrading = options.enableTrading !== undefined ? options.enableTrading : config.enableTrading;
+        
+        // Connection (defaults to the Deriv WebSocket on connect)
+        this.transport = null;
         this.isConnected = false;
         this.reconnectAttempts = 0;
         this.reconnectTimer = null;
         
+        // req_id-correlated requests on top of send()
+        this.api = new DerivApi({
+            write: payload => this.send(payload),
+            timeoutMs: config.get('api.requestTimeoutMs', 10000),
+            retries: config.get('api.maxRetries', 2),
+            retryDelayMs: config.get('api.retryDelayMs', 1000)
+        });
+        
+        // Keepalive pings and per-symbol stale-feed watchdog (runs while authorized)
+        this.connectionMonitor = new ConnectionMonitor({
+            pingIntervalMs: config.get('reconnect.pingIntervalMs', 30000),
+            pingTimeoutMs: config.get('reconnect.pingTimeoutMs', 10000),
+            staleFeedMs: config.get('reconnect.staleFeedMs', 30000),
+            checkIntervalMs: config.get('reconnect.watchdogIntervalMs', 5000),
+            clock: () => this.now(),
+            ping: timeoutMs => this.api.request({ ping: 1 }, { timeoutMs, retries: 0 })
+        });
+        this.connectionMonitor.on('health', event => this.handleHealthEvent(event));
+        
+        // Markets: tick history, Q-tables and statistics per symbol
+        this.symbols = options.symbols || config.symbols;
+        this.markets = new Map(this.symbols.map(symbol => [symbol, new MarketState(symbol)]));
+        this.markets.forEach(market => {
+            market.featurePipeline = new FeaturePipeline(config.get('features', {}));
+            market.regimeDetector = new RegimeDetector(config.get('regime', {}));
+        });
+        this.scheduler = new TradeScheduler({
+            maxOpen: config.maxOpenContracts,
+            fairnessWindowMs: config.get('trading.schedulerFairnessMs', 10000)
+        });
+        
         // Trading state
         this.isBotRunning = false;
-        this.isPending = false;
-        this.currentContractId = null;
+        this.hasStarted = false;
+        this.pauseReason = null;
+        this.openContracts = new Map();
         this.balanceSubscriptionId = null;
-        this.nextTradeTime = 0;
         
         // Data
-        this.tickHistory = [];
         this.tradeHistory = [];
         
-        // Learning structures
-        this.qTable = null;
-        this.deepQTable = null;
-        this.metaQTable = null;
-        this.patternMemory = [];
+        // Ensemble members: the built-in models plus any configured plugins
+        this.models = new ModelRegistry(config.get('models', {}));
+        
+        // Rolling randomness tests; optionally gate trading on them
+        this.randomness = new RandomnessDiagnostics(config.get('randomness', {}));
+        
+        // Shared learning structures
         this.contextMemory = [];
         this.modelPerformance = this.initModelPerformance();
+        this.contractPerformance = {};
+        
+        // Maps the ensemble's fused probability to the observed win rate.
+        // Every analysis is settled virtually on the real ticks, traded or not,
+        // so a fit that gates trading off still gets samples
+        this.calibrator = new ProbabilityCalibrator(config.get('calibration', {}));
+        this.calibrationContracts = new ContractSimulator();
+        
+        // Contract families beyond odd/even, chosen by expected value
+        this.contractSelector = new ContractSelector({
+            houseEdge: config.get('contracts.houseEdge', 0.025),
+            digitWindow: config.get('contracts.digitWindow', 500),
+            markovWeight: config.get('contracts.markovWeight', 0.5),
+            directionWindow: config.get('contracts.directionWindow', 100)
+        });
         
         // Statistics
         this.wins = 0;
         this.losses = 0;
         this.consecutiveLosses = 0;
         this.balance = 0;
+        this.dailyStats = { wins: 0, losses: 0, profit: 0 };
+        this.dailySummaryTimer = null;
+        
+        // Stake sizing strategy (the meta-Q strategy multiplier is applied on top)
+        this.stakeSizer = new StakeSizer({
+            ...config.get('staking', {}),
+            strategy: config.stakingStrategy,
+            martingaleMultiplier: config.get('trading.martingaleMultiplier', 2)
+        });
+        
+        // Circuit breakers consulted before every trade
+        this.riskManager = new RiskManager({
+            ...config.get('risk', {}),
+            maxConsecutiveLosses: config.get('trading.maxConsecutiveLosses')
+        });
+        this.riskManager.on('trip', trip => this.handleRiskTrip(trip));
+        this.riskManager.on('reset', trip => this.handleRiskReset(trip));
+        
+        // Raw tick archive under data/ticks (live runs only)
+        this.tickRecorder = this.persistData && config.get('recorder.enabled', true)
+            ? new TickRecorder({
+                dir: path.join(storage.dataDir, 'ticks'),
+                flushIntervalMs: config.get('recorder.flushIntervalMs', 5000)
+            })
+            : null;
+        
+        // Append-only audit log of every analysis (live runs only)
+        this.journal = this.persistData && config.get('journal.enabled', true)
+            ? new DecisionJournal({
+                dir: path.join(storage.dataDir, 'journal'),
+                retentionDays: config.get('journal.retentionDays', 90)
+            })
+            : null;
+        this.decisionCount = 0;
+        
+        // The live analyzer variant and the challengers traded virtually beside it
+        this.championVariant = { name: 'champion' };
+        this.shadowTrader = new ShadowTrader({
+            ...config.get('shadows', {}),
+            championName: this.championVariant.name,
+            confidenceSmoothing: config.get('analysis.confidenceSmoothing', 0.3)
+        });
+        this.shadowTrader.on('promote', event => this.handleShadowPromotion(event));
+        
+        // Dry-run contracts (virtual balance, settled on live ticks)
+        this.paperTrader = new PaperTrader(config.get('paperTrading.startingBalance', null));
         
         // Learning parameters
         this.currentLearningRate = config.get('learning.baseLearningRate');
-        this.smoothedConfidence = 0.5;
-        this.currentMode = 'balanced';
+        
+        // Periodic snapshots of the learned state (live runs only)
+        this.snapshotTimer = null;
         
         // Reasoning health
         this.reasoningHealth = {
@@ -55,28 +188,37 @@ class DerivTradingBot {
             lastHealthScore: 1.0
         };
         
-        // Data integrity
-        this.dataIntegrity = {
-            score: 1.0,
-            recentAnomalies: 0
-        };
-        
         // Performance tracking
-        this.startTime = Date.now();
-        this.lastPerformanceLog = Date.now();
+        this.startTime = this.now();
+        this.lastPerformanceLog = this.now();
+        
+        // Local HTTP control API (started by initialize) and its /metrics
+        this.controlServer = null;
+        this.metrics = this.createMetrics();
+        
+        if (options.transport) {
+            this.attachTransport(options.transport);
+        }
+    }
+
+    now() {
+        return this.clock();
+    }
+
+    getMarket(symbol) {
+        return this.markets.get(symbol) || null;
+    }
+
+    get primaryMarket() {
+        return this.markets.get(this.symbols[0]);
     }
 
     initModelPerformance() {
-        return {
-            stat: { correct: 0, total: 0 },
-            markov: { correct: 0, total: 0 },
-            trend: { correct: 0, total: 0 },
-            qlearning: { correct: 0, total: 0 },
-            streak: { correct: 0, total: 0 },
-            pattern: { correct: 0, total: 0 },
-            entropy: { correct: 0, total: 0 },
-            cycle: { correct: 0, total: 0 }
-        };
+        const performance = {};
+        this.models.names.forEach(model => {
+            performance[model] = { correct: 0, total: 0 };
+        });
+        return performance;
     }
 
     // ========================================================================
@@ -89,19 +231,46 @@ class DerivTradingBot {
             logger.system('🚀 Initializing Deriv Cloud Trading Bot');
             logger.system('═══════════════════════════════════════');
             
+            // Credentials are only needed for a live connection
+            config.validateConfig();
+            
             // Initialize storage
-            await storage.init();
+            await storage.init(config.storage);
             
             // Load persisted data
             await this.loadPersistedData();
+            storage.startSession({ startedAt: this.now(), symbols: this.symbols, trading: this.enableTrading });
+            
+            if (this.tickRecorder) {
+                this.tickRecorder.start(this.now());
+            }
             
-            logger.system(`Configuration loaded: ${config.symbol} | Stake: $${config.baseStake} | Duration: ${config.duration}t`);
-            logger.system(`Learning Rate: ${this.currentLearningRate.toFixed(4)} | Mode: ${this.currentMode}`);
-            logger.system(`Trading: ${config.enableTrading ? 'ENABLED' : 'DISABLED (Dry Run)'}`);
+            logger.system(`Configuration loaded: ${this.symbols.join(', ')} | Stake: $${config.baseStake} | Duration: ${config.duration}t | Max open: ${this.scheduler.maxOpen}`);
+            logger.system(`Learning Rate: ${this.currentLearningRate.toFixed(4)}`);
+            logger.system(`Models: ${this.models.names.join(', ')}`);
+            if (this.randomness.gate) {
+                logger.system(`Randomness gate: trading only when a test rejects at ${this.randomness.significance} (${this.randomness.correction})`);
+            }
+            logger.system(`Trading: ${this.enableTrading ? 'ENABLED' : 'DISABLED (Dry Run)'}`);
             
             // Setup graceful shutdown
             this.setupGracefulShutdown();
             
+            // Control API comes up before the connection so health checks can see it
+            const controlApi = config.controlApi;
+            if (controlApi.enabled) {
+                this.controlServer = new ControlServer(this, controlApi);
+                await this.controlServer.start();
+            }
+            
+            // Telegram: remote commands and the daily summary
+            if (this.notifier && this.notifier.enabled) {
+                this.notifier.startPolling(this.getTelegramCommands());
+                this.scheduleDailySummary();
+            }
+            
+            this.scheduleSnapshots();
+            
             // Connect to Deriv
             await this.connect();
             
@@ -113,40 +282,96 @@ class DerivTradingBot {
 
     async loadPersistedData() {
         try {
-            // Load Q-tables
-            this.qTable = await storage.get('qtables', this.getDefaultQTable());
-            this.deepQTable = await storage.get('deepQtables', this.getDefaultDeepQTable());
-            this.metaQTable = await storage.get('metaQtables', this.getDefaultMetaQTable());
+            // Upgrade files written by older versions before reading any of them
+            await storage.migrate(MIGRATIONS, { primarySymbol: this.symbols[0] });
+            
+            // Load per-symbol Q-tables and statistics
+            for (const market of this.markets.values()) {
+                await this.loadMarketData(market);
+            }
             
-            // Load memories
-            this.patternMemory = await storage.get('patternMemory', []);
+            // Load memories and the models' own state
             this.contextMemory = await storage.get('contextMemory', []);
+            for (const model of this.models.persisted()) {
+                const state = await storage.get(this.models.stateKey(model));
+                if (state !== null) model.setState(state);
+            }
             
-            // Load performance
+            // Load performance (models added since start from zero)
             const savedPerformance = await storage.get('modelPerformance');
             if (savedPerformance) {
-                this.modelPerformance = savedPerformance;
+                this.modelPerformance = { ...this.initModelPerformance(), ...savedPerformance };
+            }
+            this.contractPerformance = await storage.get('contractPerformance', {});
+            const champion = await storage.get('champion');
+            if (champion) {
+                this.championVariant = champion;
+                this.shadowTrader.restoreChampion(champion);
+            }
+            const learningState = await storage.get('learningState');
+            if (learningState) {
+                this.currentLearningRate = learningState.learningRate;
             }
+            this.calibrator.restore(await storage.get('calibration'));
             
             // Load trade history (last 100 trades)
             this.tradeHistory = await storage.get('tradeHistory', []);
             
-            logger.system(`Loaded: ${Object.keys(this.qTable).length} Q-states, ${this.patternMemory.length} patterns, ${this.contextMemory.length} contexts`);
+            // A limit tripped earlier today still applies after a restart
+            this.riskManager.restore(await storage.get('riskState'), this.now());
+            if (this.riskManager.trip) {
+                this.pause(`risk: ${this.riskManager.trip.rule}`);
+                logger.system(`🚨 ${this.riskManager.trip.reason} - trading halted until tomorrow (UTC) or /resume`);
+            }
+            
+            // A martingale or fibonacci run continues where it stopped
+            this.stakeSizer.restore(await storage.get('stakingState'));
+            
+            logger.system(`Loaded: ${this.markets.size} markets, ${this.models.persisted().length} model states, ${this.contextMemory.length} contexts`);
             
         } catch (error) {
             logger.error(`Failed to load persisted data: ${error.message}`);
         }
     }
 
+    async loadMarketData(market) {
+        market.qTable = await storage.get(market.storageKey('qtables'), this.getDefaultQTable());
+        market.deepQTable = await storage.get(market.storageKey('deepQtables'), this.getDefaultDeepQTable());
+        market.metaQTable = await storage.get(market.storageKey('metaQtables'), this.getDefaultMetaQTable());
+        market.featurePipeline.setState(await storage.get(market.storageKey('features')));
+        market.features = market.featurePipeline.latest;
+        market.regimeDetector.setState(await storage.get(market.storageKey('regime')));
+        market.restoreStats(await storage.get(market.storageKey('marketStats')));
+        
+        logger.system(`[${market.symbol}] ${Object.keys(market.deepQTable).length} deep Q-states | Lifetime: ${market.wins}W / ${market.losses}L`);
+    }
+
     async savePersistedData() {
+        if (!this.persistData) return;
+        
         try {
+            const marketWrites = [];
+            for (const market of this.markets.values()) {
+                marketWrites.push(
+                    storage.set(market.storageKey('qtables'), market.qTable),
+                    storage.set(market.storageKey('deepQtables'), market.deepQTable),
+                    storage.set(market.storageKey('metaQtables'), market.metaQTable),
+                    storage.set(market.storageKey('features'), market.featurePipeline.getState()),
+                    storage.set(market.storageKey('regime'), market.regimeDetector.getState()),
+                    storage.set(market.storageKey('marketStats'), market.getStats())
+                );
+            }
+            
             await Promise.all([
-                storage.set('qtables', this.qTable),
-                storage.set('deepQtables', this.deepQTable),
-                storage.set('metaQtables', this.metaQTable),
-                storage.set('patternMemory', this.patternMemory),
+                ...marketWrites,
+                ...this.models.persisted().map(model => storage.set(this.models.stateKey(model), model.getState())),
                 storage.set('contextMemory', this.contextMemory),
                 storage.set('modelPerformance', this.modelPerformance),
+                storage.set('learningState', { learningRate: this.currentLearningRate }),
+                storage.set('riskState', this.riskManager.toJSON()),
+                storage.set('stakingState', this.stakeSizer.toJSON()),
+                storage.set('calibration', this.calibrator.toJSON()),
+                storage.set('contractPerformance', this.contractPerformance),
                 storage.set('tradeHistory', this.tradeHistory.slice(-100))
             ]);
         } catch (error) {
@@ -192,76 +417,175 @@ class DerivTradingBot {
 // WEBSOCKET CONNECTION
 // ========================================================================
 
-    async connect() {
-        return new Promise((resolve, reject) => {
-            if (this.ws) {
-                this.ws.close();
-            }
+    attachTransport(transport) {
+        this.transport = transport;
 
-            const wsUrl = `wss://ws.derivws.com/websockets/v3?app_id=${config.appId}`;
-            logger.system(`Connecting to Deriv API...`);
-            
-            this.ws = new WebSocket(wsUrl);
+        transport.on('open', () => {
+            logger.system('✅ WebSocket connected');
+            this.reconnectAttempts = 0;
+            this.authorize();
+        });
 
-            this.ws.on('open', () => {
-                logger.system('✅ WebSocket connected');
-                this.reconnectAttempts = 0;
-                this.authorize();
-                resolve();
-            });
+        transport.on('message', (data) => {
+            this.handleMessage(data);
+        });
 
-            this.ws.on('message', (data) => {
-                this.handleMessage(data);
-            });
+        transport.on('close', () => {
+            this.isConnected = false;
+            this.connectionMonitor.stop();
+            this.api.rejectAll('WebSocket disconnected');
+            logger.system('❌ WebSocket disconnected');
+            this.handleDisconnect();
+        });
 
-            this.ws.on('close', () => {
-                this.isConnected = false;
-                logger.system('❌ WebSocket disconnected');
-                this.handleDisconnect();
-            });
+        transport.on('error', (error) => {
+            logger.error(`WebSocket error: ${error.message}`);
+        });
+    }
 
-            this.ws.on('error', (error) => {
-                logger.error(`WebSocket error: ${error.message}`);
-                reject(error);
-            });
+    async connect() {
+        return new Promise((resolve, reject) => {
+            if (!this.transport) {
+                this.attachTransport(createTransport(config.apiUrl, config.appId));
+            }
 
-            // Connection timeout
-            setTimeout(() => {
-                if (!this.isConnected) {
-                    reject(new Error('Connection timeout'));
-                }
-            }, 10000);
+            logger.system(`Connecting to Deriv API (${this.transport.describe()})...`);
+
+            const transport = this.transport;
+            const timeoutMs = config.get('reconnect.connectTimeoutMs', 10000);
+            let timer = null;
+            const settle = () => {
+                clearTimeout(timer);
+                transport.removeListener('open', onOpen);
+                transport.removeListener('error', onError);
+            };
+            const onOpen = () => {
+                settle();
+                resolve();
+            };
+            const onError = (error) => {
+                settle();
+                reject(error);
+            };
+
+            transport.once('open', onOpen);
+            transport.once('error', onError);
+            transport.connect();
+
+            // An attempt that neither opens nor fails is dropped, so it cannot
+            // open later behind the reconnect that replaces it
+            timer = setTimeout(() => {
+                settle();
+                transport.teardown();
+                reject(new Error(`Connection timeout after ${timeoutMs / 1000}s`));
+            }, timeoutMs);
         });
     }
 
     authorize() {
-        this.send({ authorize: config.token });
+        this.api.send({ authorize: config.token });
     }
 
+    // Raw write; callers go through this.api so every call carries a req_id
     send(data) {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify(data));
-        } else {
-            logger.error('Cannot send: WebSocket not connected');
+        if (this.transport && this.transport.isOpen()) {
+            this.transport.send(data);
+            return true;
         }
+        logger.error('Cannot send: WebSocket not connected');
+        return false;
     }
 
     handleDisconnect() {
-        if (config.get('reconnect.enabled') && this.reconnectAttempts < config.get('reconnect.maxAttempts')) {
-            this.reconnectAttempts++;
-            const delay = config.get('reconnect.intervalMs');
-            
-            logger.system(`Reconnecting in ${delay / 1000}s (attempt ${this.reconnectAttempts}/${config.get('reconnect.maxAttempts')})...`);
-            
-            this.reconnectTimer = setTimeout(() => {
-                this.connect().catch(error => {
-                    logger.error(`Reconnection failed: ${error.message}`);
-                });
-            }, delay);
-        } else {
+        // A reconnect is already scheduled
+        if (this.reconnectTimer) return;
+        
+        const maxAttempts = config.get('reconnect.maxAttempts');
+        const exhausted = this.reconnectAttempts >= maxAttempts;
+        
+        // A paused bot risks nothing by waiting out a long outage
+        if (!config.get('reconnect.enabled') || (exhausted && !this.pauseReason)) {
             logger.error('Max reconnection attempts reached. Exiting...');
             process.exit(1);
         }
+        
+        this.reconnectAttempts++;
+        this.metrics.reconnects.inc();
+        this.notify('notifyDisconnect', this.reconnectAttempts, maxAttempts);
+        const delay = this.getReconnectDelay(this.reconnectAttempts);
+        
+        const attemptLabel = exhausted ? `attempt ${this.reconnectAttempts}, paused: ${this.pauseReason}` : `attempt ${this.reconnectAttempts}/${maxAttempts}`;
+        logger.system(`Reconnecting in ${(delay / 1000).toFixed(1)}s (${attemptLabel})...`);
+        
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            // A failed attempt schedules the next one (a close that follows
+            // an error finds it already scheduled)
+            this.connect().catch(error => {
+                logger.error(`Reconnection failed: ${error.message}`);
+                this.handleDisconnect();
+            });
+        }, delay);
+    }
+
+    // Exponential backoff with jitter: a random delay in [d/2, d], d doubling per attempt
+    getReconnectDelay(attempt) {
+        const base = config.get('reconnect.intervalMs');
+        const max = config.get('reconnect.maxIntervalMs', 60000);
+        const delay = Math.min(max, base * Math.pow(2, attempt - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    // Drops a connection that looks alive but is not; the reconnect goes
+    // through the same backoff and attempt limit as a dropped socket
+    forceReconnect(reason) {
+        logger.system(`🔄 Forcing reconnect: ${reason}`);
+        this.isConnected = false;
+        this.connectionMonitor.stop();
+        this.transport.teardown();
+        this.api.rejectAll(`Reconnecting: ${reason}`);
+        this.handleDisconnect();
+    }
+
+    handleHealthEvent(event) {
+        const subject = event.symbol ? `[${event.symbol}] ` : '';
+        const detail = event.silentMs !== undefined ? `no ticks for ${(event.silentMs / 1000).toFixed(0)}s` : event.error;
+        logger.system(`🩺 ${subject}${event.type}: ${detail} -> ${event.action}`);
+        this.metrics.healthEvents.inc({ type: event.type, action: event.action });
+        this.notify('notifyHealth', event);
+        
+        if (event.action === 'resubscribe') {
+            this.resubscribeTicks(this.getMarket(event.symbol));
+        } else if (event.action === 'reconnect') {
+            this.forceReconnect(event.type);
+        }
+    }
+
+    async resubscribeTicks(market) {
+        if (market.tickSubscriptionId) {
+            try {
+                await this.api.request({ forget: market.tickSubscriptionId }, { retries: 0 });
+            } catch (error) {
+                logger.debug(`[${market.symbol}] Forget failed: ${error.message}`);
+            }
+            market.tickSubscriptionId = null;
+        }
+        
+        // The history reply fills the silent stretch and subscribes again
+        this.requestTickHistory(market);
+    }
+
+    // After a reconnect or resubscribe only the ticks missed since the last one are fetched
+    requestTickHistory(market) {
+        const request = { ticks_history: market.symbol, end: 'latest', count: 5000, style: 'ticks' };
+        
+        if (market.historyLoaded && market.lastTick) {
+            request.start = market.lastTick.epoch + 1;
+            logger.system(`📊 Fetching ticks missed by ${market.symbol} since ${new Date(market.lastTick.epoch * 1000).toISOString()}...`);
+        } else {
+            logger.system(`📊 Fetching historical ticks for ${market.symbol}...`);
+        }
+        this.api.send(request);
     }
 
     // ========================================================================
@@ -275,9 +599,11 @@ class DerivTradingBot {
 
             if (message.error) {
                 logger.error(`API Error: ${message.error.message}`);
-                if (msgType === 'proposal') {
-                    this.isPending = false;
-                }
+                this.metrics.apiErrors.inc({ code: message.error.code || 'unknown', msg_type: msgType || 'unknown' });
+            }
+            
+            // Replies to awaited requests settle their promise instead
+            if (this.api.handleMessage(message) || message.error) {
                 return;
             }
 
@@ -295,10 +621,8 @@ class DerivTradingBot {
                     await this.handleTick(message);
                     break;
                 case 'proposal':
-                    await this.handleProposal(message);
-                    break;
                 case 'buy':
-                    this.handleBuy(message);
+                    this.handleUnsolicitedReply(message);
                     break;
                 case 'proposal_open_contract':
                     await this.handleContractUpdate(message);
@@ -312,6 +636,14 @@ class DerivTradingBot {
         }
     }
 
+    getMessageSymbol(message) {
+        if (message.passthrough && message.passthrough.symbol) return message.passthrough.symbol;
+        if (message.tick) return message.tick.symbol;
+
+        const echo = message.echo_req || {};
+        return echo.ticks_history || echo.ticks || echo.symbol || (echo.passthrough && echo.passthrough.symbol) || null;
+    }
+
     async handleAuthorize(message) {
         this.isConnected = true;
         this.balance = parseFloat(message.authorize.balance);
@@ -320,27 +652,46 @@ class DerivTradingBot {
         logger.system(`💰 Balance: $${this.balance.toFixed(2)} ${message.authorize.currency}`);
         logger.system(`👤 Account: ${message.authorize.loginid}`);
         
+        // Dry run trades against a virtual balance, seeded from the account once
+        if (!this.enableTrading) {
+            if (!this.paperTrader.isFunded) {
+                this.paperTrader.fund(this.balance);
+            }
+            this.balance = this.paperTrader.balance;
+            logger.system(`📝 Paper balance: $${this.balance.toFixed(2)}`);
+        }
+        
         // Subscribe to balance updates
-        this.send({ balance: 1, subscribe: 1 });
+        this.api.send({ balance: 1, subscribe: 1 });
         
         // Fetch historical data
-        logger.system(`📊 Fetching historical ticks for ${config.symbol}...`);
-        this.send({
-            ticks_history: config.symbol,
-            end: 'latest',
-            count: 5000,
-            style: 'ticks'
-        });
+        this.markets.forEach(market => this.requestTickHistory(market));
+        
+        this.connectionMonitor.start();
+        
+        if (this.openContracts.size > 0 || [...this.markets.values()].some(m => m.pendingBuy)) {
+            await this.recoverOpenContracts();
+        }
     }
 
     handleBalance(message) {
-        this.balance = parseFloat(message.balance.balance);
+        const accountBalance = parseFloat(message.balance.balance);
+        
+        if (!this.enableTrading) {
+            logger.debug(`Account balance: $${accountBalance.toFixed(2)} (paper balance: $${this.balance.toFixed(2)})`);
+            return;
+        }
+        
+        this.balance = accountBalance;
+        this.riskManager.observeBalance(this.balance);
         logger.debug(`Balance updated: $${this.balance.toFixed(2)}`);
     }
 
     async handleHistory(message) {
         const history = message.history;
-        if (history && history.times && history.prices) {
+        const market = this.getMarket(this.getMessageSymbol(message));
+        
+        if (market && history && history.times && history.prices) {
             const historicalTicks = [];
             
             for (let i = 0; i < history.times.length; i++) {
@@ -353,31 +704,76 @@ class DerivTradingBot {
                 historicalTicks.push({ epoch, quote, digit });
             }
             
-            this.tickHistory = historicalTicks;
+            if (market.historyLoaded) {
+                await this.fillTickGap(market, historicalTicks);
+            } else {
+                market.tickHistory = historicalTicks;
+                market.historyLoaded = true;
+                logger.system(`📈 [${market.symbol}] Loaded ${historicalTicks.length} historical ticks`);
+            }
             
             // Limit history size
             const maxHistory = config.get('limits.maxHistory');
-            if (this.tickHistory.length > maxHistory) {
-                this.tickHistory = this.tickHistory.slice(-maxHistory);
+            if (market.tickHistory.length > maxHistory) {
+                market.tickHistory = market.tickHistory.slice(-maxHistory);
             }
             
-            logger.system(`📈 Loaded ${historicalTicks.length} historical ticks`);
-            logger.system(`📊 Total tick history: ${this.tickHistory.length}`);
+            logger.system(`📊 [${market.symbol}] Total tick history: ${market.tickHistory.length}`);
             
             // Subscribe to real-time ticks
-            this.send({ ticks: config.symbol, subscribe: 1 });
-            logger.system(`🔔 Subscribed to real-time ticks for ${config.symbol}`);
+            this.api.send({ ticks: market.symbol, subscribe: 1 });
+            this.connectionMonitor.watchFeed(market.symbol);
+            logger.system(`🔔 Subscribed to real-time ticks for ${market.symbol}`);
+            
+            // Start once every market has its history
+            if (!this.isBotRunning && [...this.markets.values()].every(m => m.historyLoaded)) {
+                await this.startBot();
+            }
+        }
+    }
+
+    // Appends the ticks missed during an outage instead of replacing the history
+    async fillTickGap(market, ticks) {
+        const lastEpoch = market.lastTick ? market.lastTick.epoch : -Infinity;
+        const missed = ticks.filter(tick => tick.epoch > lastEpoch);
+        
+        for (const tick of missed) {
+            const newTick = { ...tick, symbol: market.symbol };
+            const isValid = this.validateTickData(market, newTick, market.lastTick);
+            
+            if (this.tickRecorder) {
+                this.tickRecorder.record(newTick, isValid);
+            }
+            if (this.persistData) {
+                storage.recordTicks([{ ...newTick, valid: isValid }]);
+            }
+            market.tickHistory.push(newTick);
             
-            // Start bot
-            await this.startBot();
+            // Dry-run contracts that expired during the outage settle on the missed ticks
+            if (this.paperTrader.hasOpenContracts()) {
+                for (const contract of this.paperTrader.onTick(newTick)) {
+                    await this.handleSimulatedContractClose(contract);
+                }
+            }
+            this.settleCalibrationContracts(newTick);
         }
+        
+        logger.system(`🩹 [${market.symbol}] Filled ${missed.length} missed ticks`);
     }
 
     async handleTick(message) {
+        const market = this.getMarket(message.tick.symbol || this.symbols[0]);
+        if (!market) return;
+        
+        this.connectionMonitor.recordTick(market.symbol);
+        if (message.subscription) {
+            market.tickSubscriptionId = message.subscription.id;
+        }
+        
         const quote = parseFloat(message.tick.quote);
         
         if (isNaN(quote)) {
-            logger.error('Invalid tick quote received');
+            logger.error(`[${market.symbol}] Invalid tick quote received`);
             return;
         }
         
@@ -385,121 +781,372 @@ class DerivTradingBot {
         const newTick = { 
             epoch: message.tick.epoch,
             quote, 
-            digit 
+            digit,
+            symbol: market.symbol
         };
         
+        // A new UTC day clears the previous day's risk trip
+        this.riskManager.rollDay(this.now());
+        
         // Prevent duplicate ticks
-        if (this.tickHistory.length === 0 || newTick.epoch > this.tickHistory[this.tickHistory.length - 1].epoch) {
+        const previousTick = market.lastTick;
+        if (!previousTick || newTick.epoch > previousTick.epoch) {
             // Validate tick data
-            const previousTick = this.tickHistory.length > 0 ? this.tickHistory[this.tickHistory.length - 1] : null;
-            const isValid = this.validateTickData(newTick, previousTick);
+            const isValid = this.validateTickData(market, newTick, previousTick);
+            
+            if (this.tickRecorder) {
+                this.tickRecorder.record(newTick, isValid);
+            }
+            if (this.persistData) {
+                storage.recordTicks([{ ...newTick, valid: isValid }]);
+            }
             
-            this.tickHistory.push(newTick);
+            market.tickHistory.push(newTick);
             
             // Limit history size
             const maxHistory = config.get('limits.maxHistory');
-            if (this.tickHistory.length > maxHistory) {
-                this.tickHistory.shift();
+            if (market.tickHistory.length > maxHistory) {
+                market.tickHistory.shift();
+            }
+            
+            // Normalized features, then the hidden regime (null while either warms up)
+            market.featurePipeline.update(market.tickHistory).forEach(features => {
+                if (features.ready) {
+                    market.regime = market.regimeDetector.observe(features);
+                }
+            });
+            market.features = market.featurePipeline.latest;
+            
+            // Models that count every tick, traded on or not
+            this.models.observe(market.tickHistory, { symbol: market.symbol, market });
+            
+            // Settle dry-run contracts on the tick that ends them
+            if (this.paperTrader.hasOpenContracts()) {
+                for (const contract of this.paperTrader.onTick(newTick)) {
+                    await this.handleSimulatedContractClose(contract);
+                }
+            }
+            
+            this.settleCalibrationContracts(newTick);
+            
+            if (this.shadowTrader.enabled) {
+                this.runShadows(market, newTick, isValid);
             }
             
             // Auto-tune learning parameters periodically
-            if (this.tickHistory.length % 50 === 0) {
-                this.autoTuneLearningParameters();
+            if (market.tickHistory.length % 50 === 0) {
+                this.autoTuneLearningParameters(market);
             }
             
             // Log performance periodically
-            if (Date.now() - this.lastPerformanceLog > 300000) { // Every 5 minutes
+            if (this.now() - this.lastPerformanceLog > 300000) { // Every 5 minutes
                 this.logPerformance();
-                this.lastPerformanceLog = Date.now();
+                this.lastPerformanceLog = this.now();
             }
             
             // Execute trade logic
             if (this.isBotRunning && 
-                !this.currentContractId && 
-                Date.now() >= this.nextTradeTime && 
-                !this.isPending && 
+                !market.currentContractId && 
+                this.now() >= market.nextTradeTime && 
+                !market.isPending && 
                 isValid) {
                 
-                // Check cooldown conditions
-                if (!this.shouldEnterCooldown()) {
-                    // Small delay to prevent rapid-fire trades
-                    setTimeout(() => this.analyzeAndTrade(), 100);
+                // Check cooldown conditions, then ask the scheduler for a slot
+                if (!this.shouldEnterCooldown(market) && this.scheduler.requestSlot(market.symbol, this.now())) {
+                    market.isPending = true;
+                    market.signalTickAt = this.now();
+                    
+                    if (this.tradeDelayMs > 0) {
+                        // Small delay to prevent rapid-fire trades
+                        setTimeout(() => this.runAnalysis(market), this.tradeDelayMs);
+                    } else {
+                        await this.runAnalysis(market);
+                    }
                 }
             }
         }
     }
 
-    async handleProposal(message) {
+    // Turns a quoted proposal into a contract: a real buy, or a paper contract
+    // in dry run. Returns false when the quote is turned down
+    async handleProposal(market, message) {
         const proposal = message.proposal;
         
-        if (proposal && proposal.id) {
-            if (config.enableTrading) {
-                this.send({
-                    buy: proposal.id,
-                    price: proposal.ask_price
-                });
-                logger.trade(`💸 Buying ${proposal.contract_type} | Price: $${proposal.ask_price}`);
-            } else {
-                logger.trade(`[DRY RUN] Would buy ${proposal.contract_type} | Price: $${proposal.ask_price}`);
-                this.isPending = false;
-                
-                // Simulate contract completion for dry run
-                setTimeout(() => {
-                    const simulatedProfit = Math.random() > 0.5 ? proposal.ask_price * 0.95 : -proposal.ask_price;
-                    this.handleSimulatedContractClose(simulatedProfit);
-                }, 3000);
+        if (market.signalTickAt !== null) {
+            this.metrics.tickToProposal.observe({ symbol: market.symbol }, (this.now() - market.signalTickAt) / 1000);
+            market.signalTickAt = null;
+        }
+        
+        if (!proposal || !proposal.id) {
+            throw new DerivApiError('Proposal reply carried no proposal id', { code: 'WrongResponse', msgType: 'proposal' });
+        }
+        
+        const echo = message.echo_req || {};
+        const contractType = proposal.contract_type || echo.contract_type;
+        const barrier = echo.barrier !== undefined ? echo.barrier : null;
+        
+        if (market.decision) {
+            Object.assign(market.decision, { proposalId: proposal.id, askPrice: proposal.ask_price, payout: proposal.payout });
+        }
+        this.contractSelector.payouts.record(contractType, barrier === null ? undefined : Number(barrier), proposal.ask_price, proposal.payout);
+        
+        // Kelly sized the stake from the last quote seen; a lower payout now
+        // would have sized it smaller, so wait for the next signal instead
+        const trade = market.currentTrade;
+        if (this.stakeSizer.strategy === 'kelly' && trade && trade.payoutRatio !== undefined) {
+            const sizedPayout = parseFloat(proposal.ask_price) * (1 + trade.payoutRatio);
+            if (parseFloat(proposal.payout) < sizedPayout - 0.01) {
+                const quotedRatio = proposal.payout / proposal.ask_price - 1;
+                logger.trade(`⚠️ [${market.symbol}] Quoted payout ${(quotedRatio * 100).toFixed(1)}% is below the ${(trade.payoutRatio * 100).toFixed(1)}% the stake was sized for. Skipping trade.`);
+                this.skipTrade(market, 'quoted payout below the sized payout');
+                return false;
             }
+        }
+        
+        if (this.enableTrading) {
+            logger.trade(`💸 [${market.symbol}] Buying ${contractType} | Price: $${proposal.ask_price}`);
+            market.pendingBuy = { contractType, sentAt: this.now(), replyLost: false };
+            const reply = await this.api.request({
+                buy: proposal.id,
+                price: proposal.ask_price,
+                passthrough: { symbol: market.symbol }
+            }, { idempotent: false });
+            this.handleBuy(market, reply);
         } else {
-            this.isPending = false;
+            const contract = this.paperTrader.open({
+                contractType,
+                barrier,
+                stake: parseFloat(proposal.ask_price),
+                payout: parseFloat(proposal.payout),
+                duration: config.duration,
+                symbol: market.symbol
+            });
+            
+            market.currentContractId = contract.id;
+            market.isPending = false;
+            this.openContracts.set(contract.id, market);
+            this.riskManager.recordTrade(this.now());
+            if (market.decision) {
+                market.decision.contractId = contract.id;
+                this.journalOpenDecision(market);
+            }
+            this.balance = this.paperTrader.balance;
+            
+            logger.trade(`[DRY RUN] [${market.symbol}] Paper contract ${contract.id}: ${contractType} | Price: $${proposal.ask_price} | Payout: $${proposal.payout}`);
         }
+        return true;
     }
 
-    handleBuy(message) {
-        this.currentContractId = message.buy.contract_id;
-        this.isPending = false;
+    // A confirmed buy: the reply, a late reply, or a contract recovered from the account
+    handleBuy(market, message) {
+        market.pendingBuy = null;
+        market.currentContractId = message.buy.contract_id;
+        market.isPending = false;
+        this.openContracts.set(market.currentContractId, market);
+        // Only contracts that exist count toward the hourly trade limit
+        this.riskManager.recordTrade(this.now());
+        if (market.decision) {
+            Object.assign(market.decision, { contractId: message.buy.contract_id, buyPrice: message.buy.buy_price });
+            this.journalOpenDecision(market);
+        }
         
-        logger.trade(`✅ Contract purchased: ${this.currentContractId}`);
+        logger.trade(`✅ [${market.symbol}] Contract purchased: ${market.currentContractId}`);
         logger.trade(`💰 Buy price: $${message.buy.buy_price}`);
         
         // Subscribe to contract updates
-        this.send({
+        this.api.send({
             proposal_open_contract: 1,
-            contract_id: this.currentContractId,
+            contract_id: market.currentContractId,
             subscribe: 1
         });
     }
 
+    // A proposal or buy reply that arrived after its request timed out
+    handleUnsolicitedReply(message) {
+        const market = this.getMarket(this.getMessageSymbol(message));
+        
+        if (message.msg_type === 'buy' && market && market.pendingBuy && !market.currentContractId) {
+            logger.trade(`🔁 [${market.symbol}] Late buy reply adopted: contract ${message.buy.contract_id}`);
+            this.handleBuy(market, message);
+        } else if (message.msg_type === 'buy') {
+            logger.error(`⚠️ Late buy reply (req_id ${message.req_id}): contract ${message.buy.contract_id} is not tracked by the bot`);
+        } else {
+            logger.debug(`Ignoring late ${message.msg_type} reply (req_id ${message.req_id})`);
+        }
+    }
+
+    // A proposal or buy failed before a contract existed
+    handleTradeError(market, error) {
+        // A late reply already delivered the contract
+        if (market.currentContractId) return;
+        
+        if (market.decision) {
+            market.decision.error = { type: error.name, code: error.code, msgType: error.msgType, message: error.message };
+        }
+        
+        if (!(error instanceof DerivApiError)) {
+            logger.error(`[${market.symbol}] Trade execution error: ${error.message}`);
+        } else if (error.msgType === 'buy' && (error instanceof RequestTimeoutError || error instanceof ConnectionClosedError)) {
+            // The buy may have gone through and is never resent: keep the market
+            // pending until the account's contracts show whether it did
+            logger.error(`⚠️ [${market.symbol}] Buy outcome unknown (${error.message}). Checking the account...`);
+            market.pendingBuy.replyLost = true;
+            if (this.isConnected) {
+                this.recoverOpenContracts();
+            }
+            return;
+        } else {
+            logger.trade(`⛔ [${market.symbol}] ${error.msgType} failed: ${error.name} (${error.code}): ${error.message}`);
+        }
+        
+        // Retrying these cannot succeed until an operator steps in
+        if (error instanceof AuthorizationError || error instanceof InsufficientBalanceError) {
+            this.pause(`api: ${error.code}`);
+        }
+        
+        this.abandonTrade(market);
+    }
+
     async handleContractUpdate(message) {
         const contract = message.proposal_open_contract;
+        const market = this.openContracts.get(contract.contract_id);
         
-        if (contract.contract_id === this.currentContractId && 
-            (contract.is_sold || contract.status === 'sold')) {
-            
+        if (market && (contract.is_sold || contract.status === 'sold')) {
             const profit = parseFloat(contract.profit);
             const payout = parseFloat(contract.payout || 0);
             
             const profitStatus = profit > 0 ? '✅ WIN' : '❌ LOSS';
-            logger.trade(`${profitStatus} | Contract: ${this.currentContractId}`);
+            logger.trade(`${profitStatus} | [${market.symbol}] Contract: ${contract.contract_id}`);
             logger.trade(`💵 Profit: $${profit.toFixed(2)} | Payout: $${payout.toFixed(2)}`);
             
-            await this.processContractResult(profit);
-            
             // Unsubscribe from contract updates
-            this.send({ forget: message.subscription.id });
+            if (message.subscription) {
+                this.api.send({ forget: message.subscription.id });
+            }
             
-            // Reset state
-            this.currentContractId = null;
-            this.nextTradeTime = Date.now() + config.get('trading.cooldownMs');
+            await this.finishContract(market, profit);
+        }
+    }
+
+    async handleSimulatedContractClose(contract) {
+        const market = this.openContracts.get(contract.id);
+        if (!market) return;
+        
+        const profitStatus = contract.won ? '✅ WIN' : '❌ LOSS';
+        this.balance = this.paperTrader.balance;
+        
+        logger.trade(`[DRY RUN] ${profitStatus} | [${market.symbol}] Contract: ${contract.id} | Exit digit: ${contract.exitTick.digit}`);
+        logger.trade(`[DRY RUN] 💵 Profit: $${contract.profit.toFixed(2)} | Paper balance: $${this.balance.toFixed(2)}`);
+        
+        await this.finishContract(market, contract.profit);
+    }
+
+    async finishContract(market, profit) {
+        this.openContracts.delete(market.currentContractId);
+        
+        await this.processContractResult(profit, market);
+        this.recordTradeHistory(market, profit);
+        if (market.currentTrade) {
+            this.shadowTrader.recordChampion(profit > 0, profit, market.currentTrade.stake);
         }
+        this.closeDecision(market, {
+            contractId: market.currentContractId,
+            profit,
+            won: profit > 0,
+            settledAt: this.now()
+        });
+        
+        // Reset state and hand the slot to the next symbol
+        market.currentContractId = null;
+        market.currentTrade = null;
+        market.nextTradeTime = this.now() + config.get('trading.cooldownMs');
+        this.scheduler.release(market.symbol);
+    }
+
+    // Long-term trade history (SQLite driver); the JSON driver ignores it
+    recordTradeHistory(market, profit) {
+        const trade = market.currentTrade;
+        if (!this.persistData || !trade) return;
+        
+        const won = profit > 0;
+        // Model votes are odd/even, so they can only be scored on parity trades
+        const outcome = trade.family === 'parity'
+            ? (won ? trade.prediction : (trade.prediction === 'odd' ? 'even' : 'odd'))
+            : null;
+        const predictions = Object.entries(trade.modelPredictions || {}).map(([model, prediction]) => ({
+            model,
+            prediction,
+            correct: outcome === null ? null : prediction === outcome
+        }));
+        
+        storage.recordTrade({
+            ...trade,
+            contractId: market.currentContractId,
+            profit,
+            won,
+            settledAt: this.now()
+        }, predictions);
     }
 
-    handleSimulatedContractClose(profit) {
-        const profitStatus = profit > 0 ? '✅ WIN' : '❌ LOSS';
-        logger.trade(`[DRY RUN] ${profitStatus} | Simulated Profit: $${profit.toFixed(2)}`);
+    // After a reconnect or a lost buy reply: resubscribe to known contracts so
+    // they settle, and look up buys whose reply never arrived in the account
+    async recoverOpenContracts() {
+        if (!this.enableTrading) return;
+        
+        for (const contractId of this.openContracts.keys()) {
+            this.api.send({ proposal_open_contract: 1, contract_id: contractId, subscribe: 1 });
+        }
+        
+        const unconfirmed = [...this.markets.values()].filter(m => m.pendingBuy && m.pendingBuy.replyLost);
+        if (unconfirmed.length === 0) return;
         
-        this.processContractResult(profit);
-        this.currentContractId = null;
-        this.nextTradeTime = Date.now() + config.get('trading.cooldownMs');
+        try {
+            // Open contracts are in the portfolio; ones that already expired are in the profit table
+            const since = Math.floor(Math.min(...unconfirmed.map(m => m.pendingBuy.sentAt)) / 1000) - 60;
+            const [portfolio, profitTable] = await Promise.all([
+                this.api.request({ portfolio: 1 }),
+                this.api.request({ profit_table: 1, description: 1, date_from: since, sort: 'ASC', limit: 50 })
+            ]);
+            
+            const candidates = [
+                ...(portfolio.portfolio.contracts || []),
+                ...(profitTable.profit_table.transactions || [])
+            ].filter(contract => !this.openContracts.has(contract.contract_id));
+            
+            for (const market of unconfirmed) {
+                const { contractType, sentAt } = market.pendingBuy;
+                const index = candidates.findIndex(contract =>
+                    contract.contract_type === contractType &&
+                    (contract.symbol === market.symbol || (contract.shortcode || '').includes(`_${market.symbol}_`)) &&
+                    contract.purchase_time >= Math.floor(sentAt / 1000) - 30
+                );
+                
+                if (index === -1) {
+                    logger.trade(`[${market.symbol}] No contract found for the lost buy; it did not go through`);
+                    this.abandonTrade(market);
+                    continue;
+                }
+                
+                const [contract] = candidates.splice(index, 1);
+                logger.trade(`🔁 [${market.symbol}] Recovered contract ${contract.contract_id} from the account`);
+                this.handleBuy(market, { buy: { contract_id: contract.contract_id, buy_price: contract.buy_price } });
+            }
+        } catch (error) {
+            if (error instanceof ConnectionClosedError) return; // retried on the next authorize
+            
+            logger.error(`Open contract recovery failed: ${error.message}`);
+            unconfirmed.forEach(market => this.abandonTrade(market));
+        }
+    }
+
+    // Frees a market whose analysis or order ended without a contract
+    abandonTrade(market) {
+        this.closeDecision(market, market.decision && market.decision.outcome === 'skipped' ? {} : { outcome: 'failed' });
+        market.isPending = false;
+        market.pendingBuy = null;
+        market.signalTickAt = null;
+        market.currentTrade = null;
+        this.scheduler.release(market.symbol);
     }
 
     // ========================================================================
@@ -507,19 +1154,26 @@ class DerivTradingBot {
     // ========================================================================
 
     async startBot() {
-        if (this.tickHistory.length < 30) {
+        const ready = [...this.markets.values()].filter(m => m.tickHistory.length >= 30);
+        if (ready.length === 0) {
             logger.system('⏳ Waiting for sufficient tick history...');
             return;
         }
         
+        if (this.pauseReason) {
+            logger.system(`⏸️  History ready, staying paused (${this.pauseReason})`);
+            return;
+        }
+        
         this.isBotRunning = true;
+        this.hasStarted = true;
         
         logger.system('═══════════════════════════════════════');
         logger.system('🚀 BOT STARTED - META-REASONING ENABLED');
         logger.system('═══════════════════════════════════════');
+        logger.system(`Symbols: ${this.symbols.join(', ')} (max ${this.scheduler.maxOpen} open)`);
         logger.system(`Learning Rate: ${this.currentLearningRate.toFixed(4)}`);
         logger.system(`Confidence Threshold: ${config.get('learning.baseConfidenceThreshold')}`);
-        logger.system(`Mode: ${this.currentMode}`);
         logger.system(`Features: Bayesian Fusion, Context Memory, Meta-Q-Learning`);
         logger.system('═══════════════════════════════════════');
     }
@@ -532,250 +1186,353 @@ class DerivTradingBot {
         await this.savePersistedData();
     }
 
-    async analyzeAndTrade() {
-        if (this.tickHistory.length < 30) {
-            logger.analysis('Not enough history for analysis');
-            return;
+    // A failed analysis frees the market and its scheduler slot instead of
+    // leaving it pending for good. A buy whose outcome is unknown stays pending
+    async runAnalysis(market) {
+        try {
+            await this.analyzeAndTrade(market);
+        } catch (error) {
+            logger.error(`[${market.symbol}] Analysis failed: ${error.message}`);
+            if (market.decision) {
+                market.decision.error = { type: error.name, message: error.message };
+            }
+            if (!market.currentContractId && !market.pendingBuy) {
+                this.abandonTrade(market);
+            }
         }
+    }
 
-        this.isPending = true;
-
-        const recent = this.tickHistory.slice(-500);
-        const lastDigitNum = recent[recent.length - 1].digit;
-        const state = lastDigitNum % 2 === 1 ? 'odd' : 'even';
-
-        // === Model 1: Statistical Probability ===
-        const { oddProb: statProbOdd, evenProb: statProbEven } = this.calculateStatisticalProbability(recent);
+    async analyzeAndTrade(market) {
+        market.decision = this.beginDecision(market);
+        
+        if (market.tickHistory.length < 30) {
+            logger.analysis(`[${market.symbol}] Not enough history for analysis`);
+            this.skipTrade(market, 'not enough history');
+            return;
+        }
 
-        // === Model 2: Markov Chain ===
-        const markovProbs = this.calculateMarkovProbabilities(recent);
-        let markovProbOdd = state === 'odd' ? markovProbs.oddToOdd : markovProbs.evenToOdd;
-        let markovProbEven = state === 'odd' ? markovProbs.oddToEven : markovProbs.evenToEven;
+        market.isPending = true;
 
-        // === Model 3: Trend Analysis ===
-        const volatility = this.calculateVolatility(recent, 50);
-        const { emaShort, emaLong } = this.calculateEMAs(recent);
-        const trendStrength = (emaShort - emaLong) / emaLong;
-        const trendScore = Math.tanh(trendStrength * 10) * 0.1;
-        const volatilityAdjustment = volatility > 0.6 ? -0.08 : volatility < 0.3 ? 0.05 : 0;
+        const signals = this.getModelSignals(market);
+        const { recent, state, lastDigit: lastDigitNum, entropy, volatility, trendStrength, streak, deepState, cycleInfo, contextBias } = signals;
+        const {
+            modelProbs,
+            modelPredictions,
+            weights: adaptiveWeights,
+            consensus,
+            bayesianResult,
+            finalProbOdd,
+            finalProbEven
+        } = this.fuseModelSignals(market, signals, this.championVariant);
 
-        // === Model 4: Q-Learning ===
-        const qProbOdd = this.qTable[state].odd;
-        const qProbEven = this.qTable[state].even;
+        // Determine prediction
+        let prediction;
+        let rawConfidence = Math.max(finalProbOdd, finalProbEven);
         
-        const deepState = this.getDeepState(volatility, trendStrength, this.calculateStreak(recent).length);
-        const { deepQProbOdd, deepQProbEven } = this.getDeepQProbs(deepState);
+        // Mode-based epsilon
+        let modeEpsilon = config.get('learning.epsilon');
+        if (market.currentMode === 'exploration') modeEpsilon = 0.1;
+        else if (market.currentMode === 'precision') modeEpsilon = 0.0;
         
-        const blendedQOdd = qProbOdd * 0.4 + deepQProbOdd * 0.6;
-        const blendedQEven = qProbEven * 0.4 + deepQProbEven * 0.6;
+        // Epsilon-greedy exploration
+        if (Math.random() < modeEpsilon) {
+            prediction = Math.random() < 0.5 ? 'odd' : 'even';
+            rawConfidence = 0.5;
+            market.decision.exploration = true;
+            logger.analysis('🔄 Exploration mode: Random prediction');
+        } else {
+            prediction = finalProbOdd > finalProbEven ? 'odd' : 'even';
+        }
 
-        // === Model 5: Streak Analysis ===
-        const streak = this.calculateStreak(recent);
-        const { streakAdjustmentOdd, streakAdjustmentEven } = this.calculateStreakAdjustments(streak);
+        // Calibrated probability of the predicted side drives the threshold and the stake
+        const probability = prediction === 'odd' ? finalProbOdd : finalProbEven;
+        const calibratedProbability = this.calibrator.calibrate(probability);
+        const calibratedConfidence = this.calibrator.calibrate(rawConfidence);
+        this.openCalibrationContract(market, prediction, probability);
 
-        // === Model 6: Pattern Recognition ===
-        const { patternProbOdd, patternProbEven } = this.analyzePatterns(recent);
-
-        // === Model 7: Entropy Analysis ===
-        const entropy = this.calculateEntropy(recent, 50);
-        const { entropyAdjustmentOdd, entropyAdjustmentEven } = this.calculateEntropyAdjustments(entropy, state);
-
-        // === Model 8: Cyclic Pattern Detection ===
-        const cycleInfo = this.detectCyclicPattern(recent, 20);
-        const { cycleProbOdd, cycleProbEven } = this.analyzeCyclicPattern(cycleInfo, recent);
-
-        // === Context Memory Enhancement ===
-        const contextBias = this.getContextBias(volatility, entropy, streak.length);
-
-        // === Ensemble: Adaptive Weighted Combination ===
-        const adaptiveWeights = this.getAdaptiveWeights();
-        
-        const modelPredictions = {
-            stat: statProbOdd > statProbEven ? 'odd' : 'even',
-            markov: markovProbOdd > markovProbEven ? 'odd' : 'even',
-            trend: (0.5 + trendScore + volatilityAdjustment) > 0.5 ? 'odd' : 'even',
-            qlearning: blendedQOdd > blendedQEven ? 'odd' : 'even',
-            streak: (0.5 + streakAdjustmentOdd) > (0.5 + streakAdjustmentEven) ? 'odd' : 'even',
-            pattern: patternProbOdd > patternProbEven ? 'odd' : 'even',
-            entropy: (0.5 + entropyAdjustmentOdd) > (0.5 + entropyAdjustmentEven) ? 'odd' : 'even',
-            cycle: cycleProbOdd > cycleProbEven ? 'odd' : 'even'
-        };
-
-        // Check model consensus
-        const consensus = this.checkModelConsensus(modelPredictions);
-
-        // Bayesian Fusion
-        const modelProbs = {
-            stat: { odd: statProbOdd, even: statProbEven },
-            markov: { odd: markovProbOdd, even: markovProbEven },
-            trend: { odd: 0.5 + trendScore + volatilityAdjustment, even: 0.5 - trendScore + volatilityAdjustment },
-            qlearning: { odd: blendedQOdd, even: blendedQEven },
-            streak: { odd: 0.5 + streakAdjustmentOdd, even: 0.5 + streakAdjustmentEven },
-            pattern: { odd: patternProbOdd, even: patternProbEven },
-            entropy: { odd: 0.5 + entropyAdjustmentOdd, even: 0.5 + entropyAdjustmentEven },
-            cycle: { odd: cycleProbOdd, even: cycleProbEven }
-        };
-
-        const bayesianResult = this.bayesianFusion(modelProbs, adaptiveWeights);
-        let finalProbOdd = bayesianResult.odd + contextBias;
-        let finalProbEven = bayesianResult.even - contextBias;
-
-        // Apply cycle influence
-        if (cycleInfo.hasCycle) {
-            finalProbOdd = finalProbOdd * 0.85 + cycleProbOdd * 0.15;
-            finalProbEven = finalProbEven * 0.85 + cycleProbEven * 0.15;
-        }
+        // Confidence smoothing
+        const smoothing = config.get('analysis.confidenceSmoothing', 0.3);
+        market.smoothedConfidence = (1 - smoothing) * market.smoothedConfidence + smoothing * calibratedConfidence;
+        const confidence = market.smoothedConfidence;
 
-        // Data integrity weighting
-        if (this.dataIntegrity.score < 0.9) {
-            const integrityFactor = this.dataIntegrity.score;
-            finalProbOdd = finalProbOdd * integrityFactor + 0.5 * (1 - integrityFactor);
-            finalProbEven = finalProbEven * integrityFactor + 0.5 * (1 - integrityFactor);
+        // Logging
+        logger.analysis(`[${market.symbol}] Analysis: Odds=${(finalProbOdd * 100).toFixed(1)}%, Evens=${(finalProbEven * 100).toFixed(1)}%, Calibrated=${(calibratedProbability * 100).toFixed(1)}%, Conf=${(confidence * 100).toFixed(1)}%`);
+        logger.analysis(`Metrics: Entropy=${entropy.toFixed(2)}, Vol pct=${volatility.toFixed(2)}, Trend z=${trendStrength.toFixed(2)}, Streak=${streak.length}(${streak.type})`);
+        logger.analysis(`Mode: ${market.currentMode.toUpperCase()}, Regime: ${market.regime ? `${market.regime.label} (${(market.regime.probability * 100).toFixed(0)}%)` : 'warming up'}, Health: ${(this.reasoningHealth.lastHealthScore * 100).toFixed(0)}%, Consensus: ${(consensus.agreement * 100).toFixed(0)}%`);
+
+        // Randomness of the latest window
+        market.randomness = this.randomness.evaluate(market.tickHistory);
+        if (Object.keys(market.randomness.pValues).length > 0) {
+            logger.analysis(`Randomness: ${RandomnessDiagnostics.format(market.randomness)} | rejected: ${market.randomness.rejected.join(', ') || 'none'}`);
         }
 
-        // Normalize
-        const total = finalProbOdd + finalProbEven;
-        finalProbOdd /= total;
-        finalProbEven /= total;
+        Object.assign(market.decision, {
+            state,
+            lastDigit: lastDigitNum,
+            entropy,
+            volatility,
+            trendStrength,
+            features: market.features,
+            streak,
+            deepState,
+            models: modelProbs,
+            modelPredictions,
+            weights: adaptiveWeights,
+            consensus,
+            bayesian: bayesianResult,
+            contextBias,
+            cycle: { ...cycleInfo, ...signals.models.cycle, applied: cycleInfo.hasCycle && 'cycle' in modelProbs },
+            final: { odd: finalProbOdd, even: finalProbEven },
+            prediction,
+            probability,
+            calibratedProbability,
+            rawConfidence,
+            smoothedConfidence: confidence,
+            randomness: market.randomness,
+            regime: market.regime
+        });
 
-        // Determine prediction
-        let prediction;
-        let rawConfidence = Math.max(finalProbOdd, finalProbEven);
-        
-        // Mode-based epsilon
-        let modeEpsilon = config.get('learning.epsilon');
-        if (this.currentMode === 'exploration') modeEpsilon = 0.1;
-        else if (this.currentMode === 'precision') modeEpsilon = 0.0;
-        
-        // Epsilon-greedy exploration
-        if (Math.random() < modeEpsilon) {
-            prediction = Math.random() < 0.5 ? 'odd' : 'even';
-            rawConfidence = 0.5;
-            logger.analysis('🔄 Exploration mode: Random prediction');
-        } else {
-            prediction = finalProbOdd > finalProbEven ? 'odd' : 'even';
+        // Tradeability gate: only trade while some test finds structure
+        if (this.randomness.gate && !market.randomness.tradeable) {
+            logger.analysis(`[${market.symbol}] No test rejects randomness at ${this.randomness.significance}. Skipping trade.`);
+            this.skipTrade(market, 'randomness not rejected');
+            return;
         }
 
-        // Confidence smoothing
-        this.smoothedConfidence = 0.7 * this.smoothedConfidence + 0.3 * rawConfidence;
-        const confidence = this.smoothedConfidence;
-
-        // Logging
-        logger.analysis(`Analysis: Odds=${(finalProbOdd * 100).toFixed(1)}%, Evens=${(finalProbEven * 100).toFixed(1)}%, Conf=${(confidence * 100).toFixed(1)}%`);
-        logger.analysis(`Metrics: Entropy=${entropy.toFixed(2)}, Vol=${volatility.toFixed(2)}, Streak=${streak.length}(${streak.type})`);
-        logger.analysis(`Mode: ${this.currentMode.toUpperCase()}, Health: ${(this.reasoningHealth.lastHealthScore * 100).toFixed(0)}%, Consensus: ${(consensus.agreement * 100).toFixed(0)}%`);
+        // Payout-aware selection when families beyond odd/even are enabled
+        const families = config.contractFamilies;
+        if (families.some(family => family !== 'parity')) {
+            const parityProbs = {
+                odd: this.calibrator.calibrate(finalProbOdd),
+                even: this.calibrator.calibrate(finalProbEven)
+            };
+            const selection = this.contractSelector.select(recent, families, parityProbs, config.duration);
+            market.decision.selection = selection ? { ...selection } : null;
+            
+            if (selection && selection.family !== 'parity') {
+                await this.tradeSelectedContract(market, selection, {
+                    state,
+                    deepState,
+                    entropy,
+                    volatility,
+                    streak: streak.length
+                });
+                return;
+            }
+        }
 
-        // Adaptive confidence threshold
-        const adaptiveThreshold = this.getAdaptiveConfidenceThreshold(entropy);
+        // Adaptive confidence threshold, unless the champion variant fixes one
+        const adaptiveThreshold = this.championVariant.confidenceThreshold || this.getAdaptiveConfidenceThreshold(entropy);
+        market.decision.threshold = adaptiveThreshold;
         
         if (confidence < adaptiveThreshold) {
             logger.analysis(`Low confidence (${(confidence * 100).toFixed(1)}% < ${(adaptiveThreshold * 100).toFixed(1)}%). Skipping trade.`);
-            this.isPending = false;
+            this.skipTrade(market, 'confidence below threshold');
             return;
         }
 
         // Precision mode consensus check
-        if (this.currentMode === 'precision' && !consensus.hasConsensus) {
+        if (market.currentMode === 'precision' && !consensus.hasConsensus) {
             logger.analysis(`Precision mode: Insufficient consensus (${(consensus.agreement * 100).toFixed(0)}%). Skipping.`);
-            this.isPending = false;
+            this.skipTrade(market, 'insufficient consensus in precision mode');
             return;
         }
 
-        // Calculate stake
-        const stake = this.calculateStake(volatility, entropy, confidence);
+        // Calculate stake from the predicted side's probability and its quoted payout
+        const contractType = prediction === 'odd' ? 'DIGITODD' : 'DIGITEVEN';
+        const payoutRatio = this.contractSelector.payouts.ratio(contractType);
+        const stake = this.calculateStake(market, confidence, {
+            probability: calibratedProbability,
+            payoutRatio
+        });
+        if (stake <= 0) {
+            logger.analysis(`[${market.symbol}] ${this.stakeSizer.strategy} staking sees no edge. Skipping trade.`);
+            this.skipTrade(market, `no edge for ${this.stakeSizer.strategy} staking`);
+            return;
+        }
         
-        logger.trade(`🎯 Prediction: ${prediction.toUpperCase()} | Confidence: ${(confidence * 100).toFixed(1)}% | Stake: $${stake}`);
+        logger.trade(`🎯 [${market.symbol}] Prediction: ${prediction.toUpperCase()} | Confidence: ${(confidence * 100).toFixed(1)}% | Stake: $${stake}`);
 
         // Execute trade
-        await this.executeTrade(prediction, stake, {
+        await this.executeTrade(market, prediction, stake, {
             state,
             deepState,
             confidence: rawConfidence,
             smoothedConfidence: confidence,
+            probability,
+            calibratedProbability,
             entropy,
             volatility,
             streak: streak.length,
             modelPredictions,
             weights: adaptiveWeights,
-            consensusAgreement: consensus.agreement
+            consensusAgreement: consensus.agreement,
+            payoutRatio
         });
     }
 
-    // Continue with helper methods...
-    // ========================================================================
-    // MACHINE LEARNING ALGORITHMS
-    // ========================================================================
-
-    calculateStatisticalProbability(recent) {
-        const oddCount = recent.filter(t => t.digit % 2 === 1).length;
-        const evenCount = recent.length - oddCount;
-        let oddProb = oddCount / recent.length;
-        let evenProb = evenCount / recent.length;
-        
-        // Mean reversion bias
-        const deviation = Math.abs(oddProb - 0.5);
-        if (deviation > 0.15) {
-            const reversionFactor = 0.1;
-            oddProb += (oddProb < 0.5 ? reversionFactor : -reversionFactor);
-            evenProb = 1 - oddProb;
+    settleCalibrationContracts(tick) {
+        for (const contract of this.calibrationContracts.onTick(tick)) {
+            this.calibrator.record(contract.probability, contract.won);
         }
-        
-        return { oddProb, evenProb };
     }
 
-    calculateMarkovProbabilities(history) {
-        if (history.length < 3) {
-            return { oddToOdd: 0.5, oddToEven: 0.5, evenToOdd: 0.5, evenToEven: 0.5 };
-        }
-        
-        let transitions = { oddToOdd: 0, oddToEven: 0, evenToOdd: 0, evenToEven: 0 };
-        let counts = { odd: 0, even: 0 };
-        
-        for (let i = 1; i < history.length; i++) {
-            const prev = history[i - 1].digit % 2 === 1 ? 'odd' : 'even';
-            const curr = history[i].digit % 2 === 1 ? 'odd' : 'even';
-            counts[prev]++;
-            transitions[`${prev}To${curr.charAt(0).toUpperCase() + curr.slice(1)}`]++;
-        }
-        
+    // Calibration sample: the predicted side's fused probability, settled
+    // like a parity contract bought on the latest tick
+    openCalibrationContract(market, prediction, probability) {
+        const contract = this.calibrationContracts.open({
+            contractType: prediction === 'odd' ? 'DIGITODD' : 'DIGITEVEN',
+            stake: 1,
+            payout: 2,
+            duration: config.duration,
+            symbol: market.symbol,
+            purchaseEpoch: market.lastTick ? market.lastTick.epoch : null
+        });
+        contract.probability = probability;
+    }
+
+    // Every model's odd/even view of the latest tick
+    getModelSignals(market) {
+        const recent = market.tickHistory.slice(-500);
+        const lastDigit = recent[recent.length - 1].digit;
+        const state = lastDigit % 2 === 1 ? 'odd' : 'even';
+
+        // === Shared features ===
+        // Volatility as its percentile rank (0-1) and trend as a z-score, both
+        // per symbol (see FeaturePipeline); neutral until the pipeline is ready
+        const features = market.features;
+        const volatility = features ? features.percentile.volatility : 0.5;
+        const trendStrength = features ? features.z.trend : 0;
+        const streak = this.calculateStreak(recent);
+        const deepState = this.getDeepState(market.regime, trendStrength, streak.length);
+        const entropy = this.calculateEntropy(recent, 50);
+        const cycleInfo = this.detectCyclicPattern(recent, 20);
+
+        // === Ensemble members (see ModelRegistry) ===
+        const { models, predictions } = this.models.predictAll(recent, {
+            symbol: market.symbol,
+            market,
+            state,
+            lastDigit,
+            volatility,
+            trendStrength,
+            features,
+            entropy,
+            streak,
+            deepState,
+            cycleInfo
+        });
+
+        // === Context Memory Enhancement ===
+        const contextBias = this.getContextBias(volatility, entropy, streak.length);
+
         return {
-            oddToOdd: transitions.oddToOdd / (counts.odd || 1),
-            oddToEven: transitions.oddToEven / (counts.odd || 1),
-            evenToOdd: transitions.evenToOdd / (counts.even || 1),
-            evenToEven: transitions.evenToEven / (counts.even || 1)
+            recent,
+            state,
+            lastDigit,
+            entropy,
+            volatility,
+            trendStrength,
+            streak,
+            deepState,
+            cycleInfo,
+            contextBias,
+            models,
+            predictions
         };
     }
 
-    calculateEMA(data, window, alpha = null) {
-        if (data.length < window) return 0;
-        if (!alpha) alpha = 2 / (window + 1);
+    // Ensemble of the model signals under an analyzer variant (see ShadowTrader);
+    // the default variant weights every model by its adaptive weight
+    fuseModelSignals(market, signals, variant = {}) {
+        const multipliers = variant.weights || {};
+        const disabled = variant.disabledModels || [];
+        const adaptiveWeights = this.getAdaptiveWeights();
         
-        let ema = data[data.length - window].quote;
-        for (let i = data.length - window + 1; i < data.length; i++) {
-            ema = alpha * data[i].quote + (1 - alpha) * ema;
+        // === Ensemble: Adaptive Weighted Combination ===
+        const modelProbs = {};
+        const weights = {};
+        Object.keys(signals.models).forEach(model => {
+            const multiplier = multipliers[model] !== undefined ? multipliers[model] : 1;
+            if (disabled.includes(model) || multiplier <= 0) return;
+            modelProbs[model] = signals.models[model];
+            if (adaptiveWeights[model] !== undefined) {
+                weights[model] = adaptiveWeights[model] * multiplier;
+            }
+        });
+        
+        const modelPredictions = {};
+        Object.keys(modelProbs).forEach(model => {
+            modelPredictions[model] = signals.predictions[model];
+        });
+
+        // Check model consensus
+        const consensus = this.checkModelConsensus(modelPredictions);
+
+        // Bayesian Fusion
+        const bayesianResult = this.bayesianFusion(modelProbs, weights);
+        let finalProbOdd = bayesianResult.odd + signals.contextBias;
+        let finalProbEven = bayesianResult.even - signals.contextBias;
+
+        // Apply cycle influence
+        if (signals.cycleInfo.hasCycle && modelProbs.cycle) {
+            const cycleWeight = config.get('analysis.cycleWeight', 0.15);
+            finalProbOdd = finalProbOdd * (1 - cycleWeight) + modelProbs.cycle.odd * cycleWeight;
+            finalProbEven = finalProbEven * (1 - cycleWeight) + modelProbs.cycle.even * cycleWeight;
         }
-        return ema;
-    }
 
-    calculateEMAs(data) {
-        return {
-            emaShort: this.calculateEMA(data, 10),
-            emaLong: this.calculateEMA(data, 50)
-        };
+        // Data integrity weighting
+        if (market.dataIntegrity.score < 0.9) {
+            const integrityFactor = market.dataIntegrity.score;
+            finalProbOdd = finalProbOdd * integrityFactor + 0.5 * (1 - integrityFactor);
+            finalProbEven = finalProbEven * integrityFactor + 0.5 * (1 - integrityFactor);
+        }
+
+        // Normalize
+        const total = finalProbOdd + finalProbEven;
+        finalProbOdd /= total;
+        finalProbEven /= total;
+        
+        return { modelProbs, modelPredictions, weights, consensus, bayesianResult, finalProbOdd, finalProbEven };
     }
 
-    calculateVolatility(data, window) {
-        if (data.length < window) return 0;
+    async tradeSelectedContract(market, selection, context) {
+        const minExpectedValue = config.get('contracts.minExpectedValue', 0);
+        const label = selection.barrier !== undefined ? `${selection.contractType} ${selection.barrier}` : selection.contractType;
+        
+        logger.analysis(`[${market.symbol}] Best contract: ${label} | P=${(selection.probability * 100).toFixed(1)}% | Payout: ${(selection.payoutRatio * 100).toFixed(1)}% | EV: ${selection.expectedValue.toFixed(3)}`);
+        
+        if (selection.expectedValue < minExpectedValue) {
+            logger.analysis(`Expected value ${selection.expectedValue.toFixed(3)} below ${minExpectedValue}. Skipping trade.`);
+            this.skipTrade(market, 'expected value below minimum');
+            return;
+        }
         
-        const ema = this.calculateEMA(data, window);
-        const variance = data.slice(-window).reduce((sum, tick, idx) => {
-            const weight = Math.exp(-0.1 * (window - idx - 1));
-            return sum + weight * Math.pow(tick.quote - ema, 2);
-        }, 0) / window;
+        const stake = this.calculateStake(market, selection.probability, {
+            probability: selection.probability,
+            payoutRatio: selection.payoutRatio
+        });
+        if (stake <= 0) {
+            logger.analysis(`[${market.symbol}] ${this.stakeSizer.strategy} staking sees no edge. Skipping trade.`);
+            this.skipTrade(market, `no edge for ${this.stakeSizer.strategy} staking`);
+            return;
+        }
+        
+        logger.trade(`🎯 [${market.symbol}] Contract: ${label} | P=${(selection.probability * 100).toFixed(1)}% | EV: ${selection.expectedValue.toFixed(3)} | Stake: $${stake}`);
         
-        return Math.sqrt(variance);
+        await this.executeTrade(market, selection.prediction, stake, {
+            ...context,
+            confidence: selection.probability,
+            expectedValue: selection.expectedValue,
+            payoutRatio: selection.payoutRatio
+        }, selection);
     }
 
+    // Continue with helper methods...
+    // ========================================================================
+    // MACHINE LEARNING ALGORITHMS
+    // ========================================================================
+
     calculateStreak(history) {
         if (history.length < 2) return { length: 0, type: null, momentum: 0 };
         
@@ -803,68 +1560,6 @@ class DerivTradingBot {
         return { length, type: lastType, momentum };
     }
 
-    calculateStreakAdjustments(streak) {
-        let streakAdjustmentOdd = 0;
-        let streakAdjustmentEven = 0;
-        
-        if (streak.length > 3) {
-            const streakPenalty = Math.log(streak.length - 2) * 0.12;
-            const momentumBonus = streak.momentum * 0.08;
-            
-            if (streak.type === 'odd') {
-                streakAdjustmentOdd = -streakPenalty + momentumBonus;
-                streakAdjustmentEven = streakPenalty - momentumBonus;
-            } else {
-                streakAdjustmentOdd = streakPenalty - momentumBonus;
-                streakAdjustmentEven = -streakPenalty + momentumBonus;
-            }
-        }
-        
-        return { streakAdjustmentOdd, streakAdjustmentEven };
-    }
-
-    analyzePatterns(recent) {
-        let patternProbOdd = 0.5;
-        let patternProbEven = 0.5;
-        
-        if (recent.length >= 10 && this.patternMemory.length > 0) {
-            const patternLength = 5;
-            const current = recent.slice(-patternLength).map(t => t.digit % 2);
-            
-            let bestMatch = null;
-            let bestSimilarity = 0;
-            
-            this.patternMemory.forEach(patternItem => {
-                if (patternItem.sequence.length !== patternLength) return;
-                
-                let similarity = 0;
-                for (let i = 0; i < patternLength; i++) {
-                    if (patternItem.sequence[i] === current[i]) similarity++;
-                }
-                similarity /= patternLength;
-                
-                if (similarity > bestSimilarity && similarity >= 0.8) {
-                    bestSimilarity = similarity;
-                    bestMatch = patternItem;
-                }
-            });
-            
-            if (bestMatch) {
-                const confidence = bestSimilarity * bestMatch.successRate;
-                if (bestMatch.nextOutcome === 'odd') {
-                    patternProbOdd = 0.5 + confidence * 0.3;
-                    patternProbEven = 1 - patternProbOdd;
-                } else {
-                    patternProbEven = 0.5 + confidence * 0.3;
-                    patternProbOdd = 1 - patternProbEven;
-                }
-                logger.analysis(`Pattern match: similarity ${(bestSimilarity * 100).toFixed(1)}%, success ${(bestMatch.successRate * 100).toFixed(1)}%`);
-            }
-        }
-        
-        return { patternProbOdd, patternProbEven };
-    }
-
     calculateEntropy(history, window = 20) {
         if (history.length < window) return 0;
         
@@ -883,21 +1578,6 @@ class DerivTradingBot {
         return entropy / Math.log2(10);
     }
 
-    calculateEntropyAdjustments(entropy, state) {
-        let entropyAdjustmentOdd = 0;
-        let entropyAdjustmentEven = 0;
-        
-        if (entropy > 0.9) {
-            entropyAdjustmentOdd = state === 'odd' ? -0.05 : 0.05;
-            entropyAdjustmentEven = state === 'even' ? -0.05 : 0.05;
-        } else if (entropy < 0.7) {
-            entropyAdjustmentOdd = state === 'odd' ? 0.08 : -0.08;
-            entropyAdjustmentEven = state === 'even' ? 0.08 : -0.08;
-        }
-        
-        return { entropyAdjustmentOdd, entropyAdjustmentEven };
-    }
-
     detectCyclicPattern(history, maxPeriod = 10) {
         if (history.length < maxPeriod * 2) {
             return { hasCycle: false, period: 0, strength: 0 };
@@ -924,52 +1604,21 @@ class DerivTradingBot {
         }
         
         return {
-            hasCycle: bestScore > 0.65,
+            hasCycle: bestScore > config.get('analysis.cycleThreshold', 0.65),
             period: bestPeriod,
             strength: bestScore
         };
     }
 
-    analyzeCyclicPattern(cycleInfo, recent) {
-        let cycleProbOdd = 0.5;
-        let cycleProbEven = 0.5;
-        
-        if (cycleInfo.hasCycle && cycleInfo.strength > 0.7) {
-            const cyclePrediction = recent[recent.length - cycleInfo.period].digit % 2 === 1 ? 'odd' : 'even';
-            
-            if (cyclePrediction === 'odd') {
-                cycleProbOdd = 0.5 + cycleInfo.strength * 0.2;
-                cycleProbEven = 1 - cycleProbOdd;
-            } else {
-                cycleProbEven = 0.5 + cycleInfo.strength * 0.2;
-                cycleProbOdd = 1 - cycleProbEven;
-            }
-            
-            logger.analysis(`Cyclic pattern: period ${cycleInfo.period}, strength ${(cycleInfo.strength * 100).toFixed(1)}%`);
-        }
-        
-        return { cycleProbOdd, cycleProbEven };
-    }
-
-    getDeepState(volatility, trend, streak) {
-        const volState = volatility < 0.3 ? 'low' : volatility < 0.7 ? 'medium' : 'high';
-        const trendState = trend > 0.05 ? 'bullish' : trend < -0.05 ? 'bearish' : 'neutral';
+    // Volatility level of the detected regime; medium until the detector is ready
+    getDeepState(regime, trend, streak) {
+        const volState = regime ? regime.volatility : 'medium';
+        const band = config.get('features.trendZ', 1);
+        const trendState = trend > band ? 'bullish' : trend < -band ? 'bearish' : 'neutral';
         const streakState = streak < 3 ? 'short' : streak < 6 ? 'medium' : 'long';
         return `${volState}_${trendState}_${streakState}`;
     }
 
-    getDeepQProbs(deepState) {
-        let deepQProbOdd = 0.5;
-        let deepQProbEven = 0.5;
-        
-        if (this.deepQTable[deepState]) {
-            deepQProbOdd = this.deepQTable[deepState].odd;
-            deepQProbEven = this.deepQTable[deepState].even;
-        }
-        
-        return { deepQProbOdd, deepQProbEven };
-    }
-
     getContextBias(volatility, entropy, streakLength) {
         let contextBias = 0;
         
@@ -1005,7 +1654,7 @@ class DerivTradingBot {
         let posteriorEven = 0.5;
         
         Object.keys(modelProbs).forEach(model => {
-            const weight = modelWeights[model] || 0.125;
+            const weight = modelWeights[model] || 1 / Object.keys(modelProbs).length;
             posteriorOdd += weight * modelProbs[model].odd;
             posteriorEven += weight * modelProbs[model].even;
         });
@@ -1021,8 +1670,8 @@ class DerivTradingBot {
         const weights = {};
         let totalAccuracy = 0;
         
-        Object.keys(this.modelPerformance).forEach(model => {
-            const perf = this.modelPerformance[model];
+        this.models.names.forEach(model => {
+            const perf = this.modelPerformance[model] || { correct: 0, total: 0 };
             const accuracy = perf.total > 0 ? perf.correct / perf.total : 0.5;
             weights[model] = Math.pow(accuracy, 2);
             totalAccuracy += weights[model];
@@ -1120,13 +1769,11 @@ class DerivTradingBot {
         return Math.min(0.75, Math.max(0.52, threshold));
     }
 
-    autoTuneLearningParameters() {
+    autoTuneLearningParameters(market) {
         const totalTrades = this.wins + this.losses;
         if (totalTrades < 10) return;
         
         const winRate = this.wins / totalTrades;
-        const recentEntropy = this.tickHistory.length >= 50 ? 
-            this.calculateEntropy(this.tickHistory, 50) : 0.8;
         
         // Adjust learning rate
         if (winRate < 0.45) {
@@ -1138,68 +1785,66 @@ class DerivTradingBot {
             this.currentLearningRate = Math.max(0.01, this.currentLearningRate * decay);
         }
         
-        // Mode switching based on entropy
-        const previousMode = this.currentMode;
+        // Mode follows the entropy level of the detected regime, once it is clear
+        const regime = market.regime;
+        if (!regime || regime.probability < config.get('regime.minProbability', 0.6)) return;
         
-        if (recentEntropy > 0.9 && this.currentMode !== 'exploration') {
-            this.currentMode = 'exploration';
-        } else if (recentEntropy < 0.7 && this.currentMode !== 'precision') {
-            this.currentMode = 'precision';
-        } else if (recentEntropy >= 0.7 && recentEntropy <= 0.9 && this.currentMode !== 'balanced') {
-            this.currentMode = 'balanced';
-        }
+        const previousMode = market.currentMode;
+        market.currentMode = REGIME_MODES[regime.entropy];
         
-        if (previousMode !== this.currentMode) {
-            logger.system(`Mode switched: ${previousMode.toUpperCase()} → ${this.currentMode.toUpperCase()} (entropy: ${recentEntropy.toFixed(2)})`);
+        if (previousMode !== market.currentMode) {
+            logger.system(`[${market.symbol}] Mode switched: ${previousMode.toUpperCase()} → ${market.currentMode.toUpperCase()} (regime: ${regime.label}, ${(regime.probability * 100).toFixed(0)}%)`);
+            this.notify('notifyModeSwitch', market.symbol, previousMode, market.currentMode);
         }
     }
 
-    validateTickData(newTick, previousTick) {
+    validateTickData(market, newTick, previousTick) {
         if (!previousTick) return true;
         
-        const priceChange = Math.abs(newTick.quote - previousTick.quote);
-        const recentVolatility = this.tickHistory.length >= 20 ? 
-            this.calculateVolatility(this.tickHistory, 20) : 1;
-        
-        const threshold = recentVolatility * 5;
-        if (priceChange > threshold) {
-            this.dataIntegrity.recentAnomalies++;
-            this.dataIntegrity.score = Math.max(0.5, this.dataIntegrity.score * 0.95);
-            logger.analysis(`Tick anomaly: price change ${priceChange.toFixed(4)} exceeds ${threshold.toFixed(4)}`);
-            return false;
+        const dataIntegrity = market.dataIntegrity;
+        // A return beyond 5 standard deviations of recent returns
+        const features = market.features;
+        if (features && features.ready && previousTick.quote > 0 && newTick.quote > 0) {
+            const logReturn = Math.log(newTick.quote / previousTick.quote);
+            const threshold = features.raw.volatility * 5;
+            if (Math.abs(logReturn) > threshold) {
+                dataIntegrity.recentAnomalies++;
+                dataIntegrity.score = Math.max(0.5, dataIntegrity.score * 0.95);
+                logger.analysis(`[${market.symbol}] Tick anomaly: return ${(logReturn * 100).toFixed(4)}% exceeds ${(threshold * 100).toFixed(4)}%`);
+                return false;
+            }
         }
         
         // Gradual recovery
-        if (this.dataIntegrity.recentAnomalies > 0) {
-            this.dataIntegrity.recentAnomalies = Math.max(0, this.dataIntegrity.recentAnomalies - 0.1);
-            this.dataIntegrity.score = Math.min(1.0, this.dataIntegrity.score + 0.01);
+        if (dataIntegrity.recentAnomalies > 0) {
+            dataIntegrity.recentAnomalies = Math.max(0, dataIntegrity.recentAnomalies - 0.1);
+            dataIntegrity.score = Math.min(1.0, dataIntegrity.score + 0.01);
         }
         
         return true;
     }
 
-    shouldEnterCooldown() {
+    shouldEnterCooldown(market) {
         if (this.consecutiveLosses < 3) return false;
         
-        const recentEntropy = this.tickHistory.length >= 50 ? 
-            this.calculateEntropy(this.tickHistory, 50) : 0.8;
+        const recentEntropy = market.tickHistory.length >= 50 ? 
+            this.calculateEntropy(market.tickHistory, 50) : 0.8;
         
         if (this.consecutiveLosses >= 3 && recentEntropy > 0.9) {
             const cooldownTicks = 5 + this.consecutiveLosses;
-            logger.system(`Entering cooldown for ${cooldownTicks} ticks (losses: ${this.consecutiveLosses}, entropy: ${recentEntropy.toFixed(2)})`);
-            this.nextTradeTime = Date.now() + (cooldownTicks * 2000);
+            logger.system(`[${market.symbol}] Entering cooldown for ${cooldownTicks} ticks (losses: ${this.consecutiveLosses}, entropy: ${recentEntropy.toFixed(2)})`);
+            market.nextTradeTime = this.now() + (cooldownTicks * 2000);
+            this.notify('notifyCooldown', market.symbol, cooldownTicks * 2, `${this.consecutiveLosses} losses, entropy ${recentEntropy.toFixed(2)}`);
             return true;
         }
         
         return false;
     }
 
-    calculateStake(volatility, entropy, confidence) {
-        const baseStake = config.baseStake;
-        const martingaleMultiplier = config.get('trading.martingaleMultiplier');
-        
+    // `odds` carries the win probability and net payout ratio used by Kelly
+    calculateStake(market, confidence, odds = {}) {
         // Select strategy from meta-Q-table
-        const recommendedStrategy = this.selectStrategy(volatility, entropy);
+        const recommendedStrategy = this.selectStrategy(market);
         let strategyMultiplier = 1.0;
         
         if (recommendedStrategy === 'conservative') {
@@ -1210,25 +1855,29 @@ class DerivTradingBot {
             logger.analysis(`Meta-strategy: AGGRESSIVE (increasing stake by 25%)`);
         }
         
-        // Apply martingale with strategy modifier
-        let stake = baseStake * Math.pow(martingaleMultiplier, this.consecutiveLosses) * strategyMultiplier;
-        stake = Math.round(stake * 100) / 100; // Round to 2 decimals
-        
-        // Safety limit
-        const maxStake = baseStake * 10;
-        stake = Math.min(stake, maxStake);
-        
-        return stake;
+        // Configured staking strategy with the meta-strategy modifier as an overlay
+        // (capped at staking.maxStakeMultiple × base stake)
+        return this.stakeSizer.size({
+            baseStake: config.baseStake,
+            balance: this.balance,
+            probability: odds.probability,
+            payoutRatio: odds.payoutRatio,
+            multiplier: strategyMultiplier
+        });
+    }
+
+    // Meta-Q state: volatility and entropy levels of the detected regime
+    getMetaState(market) {
+        const regime = market.regime;
+        return regime ? `${regime.volatility}_${regime.entropy}` : 'medium_medium';
     }
 
-    selectStrategy(volatility, entropy) {
-        const volState = volatility < 0.3 ? 'low' : volatility < 0.7 ? 'medium' : 'high';
-        const entState = entropy < 0.7 ? 'low' : entropy < 0.9 ? 'medium' : 'high';
-        const state = `${volState}_${entState}`;
+    selectStrategy(market) {
+        const state = this.getMetaState(market);
         
-        if (!this.metaQTable[state]) return 'balanced';
+        if (!market.metaQTable[state]) return 'balanced';
         
-        const strategies = this.metaQTable[state];
+        const strategies = market.metaQTable[state];
         const bestStrategy = Object.keys(strategies).reduce((a, b) => 
             strategies[a] > strategies[b] ? a : b
         );
@@ -1240,10 +1889,48 @@ class DerivTradingBot {
     // TRADE EXECUTION & LEARNING
     // ========================================================================
 
-    async executeTrade(prediction, stake, tradeData) {
-        const contractType = prediction === 'odd' ? 'DIGITODD' : 'DIGITEVEN';
+    async executeTrade(market, prediction, stake, tradeData, contract = null) {
+        const risk = this.riskManager.check(this.now());
+        if (!risk.allowed) {
+            logger.analysis(`[${market.symbol}] Trade blocked by risk manager: ${risk.reason}`);
+            this.skipTrade(market, `risk: ${risk.reason}`);
+            return;
+        }
+        
+        const contractType = contract ? contract.contractType : (prediction === 'odd' ? 'DIGITODD' : 'DIGITEVEN');
+        const barrier = contract && contract.barrier !== undefined ? contract.barrier : null;
         
-        this.send({
+        // Store trade data before sending so the reply always finds it
+        market.currentTrade = {
+            ...tradeData,
+            symbol: market.symbol,
+            family: contract ? contract.family : 'parity',
+            contractType,
+            barrier,
+            prediction,
+            stake,
+            timestamp: this.now(),
+            consecutiveLosses: this.consecutiveLosses,
+            mode: market.currentMode,
+            regime: market.regime ? market.regime.label : null,
+            metaState: this.getMetaState(market),
+            healthScore: this.reasoningHealth.lastHealthScore,
+            dataIntegrity: market.dataIntegrity.score
+        };
+        this.tradeHistory.push(market.currentTrade);
+        
+        if (market.decision) {
+            Object.assign(market.decision, {
+                outcome: 'traded',
+                contractType,
+                barrier,
+                tradedPrediction: prediction,
+                stake,
+                stakingStrategy: this.stakeSizer.strategy
+            });
+        }
+        
+        const request = {
             proposal: 1,
             amount: stake,
             basis: 'stake',
@@ -1251,54 +1938,81 @@ class DerivTradingBot {
             currency: 'USD',
             duration: config.duration,
             duration_unit: 't',
-            symbol: config.symbol
-        });
-        
-        // Store trade data
-        this.tradeHistory.push({
-            ...tradeData,
-            prediction,
-            stake,
-            timestamp: Date.now(),
-            consecutiveLosses: this.consecutiveLosses,
-            mode: this.currentMode,
-            healthScore: this.reasoningHealth.lastHealthScore,
-            dataIntegrity: this.dataIntegrity.score
-        });
+            symbol: market.symbol,
+            passthrough: { symbol: market.symbol }
+        };
+        if (barrier !== null) {
+            request.barrier = String(barrier);
+        }
         
         // Limit trade history size
         const maxTradeHistory = config.get('limits.maxTradeHistory');
         if (this.tradeHistory.length > maxTradeHistory) {
             this.tradeHistory = this.tradeHistory.slice(-maxTradeHistory);
         }
+        
+        try {
+            const reply = await this.api.request(request);
+            if (!(await this.handleProposal(market, reply))) return;
+        } catch (error) {
+            this.handleTradeError(market, error);
+            return;
+        }
+        
+        if (config.get('telegram.notifyTrades', true)) {
+            this.notify('notifyTrade', market.symbol, prediction, stake, tradeData.confidence);
+        }
     }
 
-    async processContractResult(profit) {
+    async processContractResult(profit, market) {
         const reward = profit > 0 ? 1 : -1;
         
         // Update statistics
         if (profit > 0) {
             this.wins++;
             this.consecutiveLosses = 0;
+            market.wins++;
+            market.consecutiveLosses = 0;
         } else {
             this.losses++;
             this.consecutiveLosses++;
+            market.losses++;
+            market.consecutiveLosses++;
         }
+        market.totalProfit += profit;
+        this.stakeSizer.recordResult(profit > 0);
+        this.riskManager.recordResult(profit, this.balance, this.now());
+        this.dailyStats[profit > 0 ? 'wins' : 'losses']++;
+        this.dailyStats.profit += profit;
+        
+        const contractType = market.currentTrade ? market.currentTrade.contractType : 'unknown';
+        this.metrics.trades.inc({ symbol: market.symbol, contract_type: contractType });
+        (profit > 0 ? this.metrics.wins : this.metrics.losses).inc({ symbol: market.symbol, contract_type: contractType });
         
         const totalTrades = this.wins + this.losses;
         const winRate = (this.wins / totalTrades * 100).toFixed(1);
         
-        logger.performance(`Stats: ${this.wins}W / ${this.losses}L | Win Rate: ${winRate}% | Streak: ${this.consecutiveLosses} losses`);
+        logger.performance(`Stats: ${this.wins}W / ${this.losses}L | Win Rate: ${winRate}% | Streak: ${this.consecutiveLosses} losses | ${market.symbol}: ${market.wins}W / ${market.losses}L`);
+        this.notify('notifyResult', market.symbol, profit, winRate);
         
-        // Get last trade data
-        const lastTrade = this.tradeHistory[this.tradeHistory.length - 1];
+        // Get the trade behind this contract
+        const lastTrade = market.currentTrade;
         if (!lastTrade) return;
         
         // Store profit for analysis
         lastTrade.profit = profit;
+        this.updateContractPerformance(lastTrade.contractType, profit);
+        
+        // Odd/even learning only applies to parity contracts
+        if (lastTrade.family && lastTrade.family !== 'parity') {
+            if (this.persistData && totalTrades % 10 === 0) {
+                await this.savePersistedData();
+            }
+            return;
+        }
         
         // Update Q-tables
-        this.updateQTable(lastTrade.state, lastTrade.prediction, reward, lastTrade.deepState);
+        this.updateQTable(market, lastTrade.state, lastTrade.prediction, reward, lastTrade.deepState);
         
         // Update model performance
         if (lastTrade.modelPredictions) {
@@ -1308,37 +2022,42 @@ class DerivTradingBot {
         // Store context memory
         this.storeContext(lastTrade, profit > 0 ? 'win' : 'loss');
         
-        // Update meta-Q-table
-        const volState = lastTrade.volatility < 0.3 ? 'low' : lastTrade.volatility < 0.7 ? 'medium' : 'high';
-        const entState = lastTrade.entropy < 0.7 ? 'low' : lastTrade.entropy < 0.9 ? 'medium' : 'high';
-        this.updateMetaQTable(volState, entState, lastTrade.mode || 'balanced', reward);
-        
-        // Store pattern
-        if (this.tickHistory.length >= 6) {
-            const patternSeq = this.tickHistory.slice(-6, -1).map(t => t.digit % 2);
-            this.storePattern(patternSeq, lastTrade.prediction, profit > 0);
-        }
+        // Update meta-Q-table for the regime the trade was placed in
+        this.updateMetaQTable(market, lastTrade.metaState, lastTrade.mode || 'balanced', reward);
+        
+        // Models that learn from results (e.g. the pattern memory)
+        const opposite = lastTrade.prediction === 'odd' ? 'even' : 'odd';
+        this.models.learn({
+            symbol: market.symbol,
+            ticks: market.tickHistory,
+            prediction: lastTrade.prediction,
+            actual: profit > 0 ? lastTrade.prediction : opposite,
+            won: profit > 0,
+            trade: lastTrade
+        });
         
         // Periodic save
-        if (totalTrades % 10 === 0) {
+        if (this.persistData && totalTrades % 10 === 0) {
             await this.savePersistedData();
             logger.system(`Data saved (${totalTrades} trades completed)`);
         }
     }
 
-    updateQTable(state, action, reward, deepState) {
+    updateQTable(market, state, action, reward, deepState) {
         const discountFactor = config.get('learning.discountFactor');
+        const qTable = market.qTable;
+        const deepQTable = market.deepQTable;
         
-        this.qTable[state][action] = this.qTable[state][action] + 
-            this.currentLearningRate * (reward - this.qTable[state][action]);
+        qTable[state][action] = qTable[state][action] + 
+            this.currentLearningRate * (reward - qTable[state][action]);
         
-        if (deepState && this.deepQTable[deepState]) {
-            this.deepQTable[deepState][action] = this.deepQTable[deepState][action] + 
+        if (deepState && deepQTable[deepState]) {
+            deepQTable[deepState][action] = deepQTable[deepState][action] + 
                 this.currentLearningRate * (
                     reward + discountFactor * Math.max(
-                        this.deepQTable[deepState].odd, 
-                        this.deepQTable[deepState].even
-                    ) - this.deepQTable[deepState][action]
+                        deepQTable[deepState].odd, 
+                        deepQTable[deepState].even
+                    ) - deepQTable[deepState][action]
                 );
         }
         
@@ -1346,6 +2065,19 @@ class DerivTradingBot {
         this.currentLearningRate = Math.max(0.01, this.currentLearningRate * decay);
     }
 
+    updateContractPerformance(contractType, profit) {
+        if (!contractType) return;
+        
+        if (!this.contractPerformance[contractType]) {
+            this.contractPerformance[contractType] = { wins: 0, total: 0, profit: 0 };
+        }
+        
+        const perf = this.contractPerformance[contractType];
+        perf.total++;
+        perf.wins += profit > 0 ? 1 : 0;
+        perf.profit += profit;
+    }
+
     updateModelPerformance(predictions, actualOutcome) {
         Object.keys(predictions).forEach(model => {
             if (this.modelPerformance[model]) {
@@ -1374,45 +2106,17 @@ class DerivTradingBot {
         }
     }
 
-    updateMetaQTable(volatilityState, entropyState, strategy, reward) {
-        const state = `${volatilityState}_${entropyState}`;
-        if (!this.metaQTable[state]) return;
+    updateMetaQTable(market, state, strategy, reward) {
+        const metaQTable = market.metaQTable;
+        if (!metaQTable[state]) return;
         
         const alpha = 0.1;
         const gamma = 0.9;
         
-        const currentQ = this.metaQTable[state][strategy];
-        const maxNextQ = Math.max(...Object.values(this.metaQTable[state]));
-        
-        this.metaQTable[state][strategy] = currentQ + alpha * (reward + gamma * maxNextQ - currentQ);
-    }
-
-    storePattern(sequence, outcome, wasCorrect) {
-        const patternKey = sequence.join('');
-        let existing = this.patternMemory.find(p => p.sequence.join('') === patternKey);
-        
-        if (existing) {
-            existing.occurrences++;
-            existing.successes += wasCorrect ? 1 : 0;
-            existing.successRate = existing.successes / existing.occurrences;
-            if (wasCorrect) existing.nextOutcome = outcome;
-        } else {
-            this.patternMemory.push({
-                sequence: sequence,
-                nextOutcome: outcome,
-                occurrences: 1,
-                successes: wasCorrect ? 1 : 0,
-                successRate: wasCorrect ? 1 : 0
-            });
-        }
+        const currentQ = metaQTable[state][strategy];
+        const maxNextQ = Math.max(...Object.values(metaQTable[state]));
         
-        const maxPatternMemory = config.get('limits.maxPatternMemory');
-        if (this.patternMemory.length > maxPatternMemory) {
-            this.patternMemory.sort((a, b) => 
-                (b.successRate * b.occurrences) - (a.successRate * a.occurrences)
-            );
-            this.patternMemory = this.patternMemory.slice(0, maxPatternMemory);
-        }
+        metaQTable[state][strategy] = currentQ + alpha * (reward + gamma * maxNextQ - currentQ);
     }
 
     // ========================================================================
@@ -1424,7 +2128,7 @@ class DerivTradingBot {
         if (totalTrades === 0) return;
         
         const winRate = (this.wins / totalTrades * 100).toFixed(1);
-        const runtime = Math.floor((Date.now() - this.startTime) / 1000 / 60);
+        const runtime = Math.floor((this.now() - this.startTime) / 1000 / 60);
         
         logger.performance('═══════════════════════════════════════');
         logger.performance(`⏱️  Runtime: ${runtime} minutes`);
@@ -1433,9 +2137,26 @@ class DerivTradingBot {
         logger.performance(`💰 Balance: $${this.balance.toFixed(2)}`);
         logger.performance(`🧠 Learning Rate: ${this.currentLearningRate.toFixed(4)}`);
         logger.performance(`💪 Health Score: ${(this.reasoningHealth.lastHealthScore * 100).toFixed(0)}%`);
-        logger.performance(`🎯 Mode: ${this.currentMode.toUpperCase()}`);
         logger.performance('═══════════════════════════════════════');
         
+        // Log per-symbol state
+        logger.performance('Markets:');
+        this.markets.forEach(market => {
+            logger.performance(`  ${market.symbol}: ${market.wins}W / ${market.losses}L | P/L: $${market.totalProfit.toFixed(2)} | Mode: ${market.currentMode.toUpperCase()} | Integrity: ${(market.dataIntegrity.score * 100).toFixed(0)}%`);
+            if (market.regime) {
+                logger.performance(`    Regime: ${market.regime.label} (${(market.regime.probability * 100).toFixed(0)}%)`);
+            }
+            if (market.randomness && Object.keys(market.randomness.pValues).length > 0) {
+                logger.performance(`    Randomness: ${RandomnessDiagnostics.format(market.randomness)} | ${market.randomness.tradeable ? 'TRADEABLE' : 'random'}`);
+            }
+        });
+        
+        // Log contract type performance
+        Object.keys(this.contractPerformance).forEach(contractType => {
+            const perf = this.contractPerformance[contractType];
+            logger.performance(`  ${contractType}: ${perf.wins}/${perf.total} won | P/L: $${perf.profit.toFixed(2)}`);
+        });
+        
         // Log model performance
         logger.performance('Model Accuracies:');
         Object.keys(this.modelPerformance).forEach(model => {
@@ -1445,6 +2166,23 @@ class DerivTradingBot {
                 logger.performance(`  ${model}: ${acc}% (${perf.correct}/${perf.total})`);
             }
         });
+        
+        // Log calibration quality
+        const calibration = this.calibrator.getReport();
+        if (calibration.samples > 0) {
+            const calibrated = calibration.brierCalibrated !== null ? ` | calibrated: ${calibration.brierCalibrated.toFixed(4)}` : ' | not fitted yet';
+            logger.performance(`Calibration (${calibration.method}, ${calibration.samples} samples): Brier raw: ${calibration.brierRaw.toFixed(4)}${calibrated}`);
+        }
+        
+        // Champion against the shadows, per unit of stake
+        if (this.shadowTrader.enabled) {
+            const report = this.shadowTrader.getReport();
+            logger.performance('Shadows (P/L per unit stake):');
+            [{ ...report.champion, name: `${report.champion.name} (live)` }, ...report.shadows].forEach(entry => {
+                const winRate = entry.winRate !== null ? `${(entry.winRate * 100).toFixed(1)}%` : 'n/a';
+                logger.performance(`  ${entry.name}: ${entry.trades} trades | Win rate: ${winRate} | P/L: ${entry.units.toFixed(2)}u`);
+            });
+        }
     }
 
     async logFinalStatistics() {
@@ -1456,7 +2194,7 @@ class DerivTradingBot {
         
         if (totalTrades > 0) {
             const winRate = (this.wins / totalTrades * 100).toFixed(1);
-            const runtime = Math.floor((Date.now() - this.startTime) / 1000 / 60);
+            const runtime = Math.floor((this.now() - this.startTime) / 1000 / 60);
             
             logger.system(`⏱️  Total Runtime: ${runtime} minutes`);
             logger.system(`📊 Total Trades: ${totalTrades}`);
@@ -1466,13 +2204,17 @@ class DerivTradingBot {
             logger.system(`💰 Final Balance: $${this.balance.toFixed(2)}`);
             logger.system(`🧠 Final Learning Rate: ${this.currentLearningRate.toFixed(4)}`);
             logger.system(`💪 Final Health: ${(this.reasoningHealth.lastHealthScore * 100).toFixed(0)}%`);
-            logger.system(`📈 Data Integrity: ${(this.dataIntegrity.score * 100).toFixed(0)}%`);
             
             logger.system('───────────────────────────────────────');
             logger.system('📚 Learning Progress:');
-            logger.system(`  Patterns Learned: ${this.patternMemory.length}`);
+            const patternModel = this.models.get('pattern');
+            if (patternModel) {
+                logger.system(`  Patterns Learned: ${patternModel.memory.length}`);
+            }
             logger.system(`  Contexts Stored: ${this.contextMemory.length}`);
-            logger.system(`  Q-States: ${Object.keys(this.qTable).length}`);
+            this.markets.forEach(market => {
+                logger.system(`  ${market.symbol}: ${market.wins}W / ${market.losses}L | P/L: $${market.totalProfit.toFixed(2)} | Integrity: ${(market.dataIntegrity.score * 100).toFixed(0)}%`);
+            });
             
             logger.system('───────────────────────────────────────');
             logger.system('🎯 Model Performance:');
@@ -1488,6 +2230,608 @@ class DerivTradingBot {
         logger.system('═══════════════════════════════════════');
     }
 
+    // ========================================================================
+    // DECISION JOURNAL
+    // ========================================================================
+
+    beginDecision(market) {
+        const lastTick = market.lastTick;
+        this.decisionCount++;
+        
+        return {
+            id: `${market.symbol}-${this.now()}-${this.decisionCount}`,
+            timestamp: this.now(),
+            symbol: market.symbol,
+            tickEpoch: lastTick ? lastTick.epoch : null,
+            quote: lastTick ? lastTick.quote : null,
+            mode: market.currentMode,
+            healthScore: this.reasoningHealth.lastHealthScore,
+            dataIntegrity: market.dataIntegrity.score,
+            learningRate: this.currentLearningRate,
+            consecutiveLosses: this.consecutiveLosses,
+            outcome: null
+        };
+    }
+
+    skipTrade(market, reason) {
+        if (market.decision) {
+            market.decision.outcome = 'skipped';
+            market.decision.skipReason = reason;
+        }
+        this.abandonTrade(market);
+    }
+
+    // Writes a traded decision as soon as its contract exists, so a crash
+    // before settlement still leaves it in the journal
+    journalOpenDecision(market) {
+        if (!this.journal || market.decision.journaled) return;
+        
+        this.journal.write(market.decision);
+        market.decision.journaled = true;
+    }
+    
+    // Writes the market's pending decision with its final fields, or only
+    // those fields when the decision was journaled at buy time
+    closeDecision(market, fields) {
+        const decision = market.decision;
+        if (!decision) return;
+        
+        market.decision = null;
+        Object.assign(decision, fields);
+        if (!this.journal) return;
+        
+        if (decision.journaled) {
+            this.journal.writeSettlement(decision.id, this.now(), fields);
+        } else {
+            this.journal.write(decision);
+        }
+    }
+
+    // ========================================================================
+    // OPERATOR CONTROL
+    // ========================================================================
+
+    pause(reason) {
+        this.pauseReason = reason;
+        this.isBotRunning = false;
+        logger.system(`⏸️  Trading paused (${reason})`);
+    }
+
+    resume() {
+        if (!this.pauseReason) return false;
+        
+        if (this.riskManager.clearTrip()) {
+            logger.system('⚠️  Risk trip overridden by operator');
+        }
+        this.pauseReason = null;
+        this.isBotRunning = this.hasStarted;
+        logger.system(`▶️  Trading resumed${this.isBotRunning ? '' : ' - waiting for tick history'}`);
+        return true;
+    }
+
+    // ========================================================================
+    // SHADOW ANALYZERS
+    // ========================================================================
+
+    // Settles the shadows' virtual contracts on this tick, then lets every
+    // shadow without an open contract on the symbol decide on the next one
+    runShadows(market, tick, isValid) {
+        this.shadowTrader.onTick(tick);
+        if (!isValid || market.tickHistory.length < 30) return;
+        
+        const idle = this.shadowTrader.shadows.filter(shadow => !this.shadowTrader.hasOpenContract(shadow, market.symbol));
+        if (idle.length === 0) return;
+        
+        const signals = this.getModelSignals(market);
+        for (const shadow of idle) {
+            const { finalProbOdd, finalProbEven } = this.fuseModelSignals(market, signals, shadow.variant);
+            const prediction = finalProbOdd > finalProbEven ? 'odd' : 'even';
+            const confidence = this.shadowTrader.smoothConfidence(
+                shadow,
+                market.symbol,
+                this.calibrator.calibrate(Math.max(finalProbOdd, finalProbEven))
+            );
+            const threshold = shadow.variant.confidenceThreshold || this.getAdaptiveConfidenceThreshold(signals.entropy);
+            if (confidence < threshold) continue;
+            
+            this.shadowTrader.open(shadow, {
+                symbol: market.symbol,
+                prediction,
+                payoutRatio: this.contractSelector.payouts.ratio(prediction === 'odd' ? 'DIGITODD' : 'DIGITEVEN'),
+                duration: config.duration
+            });
+        }
+    }
+
+    handleShadowPromotion({ shadow, champion }) {
+        const window = this.shadowTrader.promoteAfterTrades;
+        logger.system(`🏆 Shadow "${shadow.name}" beat "${champion.name}" over the last ${window} trades (${shadow.recentUnitsPerTrade.toFixed(3)} vs ${champion.recentUnitsPerTrade.toFixed(3)} per stake) - promoting`);
+        this.promoteShadow(shadow.name);
+        this.notify('notifyPromotion', shadow, champion);
+    }
+
+    // The shadow's variant drives live trading from the next analysis on
+    promoteShadow(name) {
+        const previous = this.championVariant.name;
+        this.championVariant = this.shadowTrader.promote(name, this.championVariant);
+        if (this.persistData) {
+            storage.set('champion', this.championVariant);
+        }
+        
+        logger.system(`👑 "${name}" is now the champion; "${previous}" continues as a shadow`);
+        return { champion: name, demoted: previous };
+    }
+
+    // ========================================================================
+    // LEARNED STATE SNAPSHOTS
+    // ========================================================================
+
+    // Everything the bot has learned: per-symbol Q-tables, memories, model scores
+    captureLearnedState() {
+        const markets = {};
+        this.markets.forEach(market => {
+            markets[market.symbol] = {
+                qTable: market.qTable,
+                deepQTable: market.deepQTable,
+                metaQTable: market.metaQTable,
+                features: market.featurePipeline.getState(),
+                regime: market.regimeDetector.getState()
+            };
+        });
+        
+        // Deep copy so later learning does not change the snapshot
+        return JSON.parse(JSON.stringify({
+            markets,
+            models: this.models.getStates(),
+            contextMemory: this.contextMemory,
+            modelPerformance: this.modelPerformance,
+            learningRate: this.currentLearningRate
+        }));
+    }
+
+    // Why a snapshot cannot be applied to this bot, or null when it can
+    checkLearnedState(snapshot) {
+        if (snapshot.schemaVersion > storage.schemaVersion) {
+            return `schema v${snapshot.schemaVersion} is newer than this build (v${storage.schemaVersion})`;
+        }
+        
+        const state = snapshot.data;
+        if (!state || typeof state !== 'object' || !state.markets || typeof state.markets !== 'object') {
+            return 'no learned state';
+        }
+        const broken = Object.keys(state.markets).find(symbol => {
+            const learned = state.markets[symbol];
+            // Deep and meta tables are null once a migration has reset them
+            return !learned || !learned.qTable || typeof learned.qTable !== 'object' ||
+                ['deepQTable', 'metaQTable'].some(table => typeof learned[table] !== 'object');
+        });
+        if (broken) {
+            return `the ${broken} Q-tables are missing`;
+        }
+        if (!Array.isArray(state.contextMemory) || !state.modelPerformance || typeof state.learningRate !== 'number') {
+            return 'learned state is incomplete';
+        }
+        return null;
+    }
+
+    applyLearnedState(state) {
+        const copy = JSON.parse(JSON.stringify(state));
+        
+        this.markets.forEach(market => {
+            const learned = copy.markets[market.symbol];
+            if (!learned) {
+                logger.system(`[${market.symbol}] Not in the snapshot, keeping its current Q-tables`);
+                return;
+            }
+            market.qTable = learned.qTable;
+            market.deepQTable = learned.deepQTable || this.getDefaultDeepQTable();
+            market.metaQTable = learned.metaQTable || this.getDefaultMetaQTable();
+            // Snapshots from before these were added keep the current ones
+            if (learned.features) {
+                market.featurePipeline.setState(learned.features);
+                market.features = market.featurePipeline.latest;
+            }
+            if (learned.regime) {
+                market.regimeDetector.setState(learned.regime);
+            }
+        });
+        
+        // Snapshots taken before model plugins hold the pattern memory on its own
+        this.models.setStates(copy.models || { pattern: copy.patternMemory });
+        this.contextMemory = copy.contextMemory;
+        this.modelPerformance = { ...this.initModelPerformance(), ...copy.modelPerformance };
+        this.currentLearningRate = copy.learningRate;
+    }
+
+    async takeSnapshot(label = null, reason = 'manual') {
+        const id = await storage.saveSnapshot({
+            createdAt: this.now(),
+            label,
+            reason,
+            symbols: this.symbols,
+            // Lifetime count, so snapshots taken offline are comparable
+            trades: [...this.markets.values()].reduce((sum, market) => sum + market.wins + market.losses, 0),
+            data: this.captureLearnedState()
+        });
+        
+        logger.system(`📸 Snapshot ${id} saved (${label || reason})`);
+        return id;
+    }
+
+    listSnapshots() {
+        return storage.listSnapshots();
+    }
+
+    // Rolls the learned state back; the state being replaced is snapshotted
+    // first, once the target is known to be loadable
+    async restoreSnapshot(id) {
+        const snapshot = await storage.loadSnapshot(id);
+        if (!snapshot) {
+            throw Object.assign(new Error(`Snapshot ${id} not found`), { statusCode: 404 });
+        }
+        const problem = this.checkLearnedState(snapshot);
+        if (problem) {
+            throw Object.assign(new Error(`Snapshot ${id} cannot be restored: ${problem}`), { statusCode: 400 });
+        }
+        
+        const backupId = await this.takeSnapshot(`before restoring ${id}`, 'pre-restore');
+        this.applyLearnedState(snapshot.data);
+        await this.savePersistedData();
+        
+        logger.system(`⏪ Restored learned state from snapshot ${id}${snapshot.label ? ` (${snapshot.label})` : ''}`);
+        return { restored: id, backup: backupId };
+    }
+
+    scheduleSnapshots() {
+        const intervalMs = config.get('snapshots.intervalMs', 0);
+        if (!this.persistData || !intervalMs) return;
+        
+        this.snapshotTimer = setInterval(async () => {
+            try {
+                await this.takeSnapshot(null, 'scheduled');
+                await this.pruneSnapshots();
+            } catch (error) {
+                logger.error(`Scheduled snapshot failed: ${error.message}`);
+            }
+        }, intervalMs);
+        this.snapshotTimer.unref();
+    }
+
+    // Only scheduled snapshots expire; manual and pre-restore ones are kept
+    async pruneSnapshots() {
+        const keep = config.get('snapshots.keep', 20);
+        const scheduled = (await this.listSnapshots()).filter(snapshot => snapshot.reason === 'scheduled');
+        
+        for (const snapshot of scheduled.slice(0, Math.max(0, scheduled.length - keep))) {
+            await storage.deleteSnapshot(snapshot.id);
+        }
+    }
+
+    getStatus() {
+        const totalTrades = this.wins + this.losses;
+        
+        return {
+            running: this.isBotRunning,
+            paused: !!this.pauseReason,
+            pauseReason: this.pauseReason,
+            connected: this.isConnected,
+            dryRun: !this.enableTrading,
+            balance: this.balance,
+            wins: this.wins,
+            losses: this.losses,
+            winRate: totalTrades > 0 ? this.wins / totalTrades : null,
+            consecutiveLosses: this.consecutiveLosses,
+            healthScore: this.reasoningHealth.lastHealthScore,
+            learningRate: this.currentLearningRate,
+            champion: this.championVariant.name,
+            baseStake: config.baseStake,
+            stakingStrategy: this.stakeSizer.strategy,
+            confidenceThreshold: config.get('learning.baseConfidenceThreshold'),
+            openContracts: this.scheduler.openCount,
+            connection: this.connectionMonitor.getStatus(),
+            risk: this.riskManager.getStatus(),
+            uptimeSeconds: Math.floor((this.now() - this.startTime) / 1000),
+            markets: [...this.markets.values()].map(market => ({
+                symbol: market.symbol,
+                mode: market.currentMode,
+                ticks: market.tickHistory.length,
+                wins: market.wins,
+                losses: market.losses,
+                totalProfit: market.totalProfit,
+                randomness: market.randomness,
+                regime: market.regime,
+                currentContract: market.currentContractId ? {
+                    id: market.currentContractId,
+                    contractType: market.currentTrade && market.currentTrade.contractType,
+                    prediction: market.currentTrade && market.currentTrade.prediction,
+                    stake: market.currentTrade && market.currentTrade.stake
+                } : null
+            }))
+        };
+    }
+
+    getModelReport() {
+        const models = {};
+        Object.keys(this.modelPerformance).forEach(model => {
+            const perf = this.modelPerformance[model];
+            models[model] = {
+                ...perf,
+                accuracy: perf.total > 0 ? perf.correct / perf.total : null
+            };
+        });
+        
+        return {
+            models: this.models.describe(),
+            modelPerformance: models,
+            adaptiveWeights: this.getAdaptiveWeights(),
+            calibration: this.calibrator.getReport(),
+            contractPerformance: this.contractPerformance
+        };
+    }
+
+    // Hot-change trading parameters; throws on unknown or invalid values
+    // Upper bounds come from controlApi.limits, so one bad call cannot set any stake
+    applyRuntimeConfig(changes) {
+        const settings = {
+            baseStake: {
+                path: 'trading.baseStake',
+                min: 0,
+                max: config.get('controlApi.limits.baseStake', 50)
+            },
+            confidenceThreshold: {
+                path: 'learning.baseConfidenceThreshold',
+                min: 0,
+                max: config.get('controlApi.limits.confidenceThreshold', 0.95)
+            }
+        };
+        
+        if (changes === null || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw new Error('Expected an object of settings');
+        }
+        
+        const keys = Object.keys(changes);
+        if (keys.length === 0) {
+            throw new Error(`Nothing to change (supported: ${Object.keys(settings).join(', ')})`);
+        }
+        
+        keys.forEach(key => {
+            if (!settings[key]) {
+                throw new Error(`Unsupported setting: ${key}`);
+            }
+            const { min, max } = settings[key];
+            if (typeof changes[key] !== 'number' || !(changes[key] > min && changes[key] <= max)) {
+                throw new Error(`Invalid value for ${key}: ${changes[key]} (must be above ${min} and at most ${max})`);
+            }
+        });
+        
+        const applied = {};
+        keys.forEach(key => {
+            config.set(settings[key].path, changes[key]);
+            applied[key] = changes[key];
+            logger.system(`🔧 ${key} set to ${changes[key]}`);
+        });
+        
+        return applied;
+    }
+
+    async handleRiskTrip(trip) {
+        logger.system(`🚨 RISK LIMIT HIT (${trip.rule}): ${trip.reason}`);
+        this.metrics.riskTrips.inc({ rule: trip.rule });
+        this.notify('notifyRiskTrip', trip.rule, trip.reason);
+        this.pause(`risk: ${trip.rule}`);
+        
+        // Persist right away so a restart today stays halted
+        if (this.persistData) {
+            await storage.set('riskState', this.riskManager.toJSON());
+        }
+    }
+
+    handleRiskReset(trip) {
+        logger.system(`🌅 New trading day - ${trip.rule} trip cleared`);
+        if (this.pauseReason === `risk: ${trip.rule}`) {
+            this.resume();
+        }
+    }
+
+    // ========================================================================
+    // TELEGRAM
+    // ========================================================================
+
+    notify(method, ...args) {
+        if (this.notifier) {
+            this.notifier[method](...args);
+        }
+    }
+
+    // Send the summary at the configured UTC hour, then reset the daily counters
+    scheduleDailySummary() {
+        const hour = config.get('telegram.dailySummaryHourUtc', 0);
+        const now = new Date(this.now());
+        const next = new Date(now);
+        next.setUTCHours(hour, 0, 0, 0);
+        if (next <= now) {
+            next.setUTCDate(next.getUTCDate() + 1);
+        }
+        
+        this.dailySummaryTimer = setTimeout(() => {
+            this.notify('notifyDailyStats', this.dailyStats.wins, this.dailyStats.losses, this.dailyStats.profit);
+            this.dailyStats = { wins: 0, losses: 0, profit: 0 };
+            this.scheduleDailySummary();
+        }, next - now);
+        this.dailySummaryTimer.unref();
+    }
+
+    getTelegramCommands() {
+        return {
+            status: () => {
+                const status = this.getStatus();
+                const state = status.running ? '▶️ Running' : status.paused ? `⏸️ Paused (${status.pauseReason})` : '⏳ Waiting for history';
+                const winRate = status.winRate !== null ? `${(status.winRate * 100).toFixed(1)}%` : 'n/a';
+                const lines = [
+                    `${state}${status.dryRun ? ' [DRY RUN]' : ''}`,
+                    `Balance: $${status.balance.toFixed(2)}`,
+                    `W/L: ${status.wins}/${status.losses} (${winRate})`,
+                    `Health: ${(status.healthScore * 100).toFixed(0)}% | Stake: $${status.baseStake}`
+                ];
+                status.markets.forEach(market => {
+                    const contract = market.currentContract ? ` | open: ${market.currentContract.contractType} ${market.currentContract.id}` : '';
+                    lines.push(`${market.symbol}: ${market.mode.toUpperCase()}${contract}`);
+                });
+                return lines.join('\n');
+            },
+            pause: () => {
+                this.pause('telegram');
+                return '⏸️ Trading paused';
+            },
+            resume: () => {
+                return this.resume() ? '▶️ Trading resumed' : 'Bot is not paused';
+            },
+            stake: (args) => {
+                const applied = this.applyRuntimeConfig({ baseStake: parseFloat(args[0]) });
+                return `Base stake set to $${applied.baseStake}`;
+            },
+            stats: () => {
+                const lines = ['Markets:'];
+                this.markets.forEach(market => {
+                    lines.push(`  ${market.symbol}: ${market.wins}W / ${market.losses}L | P/L: $${market.totalProfit.toFixed(2)}`);
+                });
+                lines.push(`Today: ${this.dailyStats.wins}W / ${this.dailyStats.losses}L | P/L: $${this.dailyStats.profit.toFixed(2)}`);
+                lines.push('Models:');
+                Object.keys(this.modelPerformance).forEach(model => {
+                    const perf = this.modelPerformance[model];
+                    if (perf.total > 0) {
+                        lines.push(`  ${model}: ${(perf.correct / perf.total * 100).toFixed(1)}% (${perf.correct}/${perf.total})`);
+                    }
+                });
+                return lines.join('\n');
+            },
+            snapshot: async (args) => {
+                const id = await this.takeSnapshot(args.join(' ') || null);
+                return `📸 Snapshot ${id} saved`;
+            },
+            snapshots: async () => {
+                const snapshots = (await this.listSnapshots()).slice(-10);
+                if (snapshots.length === 0) return 'No snapshots yet';
+                return snapshots.map(snapshot =>
+                    `${snapshot.id}: ${new Date(snapshot.createdAt).toISOString().slice(0, 16)} ${snapshot.label || snapshot.reason} (${snapshot.trades} trades)`
+                ).join('\n');
+            },
+            shadows: () => {
+                const report = this.shadowTrader.getReport();
+                if (report.shadows.length === 0) return 'No shadows configured';
+                return [{ ...report.champion, name: `${report.champion.name} (live)` }, ...report.shadows].map(entry => {
+                    const winRate = entry.winRate !== null ? `${(entry.winRate * 100).toFixed(1)}%` : 'n/a';
+                    return `${entry.name}: ${entry.trades} trades | ${winRate} | ${entry.units.toFixed(2)}u`;
+                }).join('\n');
+            },
+            promote: (args) => {
+                if (!args[0]) return 'Usage: /promote <shadow name>';
+                const { champion, demoted } = this.promoteShadow(args[0]);
+                return `👑 ${champion} is now the champion (${demoted} continues as a shadow)`;
+            },
+            restore: async (args) => {
+                if (!args[0]) return 'Usage: /restore <snapshot id>';
+                const { restored, backup } = await this.restoreSnapshot(args[0]);
+                return `⏪ Restored snapshot ${restored} (previous state saved as ${backup})`;
+            }
+        };
+    }
+
+    // ========================================================================
+    // METRICS
+    // ========================================================================
+
+    createMetrics() {
+        const registry = new MetricsRegistry('deriv_bot_');
+        
+        const trades = registry.counter('trades_total', 'Settled contracts');
+        const wins = registry.counter('wins_total', 'Winning contracts');
+        const losses = registry.counter('losses_total', 'Losing contracts');
+        const apiErrors = registry.counter('api_errors_total', 'Error replies from the Deriv API');
+        const reconnects = registry.counter('reconnects_total', 'Reconnection attempts');
+        const healthEvents = registry.counter('health_events_total', 'Stale feeds and failed pings by action taken');
+        const riskTrips = registry.counter('risk_trips_total', 'Risk limits hit');
+        const tickToProposal = registry.histogram(
+            'tick_to_proposal_seconds',
+            'Time from the tick that triggered analysis to the proposal reply',
+            [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+        );
+        
+        const balance = registry.gauge('balance', 'Account balance (paper balance in dry run)');
+        const learningRate = registry.gauge('learning_rate', 'Current Q-learning rate');
+        const health = registry.gauge('reasoning_health', 'Last reasoning health score (0-1)');
+        const running = registry.gauge('running', '1 while the bot is trading');
+        const connected = registry.gauge('connected', '1 while authorized with the API');
+        const openContracts = registry.gauge('open_contracts', 'Contracts in flight');
+        const integrity = registry.gauge('data_integrity', 'Tick data integrity score (0-1)');
+        const confidence = registry.gauge('smoothed_confidence', 'Smoothed prediction confidence');
+        const profit = registry.gauge('profit', 'Total profit');
+        const accuracy = registry.gauge('model_accuracy', 'Prediction accuracy per model');
+        const predictions = registry.gauge('model_predictions', 'Scored predictions per model');
+        const brier = registry.gauge('brier_score', 'Brier score of the ensemble probability');
+        const calibrationSamples = registry.gauge('calibration_samples', 'Samples behind the probability calibrator');
+        const randomnessP = registry.gauge('randomness_p_value', 'p-value per randomness test of the latest tick window');
+        const featureZ = registry.gauge('feature_zscore', 'Normalized market features of the latest tick (z-scores)');
+        const regimeProbability = registry.gauge('regime_probability', 'Filtered probability of each market regime');
+        const tradeable = registry.gauge('tradeable', '1 while some randomness test rejects at the configured significance');
+        
+        registry.onCollect(() => {
+            balance.set(this.balance);
+            learningRate.set(this.currentLearningRate);
+            health.set(this.reasoningHealth.lastHealthScore);
+            running.set(this.isBotRunning ? 1 : 0);
+            connected.set(this.isConnected ? 1 : 0);
+            openContracts.set(this.scheduler.openCount);
+            // Regime labels follow the learned means, so drop last scrape's
+            regimeProbability.reset();
+            
+            this.markets.forEach(market => {
+                integrity.set({ symbol: market.symbol }, market.dataIntegrity.score);
+                confidence.set({ symbol: market.symbol }, market.smoothedConfidence);
+                profit.set({ symbol: market.symbol }, market.totalProfit);
+                
+                if (market.features && market.features.ready) {
+                    Object.keys(market.features.z).forEach(feature => {
+                        featureZ.set({ symbol: market.symbol, feature }, market.features.z[feature]);
+                    });
+                }
+                
+                if (market.regime) {
+                    market.regime.probabilities.forEach(({ label, probability }) => {
+                        regimeProbability.set({ symbol: market.symbol, regime: label }, probability);
+                    });
+                }
+                
+                if (market.randomness) {
+                    tradeable.set({ symbol: market.symbol }, market.randomness.tradeable ? 1 : 0);
+                    Object.keys(market.randomness.pValues).forEach(test => {
+                        if (market.randomness.pValues[test] !== null) {
+                            randomnessP.set({ symbol: market.symbol, test }, market.randomness.pValues[test]);
+                        }
+                    });
+                }
+            });
+            
+            calibrationSamples.set(this.calibrator.samples.length);
+            if (this.calibrator.samples.length > 0) {
+                brier.set({ calibrated: 'false' }, this.calibrator.brierScore(false));
+                if (this.calibrator.isFitted) {
+                    brier.set({ calibrated: 'true' }, this.calibrator.brierScore(true));
+                }
+            }
+            
+            Object.keys(this.modelPerformance).forEach(model => {
+                const perf = this.modelPerformance[model];
+                predictions.set({ model }, perf.total);
+                if (perf.total > 0) {
+                    accuracy.set({ model }, perf.correct / perf.total);
+                }
+            });
+        });
+        
+        return { registry, trades, wins, losses, apiErrors, reconnects, healthEvents, riskTrips, tickToProposal };
+    }
+
     // ========================================================================
     // GRACEFUL SHUTDOWN
     // ========================================================================
@@ -1498,10 +2842,35 @@ class DerivTradingBot {
             
             await this.stopBot();
             
-            if (this.ws) {
-                this.ws.close();
+            if (this.tickRecorder) {
+                await this.tickRecorder.close();
+            }
+            
+            // Contracts still open at shutdown are journaled without a settlement
+            this.markets.forEach(market => this.closeDecision(market, { outcome: 'open at shutdown' }));
+            if (this.journal) {
+                await this.journal.close();
+            }
+            
+            storage.endSession({ endedAt: this.now(), reason: signal });
+            await storage.close();
+            
+            if (this.notifier) {
+                this.notifier.stopPolling();
+                clearTimeout(this.dailySummaryTimer);
+                await this.notifier.notifyShutdown(signal, this.wins, this.losses, this.balance);
+            }
+            
+            if (this.controlServer) {
+                await this.controlServer.stop();
+            }
+            
+            if (this.transport) {
+                this.transport.close();
             }
             
+            this.connectionMonitor.stop();
+            clearInterval(this.snapshotTimer);
             if (this.reconnectTimer) {
                 clearTimeout(this.reconnectTimer);
             }
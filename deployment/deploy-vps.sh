@@ -92,6 +92,14 @@ COOLDOWN_MS=5000
 BASE_LEARNING_RATE=0.15
 BASE_CONFIDENCE_THRESHOLD=0.57
 EPSILON=0.0
+
+# Control API (localhost only; send as "Authorization: Bearer <token>")
+CONTROL_API_TOKEN=$(node -e "process.stdout.write(require('crypto').randomBytes(32).toString('hex'))")
+CONTROL_API_PORT=3000
+
+# Telegram alerts and remote commands (optional)
+TELEGRAM_BOT_TOKEN=
+TELEGRAM_CHAT_ID=
 EOF
     chown botuser:botuser $BOT_DIR/.env
     echo -e "${RED}⚠️  Please edit $BOT_DIR/.env with your API credentials${NC}"
@@ -56,8 +56,19 @@ COOLDOWN_MS=5000
 BASE_LEARNING_RATE=0.15
 BASE_CONFIDENCE_THRESHOLD=0.57
 EPSILON=0.0
+
+# Control API (localhost only; send as "Authorization: Bearer <token>")
+# Generated on setup; if left empty, only /health is served
+CONTROL_API_TOKEN=
+CONTROL_API_PORT=3000
+
+# Telegram alerts and remote commands (optional)
+TELEGRAM_BOT_TOKEN=
+TELEGRAM_CHAT_ID=
 EOF
-    echo -e "${GREEN}✓ .env file created${NC}"
+    CONTROL_API_TOKEN=$(node -e "process.stdout.write(require('crypto').randomBytes(32).toString('hex'))")
+    sed -i "s/^CONTROL_API_TOKEN=$/CONTROL_API_TOKEN=$CONTROL_API_TOKEN/" .env
+    echo -e "${GREEN}✓ .env file created (CONTROL_API_TOKEN generated)${NC}"
     echo -e "${RED}⚠️  Please edit .env with your Deriv API credentials${NC}"
 else
     echo -e "${GREEN}✓ .env file already exists${NC}"
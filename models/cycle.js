@@ -0,0 +1,35 @@
+const logger = require('../utils/logger');
+
+// ============================================================================
+// CYCLE MODEL - Repeats the parity one period back when a strong cycle shows
+// ============================================================================
+
+class CycleModel {
+    constructor() {
+        this.name = 'cycle';
+    }
+
+    predict(ticks, ctx) {
+        const { cycleInfo } = ctx;
+        let cycleProbOdd = 0.5;
+        let cycleProbEven = 0.5;
+        
+        if (cycleInfo.hasCycle && cycleInfo.strength > 0.7) {
+            const cyclePrediction = ticks[ticks.length - cycleInfo.period].digit % 2 === 1 ? 'odd' : 'even';
+            
+            if (cyclePrediction === 'odd') {
+                cycleProbOdd = 0.5 + cycleInfo.strength * 0.2;
+                cycleProbEven = 1 - cycleProbOdd;
+            } else {
+                cycleProbEven = 0.5 + cycleInfo.strength * 0.2;
+                cycleProbOdd = 1 - cycleProbEven;
+            }
+            
+            logger.analysis(`Cyclic pattern: period ${cycleInfo.period}, strength ${(cycleInfo.strength * 100).toFixed(1)}%`);
+        }
+        
+        return { odd: cycleProbOdd, even: cycleProbEven };
+    }
+}
+
+module.exports = CycleModel;
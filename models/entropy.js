@@ -0,0 +1,28 @@
+// ============================================================================
+// ENTROPY MODEL - Low digit entropy favours repeating the last parity,
+// high entropy favours switching
+// ============================================================================
+
+class EntropyModel {
+    constructor() {
+        this.name = 'entropy';
+    }
+
+    predict(ticks, ctx) {
+        const { entropy, state } = ctx;
+        let entropyAdjustmentOdd = 0;
+        let entropyAdjustmentEven = 0;
+        
+        if (entropy > 0.9) {
+            entropyAdjustmentOdd = state === 'odd' ? -0.05 : 0.05;
+            entropyAdjustmentEven = state === 'even' ? -0.05 : 0.05;
+        } else if (entropy < 0.7) {
+            entropyAdjustmentOdd = state === 'odd' ? 0.08 : -0.08;
+            entropyAdjustmentEven = state === 'even' ? 0.08 : -0.08;
+        }
+        
+        return { odd: 0.5 + entropyAdjustmentOdd, even: 0.5 + entropyAdjustmentEven };
+    }
+}
+
+module.exports = EntropyModel;
@@ -0,0 +1,133 @@
+// ============================================================================
+// HIGHER-ORDER MARKOV MODEL - Order-k chain over parities or full digits
+// Transition counts are kept per symbol and grow by every tick the symbol
+// receives (see observe), whether or not a prediction was made on it; each
+// tick is counted once, by epoch. A prediction uses the longest context (up
+// to `order` previous ticks) seen at least `minCount` times and backs off to
+// shorter ones, down to plain frequencies; counts are Laplace smoothed.
+// Counts for every context length are kept, so changing the order later
+// keeps what was learned.
+// ============================================================================
+
+const ALPHABETS = {
+    parity: { size: 2, encode: tick => tick.digit % 2 },
+    digits: { size: 10, encode: tick => tick.digit }
+};
+
+class HigherOrderMarkovModel {
+    constructor(options = {}) {
+        this.name = options.name || 'markovK';
+        this.alphabet = options.alphabet || 'parity';
+        this.order = options.order !== undefined ? options.order : 3;
+        this.minCount = options.minCount !== undefined ? options.minCount : 5;
+        this.smoothing = options.smoothing !== undefined ? options.smoothing : 1;
+        this.maxContexts = options.maxContexts || 50000;
+
+        if (!ALPHABETS[this.alphabet]) {
+            throw new Error(`Model ${this.name}: unknown alphabet "${this.alphabet}" (use ${Object.keys(ALPHABETS).join(' or ')})`);
+        }
+        if (!Number.isInteger(this.order) || this.order < 1 || this.order > 6) {
+            throw new Error(`Model ${this.name}: order must be an integer from 1 to 6 (got ${this.order})`);
+        }
+
+        this.size = ALPHABETS[this.alphabet].size;
+        this.encode = ALPHABETS[this.alphabet].encode;
+        // symbol -> { lastEpoch, counts: { context: [count per next value] } }
+        this.books = {};
+    }
+
+    getBook(symbol) {
+        if (!this.books[symbol]) {
+            this.books[symbol] = { lastEpoch: 0, counts: {} };
+        }
+        return this.books[symbol];
+    }
+
+    // The `length` values before ticks[index], oldest first
+    contextKey(ticks, index, length) {
+        let key = '';
+        for (let i = index - length; i < index; i++) {
+            key += this.encode(ticks[i]);
+        }
+        return key;
+    }
+
+    // Counts the ticks newer than the last one counted
+    count(book, ticks) {
+        let start = ticks.length;
+        while (start > 0 && ticks[start - 1].epoch > book.lastEpoch) start--;
+        if (start === ticks.length) return;
+
+        for (let i = start; i < ticks.length; i++) {
+            const next = this.encode(ticks[i]);
+            for (let length = 0; length <= Math.min(this.order, i); length++) {
+                const key = this.contextKey(ticks, i, length);
+                if (!book.counts[key]) {
+                    book.counts[key] = new Array(this.size).fill(0);
+                }
+                book.counts[key][next]++;
+            }
+        }
+        book.lastEpoch = ticks[ticks.length - 1].epoch;
+
+        if (Object.keys(book.counts).length > this.maxContexts) {
+            this.prune(book);
+        }
+    }
+
+    // Drops the rarest long contexts; plain frequencies are always kept
+    prune(book) {
+        const total = counts => counts.reduce((sum, count) => sum + count, 0);
+        const keys = Object.keys(book.counts)
+            .filter(key => key.length > 0)
+            .sort((a, b) => total(book.counts[a]) - total(book.counts[b]) || b.length - a.length);
+
+        keys.slice(0, keys.length - Math.floor(this.maxContexts * 0.8)).forEach(key => {
+            delete book.counts[key];
+        });
+    }
+
+    // Registry hook: `ticks` is the symbol's full history after each new tick
+    observe(ticks, ctx) {
+        this.count(this.getBook(ctx.symbol), ticks);
+    }
+
+    predict(ticks, ctx) {
+        const book = this.getBook(ctx.symbol);
+        this.count(book, ticks);
+
+        // Longest context with enough observations
+        let counts = null;
+        let usedOrder = 0;
+        for (let length = Math.min(this.order, ticks.length); length >= 0; length--) {
+            const candidate = book.counts[this.contextKey(ticks, ticks.length, length)];
+            const seen = candidate ? candidate.reduce((sum, count) => sum + count, 0) : 0;
+            if (candidate && (seen >= this.minCount || length === 0)) {
+                counts = candidate;
+                usedOrder = length;
+                break;
+            }
+        }
+
+        counts = counts || new Array(this.size).fill(0);
+        const total = counts.reduce((sum, count) => sum + count, 0) + this.smoothing * this.size;
+        const probabilities = counts.map(count => (count + this.smoothing) / total);
+
+        // Odd values are 1 (parity) or 1, 3, 5, 7, 9 (digits)
+        const odd = probabilities.reduce((sum, probability, value) => sum + (value % 2 === 1 ? probability : 0), 0);
+        return { odd, even: 1 - odd, order: usedOrder };
+    }
+
+    getState() {
+        return { alphabet: this.alphabet, books: this.books };
+    }
+
+    setState(state) {
+        if (!state || state.alphabet !== this.alphabet || !state.books) return;
+        this.books = state.books;
+    }
+}
+
+HigherOrderMarkovModel.ALPHABETS = ALPHABETS;
+
+module.exports = HigherOrderMarkovModel;
@@ -0,0 +1,41 @@
+// ============================================================================
+// MARKOV MODEL - First-order odd/even transitions over the recent ticks
+// ============================================================================
+
+class MarkovModel {
+    constructor() {
+        this.name = 'markov';
+    }
+
+    predict(ticks, ctx) {
+        const transitions = this.calculateTransitions(ticks);
+        return ctx.state === 'odd'
+            ? { odd: transitions.oddToOdd, even: transitions.oddToEven }
+            : { odd: transitions.evenToOdd, even: transitions.evenToEven };
+    }
+
+    calculateTransitions(history) {
+        if (history.length < 3) {
+            return { oddToOdd: 0.5, oddToEven: 0.5, evenToOdd: 0.5, evenToEven: 0.5 };
+        }
+        
+        let transitions = { oddToOdd: 0, oddToEven: 0, evenToOdd: 0, evenToEven: 0 };
+        let counts = { odd: 0, even: 0 };
+        
+        for (let i = 1; i < history.length; i++) {
+            const prev = history[i - 1].digit % 2 === 1 ? 'odd' : 'even';
+            const curr = history[i].digit % 2 === 1 ? 'odd' : 'even';
+            counts[prev]++;
+            transitions[`${prev}To${curr.charAt(0).toUpperCase() + curr.slice(1)}`]++;
+        }
+        
+        return {
+            oddToOdd: transitions.oddToOdd / (counts.odd || 1),
+            oddToEven: transitions.oddToEven / (counts.odd || 1),
+            evenToOdd: transitions.evenToOdd / (counts.even || 1),
+            evenToEven: transitions.evenToEven / (counts.even || 1)
+        };
+    }
+}
+
+module.exports = MarkovModel;
@@ -0,0 +1,105 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+// ============================================================================
+// PATTERN MODEL - Remembers the five parities before each traded tick and
+// replays the outcome of the closest remembered sequence
+// ============================================================================
+
+const PATTERN_LENGTH = 5;
+
+class PatternModel {
+    constructor() {
+        this.name = 'pattern';
+        // Persisted under the key the memory has always used
+        this.stateKey = 'patternMemory';
+        this.memory = [];
+    }
+
+    predict(ticks) {
+        let patternProbOdd = 0.5;
+        let patternProbEven = 0.5;
+
+        if (ticks.length >= 10 && this.memory.length > 0) {
+            const current = ticks.slice(-PATTERN_LENGTH).map(t => t.digit % 2);
+
+            let bestMatch = null;
+            let bestSimilarity = 0;
+
+            this.memory.forEach(patternItem => {
+                if (patternItem.sequence.length !== PATTERN_LENGTH) return;
+
+                let similarity = 0;
+                for (let i = 0; i < PATTERN_LENGTH; i++) {
+                    if (patternItem.sequence[i] === current[i]) similarity++;
+                }
+                similarity /= PATTERN_LENGTH;
+
+                if (similarity > bestSimilarity && similarity >= 0.8) {
+                    bestSimilarity = similarity;
+                    bestMatch = patternItem;
+                }
+            });
+
+            if (bestMatch) {
+                const confidence = bestSimilarity * bestMatch.successRate;
+                if (bestMatch.nextOutcome === 'odd') {
+                    patternProbOdd = 0.5 + confidence * 0.3;
+                    patternProbEven = 1 - patternProbOdd;
+                } else {
+                    patternProbEven = 0.5 + confidence * 0.3;
+                    patternProbOdd = 1 - patternProbEven;
+                }
+                logger.analysis(`Pattern match: similarity ${(bestSimilarity * 100).toFixed(1)}%, success ${(bestMatch.successRate * 100).toFixed(1)}%`);
+            }
+        }
+
+        return { odd: patternProbOdd, even: patternProbEven };
+    }
+
+    // The sequence ending just before the settling tick, scored by the trade's result
+    learn(outcome) {
+        if (outcome.ticks.length < PATTERN_LENGTH + 1) return;
+
+        const sequence = outcome.ticks.slice(-PATTERN_LENGTH - 1, -1).map(t => t.digit % 2);
+        this.storePattern(sequence, outcome.prediction, outcome.won);
+    }
+
+    storePattern(sequence, outcome, wasCorrect) {
+        const patternKey = sequence.join('');
+        let existing = this.memory.find(p => p.sequence.join('') === patternKey);
+
+        if (existing) {
+            existing.occurrences++;
+            existing.successes += wasCorrect ? 1 : 0;
+            existing.successRate = existing.successes / existing.occurrences;
+            if (wasCorrect) existing.nextOutcome = outcome;
+        } else {
+            this.memory.push({
+                sequence: sequence,
+                nextOutcome: outcome,
+                occurrences: 1,
+                successes: wasCorrect ? 1 : 0,
+                successRate: wasCorrect ? 1 : 0
+            });
+        }
+
+        const maxPatternMemory = config.get('limits.maxPatternMemory');
+        if (this.memory.length > maxPatternMemory) {
+            this.memory.sort((a, b) =>
+                (b.successRate * b.occurrences) - (a.successRate * a.occurrences)
+            );
+            this.memory = this.memory.slice(0, maxPatternMemory);
+        }
+    }
+
+    getState() {
+        return this.memory;
+    }
+
+    setState(state) {
+        this.memory = Array.isArray(state) ? state : [];
+    }
+}
+
+module.exports = PatternModel;
@@ -0,0 +1,26 @@
+const config = require('../utils/config');
+
+// ============================================================================
+// Q-LEARNING MODEL - The market's last-parity and deep-state Q-values
+// The tables live on the MarketState (they are per symbol) and are updated
+// by the bot's reward step, which also owns the decaying learning rate.
+// ============================================================================
+
+class QLearningModel {
+    constructor() {
+        this.name = 'qlearning';
+    }
+
+    predict(ticks, ctx) {
+        const { qTable, deepQTable } = ctx.market;
+        const deep = deepQTable[ctx.deepState] || { odd: 0.5, even: 0.5 };
+        
+        const deepQWeight = config.get('analysis.deepQWeight', 0.6);
+        return {
+            odd: qTable[ctx.state].odd * (1 - deepQWeight) + deep.odd * deepQWeight,
+            even: qTable[ctx.state].even * (1 - deepQWeight) + deep.even * deepQWeight
+        };
+    }
+}
+
+module.exports = QLearningModel;
@@ -0,0 +1,30 @@
+const config = require('../utils/config');
+
+// ============================================================================
+// STATISTICAL MODEL - Odd/even frequency with a mean-reversion bias
+// ============================================================================
+
+class StatisticalModel {
+    constructor() {
+        this.name = 'stat';
+    }
+
+    predict(ticks) {
+        const oddCount = ticks.filter(t => t.digit % 2 === 1).length;
+        const evenCount = ticks.length - oddCount;
+        let oddProb = oddCount / ticks.length;
+        let evenProb = evenCount / ticks.length;
+        
+        // Mean reversion bias
+        const deviation = Math.abs(oddProb - 0.5);
+        if (deviation > config.get('analysis.meanReversionTrigger', 0.15)) {
+            const reversionFactor = config.get('analysis.meanReversionStrength', 0.1);
+            oddProb += (oddProb < 0.5 ? reversionFactor : -reversionFactor);
+            evenProb = 1 - oddProb;
+        }
+        
+        return { odd: oddProb, even: evenProb };
+    }
+}
+
+module.exports = StatisticalModel;
@@ -0,0 +1,32 @@
+// ============================================================================
+// STREAK MODEL - Leans against long same-parity runs, with momentum
+// ============================================================================
+
+class StreakModel {
+    constructor() {
+        this.name = 'streak';
+    }
+
+    predict(ticks, ctx) {
+        const { streak } = ctx;
+        let streakAdjustmentOdd = 0;
+        let streakAdjustmentEven = 0;
+        
+        if (streak.length > 3) {
+            const streakPenalty = Math.log(streak.length - 2) * 0.12;
+            const momentumBonus = streak.momentum * 0.08;
+            
+            if (streak.type === 'odd') {
+                streakAdjustmentOdd = -streakPenalty + momentumBonus;
+                streakAdjustmentEven = streakPenalty - momentumBonus;
+            } else {
+                streakAdjustmentOdd = streakPenalty - momentumBonus;
+                streakAdjustmentEven = -streakPenalty + momentumBonus;
+            }
+        }
+        
+        return { odd: 0.5 + streakAdjustmentOdd, even: 0.5 + streakAdjustmentEven };
+    }
+}
+
+module.exports = StreakModel;
@@ -0,0 +1,26 @@
+const config = require('../utils/config');
+
+// ============================================================================
+// TREND MODEL - EMA trend z-score, shifted by the volatility percentile
+// ============================================================================
+
+class TrendModel {
+    constructor() {
+        this.name = 'trend';
+    }
+
+    predict(ticks, ctx) {
+        const trendScore = Math.tanh(ctx.trendStrength / 2) * config.get('analysis.trendWeight', 0.1);
+        const volatilityAdjustment = ctx.volatility > 0.6 ? -0.08 : ctx.volatility < 0.3 ? 0.05 : 0;
+        const odd = 0.5 + trendScore + volatilityAdjustment;
+        
+        // The volatility shift moves both sides, so the call follows the trend alone
+        return {
+            odd,
+            even: 0.5 - trendScore + volatilityAdjustment,
+            prediction: odd > 0.5 ? 'odd' : 'even'
+        };
+    }
+}
+
+module.exports = TrendModel;
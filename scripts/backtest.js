@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+const Backtester = require('../utils/backtester');
+const { parseArgs } = require('../utils/cli');
+
+// ============================================================================
+// BACKTEST CLI
+// Usage: node scripts/backtest.js --file ticks.json [--payout 0.95]
+//        [--warmup 100] [--balance 1000] [--load-state] [--json]
+//    or: node scripts/backtest.js --symbol R_10 --from 2024-01-01 [--to 2024-01-07]
+//        [--ticks-dir data/ticks]   (replays ticks archived by the bot)
+// ============================================================================
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.file && !args.from) {
+        console.error('Usage: node scripts/backtest.js --file <ticks.json|ticks.jsonl> [--payout 0.95] [--warmup 100] [--balance 1000] [--load-state] [--json]');
+        console.error('       node scripts/backtest.js --symbol <SYMBOL> --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] [--ticks-dir data/ticks] [...]');
+        process.exit(1);
+    }
+
+    const ticks = args.file
+        ? Backtester.loadTickFile(args.file)
+        : await Backtester.loadRecordedTicks({
+            symbol: args.symbol || 'R_10',
+            from: args.from,
+            to: args.to || args.from,
+            dir: args['ticks-dir']
+        });
+
+    const backtester = new Backtester({
+        ticks,
+        symbol: args.symbol,
+        payoutRatio: args.payout ? parseFloat(args.payout) : undefined,
+        warmupTicks: args.warmup ? parseInt(args.warmup) : undefined,
+        initialBalance: args.balance ? parseFloat(args.balance) : undefined,
+        loadState: args['load-state'] === true
+    });
+
+    const report = await backtester.run();
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        Backtester.logReport(report);
+    }
+}
+
+main().catch(error => {
+    console.error('Backtest failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+const config = require('../utils/config');
+const storage = require('../utils/storage');
+const SqliteStorageDriver = require('../utils/sqliteStorageDriver');
+const { parseArgs } = require('../utils/cli');
+
+// ============================================================================
+// HISTORY CLI - Queries the trade history kept by the SQLite storage driver
+// Usage: node scripts/history.js --by hour [--symbol R_10] [--from 2024-01-01]
+//        [--to 2024-02-01] [--db data/bot.db] [--json]
+//    or: node scripts/history.js --models [...]   (per-model accuracy)
+// ============================================================================
+
+function formatRow(row) {
+    const bucket = String(row.bucket !== null ? row.bucket : '-').padEnd(22);
+    const trades = String(row.trades).padStart(7);
+    const winRate = `${(row.winRate * 100).toFixed(1)}%`.padStart(8);
+    const profit = `$${row.profit.toFixed(2)}`.padStart(11);
+    return `  ${bucket}${trades}${winRate}${profit}`;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.by && !args.models) {
+        console.error('Usage: node scripts/history.js --by <dimension> [--symbol <SYMBOL>] [--from <YYYY-MM-DD>] [--to <YYYY-MM-DD>] [--db data/bot.db] [--json]');
+        console.error('       node scripts/history.js --models [...]');
+        console.error(`Dimensions: ${SqliteStorageDriver.DIMENSIONS.join(', ')}`);
+        process.exit(1);
+    }
+
+    await storage.init({
+        driver: 'sqlite',
+        sqlitePath: args.db || config.storage.sqlitePath,
+        importJson: false
+    });
+
+    const filters = { symbol: args.symbol, from: args.from, to: args.to };
+    const rows = args.models ? storage.modelAccuracy(filters) : storage.winRateBy(args.by, filters);
+    await storage.close();
+
+    if (args.json) {
+        console.log(JSON.stringify(rows, null, 2));
+        return;
+    }
+
+    if (args.models) {
+        console.log('  Model          Votes  Accuracy');
+        rows.forEach(row => {
+            console.log(`  ${row.model.padEnd(12)}${String(row.predictions).padStart(8)}${`${(row.accuracy * 100).toFixed(1)}%`.padStart(10)}`);
+        });
+        return;
+    }
+
+    console.log(`  ${args.by.padEnd(22)} Trades Win rate     Profit`);
+    rows.forEach(row => console.log(formatRow(row)));
+}
+
+main().catch(error => {
+    console.error('History query failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+const MockDerivServer = require('../utils/mockServer');
+const Backtester = require('../utils/backtester');
+const { parseArgs } = require('../utils/cli');
+
+// ============================================================================
+// MOCK DERIV SERVER CLI
+// Usage: node scripts/mock-server.js [--port 8765] [--symbols R_10,R_25]
+//        [--ticks recorded.json] [--interval 1000] [--token secret]
+// Point the bot at it with DERIV_WS_URL=ws://127.0.0.1:8765
+// ============================================================================
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const symbols = (args.symbols || 'R_10').split(',');
+
+    const server = new MockDerivServer({
+        symbols,
+        ticks: args.ticks ? { [symbols[0]]: Backtester.loadTickFile(args.ticks) } : undefined,
+        tickIntervalMs: args.interval ? parseInt(args.interval) : 1000,
+        token: args.token
+    });
+
+    await server.listen(args.port ? parseInt(args.port) : 8765);
+
+    const shutdown = async () => {
+        await server.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('Mock server failed:', error);
+    process.exit(1);
+});
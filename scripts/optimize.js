@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const Backtester = require('../utils/backtester');
+const WalkForwardOptimizer = require('../utils/walkForwardOptimizer');
+const { ParameterSpace, PARAMETERS } = require('../utils/parameterSpace');
+const { parseArgs } = require('../utils/cli');
+
+// ============================================================================
+// OPTIMIZE CLI - Walk-forward search over the analysis/learning parameters
+// Usage: node scripts/optimize.js --file ticks.json [--method random|grid|evolutionary]
+//        [--iterations 30] [--folds 4] [--train-ratio 3] [--steps 3] [--population 10]
+//        [--params learning.discountFactor,analysis.cycleWeight] [--seed 1]
+//        [--min-trades 10] [--drawdown-penalty 0.5] [--payout 0.95] [--warmup 100]
+//        [--out data/optimizer] [--json]
+//    or: node scripts/optimize.js --symbol R_10 --from 2024-01-01 [--to 2024-01-07] [...]
+// Writes overlay-<time>.json (the recommended parameters) and report-<time>.json
+// (every fold's in-sample and out-of-sample results) to --out. Run the bot
+// with CONFIG_OVERLAY=<overlay file> to use the parameters.
+// ============================================================================
+
+function formatSummary(summary) {
+    const winRate = `${(summary.winRate * 100).toFixed(1)}%`;
+    return `${String(summary.trades).padStart(6)} trades ${winRate.padStart(7)} ${`$${summary.totalProfit.toFixed(2)}`.padStart(10)}`;
+}
+
+function printReport(report, files) {
+    console.log(`\n  ${report.method} search | ${report.symbol} | ${report.ticks} ticks | ${report.backtests} backtests | seed ${report.seed}`);
+    console.log(`  Objective: ${report.objective}\n`);
+
+    console.log('  Fold  In-sample                           Out-of-sample                       Current settings');
+    report.folds.forEach(fold => {
+        console.log(`  ${String(fold.fold).padEnd(6)}${formatSummary(fold.inSample).padEnd(36)}${formatSummary(fold.outOfSample).padEnd(36)}${formatSummary(fold.baseline)}`);
+    });
+    console.log(`  ${'All'.padEnd(6)}${formatSummary(report.inSample).padEnd(36)}${formatSummary(report.outOfSample).padEnd(36)}${formatSummary(report.baseline)}`);
+
+    const edge = report.outOfSample.totalProfit - report.baseline.totalProfit;
+    console.log(`\n  Out-of-sample vs current settings: ${edge >= 0 ? '+' : '-'}$${Math.abs(edge).toFixed(2)} | ` +
+        `profitable folds ${report.outOfSample.profitableFolds}/${report.folds.length}`);
+    console.log(`  Per trade: in-sample $${report.inSample.profitPerTrade.toFixed(3)} -> out-of-sample $${report.outOfSample.profitPerTrade.toFixed(3)}\n`);
+
+    console.log('  Parameter                          Current       Best   Fold spread');
+    report.parameters.forEach(name => {
+        const spread = report.stability[name];
+        console.log(`  ${name.padEnd(33)}${String(report.current[name]).padStart(8)}${String(report.best[name]).padStart(11)}${`${(spread.spreadOfRange * 100).toFixed(0)}%`.padStart(14)}`);
+    });
+
+    console.log(`\n  Overlay: ${files.overlay}`);
+    console.log(`  Report:  ${files.report}`);
+    console.log(`  Use it with CONFIG_OVERLAY=${files.overlay}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!args.file && !args.from) {
+        console.error('Usage: node scripts/optimize.js --file <ticks.json|ticks.jsonl> [--method random|grid|evolutionary] [--iterations 30] [--folds 4] [--train-ratio 3]');
+        console.error('       [--steps 3] [--population 10] [--params <path,...>] [--seed <n>] [--min-trades 10] [--drawdown-penalty 0.5] [--out data/optimizer] [--json]');
+        console.error('       node scripts/optimize.js --symbol <SYMBOL> --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] [--ticks-dir data/ticks] [...]');
+        console.error(`Parameters: ${PARAMETERS.map(param => param.path).join(', ')}`);
+        process.exit(1);
+    }
+
+    const ticks = args.file
+        ? Backtester.loadTickFile(args.file)
+        : await Backtester.loadRecordedTicks({
+            symbol: args.symbol || 'R_10',
+            from: args.from,
+            to: args.to || args.from,
+            dir: args['ticks-dir']
+        });
+
+    const optimizer = new WalkForwardOptimizer({
+        ticks,
+        symbol: args.symbol,
+        space: new ParameterSpace(typeof args.params === 'string' ? args.params.split(',').map(name => name.trim()) : null),
+        method: args.method,
+        iterations: args.iterations ? parseInt(args.iterations) : undefined,
+        folds: args.folds ? parseInt(args.folds) : undefined,
+        trainRatio: args['train-ratio'] ? parseFloat(args['train-ratio']) : undefined,
+        gridSteps: args.steps ? parseInt(args.steps) : undefined,
+        population: args.population ? parseInt(args.population) : undefined,
+        minTrades: args['min-trades'] ? parseInt(args['min-trades']) : undefined,
+        drawdownPenalty: args['drawdown-penalty'] ? parseFloat(args['drawdown-penalty']) : undefined,
+        payoutRatio: args.payout ? parseFloat(args.payout) : undefined,
+        warmupTicks: args.warmup ? parseInt(args.warmup) : undefined,
+        seed: args.seed ? parseInt(args.seed) : undefined
+    });
+
+    const report = await optimizer.run();
+
+    const outDir = typeof args.out === 'string' ? args.out : path.join('data', 'optimizer');
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const files = {
+        overlay: path.join(outDir, `overlay-${stamp}.json`),
+        report: path.join(outDir, `report-${stamp}.json`)
+    };
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(files.overlay, JSON.stringify(report.overlay, null, 2));
+    fs.writeFileSync(files.report, JSON.stringify(report, null, 2));
+
+    if (args.json) {
+        console.log(JSON.stringify({ ...report, files }, null, 2));
+    } else {
+        printReport(report, files);
+    }
+}
+
+main().catch(error => {
+    console.error('Optimization failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+const config = require('../utils/config');
+const storage = require('../utils/storage');
+const Backtester = require('../utils/backtester');
+const DerivTradingBot = require('../bot');
+const { parseArgs } = require('../utils/cli');
+
+// ============================================================================
+// SNAPSHOTS CLI - Learned-state snapshots of a stopped bot
+// Usage: node scripts/snapshots.js list [--json]
+//        node scripts/snapshots.js take [--label "before tuning"]
+//        node scripts/snapshots.js restore <id>
+//        node scripts/snapshots.js evaluate <idA> <idB> --file ticks.json [--json]
+//        node scripts/snapshots.js evaluate <idA> <idB> --symbol R_10 --from 2024-01-01 [--to 2024-01-07]
+// A running bot is snapshotted and restored through Telegram (/snapshot,
+// /restore) or the control API instead; it would overwrite a restore made here.
+// ============================================================================
+
+function usage() {
+    console.error('Usage: node scripts/snapshots.js list [--json]');
+    console.error('       node scripts/snapshots.js take [--label <text>]');
+    console.error('       node scripts/snapshots.js restore <id>');
+    console.error('       node scripts/snapshots.js evaluate <idA> <idB> --file <ticks.json|ticks.jsonl> [--payout 0.95] [--warmup 100] [--json]');
+    console.error('       node scripts/snapshots.js evaluate <idA> <idB> --symbol <SYMBOL> --from <YYYY-MM-DD> [--to <YYYY-MM-DD>] [--ticks-dir data/ticks] [...]');
+    process.exit(1);
+}
+
+// A bot holding the persisted learned state, never connected
+async function loadBot() {
+    const bot = new DerivTradingBot({ notifier: null });
+    await bot.loadPersistedData();
+    return bot;
+}
+
+async function list(args) {
+    const snapshots = await storage.listSnapshots();
+
+    if (args.json) {
+        console.log(JSON.stringify(snapshots, null, 2));
+        return;
+    }
+    if (snapshots.length === 0) {
+        console.log('No snapshots yet');
+        return;
+    }
+    snapshots.forEach(snapshot => {
+        const created = new Date(snapshot.createdAt).toISOString().replace('T', ' ').slice(0, 19);
+        console.log(`  ${String(snapshot.id).padEnd(16)}${created}  ${(snapshot.symbols || []).join(',').padEnd(12)}${String(snapshot.trades).padStart(7)} trades  ${snapshot.label || snapshot.reason}`);
+    });
+}
+
+async function take(args) {
+    const bot = await loadBot();
+    const id = await bot.takeSnapshot(typeof args.label === 'string' ? args.label : null);
+    console.log(`Snapshot ${id} saved`);
+}
+
+async function restore(args) {
+    const id = args._[1];
+    if (!id) usage();
+
+    const bot = await loadBot();
+    const { restored, backup } = await bot.restoreSnapshot(id);
+    console.log(`Restored snapshot ${restored}; the replaced state was saved as snapshot ${backup}`);
+}
+
+// Replays the same ticks from each snapshot's learned state
+async function evaluate(args) {
+    const ids = args._.slice(1, 3);
+    if (ids.length < 2 || (!args.file && !args.from)) usage();
+
+    const snapshots = [];
+    for (const id of ids) {
+        const snapshot = await storage.loadSnapshot(id);
+        if (!snapshot) throw new Error(`Snapshot ${id} not found`);
+        snapshots.push(snapshot);
+    }
+
+    const symbol = args.symbol || snapshots[0].symbols[0];
+    const ticks = args.file
+        ? Backtester.loadTickFile(args.file)
+        : await Backtester.loadRecordedTicks({ symbol, from: args.from, to: args.to || args.from, dir: args['ticks-dir'] });
+
+    const reports = [];
+    for (const snapshot of snapshots) {
+        const backtester = new Backtester({
+            ticks,
+            symbol,
+            payoutRatio: args.payout ? parseFloat(args.payout) : undefined,
+            warmupTicks: args.warmup ? parseInt(args.warmup) : undefined,
+            learnedState: snapshot.data
+        });
+        reports.push({ snapshot: snapshot.id, label: snapshot.label || snapshot.reason, ...(await backtester.run()) });
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(reports, null, 2));
+        return;
+    }
+
+    const rows = [
+        ['Snapshot', report => String(report.snapshot)],
+        ['Label', report => report.label],
+        ['Trades', report => `${report.trades} (${report.wins}W / ${report.losses}L)`],
+        ['Win rate', report => `${(report.winRate * 100).toFixed(1)}%`],
+        ['P/L', report => `$${report.totalProfit.toFixed(2)}`],
+        ['Max drawdown', report => `$${report.maxDrawdown.toFixed(2)} (${(report.maxDrawdownPct * 100).toFixed(1)}%)`]
+    ];
+    console.log(`\n  ${ticks.length} ticks of ${symbol}`);
+    rows.forEach(([name, format]) => {
+        console.log(`  ${name.padEnd(14)}${reports.map(report => format(report).padEnd(24)).join('')}`);
+    });
+
+    const [a, b] = reports;
+    const better = a.totalProfit === b.totalProfit ? null : (a.totalProfit > b.totalProfit ? a : b);
+    console.log(better ? `\n  Snapshot ${better.snapshot} scored higher` : '\n  Both snapshots scored the same');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const commands = { list, take, restore, evaluate };
+    const command = commands[args._[0]];
+    if (!command) usage();
+
+    await storage.init(config.storage);
+    try {
+        await command(args);
+    } finally {
+        await storage.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Snapshot command failed:', error.message);
+    process.exit(1);
+});
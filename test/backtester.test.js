@@ -0,0 +1,80 @@
+// ============================================================================
+// BACKTESTER - Contracts settle on the replayed ticks and the report adds up
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../utils/logger');
+const Backtester = require('../utils/backtester');
+
+logger.silent = true;
+
+// Buys one DIGITODD at a fixed stake whenever the bot would analyze
+class FixedBacktester extends Backtester {
+    async createBot() {
+        const bot = await super.createBot();
+        this.purchaseEpochs = [];
+        bot.analyzeAndTrade = async (market) => {
+            market.decision = bot.beginDecision(market);
+            this.purchaseEpochs.push(bot.now() / 1000);
+            await bot.executeTrade(market, 'odd', 1, { state: 'odd', probability: 0.5 });
+        };
+        return bot;
+    }
+}
+
+function ticks(count) {
+    let seed = 7;
+    let quote = 6000;
+    return Array.from({ length: count }, (_, i) => {
+        seed = (seed * 16807) % 2147483647;
+        quote += (seed / 2147483647 - 0.5) * 2;
+        return { epoch: 1700000000 + i, quote: Math.round(quote * 1000) / 1000 };
+    });
+}
+
+test('every trade settles on the next tick and the report matches the trades', async () => {
+    const backtester = new FixedBacktester({ ticks: ticks(400), symbol: 'R_10', payoutRatio: 0.95, warmupTicks: 50, initialBalance: 1000 });
+    const report = await backtester.run();
+    const trades = backtester.trades;
+
+    assert.ok(trades.length >= 10, `${trades.length} trades`);
+    // A one-tick contract exits on the tick after the one it was bought on
+    assert.deepStrictEqual(trades.map(trade => trade.exitEpoch), backtester.purchaseEpochs.slice(0, trades.length).map(epoch => epoch + 1));
+    trades.forEach(trade => {
+        assert.strictEqual(trade.contractType, 'DIGITODD');
+        const expected = trade.exitDigit % 2 === 1 ? 0.95 : -1;
+        assert.ok(Math.abs(trade.profit - expected) < 1e-9, `${trade.id}: ${trade.profit} on digit ${trade.exitDigit}`);
+    });
+
+    const wins = trades.filter(trade => trade.profit > 0).length;
+    const totalProfit = trades.reduce((sum, trade) => sum + trade.profit, 0);
+    let equity = 1000;
+    let peak = 1000;
+    let maxDrawdown = 0;
+    trades.forEach(trade => {
+        equity += trade.profit;
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    });
+
+    assert.strictEqual(report.ticks, 400);
+    assert.strictEqual(report.trades, trades.length);
+    assert.strictEqual(report.wins, wins);
+    assert.strictEqual(report.losses, trades.length - wins);
+    assert.strictEqual(report.winRate, wins / trades.length);
+    assert.ok(Math.abs(report.totalProfit - totalProfit) < 1e-9);
+    assert.ok(Math.abs(report.finalBalance - (1000 + totalProfit)) < 1e-9);
+    assert.ok(Math.abs(report.maxDrawdown - maxDrawdown) < 1e-9);
+    assert.ok(Math.abs(backtester.bot.balance - report.finalBalance) < 1e-9);
+    assert.strictEqual(report.contractTypes.DIGITODD.total, trades.length);
+    assert.strictEqual(report.contractTypes.DIGITODD.wins, wins);
+    assert.ok(report.openContracts <= 1);
+});
+
+test('too few ticks for the warm-up is an error', async () => {
+    await assert.rejects(new Backtester({ ticks: ticks(50), symbol: 'R_10', warmupTicks: 100 }).run(), /Need more than 100 ticks/);
+});
@@ -0,0 +1,48 @@
+// ============================================================================
+// CALIBRATION - Every analysis is a sample, so a pessimistic fit that stops
+// trading keeps learning from the ticks that follow
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+test('analyses that skip the trade still settle calibration samples', async () => {
+    const bot = new DerivTradingBot({ persistData: false, notifier: null, tradeDelayMs: 0, enableTrading: true, symbols: ['R_10'] });
+    const market = bot.getMarket('R_10');
+    market.qTable = bot.getDefaultQTable();
+    market.deepQTable = bot.getDefaultDeepQTable();
+    market.metaQTable = bot.getDefaultMetaQTable();
+
+    // A fit from traded losses only: every probability maps far below the threshold
+    for (let i = 0; i < bot.calibrator.minSamples; i++) {
+        bot.calibrator.record(0.55 + (i % 10) / 100, false);
+    }
+    assert.ok(bot.calibrator.calibrate(0.6) < 0.1);
+
+    const trades = [];
+    bot.executeTrade = async (target, prediction) => {
+        trades.push(prediction);
+        target.isPending = false;
+    };
+    bot.hasStarted = true;
+    bot.isBotRunning = true;
+
+    let epoch = 1700000000;
+    const tick = quote => bot.handleTick({ tick: { symbol: 'R_10', epoch: epoch++, quote } });
+    for (let i = 0; i < 60; i++) {
+        await tick(100 + i * 0.01);
+    }
+
+    const samples = bot.calibrator.samples.length;
+    assert.ok(samples > bot.calibrator.minSamples, `only ${samples} samples`);
+    assert.ok(bot.calibrator.calibrate(0.6) > 0.1, 'the fit recovered from the real outcomes');
+    assert.ok(bot.calibrationContracts.openContracts.length <= config.duration);
+});
@@ -0,0 +1,24 @@
+// ============================================================================
+// CLI - Flags, values and positionals as the scripts read them
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs } = require('../utils/cli');
+
+test('a bare flag never swallows the option after it', () => {
+    assert.deepStrictEqual(parseArgs(['--json', '--port', '9000', '--load-state']), {
+        _: [],
+        json: true,
+        port: '9000',
+        'load-state': true
+    });
+});
+
+test('values, --key=value and positionals', () => {
+    assert.deepStrictEqual(parseArgs(['evaluate', 'a', '--from=2024-01-01', 'b', '--seed', '-3', '--', '--not-an-option']), {
+        _: ['evaluate', 'a', 'b', '--not-an-option'],
+        from: '2024-01-01',
+        seed: '-3'
+    });
+});
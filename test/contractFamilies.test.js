@@ -0,0 +1,69 @@
+// ============================================================================
+// CONTRACT FAMILIES - Expected value ranks the candidates, with quoted
+// payouts taking over from the estimates
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ContractSelector, expectedValue, estimatePayoutRatio } = require('../utils/contractFamilies');
+
+const ALL_FAMILIES = ['parity', 'overunder', 'matchdiff', 'risefall'];
+
+function digitTicks(digits) {
+    return digits.map((digit, i) => ({ epoch: i, quote: 100 + i / 100, digit }));
+}
+
+test('with fair odds every candidate is worth minus the house edge', () => {
+    const selector = new ContractSelector({ houseEdge: 0.025 });
+
+    for (const [contractType, barrier, probability] of [['DIGITODD', null, 0.5], ['DIGITOVER', 3, 0.6], ['DIGITMATCH', 4, 0.1], ['DIGITDIFF', 4, 0.9], ['CALL', null, 0.5]]) {
+        const payoutRatio = selector.payouts.ratio(contractType, barrier === null ? undefined : barrier);
+        assert.ok(Math.abs(expectedValue(probability, payoutRatio) + 0.025) < 1e-9, contractType);
+        assert.strictEqual(payoutRatio, estimatePayoutRatio(contractType, barrier, 0.025));
+    }
+});
+
+test('the candidate with the highest expected value is picked', () => {
+    const selector = new ContractSelector({ houseEdge: 0.025, markovWeight: 0 });
+    // Half of all digits are 7, the rest spread evenly
+    const digits = Array.from({ length: 400 }, (_, i) => (i % 2 === 0 ? 7 : Math.floor(i / 2) % 10));
+    const ticks = digitTicks(digits);
+
+    const best = selector.select(ticks, ALL_FAMILIES, { odd: 0.55, even: 0.45 }, 1);
+    assert.strictEqual(best.contractType, 'DIGITMATCH');
+    assert.strictEqual(best.barrier, 7);
+    assert.ok(Math.abs(best.expectedValue - expectedValue(best.probability, best.payoutRatio)) < 1e-12);
+
+    // A poor quote for that contract moves the pick elsewhere
+    selector.payouts.record('DIGITMATCH', 7, 10, 11);
+    const next = selector.select(ticks, ALL_FAMILIES, { odd: 0.55, even: 0.45 }, 1);
+    assert.ok(!(next.contractType === 'DIGITMATCH' && next.barrier === 7));
+    assert.ok(next.expectedValue < best.expectedValue);
+    const candidates = selector.buildCandidates(ticks, ALL_FAMILIES, { odd: 0.55, even: 0.45 }, 1);
+    candidates.forEach(candidate => {
+        const ev = expectedValue(candidate.probability, selector.payouts.ratio(candidate.contractType, candidate.barrier));
+        assert.ok(ev <= next.expectedValue + 1e-12, `${candidate.contractType} ${candidate.barrier}`);
+    });
+});
+
+test('parity-only selection follows the ensemble probabilities and quoted payout', () => {
+    const selector = new ContractSelector({ houseEdge: 0.025 });
+    const ticks = digitTicks(Array.from({ length: 50 }, (_, i) => i % 10));
+
+    const odd = selector.select(ticks, ['parity'], { odd: 0.6, even: 0.4 }, 1);
+    assert.strictEqual(odd.contractType, 'DIGITODD');
+    assert.ok(Math.abs(odd.expectedValue - (0.6 * 0.95 - 0.4)) < 1e-9);
+
+    selector.payouts.record('DIGITODD', undefined, 1, 1.5);
+    const even = selector.select(ticks, ['parity'], { odd: 0.52, even: 0.48 }, 1);
+    assert.strictEqual(even.contractType, 'DIGITEVEN');
+});
+
+test('a steadily rising price picks CALL among rise/fall', () => {
+    const selector = new ContractSelector();
+    const ticks = Array.from({ length: 120 }, (_, i) => ({ epoch: i, quote: 100 + i, digit: i % 10 }));
+
+    const best = selector.select(ticks, ['risefall'], null, 1);
+    assert.strictEqual(best.contractType, 'CALL');
+    assert.ok(best.probability > 0.9);
+});
@@ -0,0 +1,79 @@
+// ============================================================================
+// CONTROL SERVER - Token checks, body validation and runtime config limits
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const ControlServer = require('../utils/controlServer');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+const TOKEN = 'c0ntr0l-api-test-token';
+
+function post(port, pathname, raw) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            path: pathname,
+            method: 'POST',
+            headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' }
+        }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        });
+        req.on('error', reject);
+        req.end(raw);
+    });
+}
+
+test('control API rejects non-object bodies and out-of-range settings', async (t) => {
+    const bot = new DerivTradingBot({ persistData: false, notifier: null, symbols: ['R_10'] });
+    const server = new ControlServer(bot, { port: 0, token: TOKEN });
+    await server.start();
+    t.after(async () => {
+        config.unset('trading.baseStake');
+        await server.stop();
+    });
+
+    for (const raw of ['null', '[]', '5', '"stake"']) {
+        for (const route of ['/config', '/pause', '/snapshots/restore']) {
+            const reply = await post(server.port, route, raw);
+            assert.strictEqual(reply.status, 400, `${route} ${raw}`);
+        }
+    }
+
+    const max = config.get('controlApi.limits.baseStake');
+    assert.strictEqual((await post(server.port, '/config', JSON.stringify({ baseStake: max * 10 }))).status, 400);
+    assert.strictEqual((await post(server.port, '/config', JSON.stringify({ baseStake: 0 }))).status, 400);
+    assert.strictEqual((await post(server.port, '/config', JSON.stringify({ confidenceThreshold: 0.99 }))).status, 400);
+    assert.strictEqual(config.baseStake, config.get('trading.baseStake'));
+
+    const reply = await post(server.port, '/config', JSON.stringify({ baseStake: max }));
+    assert.strictEqual(reply.status, 200);
+    assert.deepStrictEqual(reply.body, { applied: { baseStake: max } });
+    assert.strictEqual(config.baseStake, max);
+});
+
+test('control API refuses to start with a placeholder or short token', async () => {
+    const bot = new DerivTradingBot({ persistData: false, notifier: null, symbols: ['R_10'] });
+
+    for (const token of ['change_me', 'CHANGEME', 'secret', 'abc123']) {
+        const server = new ControlServer(bot, { port: 0, token });
+        await assert.rejects(server.start(), /CONTROL_API_TOKEN/);
+        assert.strictEqual(server.server, null);
+    }
+
+    // No token still serves /health alone
+    const open = new ControlServer(bot, { port: 0, token: null });
+    await open.start();
+    await open.stop();
+});
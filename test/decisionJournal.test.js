@@ -0,0 +1,93 @@
+// ============================================================================
+// DECISION JOURNAL - Daily files compressed on day roll, settlements
+// appended to open decisions, retention, and reading past crash damage
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const logger = require('../utils/logger');
+const DecisionJournal = require('../utils/decisionJournal');
+
+logger.silent = true;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = Date.UTC(2024, 2, 10, 12);
+
+test('settlements fold into the decisions written at buy time', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // A day left plain by an earlier run is compressed on the first write
+    fs.writeFileSync(path.join(dir, 'decisions-2024-03-09.jsonl'), JSON.stringify({ id: 'old', timestamp: start - DAY_MS, outcome: 'skipped' }) + '\n');
+
+    const journal = new DecisionJournal({ dir });
+    journal.write({ id: 'a', timestamp: start, outcome: 'skipped' });
+    journal.write({ id: 'b', timestamp: start + 1, outcome: 'traded', contractId: 7 });
+    // Settles after midnight, in the next day's file
+    journal.writeSettlement('b', start + DAY_MS / 2, { profit: 0.95, won: true });
+    await journal.close();
+
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), [
+        'decisions-2024-03-09.jsonl.gz',
+        'decisions-2024-03-10.jsonl.gz',
+        'decisions-2024-03-11.jsonl'
+    ]);
+    const lines = zlib.gunzipSync(fs.readFileSync(path.join(dir, 'decisions-2024-03-10.jsonl.gz'))).toString().trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+
+    const decisions = await DecisionJournal.find(() => true, { dir });
+    assert.deepStrictEqual(decisions.map(d => d.id), ['old', 'a', 'b']);
+    assert.deepStrictEqual(decisions[2], {
+        type: 'decision',
+        id: 'b',
+        timestamp: start + 1,
+        outcome: 'traded',
+        contractId: 7,
+        profit: 0.95,
+        won: true
+    });
+
+    const wins = await DecisionJournal.find(d => d.won, { dir, from: '2024-03-10' });
+    assert.deepStrictEqual(wins.map(d => d.id), ['b']);
+});
+
+test('files past the retention limit are removed when the day rolls', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const journal = new DecisionJournal({ dir, retentionDays: 2 });
+    for (let day = 0; day < 5; day++) {
+        journal.write({ id: `d${day}`, timestamp: start + day * DAY_MS });
+    }
+    await journal.close();
+
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), [
+        'decisions-2024-03-12.jsonl.gz',
+        'decisions-2024-03-13.jsonl.gz',
+        'decisions-2024-03-14.jsonl'
+    ]);
+});
+
+test('a crash mid-write costs only the damaged records', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const line = record => JSON.stringify({ type: 'decision', ...record }) + '\n';
+
+    // The older layout's one gzip member per line, the last member cut short
+    const cut = zlib.gzipSync(line({ id: 'c', timestamp: start + 2 }));
+    fs.writeFileSync(path.join(dir, 'decisions-2024-03-10.jsonl.gz'), Buffer.concat([
+        zlib.gzipSync(line({ id: 'a', timestamp: start })),
+        zlib.gzipSync(line({ id: 'b', timestamp: start + 1 })),
+        cut.subarray(0, cut.length - 10)
+    ]));
+    // Compressed but not yet deleted, then a line cut short before a restart
+    fs.writeFileSync(path.join(dir, 'decisions-2024-03-10.jsonl'),
+        line({ id: 'a', timestamp: start }) + '{"type":"decision","id":"d"' + line({ id: 'e', timestamp: start + 4 }) + line({ id: 'f', timestamp: start + 5 }));
+
+    const decisions = await DecisionJournal.find(() => true, { dir });
+    assert.deepStrictEqual(decisions.map(d => d.id), ['a', 'b', 'f']);
+});
@@ -0,0 +1,107 @@
+// ============================================================================
+// FEATURE PIPELINE - The same relative moves give the same features at any
+// price level, and the running statistics pick up where they left off
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FeaturePipeline = require('../utils/featurePipeline');
+
+// mulberry32, so every run sees the same path
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// One path of relative moves and last digits, priced from any starting level
+function createPath(seed, count) {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, (_, i) => ({
+        move: (random() - 0.5) * 0.002 * (1 + Math.sin(i / 40)),
+        digit: Math.floor(random() * 10)
+    }));
+}
+
+function priceTicks(path, start) {
+    let quote = start;
+    return path.map(({ move, digit }, i) => {
+        quote *= 1 + move;
+        return { epoch: 1700000000 + i, quote, digit };
+    });
+}
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} vs ${expected}`);
+}
+
+function assertSameFeatures(actual, expected, label) {
+    assert.strictEqual(actual.ready, expected.ready, label);
+    FeaturePipeline.FEATURES.forEach(name => {
+        assertClose(actual.raw[name], expected.raw[name], 1e-12, `${label} raw.${name}`);
+        assertClose(actual.z[name], expected.z[name], 1e-6, `${label} z.${name}`);
+        assert.strictEqual(actual.percentile[name], expected.percentile[name], `${label} percentile.${name}`);
+    });
+}
+
+test('R_10 and R_100 price levels give the same features for the same relative moves', () => {
+    const path = createPath(5, 1500);
+    const r10 = new FeaturePipeline().update(priceTicks(path, 6234.512));
+    const r100 = new FeaturePipeline().update(priceTicks(path, 1187.23));
+
+    assert.strictEqual(r10.length, 1500 - 49);
+    assert.strictEqual(r100.length, r10.length);
+    r10.forEach((features, i) => assertSameFeatures(r100[i], features, `tick ${i}`));
+
+    // The raw return is the log return, not a price difference
+    const last = r10[r10.length - 1];
+    assertClose(last.raw.return, Math.log(1 + path[path.length - 1].move), 1e-12, 'log return');
+    assert.strictEqual(last.ready, true);
+});
+
+test('z-scores settle near zero mean and unit spread whatever the volatility', () => {
+    const path = createPath(9, 3000);
+    const quiet = new FeaturePipeline().update(priceTicks(path, 6000));
+    const wild = new FeaturePipeline().update(priceTicks(path.map(step => ({ ...step, move: step.move * 10 })), 6000));
+
+    [quiet, wild].forEach((features, run) => {
+        const settled = features.slice(500).map(feature => feature.z.return);
+        const mean = settled.reduce((sum, z) => sum + z, 0) / settled.length;
+        const spread = Math.sqrt(settled.reduce((sum, z) => sum + (z - mean) * (z - mean), 0) / settled.length);
+        assert.ok(Math.abs(mean) < 0.1, `run ${run} mean z ${mean}`);
+        assert.ok(spread > 0.85 && spread < 1.15, `run ${run} z spread ${spread}`);
+    });
+
+    // Ten times the moves is about ten times the raw volatility (log returns
+    // are not quite linear), but exactly the same ranks
+    const lastQuiet = quiet[quiet.length - 1];
+    const lastWild = wild[wild.length - 1];
+    assertClose(lastWild.raw.volatility / lastQuiet.raw.volatility, 10, 0.01, 'volatility ratio');
+    assert.strictEqual(lastWild.percentile.return, lastQuiet.percentile.return);
+});
+
+test('ticks are processed once and a restored state continues the same series', () => {
+    const ticks = priceTicks(createPath(13, 800), 6000);
+    const uninterrupted = new FeaturePipeline().update(ticks);
+
+    const first = new FeaturePipeline();
+    assert.strictEqual(first.update(ticks.slice(0, 400)).length, 400 - 49);
+    assert.deepStrictEqual(first.update(ticks.slice(0, 400)), []);
+
+    const restored = new FeaturePipeline();
+    restored.setState(JSON.parse(JSON.stringify(first.getState())));
+    const rest = restored.update(ticks);
+
+    assert.strictEqual(rest.length, 400);
+    rest.forEach((features, i) => assertSameFeatures(features, uninterrupted[i + 400 - 49], `tick ${i + 400}`));
+
+    // A state without the running statistics is ignored
+    const blank = new FeaturePipeline();
+    blank.setState({ observations: 5 });
+    assert.strictEqual(blank.observations, 0);
+});
@@ -0,0 +1,37 @@
+// ============================================================================
+// HIGHER-ORDER MARKOV - Every tick is counted once, even when many more than
+// the predicted-on window pass between predictions
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ModelRegistry = require('../utils/modelRegistry');
+
+function ticks(count, startEpoch = 1) {
+    return Array.from({ length: count }, (_, i) => ({ epoch: startEpoch + i, quote: 100 + i / 100, digit: (startEpoch + i) % 10 }));
+}
+
+test('counts come from every observed tick, not only the predicted window', () => {
+    const registry = new ModelRegistry({ enabled: ['markovParity'] });
+    const model = registry.get('markovParity');
+    const ctx = { symbol: 'R_10' };
+    const history = [];
+    const total = counts => counts.reduce((sum, count) => sum + count, 0);
+
+    // 2000 ticks arrive one by one with no prediction in between
+    ticks(2000).forEach(tick => {
+        history.push(tick);
+        if (history.length > 1000) history.shift();
+        registry.observe(history, ctx);
+    });
+    assert.strictEqual(total(model.books.R_10.counts['']), 2000);
+
+    // A prediction on the latest 500 adds nothing already counted
+    model.predict(history.slice(-500), ctx);
+    assert.strictEqual(total(model.books.R_10.counts['']), 2000);
+
+    // Other symbols keep their own counts
+    registry.observe(ticks(10), { symbol: 'R_25' });
+    assert.strictEqual(total(model.books.R_25.counts['']), 10);
+    assert.strictEqual(total(model.books.R_10.counts['']), 2000);
+});
@@ -0,0 +1,104 @@
+// ============================================================================
+// INTEGRATION - The bot over InProcessTransport against MockDerivServer:
+// authorize -> history -> proposal -> buy -> settlement
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../utils/logger');
+const MockDerivServer = require('../utils/mockServer');
+const { InProcessTransport } = require('../utils/transport');
+const { DerivApiError } = require('../utils/derivApi');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Emits a tick every few milliseconds until `predicate` holds
+async function driveUntil(server, predicate, { timeoutMs = 5000, tick = true } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the bot');
+        if (tick) server.emitTicks();
+        await sleep(5);
+    }
+}
+
+test('trades one contract end to end against the mock server', async () => {
+    // The interval timer never fires during the test; ticks are emitted by hand
+    const server = new MockDerivServer({ symbols: ['R_10'], historySize: 200, tickIntervalMs: 60000, balance: 500 });
+    const bot = new DerivTradingBot({
+        transport: new InProcessTransport(server),
+        persistData: false,
+        notifier: null,
+        enableTrading: true,
+        tradeDelayMs: 0,
+        symbols: ['R_10']
+    });
+    const market = bot.getMarket('R_10');
+    market.qTable = bot.getDefaultQTable();
+    market.deepQTable = bot.getDefaultDeepQTable();
+    market.metaQTable = bot.getDefaultMetaQTable();
+
+    // The first analysis places a fixed trade, so the outcome does not
+    // depend on the models' confidence
+    const requests = [];
+    const send = bot.send.bind(bot);
+    bot.send = payload => {
+        requests.push(Object.keys(payload).find(key => !['req_id', 'passthrough', 'subscribe'].includes(key)));
+        send(payload);
+    };
+    let analyses = 0;
+    bot.analyzeAndTrade = async (target) => {
+        if (analyses++ > 0) {
+            target.isPending = false;
+            return;
+        }
+        target.decision = bot.beginDecision(target);
+        await bot.executeTrade(target, 'odd', 1, { state: 'odd', probability: 0.5 });
+    };
+
+    try {
+        bot.transport.connect();
+
+        await driveUntil(server, () => bot.isConnected && bot.isBotRunning, { tick: false });
+        assert.strictEqual(bot.balance, 500);
+        assert.strictEqual(market.tickHistory.length, 200);
+
+        await driveUntil(server, () => bot.wins + bot.losses === 1);
+
+        assert.deepStrictEqual(
+            ['authorize', 'balance', 'ticks_history', 'ticks', 'proposal', 'buy', 'proposal_open_contract'],
+            requests.filter((type, i) => requests.indexOf(type) === i).slice(0, 7)
+        );
+        const contract = [...server.contracts.values()][0];
+        assert.ok(contract.settled, 'the server settled the contract');
+        assert.strictEqual(market.currentContractId, null);
+        assert.strictEqual(bot.openContracts.size, 0);
+
+        // The bot's balance follows the account after settlement
+        await driveUntil(server, () => bot.balance === server.balance, { tick: false });
+        const expectedProfit = contract.settled.won ? contract.contract.payout - 1 : -1;
+        assert.ok(Math.abs(server.balance - (500 + expectedProfit)) < 1e-9);
+        assert.ok(Math.abs(market.totalProfit - expectedProfit) < 1e-9);
+    } finally {
+        bot.connectionMonitor.stop();
+        bot.transport.removeAllListeners();
+        bot.transport.close();
+        await server.close();
+    }
+});
+
+test('a proposal reply without a proposal fails as an API error', async () => {
+    const bot = new DerivTradingBot({ persistData: false, notifier: null, symbols: ['R_10'] });
+    const market = bot.getMarket('R_10');
+
+    for (const message of [{ echo_req: { contract_type: 'DIGITODD' } }, { proposal: {}, echo_req: {} }]) {
+        await assert.rejects(bot.handleProposal(market, message), error =>
+            error instanceof DerivApiError && error.code === 'WrongResponse');
+    }
+});
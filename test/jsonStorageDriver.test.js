@@ -0,0 +1,88 @@
+// ============================================================================
+// JSON STORAGE DRIVER - Temp file + rename writes, backups, and recovery from
+// a crash at any step
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const JsonStorageDriver = require('../utils/jsonStorageDriver');
+
+logger.silent = true;
+
+async function createDriver(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-driver-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const driver = new JsonStorageDriver({ dataDir: dir, ...options });
+    await driver.init();
+    return driver;
+}
+
+const envelope = value => ({ schemaVersion: 4, key: 'stats', savedAt: '2024-01-01T00:00:00.000Z', data: { value } });
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+test('a write replaces the file whole and keeps the previous copies as backups', async (t) => {
+    const driver = await createDriver(t, { backupCount: 2 });
+
+    for (let value = 1; value <= 4; value++) {
+        await driver.write('stats', envelope(value));
+    }
+
+    assert.deepStrictEqual(await driver.read('stats'), { schemaVersion: 4, data: { value: 4 } });
+    assert.strictEqual(readJson(driver.getBackupPath('stats', 1)).data.value, 3);
+    assert.strictEqual(readJson(driver.getBackupPath('stats', 2)).data.value, 2);
+    assert.ok(!fs.existsSync(driver.getBackupPath('stats', 3)));
+    assert.deepStrictEqual(fs.readdirSync(driver.dataDir).filter(name => name.endsWith('.tmp')), []);
+    assert.deepStrictEqual(await driver.keys(), ['stats']);
+});
+
+test('a failed rename leaves the old file in place', async (t) => {
+    const driver = await createDriver(t);
+    await driver.write('stats', envelope(1));
+
+    const rename = fs.promises.rename;
+    fs.promises.rename = async (from, to) => {
+        if (to === driver.getFilePath('stats')) throw Object.assign(new Error('disk gone'), { code: 'EIO' });
+        return rename(from, to);
+    };
+    try {
+        await assert.rejects(driver.write('stats', envelope(2)), /disk gone/);
+    } finally {
+        fs.promises.rename = rename;
+    }
+
+    assert.strictEqual(readJson(driver.getFilePath('stats')).data.value, 1);
+
+    // The temp file a crash would leave is cleared on the next start
+    assert.ok(fs.existsSync(`${driver.getFilePath('stats')}.tmp`));
+    await driver.init();
+    assert.ok(!fs.existsSync(`${driver.getFilePath('stats')}.tmp`));
+    assert.strictEqual((await driver.read('stats')).data.value, 1);
+});
+
+test('an unreadable file falls back to the newest readable backup', async (t) => {
+    const driver = await createDriver(t);
+    await driver.write('stats', envelope(1));
+    await driver.write('stats', envelope(2));
+    await driver.write('stats', envelope(3));
+
+    fs.writeFileSync(driver.getFilePath('stats'), '{"schemaVersion": 4, "da');
+    assert.strictEqual((await driver.read('stats')).data.value, 2);
+
+    fs.writeFileSync(driver.getBackupPath('stats', 1), '');
+    assert.strictEqual((await driver.read('stats')).data.value, 1);
+});
+
+test('writes to one key run in order and legacy files read as version 0', async (t) => {
+    const driver = await createDriver(t);
+
+    await Promise.all(Array.from({ length: 20 }, (_, i) => driver.write('stats', envelope(i))));
+    assert.strictEqual((await driver.read('stats')).data.value, 19);
+
+    fs.writeFileSync(driver.getFilePath('legacy'), JSON.stringify({ wins: 3 }));
+    assert.deepStrictEqual(await driver.read('legacy'), { schemaVersion: 0, data: { wins: 3 } });
+    assert.strictEqual(await driver.read('missing'), null);
+});
@@ -0,0 +1,108 @@
+// ============================================================================
+// METRICS - Prometheus text exposition from the registry and GET /metrics
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const logger = require('../utils/logger');
+const { MetricsRegistry } = require('../utils/metrics');
+const ControlServer = require('../utils/controlServer');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+const TOKEN = 'metrics-test-token-0123';
+const SAMPLE = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(\{[a-zA-Z_][a-zA-Z0-9_]*="(?:[^"\\\n]|\\["\\n])*"(?:,[a-zA-Z_][a-zA-Z0-9_]*="(?:[^"\\\n]|\\["\\n])*")*\})? (-?[0-9.e+-]+|[+-]Inf|NaN)$/;
+
+function get(port, pathname, token) {
+    return new Promise((resolve, reject) => {
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+        http.get({ host: '127.0.0.1', port, path: pathname, headers }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+        }).on('error', reject);
+    });
+}
+
+// Every sample belongs to a metric declared by HELP and TYPE lines before it
+function parseExposition(text) {
+    assert.ok(text.endsWith('\n'));
+    const types = new Map();
+    const samples = [];
+
+    text.trimEnd().split('\n').forEach(line => {
+        const declared = line.match(/^# (HELP|TYPE) ([a-zA-Z_:][a-zA-Z0-9_:]*) (.+)$/);
+        if (declared) {
+            if (declared[1] === 'TYPE') types.set(declared[2], declared[3]);
+            return;
+        }
+
+        const sample = line.match(SAMPLE);
+        assert.ok(sample, `not a sample line: ${line}`);
+        const name = sample[1];
+        const family = [name, name.replace(/_(bucket|sum|count)$/, '')].find(candidate => types.has(candidate));
+        assert.ok(family, `${name} sampled before its TYPE line`);
+        samples.push({ name, labels: sample[2] || '', value: sample[3] });
+    });
+
+    return { types, samples };
+}
+
+test('counters, gauges and histograms render in the text format', () => {
+    const registry = new MetricsRegistry('test_');
+    const trades = registry.counter('trades_total', 'Settled contracts');
+    const latency = registry.histogram('latency_seconds', 'Latency', [0.5, 0.1, 1]);
+    const balance = registry.gauge('balance', 'Balance');
+    registry.onCollect(() => balance.set(1234.5));
+
+    trades.inc({ symbol: 'R_10', note: 'a "quoted"\nvalue\\' });
+    trades.inc({ symbol: 'R_10', note: 'a "quoted"\nvalue\\' }, 2);
+    [0.05, 0.3, 0.7, 5].forEach(value => latency.observe({ symbol: 'R_10' }, value));
+
+    const text = registry.render();
+    const { types, samples } = parseExposition(text);
+
+    assert.strictEqual(types.get('test_trades_total'), 'counter');
+    assert.strictEqual(types.get('test_latency_seconds'), 'histogram');
+    assert.strictEqual(types.get('test_balance'), 'gauge');
+    assert.ok(text.includes('test_trades_total{symbol="R_10",note="a \\"quoted\\"\\nvalue\\\\"} 3\n'));
+    assert.ok(text.includes('test_balance 1234.5\n'));
+
+    // Buckets are cumulative, in ascending order, and end with +Inf = count
+    const buckets = samples.filter(sample => sample.name === 'test_latency_seconds_bucket');
+    assert.deepStrictEqual(buckets.map(sample => [sample.labels, sample.value]), [
+        ['{symbol="R_10",le="0.1"}', '1'],
+        ['{symbol="R_10",le="0.5"}', '2'],
+        ['{symbol="R_10",le="1"}', '3'],
+        ['{symbol="R_10",le="+Inf"}', '4']
+    ]);
+    assert.ok(text.includes('test_latency_seconds_sum{symbol="R_10"} 6.05\n'));
+    assert.ok(text.includes('test_latency_seconds_count{symbol="R_10"} 4\n'));
+});
+
+test('GET /metrics serves the bot registry to an authorized scraper', async (t) => {
+    const bot = new DerivTradingBot({ persistData: false, notifier: null, symbols: ['R_10'] });
+    const server = new ControlServer(bot, { port: 0, token: TOKEN });
+    await server.start();
+    t.after(() => server.stop());
+
+    bot.balance = 321;
+    bot.metrics.trades.inc({ symbol: 'R_10', contract_type: 'DIGITODD' });
+
+    assert.strictEqual((await get(server.port, '/metrics')).status, 401);
+
+    const reply = await get(server.port, '/metrics', TOKEN);
+    assert.strictEqual(reply.status, 200);
+    assert.strictEqual(reply.type, 'text/plain; version=0.0.4; charset=utf-8');
+
+    const { types, samples } = parseExposition(reply.body);
+    assert.strictEqual(types.get('deriv_bot_trades_total'), 'counter');
+    assert.strictEqual(types.get('deriv_bot_balance'), 'gauge');
+    assert.ok(samples.some(sample => sample.name === 'deriv_bot_trades_total' && sample.labels === '{symbol="R_10",contract_type="DIGITODD"}' && sample.value === '1'));
+    assert.ok(samples.some(sample => sample.name === 'deriv_bot_balance' && sample.value === '321'));
+});
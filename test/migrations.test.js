@@ -0,0 +1,87 @@
+// ============================================================================
+// MIGRATIONS - Persisted files and snapshots from older schemas
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const storage = require('../utils/storage');
+const JsonStorageDriver = require('../utils/jsonStorageDriver');
+const { MIGRATIONS } = require('../utils/migrations');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+async function useTempStorage(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    storage.driver = new JsonStorageDriver({ dataDir: dir });
+    storage.clearCache();
+    await storage.driver.init();
+}
+
+function writeVersion(key, schemaVersion, data) {
+    return storage.driver.write(key, { schemaVersion, key, savedAt: new Date().toISOString(), data });
+}
+
+function createBot() {
+    const bot = new DerivTradingBot({ persistData: false, notifier: null, symbols: ['R_10'] });
+    const market = bot.getMarket('R_10');
+    market.qTable = bot.getDefaultQTable();
+    market.deepQTable = bot.getDefaultDeepQTable();
+    market.metaQTable = bot.getDefaultMetaQTable();
+    return bot;
+}
+
+const learnedDeep = { low_neutral_short: { odd: 0.9, even: 0.1 } };
+const learnedMeta = { low_low: { conservative: 0.9, balanced: 0.1, aggressive: 0.1 } };
+const learnedQ = { odd: { odd: 0.8, even: 0.2 }, even: { odd: 0.3, even: 0.7 } };
+
+test('v3 and v4 reset the regime Q-tables and context memory and keep the rest', async (t) => {
+    await useTempStorage(t);
+    await writeVersion('qtables-R_10', 2, learnedQ);
+    await writeVersion('deepQtables-R_10', 2, learnedDeep);
+    await writeVersion('metaQtables-R_10', 2, learnedMeta);
+    await writeVersion('deepQtables', 1, learnedDeep);
+    await writeVersion('contextMemory', 3, [{ volatility: 0.0213, entropy: 0.97, streak: 2, result: 'win' }]);
+    await writeVersion('modelPerformance', 3, { markov: { correct: 3, total: 5 } });
+
+    await storage.migrate(MIGRATIONS, { primarySymbol: 'R_10' });
+
+    assert.deepStrictEqual((await storage.listKeys()).sort(), ['modelPerformance', 'qtables-R_10']);
+    assert.strictEqual((await storage.driver.read('qtables-R_10')).schemaVersion, storage.schemaVersion);
+
+    const bot = createBot();
+    await bot.loadMarketData(bot.getMarket('R_10'));
+    const market = bot.getMarket('R_10');
+    assert.deepStrictEqual(market.qTable, learnedQ);
+    assert.deepStrictEqual(market.deepQTable, bot.getDefaultDeepQTable());
+    assert.deepStrictEqual(market.metaQTable, bot.getDefaultMetaQTable());
+    assert.deepStrictEqual(await storage.get('contextMemory', []), []);
+});
+
+test('restoring a v2 snapshot does not bring the old Q-tables or contexts back', async (t) => {
+    await useTempStorage(t);
+    const bot = createBot();
+    const state = bot.captureLearnedState();
+    Object.assign(state.markets.R_10, { qTable: learnedQ, deepQTable: learnedDeep, metaQTable: learnedMeta });
+    state.contextMemory = [{ volatility: 0.0213, entropy: 0.97, streak: 2, result: 'win' }];
+    const id = await storage.saveSnapshot({ createdAt: 1, schemaVersion: 2, data: state });
+
+    const snapshot = await storage.loadSnapshot(id);
+    assert.strictEqual(snapshot.migratedFrom, 2);
+    assert.strictEqual(snapshot.data.markets.R_10.deepQTable, null);
+
+    await bot.restoreSnapshot(id);
+    const market = bot.getMarket('R_10');
+    assert.deepStrictEqual(market.qTable, learnedQ);
+    assert.deepStrictEqual(market.deepQTable, bot.getDefaultDeepQTable());
+    assert.deepStrictEqual(market.metaQTable, bot.getDefaultMetaQTable());
+    assert.deepStrictEqual(bot.contextMemory, []);
+});
@@ -0,0 +1,127 @@
+// ============================================================================
+// MODEL REGISTRY - Plugin loading and validation, and one broken model never
+// taking the ensemble down with it
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const ModelRegistry = require('../utils/modelRegistry');
+
+logger.silent = true;
+
+const BUILTIN_NAMES = ['stat', 'markov', 'trend', 'qlearning', 'streak', 'pattern', 'entropy', 'cycle'];
+
+function pluginDir(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    Object.entries(files).forEach(([name, source]) => fs.writeFileSync(path.join(dir, name), source));
+    return dir;
+}
+
+function ticks(count) {
+    return Array.from({ length: count }, (_, i) => ({ epoch: i, quote: 100 + i / 100, digit: (i * 7) % 10 }));
+}
+
+test('plugins load from a class with options or a plain object', (t) => {
+    const dir = pluginDir(t, {
+        'lastDigit.js': `
+            module.exports = class LastDigitModel {
+                constructor(options) { this.name = 'lastDigit'; this.bias = options.bias; }
+                predict(ticks) { return { odd: 0.5 + this.bias, even: 0.5 - this.bias }; }
+                getState() { return { bias: this.bias }; }
+                setState(state) { this.bias = state.bias; }
+            };`,
+        'coin.js': `module.exports = { name: 'coin', predict: () => ({ odd: 0.5, even: 0.5, prediction: 'even' }) };`
+    });
+
+    const registry = new ModelRegistry({
+        disabled: ['cycle'],
+        plugins: [{ module: path.join(dir, 'lastDigit.js'), options: { bias: 0.1 } }, path.join(dir, 'coin.js')]
+    });
+
+    assert.deepStrictEqual(registry.names, [...BUILTIN_NAMES.filter(name => name !== 'cycle'), 'lastDigit', 'coin']);
+    assert.deepStrictEqual(registry.describe().slice(-2), [
+        { name: 'lastDigit', source: path.join(dir, 'lastDigit.js'), learns: false, persisted: true },
+        { name: 'coin', source: path.join(dir, 'coin.js'), learns: false, persisted: false }
+    ]);
+
+    const { models, predictions } = registry.predictAll(ticks(50), {});
+    assert.deepStrictEqual(models.lastDigit, { odd: 0.6, even: 0.4 });
+    assert.strictEqual(predictions.coin, 'even');
+
+    registry.setStates({ lastDigit: { bias: 0.2 } });
+    assert.deepStrictEqual(registry.getStates().lastDigit, { bias: 0.2 });
+});
+
+test('a plugin that cannot load or does not fit the interface is rejected at start', (t) => {
+    const dir = pluginDir(t, {
+        'broken.js': 'module.exports = {',
+        'nameless.js': 'module.exports = { predict: () => ({ odd: 0.5, even: 0.5 }) };',
+        'mute.js': "module.exports = { name: 'mute' };",
+        'markov.js': "module.exports = { name: 'markov', predict: () => ({ odd: 0.5, even: 0.5 }) };",
+        'halfState.js': "module.exports = { name: 'halfState', predict: () => ({ odd: 0.5, even: 0.5 }), getState: () => ({}) };"
+    });
+    const load = name => new ModelRegistry({ plugins: [path.join(dir, name)] });
+
+    assert.throws(() => load('broken.js'), /Cannot load model plugin .*broken\.js/);
+    assert.throws(() => load('missing.js'), /Cannot load model plugin .*missing\.js/);
+    assert.throws(() => load('nameless.js'), /has no name/);
+    assert.throws(() => load('mute.js'), /"mute" .* has no predict/);
+    assert.throws(() => load('markov.js'), /"markov" .* is already registered by builtin/);
+    assert.throws(() => load('halfState.js'), /needs both getState\(\) and setState\(\)/);
+    assert.throws(() => new ModelRegistry({ plugins: [{ options: {} }] }), /needs a module/);
+
+    // disabled applies to plugins as well, so a broken one can be switched off without editing the list
+    assert.strictEqual(new ModelRegistry({ disabled: ['mute'], plugins: [path.join(dir, 'mute.js')] }).get('mute'), null);
+    assert.throws(() => new ModelRegistry({ enabled: ['markovTriples'] }), /Unknown optional model "markovTriples"/);
+});
+
+test('a model that throws or returns nonsense sits the tick out, logged once', (t) => {
+    const errors = t.mock.method(logger, 'error', () => {});
+    let mode = 'throw';
+    const flaky = {
+        name: 'flaky',
+        predict: () => {
+            if (mode === 'throw') throw new Error('boom');
+            if (mode === 'nan') return { odd: NaN, even: 0.5 };
+            return { odd: 0.7, even: 0.3 };
+        },
+        observe: () => { throw new Error('observe boom'); },
+        learn: () => { throw new Error('learn boom'); }
+    };
+    const calls = [];
+    const steady = {
+        name: 'steady',
+        predict: () => ({ odd: 0.4, even: 0.6 }),
+        observe: () => calls.push('observe'),
+        learn: () => calls.push('learn')
+    };
+    const registry = new ModelRegistry({ disabled: BUILTIN_NAMES });
+    registry.register(flaky, 'test');
+    registry.register(steady, 'test');
+
+    for (let i = 0; i < 3; i++) {
+        const { models, predictions } = registry.predictAll(ticks(50), {});
+        assert.deepStrictEqual(models, { steady: { odd: 0.4, even: 0.6 } });
+        assert.deepStrictEqual(predictions, { steady: 'even' });
+    }
+    assert.strictEqual(errors.mock.callCount(), 1);
+
+    mode = 'nan';
+    assert.strictEqual(registry.predictAll(ticks(50), {}).models.flaky, undefined);
+    assert.strictEqual(errors.mock.callCount(), 2);
+
+    mode = 'ok';
+    assert.deepStrictEqual(registry.predictAll(ticks(50), {}).models.flaky, { odd: 0.7, even: 0.3 });
+    assert.strictEqual(registry.failures.size, 0);
+
+    // observe and learn failures are contained too
+    registry.observe(ticks(50), { symbol: 'R_10' });
+    registry.learn({ symbol: 'R_10', prediction: 'odd', actual: 'odd', won: true });
+    assert.deepStrictEqual(calls, ['observe', 'learn']);
+    assert.strictEqual(errors.mock.callCount(), 4);
+});
@@ -0,0 +1,142 @@
+// ============================================================================
+// TELEGRAM NOTIFIER - Against a local stub of the Bot API: sendMessage,
+// getUpdates polling with offsets, the chat whitelist and bot commands
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const CHAT_ID = '42';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the notifier');
+        await sleep(5);
+    }
+}
+
+// Serves updates with update_id >= offset like the Bot API; an empty
+// long poll is held briefly so the polling loop does not spin
+class TelegramStub {
+    constructor() {
+        this.calls = [];
+        this.updates = [];
+        this.server = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => raw += chunk);
+            req.on('end', () => this.handle(req.url, JSON.parse(raw || '{}'), res));
+        });
+    }
+
+    listen() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port)));
+    }
+
+    close() {
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    async handle(url, params, res) {
+        const method = url.split('/').pop();
+        this.calls.push({ method, params });
+        const reply = result => res.end(JSON.stringify({ ok: true, result }));
+
+        if (method === 'sendMessage') return reply({ message_id: this.calls.length });
+        if (method !== 'getUpdates') return res.end(JSON.stringify({ ok: false, description: 'Not Found' }));
+
+        if (params.offset === -1) return reply(this.updates.slice(-1));
+        const deadline = Date.now() + 200;
+        while (Date.now() < deadline && !res.destroyed) {
+            const pending = this.updates.filter(update => update.update_id >= params.offset);
+            if (pending.length > 0) return reply(pending);
+            await sleep(5);
+        }
+        if (!res.destroyed) reply([]);
+    }
+
+    message(updateId, chatId, text) {
+        this.updates.push({ update_id: updateId, message: { message_id: updateId, chat: { id: Number(chatId) }, text } });
+    }
+
+    sent() {
+        return this.calls.filter(call => call.method === 'sendMessage').map(call => call.params);
+    }
+
+    polledOffsets() {
+        return this.calls.filter(call => call.method === 'getUpdates').map(call => call.params.offset);
+    }
+}
+
+test('sends messages and runs whitelisted commands from polled updates', async (t) => {
+    const stub = new TelegramStub();
+    const port = await stub.listen();
+
+    // The notifier reads its settings once, when first required
+    process.env.TELEGRAM_BOT_TOKEN = 'test-token';
+    process.env.TELEGRAM_CHAT_ID = CHAT_ID;
+    process.env.TELEGRAM_API_URL = `http://127.0.0.1:${port}`;
+    const logger = require('../utils/logger');
+    logger.silent = true;
+    const config = require('../utils/config');
+    const notifier = require('../utils/notifications');
+    const DerivTradingBot = require('../bot');
+
+    const bot = new DerivTradingBot({ persistData: false, symbols: ['R_10'] });
+    assert.strictEqual(bot.notifier, notifier);
+    assert.ok(notifier.enabled);
+    bot.hasStarted = true;
+    bot.isBotRunning = true;
+
+    t.after(async () => {
+        notifier.stopPolling();
+        config.unset('trading.baseStake');
+        await stub.close();
+    });
+
+    // Outbound
+    await notifier.send('<b>hello</b>');
+    assert.deepStrictEqual(stub.sent(), [{ chat_id: CHAT_ID, text: '<b>hello</b>', parse_mode: 'HTML' }]);
+
+    // A command queued while offline is skipped, not run
+    stub.message(10, CHAT_ID, '/pause');
+    await notifier.startPolling(bot.getTelegramCommands());
+    await waitFor(() => stub.polledOffsets().includes(11));
+    assert.strictEqual(stub.polledOffsets()[0], -1);
+    assert.strictEqual(bot.pauseReason, null);
+
+    // Other chats are ignored and get no reply
+    stub.message(11, '99', '/pause');
+    await waitFor(() => stub.polledOffsets().includes(12));
+    assert.strictEqual(bot.pauseReason, null);
+    assert.strictEqual(stub.sent().length, 1);
+
+    const command = async (updateId, text) => {
+        const replies = stub.sent().length;
+        stub.message(updateId, CHAT_ID, text);
+        await waitFor(() => stub.sent().length > replies);
+        return stub.sent().pop().text;
+    };
+
+    assert.strictEqual(await command(12, '/stake 2'), 'Base stake set to $2');
+    assert.strictEqual(config.baseStake, 2);
+
+    assert.strictEqual(await command(13, '/pause@TestBot'), '⏸️ Trading paused');
+    assert.strictEqual(bot.pauseReason, 'telegram');
+    assert.strictEqual(bot.isBotRunning, false);
+
+    assert.strictEqual(await command(14, '/resume'), '▶️ Trading resumed');
+    assert.strictEqual(bot.pauseReason, null);
+    assert.strictEqual(bot.isBotRunning, true);
+
+    // Every poll acknowledges the updates handled so far
+    await waitFor(() => stub.polledOffsets().includes(15));
+    const offsets = stub.polledOffsets().slice(1);
+    assert.deepStrictEqual(offsets, [...offsets].sort((a, b) => a - b));
+});
@@ -0,0 +1,74 @@
+// ============================================================================
+// PAPER TRADER - Dry-run contracts settle on the ticks that follow them
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../utils/logger');
+const PaperTrader = require('../utils/paperTrader');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+test('a contract settles on its duration-th tick of its own symbol', () => {
+    const trader = new PaperTrader(100);
+    const contract = trader.open({ contractType: 'DIGITOVER', barrier: 4, stake: 2, payout: 3.9, duration: 3, symbol: 'R_10' });
+    assert.strictEqual(trader.balance, 98);
+
+    assert.deepStrictEqual(trader.onTick({ epoch: 1, digit: 9, symbol: 'R_25' }), []);
+    assert.deepStrictEqual(trader.onTick({ epoch: 1, digit: 1, symbol: 'R_10' }), []);
+    assert.deepStrictEqual(trader.onTick({ epoch: 2, digit: 2, symbol: 'R_10' }), []);
+    const [settled] = trader.onTick({ epoch: 3, digit: 7, symbol: 'R_10' });
+
+    assert.strictEqual(settled.id, contract.id);
+    assert.strictEqual(settled.exitTick.epoch, 3);
+    assert.strictEqual(settled.won, true);
+    assert.ok(Math.abs(settled.profit - 1.9) < 1e-9);
+    assert.ok(Math.abs(trader.balance - 101.9) < 1e-9);
+    assert.strictEqual(trader.hasOpenContracts(), false);
+});
+
+test('the bot settles a dry-run trade on the tick after it was opened', async () => {
+    const bot = new DerivTradingBot({ persistData: false, notifier: null, enableTrading: false, tradeDelayMs: 0, symbols: ['R_10'] });
+    const market = bot.getMarket('R_10');
+    market.qTable = bot.getDefaultQTable();
+    market.deepQTable = bot.getDefaultDeepQTable();
+    market.metaQTable = bot.getDefaultMetaQTable();
+    bot.paperTrader.fund(100);
+    bot.balance = 100;
+    bot.isBotRunning = true;
+
+    // Buy DIGITODD at $1 on the first analysis only
+    let analyses = 0;
+    bot.analyzeAndTrade = async (target) => {
+        if (analyses++ > 0) {
+            target.isPending = false;
+            bot.scheduler.release(target.symbol);
+            return;
+        }
+        target.decision = bot.beginDecision(target);
+        await bot.executeTrade(target, 'odd', 1, { state: 'odd', probability: 0.5 });
+    };
+    bot.api.request = async request => ({
+        proposal: { id: 'p1', ask_price: request.amount, payout: 1.95, contract_type: request.contract_type },
+        echo_req: request
+    });
+
+    await bot.handleTick({ tick: { epoch: 1700000000, quote: 6000.123, symbol: 'R_10' } });
+    assert.strictEqual(bot.openContracts.size, 1);
+    assert.strictEqual(bot.balance, 99);
+
+    await bot.handleTick({ tick: { epoch: 1700000001, quote: 6000.456, symbol: 'R_10' } });
+    const exitDigit = market.lastTick.digit;
+    const won = exitDigit % 2 === 1;
+
+    assert.strictEqual(bot.openContracts.size, 0);
+    assert.strictEqual(market.currentContractId, null);
+    assert.strictEqual(bot.wins + bot.losses, 1);
+    assert.strictEqual(bot.wins, won ? 1 : 0);
+    assert.ok(Math.abs(bot.balance - (won ? 100.95 : 99)) < 1e-9);
+    assert.ok(Math.abs(market.totalProfit - (won ? 0.95 : -1)) < 1e-9);
+});
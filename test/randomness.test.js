@@ -0,0 +1,111 @@
+// ============================================================================
+// RANDOMNESS DIAGNOSTICS - p-values are uniform on fair digits, so the gate
+// stays shut on random ticks, and structured streams are rejected
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { TESTS, RandomnessDiagnostics, chiSquareP, normalTwoSidedP } = require('../utils/randomness');
+
+// mulberry32, so every run sees the same "random" digits
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const toTicks = digits => digits.map((digit, i) => ({ epoch: i, digit }));
+
+function fairDigits(random, count) {
+    return Array.from({ length: count }, () => Math.floor(random() * 10));
+}
+
+test('the distributions match their textbook critical values', () => {
+    assert.ok(Math.abs(normalTwoSidedP(1.959964) - 0.05) < 1e-5);
+    assert.ok(Math.abs(normalTwoSidedP(-2.575829) - 0.01) < 1e-5);
+    assert.ok(1 - normalTwoSidedP(0) < 1e-6);
+
+    assert.ok(Math.abs(chiSquareP(16.919, 9) - 0.05) < 1e-4);
+    assert.ok(Math.abs(chiSquareP(23.209, 10) - 0.01) < 1e-4);
+    assert.ok(Math.abs(chiSquareP(2.706, 1) - 0.1) < 1e-4);
+});
+
+test('on fair digits every test rejects at about its nominal rate', () => {
+    const random = createRandom(7);
+    const diagnostics = new RandomnessDiagnostics({ window: 500 });
+    const windows = 300;
+    const pValues = Object.fromEntries(Object.keys(TESTS).map(name => [name, []]));
+    let tradeable = 0;
+
+    for (let i = 0; i < windows; i++) {
+        const result = diagnostics.evaluate(toTicks(fairDigits(random, 500)));
+        Object.entries(result.pValues).forEach(([name, p]) => pValues[name].push(p));
+        if (result.tradeable) tradeable++;
+    }
+
+    Object.entries(pValues).forEach(([name, values]) => {
+        assert.strictEqual(values.length, windows, name);
+        const mean = values.reduce((sum, p) => sum + p, 0) / windows;
+        const below5 = values.filter(p => p < 0.05).length / windows;
+        const below50 = values.filter(p => p < 0.5).length / windows;
+
+        // Uniform p-values: mean 1/2, and the 5% and 50% quantiles where they belong
+        assert.ok(mean > 0.42 && mean < 0.58, `${name} mean p ${mean}`);
+        assert.ok(below5 < 0.1, `${name} rejects ${below5} at 0.05`);
+        assert.ok(below50 > 0.38 && below50 < 0.62, `${name} has ${below50} below 0.5`);
+    });
+
+    // Six tests at 0.01 / 6 each: the gate opens in at most ~1% of random windows
+    assert.ok(tradeable / windows <= 0.02, `gate open in ${tradeable} of ${windows} random windows`);
+});
+
+test('structured streams are rejected by the tests aimed at them', () => {
+    const random = createRandom(11);
+    const diagnostics = new RandomnessDiagnostics({ window: 500 });
+
+    // Parity that repeats 70% of the time, digits otherwise fair within the parity
+    let parity = 0;
+    const sticky = Array.from({ length: 500 }, () => {
+        if (random() > 0.7) parity = 1 - parity;
+        return parity + 2 * Math.floor(random() * 5);
+    });
+    const stickyResult = diagnostics.evaluate(toTicks(sticky));
+    ['parityRuns', 'paritySerial', 'parityLjungBox'].forEach(name => {
+        assert.ok(stickyResult.rejected.includes(name), `${name} p=${stickyResult.pValues[name]}`);
+    });
+    assert.strictEqual(stickyResult.tradeable, true);
+
+    // 7 turns up twice as often as any other digit
+    const biased = Array.from({ length: 500 }, () => (random() < 1 / 11 ? 7 : Math.floor(random() * 10)));
+    const biasedResult = diagnostics.evaluate(toTicks(biased));
+    assert.ok(biasedResult.rejected.includes('digitUniformity'), `digitUniformity p=${biasedResult.pValues.digitUniformity}`);
+
+    // A counter is uniform in its digits but perfectly predictable
+    const counter = diagnostics.evaluate(toTicks(Array.from({ length: 500 }, (_, i) => i % 10)));
+    assert.ok(counter.pValues.digitUniformity > 0.99);
+    assert.ok(counter.rejected.includes('parityRuns'));
+    assert.ok(counter.rejected.includes('digitLjungBox'));
+});
+
+test('short or degenerate windows are not tested', () => {
+    const diagnostics = new RandomnessDiagnostics({ window: 200, minSamples: 100, tests: ['parityRuns', 'paritySerial', 'digitUniformity'] });
+
+    const short = diagnostics.evaluate(toTicks(fairDigits(createRandom(3), 99)));
+    assert.deepStrictEqual(short, { samples: 99, pValues: {}, rejected: [], tradeable: false });
+
+    // All odd: the parity tests have nothing to work with, the digit test does
+    const allOdd = diagnostics.evaluate(toTicks(Array.from({ length: 300 }, (_, i) => [1, 3, 5, 7, 9][i % 5])));
+    assert.strictEqual(allOdd.samples, 200);
+    assert.strictEqual(allOdd.pValues.parityRuns, null);
+    assert.strictEqual(allOdd.pValues.paritySerial, null);
+    assert.deepStrictEqual(allOdd.rejected, ['digitUniformity']);
+
+    assert.strictEqual(diagnostics.threshold, 0.01 / 3);
+    assert.strictEqual(new RandomnessDiagnostics({ correction: 'none', significance: 0.05 }).threshold, 0.05);
+    assert.throws(() => new RandomnessDiagnostics({ tests: ['parityRuns', 'spectral'] }), /Unknown randomness test\(s\): spectral/);
+});
@@ -0,0 +1,104 @@
+// ============================================================================
+// RECONNECT - Attempts that never open time out into the backoff, and the
+// reconnected bot fills the ticks it missed
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const MockDerivServer = require('../utils/mockServer');
+const { InProcessTransport } = require('../utils/transport');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(predicate, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the bot');
+        await sleep(5);
+    }
+}
+
+// connect() does nothing for the next `stalls` attempts: no open, close or error
+class StallingTransport extends InProcessTransport {
+    constructor(server) {
+        super(server);
+        this.stalls = 0;
+        this.attempts = 0;
+    }
+
+    connect() {
+        this.attempts++;
+        if (this.stalls > 0) {
+            this.stalls--;
+            this.teardown();
+            return;
+        }
+        super.connect();
+    }
+}
+
+test('stalled attempts back off and retry until one opens, then the gap is filled', async (t) => {
+    const settings = {
+        'reconnect.intervalMs': 20,
+        'reconnect.maxIntervalMs': 40,
+        'reconnect.connectTimeoutMs': 50,
+        'reconnect.maxAttempts': 10
+    };
+    Object.entries(settings).forEach(([path, value]) => config.set(path, value));
+
+    const server = new MockDerivServer({ symbols: ['R_10'], historySize: 100, tickIntervalMs: 60000, balance: 500 });
+    const transport = new StallingTransport(server);
+    const bot = new DerivTradingBot({ transport, persistData: false, notifier: null, symbols: ['R_10'] });
+    const market = bot.getMarket('R_10');
+    const delays = [];
+    const getReconnectDelay = bot.getReconnectDelay.bind(bot);
+    bot.getReconnectDelay = attempt => {
+        const delay = getReconnectDelay(attempt);
+        delays.push({ attempt, delay });
+        return delay;
+    };
+
+    t.after(async () => {
+        Object.keys(settings).forEach(path => config.unset(path));
+        clearTimeout(bot.reconnectTimer);
+        bot.connectionMonitor.stop();
+        transport.removeAllListeners();
+        transport.teardown();
+        await server.close();
+    });
+
+    await bot.connect();
+    await waitFor(() => bot.isConnected && market.historyLoaded);
+    server.emitTicks();
+    await waitFor(() => market.tickHistory.length === 101);
+
+    // The watchdog gives up on the connection; the next two attempts hang
+    transport.stalls = 2;
+    bot.forceReconnect('test');
+    assert.strictEqual(bot.isConnected, false);
+
+    // Ticks the bot cannot see while it is away
+    for (let i = 0; i < 5; i++) server.emitTicks();
+
+    await waitFor(() => bot.isConnected);
+    assert.strictEqual(transport.attempts, 4);
+    assert.deepStrictEqual(delays.map(d => d.attempt), [1, 2, 3]);
+    delays.forEach(({ attempt, delay }) => {
+        const ceiling = Math.min(40, 20 * Math.pow(2, attempt - 1));
+        assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}ms`);
+    });
+    assert.strictEqual(bot.reconnectAttempts, 0);
+
+    // The missed ticks are appended, none skipped or repeated
+    await waitFor(() => market.tickHistory.length === 106);
+    const epochs = market.tickHistory.map(tick => tick.epoch);
+    epochs.slice(1).forEach((epoch, i) => assert.strictEqual(epoch, epochs[i] + 1));
+});
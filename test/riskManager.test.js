@@ -0,0 +1,72 @@
+// ============================================================================
+// RISK MANAGER - Day rolls reset the daily counters but not the drawdown
+// peak; only bought contracts count toward the hourly limit
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../utils/logger');
+const RiskManager = require('../utils/riskManager');
+const { DerivApiError } = require('../utils/derivApi');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = Date.UTC(2024, 0, 1, 12);
+
+test('drawdown is measured from the all-time peak across day rolls', () => {
+    const risk = new RiskManager({ maxDrawdownPct: 0.2, dailyMaxLoss: 200 });
+    risk.restore(null, start);
+    risk.observeBalance(1000);
+
+    assert.strictEqual(risk.recordResult(-150, 850, start), null);
+    assert.strictEqual(risk.dailyProfit, -150);
+
+    // Next day: the daily loss starts over, the peak does not
+    assert.strictEqual(risk.recordResult(-10, 840, start + DAY_MS), null);
+    assert.strictEqual(risk.dailyProfit, -10);
+    assert.strictEqual(risk.peakBalance, 1000);
+
+    const trip = risk.recordResult(-50, 790, start + DAY_MS);
+    assert.strictEqual(trip.rule, 'maxDrawdownPct');
+});
+
+test('the peak survives a restart on a later day', () => {
+    const risk = new RiskManager({ maxDrawdownPct: 0.2 });
+    risk.restore(null, start);
+    risk.observeBalance(1000);
+    risk.recordResult(-100, 900, start);
+
+    const restored = new RiskManager({ maxDrawdownPct: 0.2 });
+    restored.restore(JSON.parse(JSON.stringify(risk)), start + 2 * DAY_MS);
+    assert.strictEqual(restored.day, '2024-01-03');
+    assert.strictEqual(restored.dailyProfit, 0);
+    assert.strictEqual(restored.peakBalance, 1000);
+    assert.strictEqual(restored.recordResult(-110, 790, start + 2 * DAY_MS).rule, 'maxDrawdownPct');
+});
+
+test('a trade counts toward the hourly limit once its contract exists', async () => {
+    const bot = new DerivTradingBot({ persistData: false, notifier: null, enableTrading: false, symbols: ['R_10'] });
+    const market = bot.getMarket('R_10');
+
+    bot.api.request = async () => {
+        throw new DerivApiError('Proposal refused', { code: 'ContractBuyValidationError', msgType: 'proposal' });
+    };
+    market.isPending = true;
+    await bot.executeTrade(market, 'odd', 1, { confidence: 0.6 });
+    assert.strictEqual(bot.riskManager.recentTrades.length, 0);
+    assert.strictEqual(market.isPending, false);
+
+    bot.api.request = async request => ({
+        proposal: { id: 'p1', ask_price: request.amount, payout: 1.95, contract_type: request.contract_type },
+        echo_req: request
+    });
+    market.isPending = true;
+    await bot.executeTrade(market, 'odd', 1, { confidence: 0.6 });
+    assert.strictEqual(bot.riskManager.recentTrades.length, 1);
+    assert.strictEqual(bot.openContracts.size, 1);
+});
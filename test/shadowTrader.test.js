@@ -0,0 +1,94 @@
+// ============================================================================
+// SHADOW TRADER - Virtual contracts settle on the real ticks, and a shadow
+// that beats the champion over the window is promoted
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../utils/logger');
+const ShadowTrader = require('../utils/shadowTrader');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+const tick = (epoch, digit, symbol = 'R_10') => ({ epoch, digit, quote: 100 + digit / 100, symbol });
+
+test('a shadow contract settles on its own symbol in stake units', () => {
+    const trader = new ShadowTrader({ variants: [{ name: 'markovHeavy', weights: { markov: 2 } }] });
+    const shadow = trader.getShadow('markovHeavy');
+
+    trader.open(shadow, { symbol: 'R_10', prediction: 'odd', payoutRatio: 0.9, duration: 2 });
+    assert.strictEqual(trader.hasOpenContract(shadow, 'R_10'), true);
+    assert.strictEqual(trader.hasOpenContract(shadow, 'R_25'), false);
+
+    assert.deepStrictEqual(trader.onTick(tick(1, 2, 'R_25')), []);
+    assert.deepStrictEqual(trader.onTick(tick(1, 2)), []);
+    const [settled] = trader.onTick(tick(2, 5));
+    assert.strictEqual(settled.won, true);
+    assert.strictEqual(shadow.trades, 1);
+    assert.ok(Math.abs(shadow.units - 0.9) < 1e-9);
+
+    trader.open(shadow, { symbol: 'R_10', prediction: 'even', payoutRatio: 0.9, duration: 1 });
+    trader.onTick(tick(3, 7));
+    assert.strictEqual(shadow.trades, 2);
+    assert.strictEqual(shadow.wins, 1);
+    assert.ok(Math.abs(shadow.units + 0.1) < 1e-9);
+
+    // The champion's real trades are normalised by their stake
+    trader.recordChampion(true, 1.9, 2);
+    trader.recordChampion(false, -4, 4);
+    assert.ok(Math.abs(trader.champion.units + 0.05) < 1e-9);
+});
+
+test('promotion is proposed only once both have a full window and the edge holds', () => {
+    const trader = new ShadowTrader({ autoPromote: true, promoteAfterTrades: 3, minEdge: 0.02, variants: [{ name: 'challenger' }] });
+    const shadow = trader.getShadow('challenger');
+    const events = [];
+    trader.on('promote', event => events.push(event));
+
+    const win = () => {
+        trader.open(shadow, { symbol: 'R_10', prediction: 'odd', payoutRatio: 0.95, duration: 1 });
+        trader.onTick(tick(0, 1));
+    };
+
+    // A full shadow window means nothing while the champion's is not full
+    win(); win(); win();
+    assert.strictEqual(events.length, 0);
+
+    [true, false, false].forEach(won => trader.recordChampion(won, won ? 0.95 : -1, 1));
+    win();
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].shadow.name, 'challenger');
+    assert.ok(Math.abs(events[0].shadow.recentUnitsPerTrade - 0.95) < 1e-9);
+    assert.ok(Math.abs(events[0].champion.recentUnitsPerTrade - (0.95 - 2) / 3) < 1e-9);
+
+    // Not ahead by minEdge: no event
+    const close = new ShadowTrader({ autoPromote: true, promoteAfterTrades: 2, minEdge: 0.5, variants: [{ name: 'challenger' }] });
+    close.on('promote', event => events.push(event));
+    close.recordChampion(true, 0.95, 1);
+    close.recordChampion(false, -1, 1);
+    close.record(close.getShadow('challenger'), true, 0.95);
+    close.record(close.getShadow('challenger'), false, -1);
+    close.checkPromotion(close.getShadow('challenger'));
+    assert.strictEqual(events.length, 1);
+});
+
+test('a promoted shadow drives the bot and the old champion keeps running as a shadow', () => {
+    const bot = new DerivTradingBot({ persistData: false, notifier: null, symbols: ['R_10'] });
+    const variant = { name: 'challenger', weights: { markov: 2 }, confidenceThreshold: 0.6 };
+    bot.shadowTrader = new ShadowTrader({ championName: bot.championVariant.name, variants: [variant, { name: 'other' }] });
+    const challenger = bot.shadowTrader.getShadow('challenger');
+    bot.shadowTrader.open(challenger, { symbol: 'R_10', prediction: 'odd', payoutRatio: 0.95, duration: 5 });
+
+    const previous = bot.championVariant.name;
+    assert.deepStrictEqual(bot.promoteShadow('challenger'), { champion: 'challenger', demoted: previous });
+
+    assert.deepStrictEqual(bot.championVariant, variant);
+    assert.strictEqual(bot.shadowTrader.champion.name, 'challenger');
+    assert.deepStrictEqual(bot.shadowTrader.shadows.map(shadow => shadow.name), [previous, 'other']);
+    assert.strictEqual(bot.shadowTrader.simulator.openContracts.length, 0);
+    assert.throws(() => bot.promoteShadow('missing'), /Unknown shadow/);
+});
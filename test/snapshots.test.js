@@ -0,0 +1,69 @@
+// ============================================================================
+// SNAPSHOTS - Id validation in the JSON driver and restore ordering
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const storage = require('../utils/storage');
+const JsonStorageDriver = require('../utils/jsonStorageDriver');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('the JSON driver rejects ids that are not snapshot ids', async (t) => {
+    const dir = tempDir(t);
+    const driver = new JsonStorageDriver({ dataDir: path.join(dir, 'data') });
+    await driver.init();
+    fs.writeFileSync(path.join(dir, 'secret.json'), '{"token":"x"}');
+
+    const id = await driver.saveSnapshot({ createdAt: 1700000000000, data: {} });
+    assert.strictEqual(id, '1700000000000');
+    assert.strictEqual(await driver.saveSnapshot({ createdAt: 1700000000000, data: {} }), '1700000000000-2');
+    assert.strictEqual((await driver.loadSnapshot('1700000000000-2')).id, '1700000000000-2');
+    assert.strictEqual(await driver.loadSnapshot('42'), null);
+
+    for (const bad of ['../../secret', '../secret', '1700000000000/../x', '', 'abc', '1-2-3']) {
+        await assert.rejects(driver.loadSnapshot(bad), { statusCode: 400 });
+        await assert.rejects(driver.deleteSnapshot(bad), { statusCode: 400 });
+    }
+    assert.ok(fs.existsSync(path.join(dir, 'secret.json')));
+    assert.strictEqual(await driver.deleteSnapshot(id), true);
+});
+
+test('a snapshot that cannot be restored leaves no pre-restore snapshot', async (t) => {
+    const dir = tempDir(t);
+    storage.driver = new JsonStorageDriver({ dataDir: dir });
+    await storage.driver.init();
+
+    const bot = new DerivTradingBot({ persistData: false, notifier: null, symbols: ['R_10'] });
+    const market = bot.getMarket('R_10');
+    market.qTable = bot.getDefaultQTable();
+    market.deepQTable = bot.getDefaultDeepQTable();
+    market.metaQTable = bot.getDefaultMetaQTable();
+
+    const broken = await storage.saveSnapshot({ createdAt: 1, data: { markets: { R_10: {} } } });
+    const newer = await storage.saveSnapshot({ createdAt: 2, schemaVersion: storage.schemaVersion + 1, data: bot.captureLearnedState() });
+    for (const id of [broken, newer, '../snapshots/1']) {
+        await assert.rejects(bot.restoreSnapshot(id), { statusCode: 400 });
+    }
+    await assert.rejects(bot.restoreSnapshot('3'), { statusCode: 404 });
+    assert.strictEqual((await storage.listSnapshots()).length, 2);
+
+    const good = await bot.takeSnapshot('good');
+    const { restored, backup } = await bot.restoreSnapshot(good);
+    assert.strictEqual(restored, good);
+    assert.strictEqual((await storage.loadSnapshot(backup)).reason, 'pre-restore');
+});
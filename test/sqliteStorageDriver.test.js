@@ -0,0 +1,98 @@
+// ============================================================================
+// SQLITE STORAGE DRIVER - Keys, trade history, ticks and snapshots survive a
+// reopen; winRateBy and modelAccuracy group the recorded trades
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SqliteStorageDriver = require('../utils/sqliteStorageDriver');
+
+async function openDriver(file) {
+    const driver = new SqliteStorageDriver({ file });
+    await driver.init();
+    return driver;
+}
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-driver-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'bot.db');
+}
+
+// Monday 2024-01-01, 09:00 and 14:00 UTC
+const MONDAY_9 = Date.UTC(2024, 0, 1, 9);
+const MONDAY_14 = Date.UTC(2024, 0, 1, 14);
+const TUESDAY_9 = Date.UTC(2024, 0, 2, 9);
+
+test('keys, ticks and snapshots round-trip through a reopen', async (t) => {
+    const file = tempFile(t);
+    let driver = await openDriver(file);
+
+    await driver.write('stats', { schemaVersion: 4, savedAt: '2024-01-01T00:00:00.000Z', data: { wins: 3, nested: [1, { a: null }] } });
+    await driver.write('qtables-R_10', { schemaVersion: 4, savedAt: '2024-01-01T00:00:00.000Z', data: {} });
+    await driver.write('stats', { schemaVersion: 4, savedAt: '2024-01-01T00:00:01.000Z', data: { wins: 4, nested: [1, { a: null }] } });
+    driver.recordTicks([
+        { symbol: 'R_10', epoch: 100, quote: 6000.123, digit: 3 },
+        { symbol: 'R_10', epoch: 101, quote: 6000.5, digit: 0, valid: false },
+        { symbol: 'R_10', epoch: 100, quote: 1, digit: 1 },
+        { symbol: 'R_25', epoch: 100, quote: 50, digit: 0 }
+    ]);
+    const snapshotId = await driver.saveSnapshot({ createdAt: 5, label: 'before', schemaVersion: 4, trades: 12, data: { markets: {} } });
+    await driver.close();
+
+    driver = await openDriver(file);
+    t.after(() => driver.close());
+    assert.deepStrictEqual(await driver.read('stats'), { schemaVersion: 4, data: { wins: 4, nested: [1, { a: null }] } });
+    assert.deepStrictEqual(await driver.keys(), ['qtables-R_10', 'stats']);
+    await driver.remove('qtables-R_10');
+    assert.strictEqual(await driver.read('qtables-R_10'), null);
+
+    assert.deepStrictEqual(driver.getTicks({ symbol: 'R_10' }), [{ epoch: 100, quote: 6000.123, digit: 3, symbol: 'R_10' }]);
+    assert.strictEqual(driver.getTicks({ symbol: 'R_10', validOnly: false }).length, 2);
+
+    const snapshot = await driver.loadSnapshot(snapshotId);
+    assert.deepStrictEqual(snapshot, { trades: 12, id: snapshotId, createdAt: 5, label: 'before', reason: null, schemaVersion: 4, data: { markets: {} } });
+    assert.strictEqual(await driver.deleteSnapshot(snapshotId), true);
+    assert.deepStrictEqual(await driver.listSnapshots(), []);
+});
+
+test('winRateBy and modelAccuracy group the recorded trades', async (t) => {
+    const driver = await openDriver(tempFile(t));
+    t.after(() => driver.close());
+
+    const sessionId = driver.startSession({ startedAt: MONDAY_9, symbols: ['R_10', 'R_25'], trading: true });
+    const trades = [
+        { symbol: 'R_10', contractType: 'DIGITODD', settledAt: MONDAY_9, won: true, profit: 0.95 },
+        { symbol: 'R_10', contractType: 'DIGITODD', settledAt: MONDAY_9 + 60000, won: false, profit: -1 },
+        { symbol: 'R_10', contractType: 'DIGITEVEN', settledAt: MONDAY_14, won: true, profit: 0.95 },
+        { symbol: 'R_25', contractType: 'DIGITODD', settledAt: TUESDAY_9, won: false, profit: -2 }
+    ];
+    trades.forEach((trade, i) => {
+        driver.recordTrade({ ...trade, sessionId, stake: 1, contractId: 100 + i }, [
+            { model: 'markov', prediction: 'odd', correct: trade.won },
+            { model: 'streak', prediction: 'even', correct: i === 0 ? null : !trade.won }
+        ]);
+    });
+    driver.endSession(sessionId, { endedAt: TUESDAY_9, reason: 'test' });
+
+    assert.deepStrictEqual(driver.winRateBy('symbol'), [
+        { bucket: 'R_10', trades: 3, wins: 2, winRate: 0.6667, profit: 0.9 },
+        { bucket: 'R_25', trades: 1, wins: 0, winRate: 0, profit: -2 }
+    ]);
+    assert.deepStrictEqual(driver.winRateBy('hour').map(row => [row.bucket, row.trades, row.wins]), [[9, 3, 1], [14, 1, 1]]);
+    assert.deepStrictEqual(driver.winRateBy('weekday').map(row => [row.bucket, row.trades]), [[1, 3], [2, 1]]);
+    assert.deepStrictEqual(driver.winRateBy('contractType', { symbol: 'R_10' }).map(row => [row.bucket, row.trades]), [['DIGITEVEN', 1], ['DIGITODD', 2]]);
+    assert.deepStrictEqual(driver.winRateBy('day', { from: '2024-01-02' }).map(row => [row.bucket, row.trades]), [['2024-01-02', 1]]);
+    assert.throws(() => driver.winRateBy('symbol; DROP TABLE trades'), /Unknown dimension/);
+
+    assert.deepStrictEqual(driver.modelAccuracy(), [
+        { model: 'streak', predictions: 3, correct: 2, accuracy: 0.6667 },
+        { model: 'markov', predictions: 4, correct: 2, accuracy: 0.5 }
+    ]);
+
+    const session = driver.db.prepare('SELECT trades, wins, profit, end_reason FROM sessions WHERE id = ?').get(sessionId);
+    assert.deepStrictEqual({ ...session, profit: Math.round(session.profit * 100) / 100 }, { trades: 4, wins: 2, profit: -1.1, end_reason: 'test' });
+});
@@ -0,0 +1,76 @@
+// ============================================================================
+// STAKING - Progression state survives a save and restore; Kelly sizing
+// skips rather than over-bets
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../utils/logger');
+const { StakeSizer } = require('../utils/staking');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+test('a restored sizer continues the progression', () => {
+    const sizer = new StakeSizer({ strategy: 'martingale' });
+    sizer.recordResult(false);
+    sizer.recordResult(false);
+    assert.strictEqual(sizer.size({ baseStake: 1 }), 4);
+
+    const restored = new StakeSizer({ strategy: 'martingale' });
+    restored.restore(JSON.parse(JSON.stringify(sizer)));
+    assert.deepStrictEqual(restored.state, sizer.state);
+    assert.strictEqual(restored.size({ baseStake: 1 }), 4);
+
+    // Fibonacci and d'Alembert read the same saved progression
+    const fibonacci = new StakeSizer({ strategy: 'fibonacci' });
+    fibonacci.restore(sizer.toJSON());
+    assert.strictEqual(fibonacci.size({ baseStake: 1 }), 2);
+    const dalembert = new StakeSizer({ strategy: 'dalembert' });
+    dalembert.restore(sizer.toJSON());
+    assert.strictEqual(dalembert.size({ baseStake: 1 }), 3);
+});
+
+test('missing or malformed state leaves the sizer at base', () => {
+    const sizer = new StakeSizer({ strategy: 'martingale' });
+    sizer.restore(null);
+    sizer.restore({ state: { consecutiveLosses: -3, fibonacciIndex: 'x' } });
+    assert.strictEqual(sizer.size({ baseStake: 1 }), 1);
+});
+
+test('a Kelly stake below the minimum is skipped, not raised to it', () => {
+    const sizer = new StakeSizer({ strategy: 'kelly', kellyFraction: 0.25, minStake: 0.35 });
+    assert.strictEqual(sizer.size({ baseStake: 1, balance: 50, probability: 0.52, payoutRatio: 0.95 }), 0);
+    assert.strictEqual(sizer.size({ baseStake: 1, balance: 1000, probability: 0.52, payoutRatio: 0.95 }), 3.68);
+
+    // Other strategies still trade the minimum
+    const flat = new StakeSizer({ strategy: 'flat', minStake: 0.35 });
+    assert.strictEqual(flat.size({ baseStake: 0.1 }), 0.35);
+});
+
+test('a quote paying less than the Kelly stake was sized for is not bought', async () => {
+    const bot = new DerivTradingBot({ persistData: false, notifier: null, enableTrading: false, symbols: ['R_10'] });
+    bot.stakeSizer = new StakeSizer({ strategy: 'kelly' });
+    const market = bot.getMarket('R_10');
+    const quote = payout => ({
+        proposal: { id: 'p1', ask_price: 2, payout, contract_type: 'DIGITODD' },
+        echo_req: { contract_type: 'DIGITODD' }
+    });
+
+    market.isPending = true;
+    market.currentTrade = { contractType: 'DIGITODD', stake: 2, payoutRatio: 0.95 };
+    assert.strictEqual(await bot.handleProposal(market, quote(3.7)), false);
+    assert.strictEqual(market.isPending, false);
+    assert.strictEqual(market.currentTrade, null);
+    assert.strictEqual(bot.openContracts.size, 0);
+    // The next signal is sized from the new quote
+    assert.ok(Math.abs(bot.contractSelector.payouts.ratio('DIGITODD') - 0.85) < 1e-9);
+
+    market.isPending = true;
+    market.currentTrade = { contractType: 'DIGITODD', stake: 2, payoutRatio: 0.85 };
+    assert.strictEqual(await bot.handleProposal(market, quote(3.7)), true);
+    assert.strictEqual(bot.openContracts.size, 1);
+});
@@ -0,0 +1,120 @@
+// ============================================================================
+// TICK RECORDER - Daily files written plain, compressed on day roll, and
+// read back through the damage a crash can leave
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const logger = require('../utils/logger');
+const TickRecorder = require('../utils/tickRecorder');
+const Backtester = require('../utils/backtester');
+
+logger.silent = true;
+
+const DAY = 86400;
+const start = Date.UTC(2024, 4, 1) / 1000;
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticks-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function tick(epoch, quote = 100 + (epoch % 1000) / 100) {
+    return { epoch, quote, digit: Math.floor(quote * 100) % 10, symbol: 'R_10' };
+}
+
+function line(epoch) {
+    return JSON.stringify({ ...tick(epoch), valid: true });
+}
+
+test('a day is written plain and compressed once the next day starts', async (t) => {
+    const dir = tempDir(t);
+    const recorder = new TickRecorder({ dir, maxBuffered: 1000 });
+
+    recorder.record(tick(start + 10), true);
+    recorder.record(tick(start + 11), false);
+    await recorder.flush();
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'R_10')), ['2024-05-01.jsonl']);
+
+    recorder.record(tick(start + DAY + 5), true);
+    await recorder.flush();
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'R_10')).sort(), ['2024-05-01.jsonl.gz', '2024-05-02.jsonl']);
+
+    const ticks = await TickRecorder.readAll({ symbol: 'R_10', dir });
+    assert.deepStrictEqual(ticks.map(t => [t.epoch, t.valid]), [[start + 10, true], [start + 11, false], [start + DAY + 5, true]]);
+    assert.deepStrictEqual(TickRecorder.listDays('R_10', dir), ['2024-05-01', '2024-05-02']);
+    assert.strictEqual((await TickRecorder.readAll({ symbol: 'R_10', dir, validOnly: true })).length, 2);
+    assert.strictEqual((await TickRecorder.readAll({ symbol: 'R_10', dir, from: '2024-05-02' })).length, 1);
+
+    // A gap filled after midnight lands beside the compressed file and is
+    // folded into it on the next roll
+    recorder.record(tick(start + 12), true);
+    recorder.record(tick(start + 2 * DAY), true);
+    await recorder.flush();
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'R_10')).sort(), ['2024-05-01.jsonl.gz', '2024-05-02.jsonl.gz', '2024-05-03.jsonl']);
+    const gzLines = zlib.gunzipSync(fs.readFileSync(path.join(dir, 'R_10', '2024-05-01.jsonl.gz'))).toString().trim().split('\n');
+    assert.strictEqual(gzLines.length, 3);
+});
+
+test('uncompressed days from an earlier run are compressed on start', async (t) => {
+    const dir = tempDir(t);
+    fs.mkdirSync(path.join(dir, 'R_10'));
+    fs.writeFileSync(path.join(dir, 'R_10', '2024-05-01.jsonl'), line(start) + '\n');
+
+    const recorder = new TickRecorder({ dir });
+    recorder.start((start + DAY) * 1000);
+    await recorder.close();
+    assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'R_10')), ['2024-05-01.jsonl.gz']);
+});
+
+test('a crash mid-write costs only the damaged part', async (t) => {
+    const dir = tempDir(t);
+    const symbolDir = path.join(dir, 'R_10');
+    fs.mkdirSync(symbolDir);
+
+    // Files from the older layout: one gzip member per flush, the last one cut short
+    const complete = zlib.gzipSync([line(start), line(start + 1)].join('\n') + '\n');
+    const member = zlib.gzipSync([line(start + 2), line(start + 3)].join('\n') + '\n');
+    fs.writeFileSync(path.join(symbolDir, '2024-05-01.jsonl.gz'), Buffer.concat([complete, member.subarray(0, member.length - 12)]));
+
+    // A plain day whose last line was cut short before the restarted bot appended more
+    const halfLine = line(start + DAY).slice(0, 20);
+    fs.writeFileSync(path.join(symbolDir, '2024-05-02.jsonl'), halfLine + line(start + DAY + 1) + '\n' + line(start + DAY + 2) + '\n');
+
+    const epochs = (await TickRecorder.readAll({ symbol: 'R_10', dir })).map(t => t.epoch);
+    assert.ok(epochs.includes(start) && epochs.includes(start + 1), 'the complete member is read');
+    assert.deepStrictEqual(epochs.filter(epoch => epoch >= start + DAY), [start + DAY + 2]);
+});
+
+test('ticks both compressed and still plain after a crash are read once', async (t) => {
+    const dir = tempDir(t);
+    const symbolDir = path.join(dir, 'R_10');
+    fs.mkdirSync(symbolDir);
+
+    const text = [line(start), line(start + 1)].join('\n') + '\n';
+    fs.writeFileSync(path.join(symbolDir, '2024-05-01.jsonl.gz'), zlib.gzipSync(text));
+    fs.writeFileSync(path.join(symbolDir, '2024-05-01.jsonl'), text + line(start + 2) + '\n');
+
+    const epochs = (await TickRecorder.readAll({ symbol: 'R_10', dir })).map(t => t.epoch);
+    assert.deepStrictEqual(epochs, [start, start + 1, start + 2]);
+});
+
+test('a backtest replays flagged ticks as well', async (t) => {
+    const dir = tempDir(t);
+    const recorder = new TickRecorder({ dir });
+    recorder.record(tick(start), true);
+    recorder.record(tick(start + 1), false);
+    recorder.record(tick(start + 2), true);
+    await recorder.close();
+
+    const ticks = await Backtester.loadRecordedTicks({ symbol: 'R_10', from: '2024-05-01', to: '2024-05-01', dir });
+    assert.deepStrictEqual(ticks.map(t => t.epoch), [start, start + 1, start + 2]);
+});
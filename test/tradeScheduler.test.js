@@ -0,0 +1,75 @@
+// ============================================================================
+// TRADE SCHEDULER - Slot limits, fairness between ready symbols, and a
+// failed analysis giving its slot back
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../utils/logger');
+const TradeScheduler = require('../utils/tradeScheduler');
+const DerivTradingBot = require('../bot');
+
+logger.silent = true;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('no more than maxOpen symbols hold a slot, one slot each', () => {
+    const scheduler = new TradeScheduler({ maxOpen: 2, fairnessWindowMs: 0 });
+
+    assert.strictEqual(scheduler.requestSlot('R_10', 1000), true);
+    assert.strictEqual(scheduler.requestSlot('R_10', 1001), false);
+    assert.strictEqual(scheduler.requestSlot('R_25', 1002), true);
+    assert.strictEqual(scheduler.requestSlot('R_50', 1003), false);
+    assert.strictEqual(scheduler.openCount, 2);
+
+    scheduler.release('R_10');
+    assert.strictEqual(scheduler.isActive('R_10'), false);
+    assert.strictEqual(scheduler.requestSlot('R_50', 1004), true);
+    assert.strictEqual(scheduler.requestSlot('R_10', 1005), false);
+
+    scheduler.reset();
+    assert.strictEqual(scheduler.openCount, 0);
+});
+
+test('a freed slot goes to the ready symbol that traded least recently', () => {
+    const scheduler = new TradeScheduler({ maxOpen: 1, fairnessWindowMs: 10000 });
+
+    assert.strictEqual(scheduler.requestSlot('R_10', 1000), true);
+    // R_25 asks while the slot is taken and has never traded
+    assert.strictEqual(scheduler.requestSlot('R_25', 2000), false);
+    scheduler.release('R_10');
+
+    assert.strictEqual(scheduler.requestSlot('R_10', 3000), false);
+    assert.strictEqual(scheduler.requestSlot('R_25', 3500), true);
+    scheduler.release('R_25');
+
+    // A symbol not seen ready within the window does not hold the slot back
+    assert.strictEqual(scheduler.requestSlot('R_25', 20000), true);
+});
+
+for (const tradeDelayMs of [0, 5]) {
+    test(`an analysis that throws frees the market and its slot (delay ${tradeDelayMs}ms)`, async () => {
+        const bot = new DerivTradingBot({ persistData: false, notifier: null, tradeDelayMs, symbols: ['R_10'] });
+        const market = bot.getMarket('R_10');
+        bot.isBotRunning = true;
+
+        let analyses = 0;
+        bot.analyzeAndTrade = async (target) => {
+            analyses++;
+            target.decision = bot.beginDecision(target);
+            throw new TypeError('model blew up');
+        };
+
+        for (let i = 0; i < 3; i++) {
+            await bot.handleTick({ tick: { epoch: 1700000000 + i, quote: 100 + i / 100, symbol: 'R_10' } });
+            await sleep(tradeDelayMs * 2);
+        }
+
+        assert.strictEqual(analyses, 3);
+        assert.strictEqual(market.isPending, false);
+        assert.strictEqual(bot.scheduler.openCount, 0);
+    });
+}
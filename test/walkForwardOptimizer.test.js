@@ -0,0 +1,96 @@
+// ============================================================================
+// WALK-FORWARD OPTIMIZER - Fold boundaries, and the search never seeing the
+// ticks its winner is tested on
+// ============================================================================
+
+process.env.DERIV_APP_ID = process.env.DERIV_APP_ID || '1';
+process.env.DERIV_TOKEN = process.env.DERIV_TOKEN || 'test-token';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const logger = require('../utils/logger');
+const WalkForwardOptimizer = require('../utils/walkForwardOptimizer');
+
+logger.silent = true;
+
+function ticks(count) {
+    return Array.from({ length: count }, (_, i) => ({ epoch: 1700000000 + i, quote: 100 + (i % 97) / 100 }));
+}
+
+const epochs = window => window.map(tick => tick.epoch);
+
+test('test windows follow their training windows and tile the tail of the ticks', () => {
+    const optimizer = new WalkForwardOptimizer({ ticks: ticks(1100), folds: 4, trainRatio: 3, warmupTicks: 50, seed: 1 });
+    const folds = optimizer.buildFolds();
+    const testLength = Math.floor(1100 / 7);
+
+    assert.strictEqual(folds.length, 4);
+    folds.forEach((fold, i) => {
+        assert.strictEqual(fold.index, i + 1);
+        assert.strictEqual(fold.train.length, testLength * 3);
+        assert.strictEqual(fold.train[0].epoch, 1700000000 + i * testLength);
+        assert.strictEqual(fold.test.length, testLength + 50);
+
+        // The warm-up is the tail of the training window; the traded part starts right after it
+        assert.deepStrictEqual(epochs(fold.test.slice(0, 50)), epochs(fold.train.slice(-50)));
+        assert.strictEqual(fold.test[50].epoch, fold.train[fold.train.length - 1].epoch + 1);
+        assert.strictEqual(optimizer.describeWindow(fold.test, 50).ticks, testLength);
+
+        if (i > 0) {
+            const previous = folds[i - 1].test;
+            assert.strictEqual(fold.test[50].epoch, previous[previous.length - 1].epoch + 1);
+        }
+    });
+    const lastTest = folds[3].test;
+    assert.ok(lastTest[lastTest.length - 1].epoch <= 1700000000 + 1099);
+});
+
+test('too few ticks for the warm-up in each test window is an error', () => {
+    const optimizer = new WalkForwardOptimizer({ ticks: ticks(700), folds: 4, trainRatio: 3, warmupTicks: 100, seed: 1 });
+    assert.throws(() => optimizer.buildFolds(), /700 ticks give 4 test windows of 100 ticks/);
+});
+
+test('each fold searches on its training ticks and scores the winner out of sample', async () => {
+    const optimizer = new WalkForwardOptimizer({
+        ticks: ticks(1100),
+        folds: 3,
+        trainRatio: 3,
+        warmupTicks: 50,
+        method: 'random',
+        iterations: 4,
+        minTrades: 0,
+        seed: 42
+    });
+
+    const calls = [];
+    optimizer.backtest = async (params, window) => {
+        calls.push({ params, first: window[0].epoch, last: window[window.length - 1].epoch, length: window.length });
+        const profit = Object.values(params).reduce((sum, value) => sum + value, 0);
+        return { trades: 10, wins: 5, winRate: 0.5, totalProfit: profit, profitPerTrade: profit / 10, maxDrawdown: 0, score: profit };
+    };
+
+    const report = await optimizer.run();
+    const folds = optimizer.buildFolds();
+
+    assert.strictEqual(report.folds.length, 3);
+    report.folds.forEach((result, i) => {
+        const fold = folds[i];
+        const trainFirst = fold.train[0].epoch;
+        const trainLast = fold.train[fold.train.length - 1].epoch;
+        const tested = fold.test[50].epoch;
+        const foldCalls = calls.slice(i * 6, (i + 1) * 6);
+
+        // Four candidates on the training window, then the winner and the current settings on the test window
+        foldCalls.slice(0, 4).forEach(call => {
+            assert.deepStrictEqual([call.first, call.last], [trainFirst, trainLast]);
+            assert.ok(call.last < tested);
+        });
+        foldCalls.slice(4).forEach(call => {
+            assert.deepStrictEqual([call.first, call.length], [fold.test[0].epoch, fold.test.length]);
+        });
+        assert.deepStrictEqual(foldCalls[4].params, result.params);
+        assert.deepStrictEqual(foldCalls[5].params, report.current);
+        assert.strictEqual(result.test.from, new Date(tested * 1000).toISOString());
+    });
+    assert.deepStrictEqual(report.best, report.folds[2].params);
+});
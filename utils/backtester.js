@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('./config');
+const storage = require('./storage');
+const ContractSimulator = require('./contractSimulator');
+const { estimatePayoutRatio } = require('./contractFamilies');
+const TickRecorder = require('./tickRecorder');
+const DerivTradingBot = require('../bot');
+
+// ============================================================================
+// BACKTESTER - Replays recorded ticks through the live trading pipeline
+// ============================================================================
+
+class Backtester {
+    constructor(options = {}) {
+        this.ticks = options.ticks || [];
+        this.symbol = options.symbol || config.symbol;
+        this.payoutRatio = options.payoutRatio || config.get('backtest.payoutRatio', 0.95);
+        this.warmupTicks = options.warmupTicks || config.get('backtest.warmupTicks', 100);
+        this.initialBalance = options.initialBalance || config.get('backtest.initialBalance', 1000);
+        this.loadState = options.loadState || false;
+        // Learned state from a snapshot, applied on top of the starting tables
+        this.learnedState = options.learnedState || null;
+
+        this.simulator = new ContractSimulator();
+        this.proposals = new Map();
+        this.proposalCount = 0;
+        this.clockMs = 0;
+        this.bot = null;
+
+        // Equity tracking
+        this.equity = this.initialBalance;
+        this.peakEquity = this.initialBalance;
+        this.maxDrawdown = 0;
+        this.maxDrawdownPct = 0;
+        this.totalProfit = 0;
+        this.trades = [];
+    }
+
+    static loadTickFile(filePath) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        let records;
+
+        if (path.extname(filePath) === '.jsonl') {
+            records = raw.split('\n')
+                .filter(line => line.trim())
+                .map(line => JSON.parse(line));
+        } else {
+            const parsed = JSON.parse(raw);
+            const history = parsed.history || parsed;
+
+            if (history.times && history.prices) {
+                // Deriv ticks_history response
+                records = history.times.map((epoch, i) => ({ epoch, quote: history.prices[i] }));
+            } else {
+                records = parsed;
+            }
+        }
+
+        return records
+            .map(record => ({ epoch: Number(record.epoch), quote: parseFloat(record.quote) }))
+            .filter(tick => !isNaN(tick.quote) && !isNaN(tick.epoch));
+    }
+
+    // Ticks archived by the bot's recorder (data/ticks), e.g. from '2024-01-01' to '2024-01-07'.
+    // Flagged ticks are replayed too: the live bot saw them, and handleTick
+    // flags them again the same way
+    static async loadRecordedTicks({ symbol, from, to, dir = './data/ticks' }) {
+        const ticks = await TickRecorder.readAll({ symbol, from, to, dir });
+        return ticks.map(tick => ({ epoch: tick.epoch, quote: tick.quote }));
+    }
+
+    async createBot() {
+        const bot = new DerivTradingBot({
+            clock: () => this.clockMs,
+            persistData: false,
+            notifier: null,
+            enableTrading: true,
+            tradeDelayMs: 0,
+            symbols: [this.symbol]
+        });
+
+        if (this.loadState) {
+            await storage.init(config.storage);
+            await bot.loadPersistedData();
+        } else {
+            bot.markets.forEach(market => {
+                market.qTable = bot.getDefaultQTable();
+                market.deepQTable = bot.getDefaultDeepQTable();
+                market.metaQTable = bot.getDefaultMetaQTable();
+            });
+        }
+
+        if (this.learnedState) {
+            bot.applyLearnedState(this.learnedState);
+        }
+
+        bot.balance = this.initialBalance;
+
+        // No WebSocket: every outgoing request is answered by the simulator
+        bot.send = (request) => this.handleRequest(request);
+
+        return bot;
+    }
+
+    // Answers proposal and buy requests the way the API would, through the bot's own dispatcher
+    handleRequest(request) {
+        if (request.proposal) {
+            const stake = request.amount;
+            const barrier = request.barrier !== undefined ? Number(request.barrier) : null;
+
+            // Odd/even pays payoutRatio; other contracts are priced with the same edge
+            const houseEdge = 1 - 0.5 * (1 + this.payoutRatio);
+            const payoutRatio = estimatePayoutRatio(request.contract_type, barrier, houseEdge);
+
+            const id = `bt-proposal-${++this.proposalCount}`;
+            const proposal = {
+                id,
+                ask_price: stake,
+                payout: Math.round(stake * (1 + payoutRatio) * 100) / 100,
+                contract_type: request.contract_type
+            };
+            this.proposals.set(id, { request, proposal });
+            this.reply(request, 'proposal', { proposal });
+        } else if (request.buy) {
+            const { request: proposalRequest, proposal } = this.proposals.get(request.buy);
+            this.proposals.delete(request.buy);
+
+            const contract = this.simulator.open({
+                contractType: proposalRequest.contract_type,
+                barrier: proposalRequest.barrier !== undefined ? Number(proposalRequest.barrier) : null,
+                stake: proposal.ask_price,
+                payout: proposal.payout,
+                duration: proposalRequest.duration,
+                symbol: proposalRequest.symbol,
+                purchaseEpoch: this.clockMs / 1000
+            });
+            this.reply(request, 'buy', { buy: { contract_id: contract.id, buy_price: proposal.ask_price, payout: proposal.payout } });
+        }
+    }
+
+    reply(request, msgType, body) {
+        this.bot.handleMessage(JSON.stringify({
+            echo_req: request,
+            msg_type: msgType,
+            req_id: request.req_id,
+            passthrough: request.passthrough,
+            ...body
+        }));
+    }
+
+    async run() {
+        if (this.ticks.length <= this.warmupTicks) {
+            throw new Error(`Need more than ${this.warmupTicks} ticks to backtest (got ${this.ticks.length})`);
+        }
+
+        this.bot = await this.createBot();
+        // Loaded state carries lifetime model scores; the report counts only this run
+        this.startingModelPerformance = JSON.parse(JSON.stringify(this.bot.modelPerformance));
+
+        logger.system(`🧪 Backtesting ${this.ticks.length} ticks (${this.warmupTicks} warm-up) | Payout: ${(this.payoutRatio * 100).toFixed(0)}%`);
+
+        for (let i = 0; i < this.ticks.length; i++) {
+            const tick = this.ticks[i];
+            this.clockMs = tick.epoch * 1000;
+
+            await this.bot.handleTick({ tick: { epoch: tick.epoch, quote: tick.quote, symbol: this.symbol } });
+
+            if (i + 1 === this.warmupTicks) {
+                await this.bot.startBot();
+            }
+
+            const latestTick = this.bot.getMarket(this.symbol).lastTick;
+            if (!latestTick || latestTick.epoch !== tick.epoch) continue;
+
+            for (const contract of this.simulator.onTick(latestTick)) {
+                await this.settle(contract);
+            }
+        }
+
+        return this.buildReport();
+    }
+
+    async settle(contract) {
+        const bot = this.bot;
+
+        bot.balance += contract.profit;
+        await bot.finishContract(bot.openContracts.get(contract.id), contract.profit);
+
+        this.totalProfit += contract.profit;
+        this.equity = this.initialBalance + this.totalProfit;
+        this.peakEquity = Math.max(this.peakEquity, this.equity);
+
+        const drawdown = this.peakEquity - this.equity;
+        if (drawdown > this.maxDrawdown) {
+            this.maxDrawdown = drawdown;
+            this.maxDrawdownPct = drawdown / this.peakEquity;
+        }
+
+        this.trades.push({
+            id: contract.id,
+            contractType: contract.contractType,
+            stake: contract.stake,
+            profit: contract.profit,
+            exitEpoch: contract.exitTick.epoch,
+            exitDigit: contract.exitTick.digit
+        });
+    }
+
+    buildReport() {
+        const wins = this.trades.filter(t => t.profit > 0).length;
+        const losses = this.trades.length - wins;
+
+        const modelAccuracy = {};
+        Object.keys(this.bot.modelPerformance).forEach(model => {
+            const start = this.startingModelPerformance[model] || { correct: 0, total: 0 };
+            const correct = this.bot.modelPerformance[model].correct - start.correct;
+            const total = this.bot.modelPerformance[model].total - start.total;
+            modelAccuracy[model] = {
+                correct,
+                total,
+                accuracy: total > 0 ? correct / total : null
+            };
+        });
+
+        return {
+            ticks: this.ticks.length,
+            trades: this.trades.length,
+            wins,
+            losses,
+            winRate: this.trades.length > 0 ? wins / this.trades.length : 0,
+            totalProfit: this.totalProfit,
+            finalBalance: this.equity,
+            maxDrawdown: this.maxDrawdown,
+            maxDrawdownPct: this.maxDrawdownPct,
+            openContracts: this.simulator.openContracts.length,
+            contractTypes: this.bot.contractPerformance,
+            modelAccuracy,
+            shadows: this.bot.shadowTrader.enabled ? this.bot.shadowTrader.getReport() : null
+        };
+    }
+
+    static logReport(report) {
+        logger.performance('═══════════════════════════════════════');
+        logger.performance('🧪 BACKTEST REPORT');
+        logger.performance('═══════════════════════════════════════');
+        logger.performance(`📊 Ticks: ${report.ticks} | Trades: ${report.trades} (${report.wins}W / ${report.losses}L)`);
+        logger.performance(`📈 Win Rate: ${(report.winRate * 100).toFixed(1)}%`);
+        logger.performance(`💵 P/L: $${report.totalProfit.toFixed(2)} | Final Balance: $${report.finalBalance.toFixed(2)}`);
+        logger.performance(`📉 Max Drawdown: $${report.maxDrawdown.toFixed(2)} (${(report.maxDrawdownPct * 100).toFixed(1)}%)`);
+        Object.keys(report.contractTypes).forEach(contractType => {
+            const perf = report.contractTypes[contractType];
+            logger.performance(`  ${contractType}: ${perf.wins}/${perf.total} won | P/L: $${perf.profit.toFixed(2)}`);
+        });
+        logger.performance('Model Accuracies:');
+        Object.keys(report.modelAccuracy).forEach(model => {
+            const perf = report.modelAccuracy[model];
+            if (perf.total > 0) {
+                logger.performance(`  ${model}: ${(perf.accuracy * 100).toFixed(1)}% (${perf.correct}/${perf.total})`);
+            }
+        });
+        if (report.shadows) {
+            logger.performance('Shadows (P/L per unit stake):');
+            [report.shadows.champion, ...report.shadows.shadows].forEach(entry => {
+                const winRate = entry.winRate !== null ? `${(entry.winRate * 100).toFixed(1)}%` : 'n/a';
+                logger.performance(`  ${entry.name}: ${entry.trades} trades | Win rate: ${winRate} | P/L: ${entry.units.toFixed(2)}u`);
+            });
+        }
+        logger.performance('═══════════════════════════════════════');
+    }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,232 @@
+// ============================================================================
+// PROBABILITY CALIBRATION - Maps ensemble probabilities to observed win rates
+// Samples are stored as (probability of the predicted side, won). The fit is
+// symmetric: calibrate(p) for p < 0.5 is 1 - calibrate(1 - p).
+// ============================================================================
+
+const EPSILON = 1e-6;
+
+function clamp(p, min = EPSILON, max = 1 - EPSILON) {
+    return Math.min(max, Math.max(min, p));
+}
+
+function logit(p) {
+    const q = clamp(p);
+    return Math.log(q / (1 - q));
+}
+
+function sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+// Pool-adjacent-violators: monotone step fit, returned as [{ p, y }] knots
+function fitIsotonic(samples) {
+    const sorted = [...samples].sort((a, b) => a.p - b.p);
+    const blocks = [];
+
+    sorted.forEach(sample => {
+        blocks.push({ sumP: sample.p, sumY: sample.y, weight: 1 });
+
+        while (blocks.length > 1) {
+            const last = blocks[blocks.length - 1];
+            const prev = blocks[blocks.length - 2];
+            if (prev.sumY / prev.weight <= last.sumY / last.weight) break;
+
+            prev.sumP += last.sumP;
+            prev.sumY += last.sumY;
+            prev.weight += last.weight;
+            blocks.pop();
+        }
+    });
+
+    return blocks.map(block => ({ p: block.sumP / block.weight, y: block.sumY / block.weight }));
+}
+
+// Platt scaling on the logit: P(win) = sigmoid(a * logit(p) + b), fitted by Newton's method
+function fitPlatt(samples, iterations = 25) {
+    const positives = samples.filter(s => s.y === 1).length;
+    const negatives = samples.length - positives;
+
+    // Platt's smoothed targets keep the fit finite on separable data
+    const hi = (positives + 1) / (positives + 2);
+    const lo = 1 / (negatives + 2);
+
+    let a = 1;
+    let b = 0;
+
+    for (let iter = 0; iter < iterations; iter++) {
+        let gA = 0, gB = 0, hAA = 0, hAB = 0, hBB = 0;
+
+        samples.forEach(sample => {
+            const x = logit(sample.p);
+            const target = sample.y === 1 ? hi : lo;
+            const q = sigmoid(a * x + b);
+            const w = Math.max(q * (1 - q), EPSILON);
+
+            gA += (q - target) * x;
+            gB += q - target;
+            hAA += w * x * x;
+            hAB += w * x;
+            hBB += w;
+        });
+
+        const det = hAA * hBB - hAB * hAB;
+        if (Math.abs(det) < EPSILON) break;
+
+        const stepA = (hBB * gA - hAB * gB) / det;
+        const stepB = (hAA * gB - hAB * gA) / det;
+        a -= stepA;
+        b -= stepB;
+
+        if (Math.abs(stepA) < 1e-7 && Math.abs(stepB) < 1e-7) break;
+    }
+
+    return { a, b };
+}
+
+class ProbabilityCalibrator {
+    constructor(options = {}) {
+        this.method = options.method || 'isotonic';
+        this.minSamples = options.minSamples || 50;
+        this.maxSamples = options.maxSamples || 2000;
+        this.refitEvery = options.refitEvery || 10;
+
+        if (!['isotonic', 'platt'].includes(this.method)) {
+            throw new Error(`Unknown calibration method "${this.method}" (available: isotonic, platt)`);
+        }
+
+        this.samples = [];
+        this.model = null;
+        this.sinceFit = 0;
+    }
+
+    get isFitted() {
+        return this.model !== null;
+    }
+
+    // `probability` is the ensemble's probability for the side that was traded
+    record(probability, won) {
+        const sample = probability >= 0.5
+            ? { p: probability, y: won ? 1 : 0 }
+            : { p: 1 - probability, y: won ? 0 : 1 };
+
+        this.samples.push(sample);
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+
+        this.sinceFit++;
+        if (this.sinceFit >= this.refitEvery || (!this.model && this.samples.length >= this.minSamples)) {
+            this.fit();
+        }
+    }
+
+    fit() {
+        this.sinceFit = 0;
+        if (this.samples.length < this.minSamples) {
+            this.model = null;
+            return;
+        }
+
+        this.model = this.method === 'platt'
+            ? { type: 'platt', ...fitPlatt(this.samples) }
+            : { type: 'isotonic', knots: fitIsotonic(this.samples) };
+    }
+
+    // Identity until enough samples have been seen
+    calibrate(probability) {
+        if (!this.model) return probability;
+        if (probability < 0.5) return 1 - this.calibrate(1 - probability);
+
+        if (this.model.type === 'platt') {
+            return clamp(sigmoid(this.model.a * logit(probability) + this.model.b), 0.01, 0.99);
+        }
+
+        // Linear interpolation between isotonic knots, flat beyond the ends
+        const knots = this.model.knots;
+        if (probability <= knots[0].p) return clamp(knots[0].y, 0.01, 0.99);
+        if (probability >= knots[knots.length - 1].p) return clamp(knots[knots.length - 1].y, 0.01, 0.99);
+
+        for (let i = 1; i < knots.length; i++) {
+            if (probability <= knots[i].p) {
+                const left = knots[i - 1];
+                const right = knots[i];
+                const t = (probability - left.p) / Math.max(right.p - left.p, EPSILON);
+                return clamp(left.y + t * (right.y - left.y), 0.01, 0.99);
+            }
+        }
+        return probability;
+    }
+
+    // ========================================================================
+    // DIAGNOSTICS
+    // ========================================================================
+
+    brierScore(calibrated = false) {
+        if (this.samples.length === 0) return null;
+
+        const total = this.samples.reduce((sum, sample) => {
+            const p = calibrated ? this.calibrate(sample.p) : sample.p;
+            return sum + Math.pow(p - sample.y, 2);
+        }, 0);
+        return total / this.samples.length;
+    }
+
+    // Reliability curve over [0.5, 1] (predicted-side probabilities)
+    reliability(bucketCount = 5) {
+        const width = 0.5 / bucketCount;
+        const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+            from: 0.5 + i * width,
+            to: 0.5 + (i + 1) * width,
+            count: 0,
+            sumPredicted: 0,
+            sumCalibrated: 0,
+            wins: 0
+        }));
+
+        this.samples.forEach(sample => {
+            const index = Math.min(bucketCount - 1, Math.floor((sample.p - 0.5) / width));
+            const bucket = buckets[Math.max(0, index)];
+            bucket.count++;
+            bucket.sumPredicted += sample.p;
+            bucket.sumCalibrated += this.calibrate(sample.p);
+            bucket.wins += sample.y;
+        });
+
+        return buckets.map(bucket => ({
+            from: Math.round(bucket.from * 1000) / 1000,
+            to: Math.round(bucket.to * 1000) / 1000,
+            count: bucket.count,
+            meanPredicted: bucket.count > 0 ? bucket.sumPredicted / bucket.count : null,
+            meanCalibrated: bucket.count > 0 ? bucket.sumCalibrated / bucket.count : null,
+            observedWinRate: bucket.count > 0 ? bucket.wins / bucket.count : null
+        }));
+    }
+
+    getReport() {
+        return {
+            method: this.method,
+            fitted: this.isFitted,
+            samples: this.samples.length,
+            brierRaw: this.brierScore(false),
+            brierCalibrated: this.isFitted ? this.brierScore(true) : null,
+            reliability: this.reliability()
+        };
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    toJSON() {
+        return { method: this.method, samples: this.samples };
+    }
+
+    restore(state) {
+        if (!state || !Array.isArray(state.samples)) return;
+        this.samples = state.samples.slice(-this.maxSamples);
+        this.fit();
+    }
+}
+
+module.exports = ProbabilityCalibrator;
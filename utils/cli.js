@@ -0,0 +1,44 @@
+// ============================================================================
+// CLI - Argument parsing shared by the scripts in scripts/
+// `--key value` and `--key=value` set a value, a `--flag` followed by another
+// option (or nothing) is true, and everything else is positional in `_`.
+// A lone `--` ends the options.
+// ============================================================================
+
+function parseArgs(argv) {
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            args._.push(...argv.slice(i + 1));
+            break;
+        }
+        if (!arg.startsWith('--')) {
+            args._.push(arg);
+            continue;
+        }
+
+        const equals = arg.indexOf('=');
+        if (equals !== -1) {
+            args[arg.slice(2, equals)] = arg.slice(equals + 1);
+            continue;
+        }
+
+        const key = arg.slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+
+    return args;
+}
+
+module.exports = {
+    parseArgs
+};
@@ -5,20 +5,40 @@ require('dotenv').config();
 class Config {
     constructor() {
         this.config = this.loadConfig();
-        this.validateConfig();
+        // Values changed at runtime (control API); they win over env and config.json
+        this.overrides = {};
     }
 
     loadConfig() {
         try {
             const configPath = path.join(__dirname, '../config.json');
             const configFile = fs.readFileSync(configPath, 'utf8');
-            return JSON.parse(configFile);
+            const loaded = JSON.parse(configFile);
+
+            // Overlay file (e.g. one written by scripts/optimize.js) merged on top
+            if (process.env.CONFIG_OVERLAY) {
+                const overlay = JSON.parse(fs.readFileSync(path.resolve(process.env.CONFIG_OVERLAY), 'utf8'));
+                return this.merge(loaded, overlay);
+            }
+            return loaded;
         } catch (error) {
             console.error('Failed to load config.json:', error.message);
             process.exit(1);
         }
     }
 
+    // Objects merge key by key; anything else in the overlay replaces the base value
+    merge(base, overlay) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const merged = { ...base };
+        Object.keys(overlay).forEach(key => {
+            merged[key] = isObject(base[key]) && isObject(overlay[key])
+                ? this.merge(base[key], overlay[key])
+                : overlay[key];
+        });
+        return merged;
+    }
+
     validateConfig() {
         // Validate required environment variables
         const required = ['DERIV_APP_ID', 'DERIV_TOKEN'];
@@ -32,6 +52,10 @@ class Config {
     }
 
     get(path, defaultValue = undefined) {
+        if (path in this.overrides) {
+            return this.overrides[path];
+        }
+
         const keys = path.split('.');
         let value = this.config;
 
@@ -46,6 +70,14 @@ class Config {
         return value;
     }
 
+    set(path, value) {
+        this.overrides[path] = value;
+    }
+
+    unset(path) {
+        delete this.overrides[path];
+    }
+
     // Convenience getters
     get appId() {
         return process.env.DERIV_APP_ID;
@@ -55,21 +87,70 @@ class Config {
         return process.env.DERIV_TOKEN;
     }
 
+    get apiUrl() {
+        return process.env.DERIV_WS_URL || this.get('api.url', 'wss://ws.derivws.com/websockets/v3');
+    }
+
     get symbol() {
         return process.env.SYMBOL || this.get('trading.symbol', 'R_10');
     }
 
+    get symbols() {
+        if (process.env.SYMBOLS) {
+            return process.env.SYMBOLS.split(',').map(s => s.trim()).filter(Boolean);
+        }
+        const symbols = this.get('trading.symbols');
+        return Array.isArray(symbols) && symbols.length > 0 && !process.env.SYMBOL ? symbols : [this.symbol];
+    }
+
+    get maxOpenContracts() {
+        return parseInt(process.env.MAX_OPEN_CONTRACTS) || this.get('trading.maxOpenContracts', 1);
+    }
+
     get baseStake() {
+        if ('trading.baseStake' in this.overrides) {
+            return this.overrides['trading.baseStake'];
+        }
         return parseFloat(process.env.BASE_STAKE) || this.get('trading.baseStake', 1);
     }
 
+    get stakingStrategy() {
+        return process.env.STAKING_STRATEGY || this.get('staking.strategy', 'martingale');
+    }
+
     get duration() {
         return parseInt(process.env.DURATION) || this.get('trading.duration', 1);
     }
 
+    get contractFamilies() {
+        if (process.env.CONTRACT_FAMILIES) {
+            return process.env.CONTRACT_FAMILIES.split(',').map(s => s.trim()).filter(Boolean);
+        }
+        return this.get('contracts.families', ['parity']);
+    }
+
     get enableTrading() {
         return process.env.ENABLE_TRADING !== 'false';
     }
+
+    get storage() {
+        return {
+            driver: process.env.STORAGE_DRIVER || this.get('storage.driver', 'json'),
+            sqlitePath: process.env.STORAGE_SQLITE_PATH || this.get('storage.sqlitePath', 'data/bot.db'),
+            backupCount: this.get('storage.backups', 3)
+        };
+    }
+
+    get controlApi() {
+        return {
+            enabled: process.env.CONTROL_API_ENABLED !== undefined
+                ? process.env.CONTROL_API_ENABLED !== 'false'
+                : this.get('controlApi.enabled', true),
+            host: process.env.CONTROL_API_HOST || this.get('controlApi.host', '127.0.0.1'),
+            port: parseInt(process.env.CONTROL_API_PORT) || this.get('controlApi.port', 3000),
+            token: process.env.CONTROL_API_TOKEN || null
+        };
+    }
 }
 
 module.exports = new Config();
\ No newline at end of file
@@ -0,0 +1,116 @@
+const EventEmitter = require('events');
+
+// ============================================================================
+// CONNECTION MONITOR - Keepalive pings and a stale-feed watchdog
+// Emits 'health' events ({ type, action, ... }) that tell the bot to
+// resubscribe a quiet feed or to reconnect. A feed that stays quiet after
+// being resubscribed escalates to a reconnect.
+// ============================================================================
+
+class ConnectionMonitor extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.pingIntervalMs = options.pingIntervalMs || 30000;
+        this.pingTimeoutMs = options.pingTimeoutMs || 10000;
+        this.staleFeedMs = options.staleFeedMs || 30000;
+        this.checkIntervalMs = options.checkIntervalMs || 5000;
+        this.clock = options.clock || Date.now;
+        // Sends a ping and resolves when the pong arrives
+        this.ping = options.ping;
+
+        this.feeds = new Map();
+        this.pingTimer = null;
+        this.checkTimer = null;
+        this.lastPongAt = null;
+        this.pingInFlight = false;
+    }
+
+    get isRunning() {
+        return this.checkTimer !== null;
+    }
+
+    start() {
+        this.stop();
+        this.lastPongAt = this.clock();
+
+        this.pingTimer = setInterval(() => this.sendPing(), this.pingIntervalMs);
+        this.checkTimer = setInterval(() => this.check(), this.checkIntervalMs);
+        this.pingTimer.unref();
+        this.checkTimer.unref();
+    }
+
+    stop() {
+        clearInterval(this.pingTimer);
+        clearInterval(this.checkTimer);
+        this.pingTimer = null;
+        this.checkTimer = null;
+        this.feeds.clear();
+    }
+
+    // A (re)subscribed feed gets a full threshold before it counts as quiet
+    watchFeed(symbol) {
+        const feed = this.feeds.get(symbol);
+        this.feeds.set(symbol, {
+            lastTickAt: this.clock(),
+            resubscribes: feed ? feed.resubscribes : 0
+        });
+    }
+
+    recordTick(symbol) {
+        const feed = this.feeds.get(symbol);
+        if (!feed) return;
+        feed.lastTickAt = this.clock();
+        feed.resubscribes = 0;
+    }
+
+    check() {
+        const now = this.clock();
+
+        for (const [symbol, feed] of this.feeds) {
+            const silentMs = now - feed.lastTickAt;
+            if (silentMs < this.staleFeedMs) continue;
+
+            if (feed.resubscribes === 0) {
+                feed.resubscribes++;
+                feed.lastTickAt = now;
+                this.emit('health', { type: 'stale-feed', symbol, silentMs, action: 'resubscribe' });
+            } else {
+                // Resubscribing did not help; the reconnect restarts every feed
+                this.emit('health', { type: 'stale-feed', symbol, silentMs, action: 'reconnect' });
+                return;
+            }
+        }
+    }
+
+    async sendPing() {
+        if (this.pingInFlight) return;
+
+        this.pingInFlight = true;
+        try {
+            await this.ping(this.pingTimeoutMs);
+            this.lastPongAt = this.clock();
+        } catch (error) {
+            if (this.isRunning) {
+                this.emit('health', { type: 'ping-failed', error: error.message, action: 'reconnect' });
+            }
+        } finally {
+            this.pingInFlight = false;
+        }
+    }
+
+    getStatus() {
+        const now = this.clock();
+        const feeds = {};
+        this.feeds.forEach((feed, symbol) => {
+            feeds[symbol] = { silentMs: now - feed.lastTickAt, resubscribes: feed.resubscribes };
+        });
+
+        return {
+            running: this.isRunning,
+            lastPongAgoMs: this.lastPongAt !== null ? now - this.lastPongAt : null,
+            feeds
+        };
+    }
+}
+
+module.exports = ConnectionMonitor;
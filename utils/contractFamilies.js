@@ -0,0 +1,215 @@
+// ============================================================================
+// CONTRACT FAMILIES - Probability models and payout-aware contract selection
+// ============================================================================
+
+const FAMILIES = {
+    parity: ['DIGITODD', 'DIGITEVEN'],
+    overunder: ['DIGITOVER', 'DIGITUNDER'],
+    matchdiff: ['DIGITMATCH', 'DIGITDIFF'],
+    risefall: ['CALL', 'PUT']
+};
+
+const CONTRACT_FAMILY = {};
+Object.keys(FAMILIES).forEach(family => {
+    FAMILIES[family].forEach(contractType => {
+        CONTRACT_FAMILY[contractType] = family;
+    });
+});
+
+// Win probability of a contract when digits are uniform and prices a fair coin
+function theoreticalWinProbability(contractType, barrier) {
+    switch (contractType) {
+        case 'DIGITODD':
+        case 'DIGITEVEN':
+        case 'CALL':
+        case 'PUT':
+            return 0.5;
+        case 'DIGITOVER':
+            return (9 - barrier) / 10;
+        case 'DIGITUNDER':
+            return barrier / 10;
+        case 'DIGITMATCH':
+            return 0.1;
+        case 'DIGITDIFF':
+            return 0.9;
+        default:
+            throw new Error(`Unsupported contract type: ${contractType}`);
+    }
+}
+
+// Net payout per unit stake when the house keeps `houseEdge` of a fair price
+function estimatePayoutRatio(contractType, barrier, houseEdge) {
+    return (1 - houseEdge) / theoreticalWinProbability(contractType, barrier) - 1;
+}
+
+function expectedValue(probability, payoutRatio) {
+    return probability * payoutRatio - (1 - probability);
+}
+
+// ============================================================================
+// PROBABILITY MODELS
+// ============================================================================
+
+class DigitModels {
+    // 10-digit frequency distribution with Laplace smoothing
+    static distribution(ticks, window = 500) {
+        const recent = ticks.slice(-window);
+        const counts = Array(10).fill(1);
+        recent.forEach(t => counts[t.digit]++);
+
+        const total = recent.length + 10;
+        return counts.map(c => c / total);
+    }
+
+    // First-order Markov chain: P(next digit | last digit)
+    static markov(ticks, window = 500) {
+        const recent = ticks.slice(-window);
+        if (recent.length < 2) return Array(10).fill(0.1);
+
+        const lastDigit = recent[recent.length - 1].digit;
+        const counts = Array(10).fill(1);
+        let rowTotal = 10;
+
+        for (let i = 1; i < recent.length; i++) {
+            if (recent[i - 1].digit === lastDigit) {
+                counts[recent[i].digit]++;
+                rowTotal++;
+            }
+        }
+
+        return counts.map(c => c / rowTotal);
+    }
+
+    static blend(distribution, markov, markovWeight) {
+        return distribution.map((p, d) => p * (1 - markovWeight) + markov[d] * markovWeight);
+    }
+}
+
+class DirectionModel {
+    // P(price is higher after `horizon` ticks), from recent moves of the same length
+    static probabilityUp(ticks, window = 100, horizon = 1) {
+        const recent = ticks.slice(-(window + horizon));
+        let ups = 0;
+        let downs = 0;
+
+        for (let i = horizon; i < recent.length; i++) {
+            const change = recent[i].quote - recent[i - horizon].quote;
+            if (change > 0) ups++;
+            else if (change < 0) downs++;
+        }
+
+        return (ups + 1) / (ups + downs + 2);
+    }
+}
+
+// ============================================================================
+// PAYOUT BOOK - Latest quoted payout per contract type and barrier
+// ============================================================================
+
+class PayoutBook {
+    constructor(houseEdge = 0.025) {
+        this.houseEdge = houseEdge;
+        this.ratios = new Map();
+    }
+
+    key(contractType, barrier) {
+        return barrier === undefined || barrier === null ? contractType : `${contractType}:${barrier}`;
+    }
+
+    record(contractType, barrier, askPrice, payout) {
+        const ask = parseFloat(askPrice);
+        const pay = parseFloat(payout);
+        if (!(ask > 0) || !(pay > 0)) return;
+
+        this.ratios.set(this.key(contractType, barrier), pay / ask - 1);
+    }
+
+    ratio(contractType, barrier) {
+        const quoted = this.ratios.get(this.key(contractType, barrier));
+        return quoted !== undefined ? quoted : estimatePayoutRatio(contractType, barrier, this.houseEdge);
+    }
+}
+
+// ============================================================================
+// CONTRACT SELECTOR - Picks the contract with the best expected value
+// ============================================================================
+
+class ContractSelector {
+    constructor(options = {}) {
+        this.payouts = new PayoutBook(options.houseEdge);
+        this.digitWindow = options.digitWindow || 500;
+        this.markovWeight = options.markovWeight !== undefined ? options.markovWeight : 0.5;
+        this.directionWindow = options.directionWindow || 100;
+    }
+
+    buildCandidates(ticks, families, parityProbs, duration) {
+        const candidates = [];
+
+        if (families.includes('parity') && parityProbs) {
+            candidates.push({ family: 'parity', contractType: 'DIGITODD', prediction: 'odd', probability: parityProbs.odd });
+            candidates.push({ family: 'parity', contractType: 'DIGITEVEN', prediction: 'even', probability: parityProbs.even });
+        }
+
+        if (families.includes('overunder') || families.includes('matchdiff')) {
+            const digitProbs = DigitModels.blend(
+                DigitModels.distribution(ticks, this.digitWindow),
+                DigitModels.markov(ticks, this.digitWindow),
+                this.markovWeight
+            );
+
+            if (families.includes('overunder')) {
+                for (let barrier = 0; barrier <= 8; barrier++) {
+                    const probability = digitProbs.slice(barrier + 1).reduce((a, b) => a + b, 0);
+                    candidates.push({ family: 'overunder', contractType: 'DIGITOVER', barrier, prediction: `over ${barrier}`, probability });
+                }
+                for (let barrier = 1; barrier <= 9; barrier++) {
+                    const probability = digitProbs.slice(0, barrier).reduce((a, b) => a + b, 0);
+                    candidates.push({ family: 'overunder', contractType: 'DIGITUNDER', barrier, prediction: `under ${barrier}`, probability });
+                }
+            }
+
+            if (families.includes('matchdiff')) {
+                for (let barrier = 0; barrier <= 9; barrier++) {
+                    candidates.push({ family: 'matchdiff', contractType: 'DIGITMATCH', barrier, prediction: `match ${barrier}`, probability: digitProbs[barrier] });
+                    candidates.push({ family: 'matchdiff', contractType: 'DIGITDIFF', barrier, prediction: `differ ${barrier}`, probability: 1 - digitProbs[barrier] });
+                }
+            }
+        }
+
+        if (families.includes('risefall')) {
+            const probabilityUp = DirectionModel.probabilityUp(ticks, this.directionWindow, duration);
+            candidates.push({ family: 'risefall', contractType: 'CALL', prediction: 'rise', probability: probabilityUp });
+            candidates.push({ family: 'risefall', contractType: 'PUT', prediction: 'fall', probability: 1 - probabilityUp });
+        }
+
+        return candidates;
+    }
+
+    select(ticks, families, parityProbs, duration) {
+        const candidates = this.buildCandidates(ticks, families, parityProbs, duration);
+        let best = null;
+
+        candidates.forEach(candidate => {
+            candidate.payoutRatio = this.payouts.ratio(candidate.contractType, candidate.barrier);
+            candidate.expectedValue = expectedValue(candidate.probability, candidate.payoutRatio);
+
+            if (!best || candidate.expectedValue > best.expectedValue) {
+                best = candidate;
+            }
+        });
+
+        return best;
+    }
+}
+
+module.exports = {
+    FAMILIES,
+    CONTRACT_FAMILY,
+    theoreticalWinProbability,
+    estimatePayoutRatio,
+    expectedValue,
+    DigitModels,
+    DirectionModel,
+    PayoutBook,
+    ContractSelector
+};
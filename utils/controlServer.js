@@ -0,0 +1,222 @@
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// ============================================================================
+// CONTROL SERVER - Local HTTP API for ops scripts and health checks
+// GET /health is open (for container health checks); every other route,
+// including the Prometheus /metrics endpoint, needs
+// `Authorization: Bearer <CONTROL_API_TOKEN>`. A placeholder or short token
+// is refused at start rather than guarding the trading routes.
+// ============================================================================
+
+const MAX_BODY_BYTES = 64 * 1024;
+const MIN_TOKEN_LENGTH = 16;
+const PLACEHOLDER_TOKENS = ['change_me', 'changeme', 'your_token_here', 'secret', 'token', 'password'];
+
+class ControlServer {
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port !== undefined ? options.port : 3000;
+        this.token = options.token || null;
+        this.server = null;
+
+        this.routes = {
+            'GET /health': () => this.handleHealth(),
+            'GET /status': () => this.handleStatus(),
+            'GET /models': () => this.handleModels(),
+            'GET /metrics': () => this.handleMetrics(),
+            'POST /pause': (body) => this.handlePause(body),
+            'POST /resume': () => this.handleResume(),
+            'POST /config': (body) => this.handleConfig(body),
+            'GET /shadows': () => this.handleShadows(),
+            'POST /shadows/promote': (body) => this.handlePromote(body),
+            'GET /snapshots': () => this.handleListSnapshots(),
+            'POST /snapshots': (body) => this.handleTakeSnapshot(body),
+            'POST /snapshots/restore': (body) => this.handleRestoreSnapshot(body)
+        };
+    }
+
+    start() {
+        if (!this.token) {
+            logger.system('⚠️  CONTROL_API_TOKEN not set - control routes are disabled, only /health is served');
+        } else if (PLACEHOLDER_TOKENS.includes(this.token.toLowerCase()) || this.token.length < MIN_TOKEN_LENGTH) {
+            return Promise.reject(new Error(
+                `CONTROL_API_TOKEN is a placeholder or shorter than ${MIN_TOKEN_LENGTH} characters - set a random token or leave it empty`
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this.handleRequest(req, res));
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.removeListener('error', reject);
+                this.port = this.server.address().port;
+                logger.system(`🛰️  Control API listening on http://${this.host}:${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    // ========================================================================
+    // REQUEST HANDLING
+    // ========================================================================
+
+    async handleRequest(req, res) {
+        const pathname = req.url.split('?')[0];
+        const route = this.routes[`${req.method} ${pathname}`];
+
+        if (!route) {
+            return this.reply(res, 404, { error: 'Not found' });
+        }
+
+        if (pathname !== '/health' && !this.isAuthorized(req)) {
+            return this.reply(res, this.token ? 401 : 403, {
+                error: this.token ? 'Unauthorized' : 'Control API token not configured'
+            });
+        }
+
+        try {
+            const body = req.method === 'POST' ? await this.readBody(req) : {};
+            const [status, payload] = await route(body);
+            this.reply(res, status, payload);
+        } catch (error) {
+            this.reply(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    isAuthorized(req) {
+        if (!this.token) return false;
+
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        if (!match) return false;
+
+        const given = Buffer.from(match[1]);
+        const expected = Buffer.from(this.token);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let raw = '';
+
+            req.on('data', chunk => {
+                raw += chunk;
+                if (raw.length > MAX_BODY_BYTES) {
+                    reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+                    req.destroy();
+                }
+            });
+
+            req.on('end', () => {
+                if (!raw) return resolve({});
+                let body;
+                try {
+                    body = JSON.parse(raw);
+                } catch (error) {
+                    return reject(Object.assign(new Error('Invalid JSON body'), { statusCode: 400 }));
+                }
+                // Every route reads fields off the body
+                if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                    return reject(Object.assign(new Error('Request body must be a JSON object'), { statusCode: 400 }));
+                }
+                resolve(body);
+            });
+
+            req.on('error', reject);
+        });
+    }
+
+    reply(res, status, payload) {
+        const isText = typeof payload === 'string';
+        const body = isText ? payload : JSON.stringify(payload, null, 2);
+        res.writeHead(status, {
+            'Content-Type': isText ? 'text/plain; version=0.0.4; charset=utf-8' : 'application/json',
+            'Content-Length': Buffer.byteLength(body)
+        });
+        res.end(body);
+    }
+
+    // ========================================================================
+    // ROUTES
+    // ========================================================================
+
+    handleHealth() {
+        const healthy = this.bot.isConnected;
+        return [healthy ? 200 : 503, {
+            status: healthy ? 'ok' : 'disconnected',
+            running: this.bot.isBotRunning,
+            uptimeSeconds: Math.floor((this.bot.now() - this.bot.startTime) / 1000)
+        }];
+    }
+
+    handleStatus() {
+        return [200, this.bot.getStatus()];
+    }
+
+    handleModels() {
+        return [200, this.bot.getModelReport()];
+    }
+
+    handleMetrics() {
+        return [200, this.bot.metrics.registry.render()];
+    }
+
+    handlePause(body) {
+        const reason = typeof body.reason === 'string' && body.reason ? body.reason : 'control API';
+        this.bot.pause(reason);
+        return [200, { running: this.bot.isBotRunning, paused: true, reason }];
+    }
+
+    handleResume() {
+        const resumed = this.bot.resume();
+        return [200, { running: this.bot.isBotRunning, paused: !!this.bot.pauseReason, resumed }];
+    }
+
+    handleConfig(body) {
+        try {
+            return [200, { applied: this.bot.applyRuntimeConfig(body) }];
+        } catch (error) {
+            return [400, { error: error.message }];
+        }
+    }
+
+    handleShadows() {
+        return [200, this.bot.shadowTrader.getReport()];
+    }
+
+    handlePromote(body) {
+        if (typeof body.name !== 'string' || !this.bot.shadowTrader.getShadow(body.name)) {
+            return [404, { error: `Unknown shadow "${body.name}"` }];
+        }
+        return [200, this.bot.promoteShadow(body.name)];
+    }
+
+    async handleListSnapshots() {
+        return [200, { snapshots: await this.bot.listSnapshots() }];
+    }
+
+    async handleTakeSnapshot(body) {
+        const label = typeof body.label === 'string' && body.label ? body.label : null;
+        return [200, { id: await this.bot.takeSnapshot(label) }];
+    }
+
+    async handleRestoreSnapshot(body) {
+        if (body.id === undefined) {
+            return [400, { error: 'Missing snapshot id' }];
+        }
+        return [200, await this.bot.restoreSnapshot(String(body.id))];
+    }
+}
+
+module.exports = ControlServer;
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { compressFile, readJsonLines } = require('./jsonLines');
+
+// ============================================================================
+// DECISION JOURNAL - Append-only audit log, one decision per analysis
+// Layout: <dir>/decisions-<YYYY-MM-DD>.jsonl (UTC day of the record), gzip'd
+// to .jsonl.gz when a later day starts, as in the tick recorder. Files older
+// than `retentionDays` are deleted when the day rolls.
+// Skipped decisions are written at once. A traded decision is written when
+// the contract is bought, and a { type: 'settlement', id } line with the
+// outcome follows when it settles; find() folds the two together.
+// ============================================================================
+
+const FILE_PATTERN = /^decisions-(\d{4}-\d{2}-\d{2})\.jsonl(\.gz)?$/;
+
+function utcDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+class DecisionJournal {
+    constructor(options = {}) {
+        this.dir = options.dir || './data/journal';
+        this.retentionDays = options.retentionDays || null;
+        this.writing = Promise.resolve();
+        this.writtenCount = 0;
+        this.day = null;
+    }
+
+    filePath(day) {
+        return path.join(this.dir, `decisions-${day}.jsonl`);
+    }
+
+    // Appends are chained so lines never interleave
+    write(record) {
+        const day = utcDay(record.timestamp);
+        const file = this.filePath(day);
+        const line = JSON.stringify({ type: 'decision', ...record }) + '\n';
+        // The first write also compresses days left plain by an earlier run
+        const rolled = !this.day || day > this.day;
+        if (rolled) this.day = day;
+
+        this.writing = this.writing.then(async () => {
+            try {
+                await fs.promises.mkdir(this.dir, { recursive: true });
+                await fs.promises.appendFile(file, line);
+                this.writtenCount++;
+            } catch (error) {
+                logger.error(`Failed to journal ${record.type || 'decision'} ${record.id}: ${error.message}`);
+            }
+            if (rolled) {
+                await this.compress(day);
+                await this.prune(day);
+            }
+        });
+        return this.writing;
+    }
+
+    // The outcome of a decision already written when its contract was bought
+    writeSettlement(id, timestamp, fields) {
+        return this.write({ ...fields, type: 'settlement', id, timestamp });
+    }
+
+    async compress(today) {
+        try {
+            const finished = (await fs.promises.readdir(this.dir)).filter(name => {
+                const match = FILE_PATTERN.exec(name);
+                return match && !match[2] && match[1] < today;
+            });
+            for (const name of finished) {
+                await compressFile(path.join(this.dir, name));
+            }
+        } catch (error) {
+            logger.error(`Failed to compress the decision journal: ${error.message}`);
+        }
+    }
+
+    async prune(today) {
+        if (!this.retentionDays) return;
+
+        const cutoff = utcDay(Date.parse(`${today}T00:00:00Z`) - this.retentionDays * 86400000);
+        try {
+            const expired = (await fs.promises.readdir(this.dir)).filter(name => {
+                const match = FILE_PATTERN.exec(name);
+                return match && match[1] < cutoff;
+            });
+            for (const name of expired) {
+                await fs.promises.unlink(path.join(this.dir, name));
+            }
+            if (expired.length > 0) {
+                logger.system(`🗑️  Removed ${expired.length} journal files older than ${this.retentionDays} days`);
+            }
+        } catch (error) {
+            logger.error(`Failed to prune the decision journal: ${error.message}`);
+        }
+    }
+
+    close() {
+        return this.writing;
+    }
+
+    // Streams records from the daily files between two 'YYYY-MM-DD' days
+    // (inclusive), each day's compressed part before its plain part
+    static async *read({ from, to, dir = './data/journal' }) {
+        if (!fs.existsSync(dir)) return;
+
+        const files = fs.readdirSync(dir)
+            .map(name => FILE_PATTERN.exec(name))
+            .filter(match => match && (!from || match[1] >= from) && (!to || match[1] <= to))
+            .sort((a, b) => a[1].localeCompare(b[1]) || (b[2] ? 1 : 0) - (a[2] ? 1 : 0))
+            .map(match => match[0]);
+
+        for (const name of files) {
+            yield* readJsonLines(path.join(dir, name));
+        }
+    }
+
+    // Decisions with their settlements folded in, filtered by `predicate`.
+    // A decision seen twice (copied by a crash between compressing and
+    // deleting a day) is kept once
+    static async find(predicate, options = {}) {
+        const decisions = [];
+        const byId = new Map();
+
+        for await (const record of DecisionJournal.read(options)) {
+            if (record.type === 'settlement') {
+                const decision = byId.get(record.id);
+                if (decision) {
+                    const { type, timestamp, ...settlement } = record;
+                    Object.assign(decision, settlement);
+                }
+                continue;
+            }
+            if (byId.has(record.id)) continue;
+            decisions.push(record);
+            byId.set(record.id, record);
+        }
+
+        return decisions.filter(predicate);
+    }
+}
+
+module.exports = DecisionJournal;
@@ -0,0 +1,182 @@
+const logger = require('./logger');
+
+// ============================================================================
+// DERIV API REQUESTS - req_id correlation, timeouts, retries, typed errors
+// Every outgoing call is tagged with a req_id. request() returns a promise
+// settled by the reply carrying that req_id; replies without a pending
+// request (subscription streams) are left to the msg_type dispatcher.
+// ============================================================================
+
+class DerivApiError extends Error {
+    constructor(message, { code = 'UnknownError', msgType = null, details = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.msgType = msgType;
+        this.details = details;
+    }
+
+    // Whether sending the same request again may succeed
+    get retryable() {
+        return false;
+    }
+}
+
+class RequestTimeoutError extends DerivApiError {
+    get retryable() {
+        return true;
+    }
+}
+
+class ConnectionClosedError extends DerivApiError {
+    get retryable() {
+        return true;
+    }
+}
+
+class RateLimitError extends DerivApiError {
+    get retryable() {
+        return true;
+    }
+}
+
+class AuthorizationError extends DerivApiError {}
+class InsufficientBalanceError extends DerivApiError {}
+class MarketClosedError extends DerivApiError {}
+
+// The quote moved or expired between proposal and buy
+class PriceChangedError extends DerivApiError {}
+
+// Rejected contract parameters (type, barrier, duration, stake)
+class ContractValidationError extends DerivApiError {}
+
+const ERROR_TYPES = {
+    RateLimit: RateLimitError,
+    InvalidToken: AuthorizationError,
+    AuthorizationRequired: AuthorizationError,
+    PermissionDenied: AuthorizationError,
+    InsufficientBalance: InsufficientBalanceError,
+    MarketIsClosed: MarketClosedError,
+    TradingIsDisabled: MarketClosedError,
+    PriceMoved: PriceChangedError,
+    InvalidContractProposal: PriceChangedError,
+    ContractBuyValidationError: ContractValidationError,
+    ContractCreationFailure: ContractValidationError,
+    OfferingsValidationError: ContractValidationError,
+    InvalidOfferings: ContractValidationError,
+    InputValidationFailed: ContractValidationError,
+    InvalidSymbol: ContractValidationError
+};
+
+// Maps a Deriv `error` object to the matching typed error
+function toDerivError(error, msgType = null) {
+    const ErrorType = ERROR_TYPES[error.code] || DerivApiError;
+    return new ErrorType(error.message || error.code, { code: error.code, msgType, details: error.details || null });
+}
+
+function requestType(payload) {
+    return Object.keys(payload).find(key => key !== 'req_id' && key !== 'passthrough') || 'unknown';
+}
+
+class DerivApi {
+    constructor(options = {}) {
+        // Writes a payload to the connection; returning false means it was not sent
+        this.write = options.write;
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.retryDelayMs = options.retryDelayMs || 1000;
+
+        this.nextReqId = 1;
+        this.pending = new Map();
+    }
+
+    // Fire-and-forget: tagged for tracing, replies go to the msg_type dispatcher
+    send(payload) {
+        const reqId = this.nextReqId++;
+        this.write({ ...payload, req_id: reqId });
+        return reqId;
+    }
+
+    // Resolves with the reply message or rejects with a DerivApiError.
+    // Non-idempotent calls (buy) are never resent after a timeout or a
+    // dropped connection, since the first attempt may have gone through.
+    async request(payload, options = {}) {
+        const retries = options.retries !== undefined ? options.retries : this.retries;
+        const idempotent = options.idempotent !== false;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attempt(payload, options.timeoutMs || this.timeoutMs);
+            } catch (error) {
+                const ambiguous = error instanceof RequestTimeoutError || error instanceof ConnectionClosedError;
+                const canRetry = error.retryable && (idempotent || !ambiguous);
+                if (attempt >= retries || !canRetry) throw error;
+
+                const delay = this.retryDelayMs * Math.pow(2, attempt);
+                logger.debug(`Retrying ${requestType(payload)} in ${delay}ms after ${error.code} (attempt ${attempt + 2}/${retries + 1})`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    attempt(payload, timeoutMs) {
+        const reqId = this.nextReqId++;
+        const msgType = requestType(payload);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(reqId);
+                reject(new RequestTimeoutError(`${msgType} request ${reqId} timed out after ${timeoutMs}ms`, { code: 'Timeout', msgType }));
+            }, timeoutMs);
+
+            this.pending.set(reqId, { resolve, reject, timer, msgType });
+
+            if (this.write({ ...payload, req_id: reqId }) === false) {
+                this.settle(reqId, new ConnectionClosedError(`Cannot send ${msgType}: not connected`, { code: 'NotConnected', msgType }));
+            }
+        });
+    }
+
+    settle(reqId, error, message) {
+        const entry = this.pending.get(reqId);
+        if (!entry) return false;
+
+        clearTimeout(entry.timer);
+        this.pending.delete(reqId);
+        if (error) {
+            entry.reject(error);
+        } else {
+            entry.resolve(message);
+        }
+        return true;
+    }
+
+    // Returns true when the message answered a pending request
+    handleMessage(message) {
+        if (message.req_id === undefined || !this.pending.has(message.req_id)) return false;
+
+        const error = message.error ? toDerivError(message.error, message.msg_type) : null;
+        return this.settle(message.req_id, error, message);
+    }
+
+    // Fails every in-flight request, e.g. when the connection drops
+    rejectAll(reason = 'Connection closed') {
+        for (const [reqId, entry] of this.pending) {
+            this.settle(reqId, new ConnectionClosedError(reason, { code: 'ConnectionClosed', msgType: entry.msgType }));
+        }
+    }
+}
+
+module.exports = {
+    DerivApi,
+    DerivApiError,
+    RequestTimeoutError,
+    ConnectionClosedError,
+    RateLimitError,
+    AuthorizationError,
+    InsufficientBalanceError,
+    MarketClosedError,
+    PriceChangedError,
+    ContractValidationError,
+    toDerivError
+};
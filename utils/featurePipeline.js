@@ -0,0 +1,195 @@
+// ============================================================================
+// FEATURE PIPELINE - Scale-free market features for one symbol
+// Raw features come from log returns, so a symbol's price level never
+// matters; each is then put on a common scale two ways:
+//   z           distance from its running mean in running standard deviations
+//               (volatility is z-scored in log space, where it is near normal)
+//   percentile  rank among its last `rankWindow` values (0-1)
+// Ticks are processed once each, in order, and the running statistics are
+// persisted with the market so a restart does not start from scratch.
+// ============================================================================
+
+const FEATURES = ['return', 'volatility', 'trend', 'entropy'];
+
+class FeaturePipeline {
+    constructor(options = {}) {
+        this.volatilityWindow = options.volatilityWindow || 50;
+        this.shortWindow = options.shortWindow || 10;
+        this.longWindow = options.longWindow || 50;
+        this.entropyWindow = options.entropyWindow || 50;
+        this.rankWindow = options.rankWindow || 500;
+        this.normalizationRate = options.normalizationRate || 0.0002;
+        this.warmup = options.warmup || 100;
+
+        this.reset();
+    }
+
+    reset() {
+        this.observations = 0;
+        this.lastEpoch = 0;
+        // Exponential averages of the squared return and of the log price
+        this.squaredReturn = null;
+        this.emaShort = null;
+        this.emaLong = null;
+        this.stats = {};
+        this.history = {};
+        FEATURES.forEach(name => {
+            this.stats[name] = { mean: 0, variance: 0 };
+            this.history[name] = [];
+        });
+        this.latest = null;
+    }
+
+    get ready() {
+        return this.observations >= this.warmup;
+    }
+
+    // ========================================================================
+    // RAW FEATURES
+    // ========================================================================
+
+    // Raw features for ticks[index], or null while the windows fill
+    raw(ticks, index) {
+        if (index < 1 || !(ticks[index - 1].quote > 0) || !(ticks[index].quote > 0)) return null;
+
+        const logPrice = Math.log(ticks[index].quote);
+        const logReturn = logPrice - Math.log(ticks[index - 1].quote);
+        const ema = (previous, window, value) => (previous === null ? value : previous + 2 / (window + 1) * (value - previous));
+
+        this.squaredReturn = ema(this.squaredReturn, this.volatilityWindow, logReturn * logReturn);
+        this.emaShort = ema(this.emaShort, this.shortWindow, logPrice);
+        this.emaLong = ema(this.emaLong, this.longWindow, logPrice);
+
+        if (index < this.entropyWindow - 1) return null;
+
+        const counts = new Array(10).fill(0);
+        for (let i = index - this.entropyWindow + 1; i <= index; i++) {
+            counts[ticks[i].digit]++;
+        }
+        const entropy = counts.reduce((sum, count) => {
+            if (count === 0) return sum;
+            const p = count / this.entropyWindow;
+            return sum - p * Math.log2(p);
+        }, 0) / Math.log2(10);
+
+        return {
+            return: logReturn,
+            volatility: Math.sqrt(this.squaredReturn),
+            // EMA gap of the log price: relative, so comparable across symbols
+            trend: this.emaShort - this.emaLong,
+            entropy
+        };
+    }
+
+    // ========================================================================
+    // NORMALIZATION
+    // ========================================================================
+
+    transform(name, value) {
+        return name === 'volatility' ? Math.log(value + 1e-12) : value;
+    }
+
+    // Running mean/variance; exact averages until the rate takes over
+    observe(name, value) {
+        const stats = this.stats[name];
+        const x = this.transform(name, value);
+        const rate = Math.max(1 / (this.observations + 1), this.normalizationRate);
+        const delta = x - stats.mean;
+        stats.mean += rate * delta;
+        stats.variance = (1 - rate) * stats.variance + rate * delta * (x - stats.mean);
+
+        const history = this.history[name];
+        history.push(value);
+        if (history.length > this.rankWindow) history.shift();
+    }
+
+    zScore(name, value) {
+        const stats = this.stats[name];
+        return stats.variance > 0 ? (this.transform(name, value) - stats.mean) / Math.sqrt(stats.variance) : 0;
+    }
+
+    // Share of the recent values below `value` (ties count half)
+    percentile(name, value) {
+        const history = this.history[name];
+        if (history.length === 0) return 0.5;
+
+        let below = 0;
+        history.forEach(past => {
+            if (past < value) below++;
+            else if (past === value) below += 0.5;
+        });
+        return below / history.length;
+    }
+
+    // ========================================================================
+    // UPDATES
+    // ========================================================================
+
+    // Processes the ticks newer than the last one seen and returns the
+    // features of each, oldest first; `latest` holds the newest
+    update(ticks) {
+        let start = ticks.length;
+        while (start > 0 && ticks[start - 1].epoch > this.lastEpoch) start--;
+
+        const computed = [];
+        for (let i = start; i < ticks.length; i++) {
+            const raw = this.raw(ticks, i);
+            if (!raw) continue;
+
+            FEATURES.forEach(name => this.observe(name, raw[name]));
+            this.observations++;
+            this.latest = this.describe(raw);
+            computed.push(this.latest);
+        }
+        if (ticks.length > 0) {
+            this.lastEpoch = Math.max(this.lastEpoch, ticks[ticks.length - 1].epoch);
+        }
+
+        return computed;
+    }
+
+    // Neutral values (z 0, median rank) until the statistics have settled
+    describe(raw) {
+        const z = {};
+        const percentile = {};
+        FEATURES.forEach(name => {
+            z[name] = this.ready ? this.zScore(name, raw[name]) : 0;
+            percentile[name] = this.ready ? this.percentile(name, raw[name]) : 0.5;
+        });
+        return { ready: this.ready, raw, z, percentile };
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    getState() {
+        return {
+            observations: this.observations,
+            lastEpoch: this.lastEpoch,
+            squaredReturn: this.squaredReturn,
+            emaShort: this.emaShort,
+            emaLong: this.emaLong,
+            stats: this.stats,
+            history: this.history,
+            latest: this.latest
+        };
+    }
+
+    setState(state) {
+        if (!state || !state.stats || FEATURES.some(name => !state.stats[name])) return;
+
+        this.observations = state.observations;
+        this.lastEpoch = state.lastEpoch;
+        this.squaredReturn = state.squaredReturn;
+        this.emaShort = state.emaShort;
+        this.emaLong = state.emaLong;
+        this.stats = state.stats;
+        this.history = state.history;
+        this.latest = state.latest;
+    }
+}
+
+FeaturePipeline.FEATURES = FEATURES;
+
+module.exports = FeaturePipeline;
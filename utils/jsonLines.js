@@ -0,0 +1,75 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const logger = require('./logger');
+
+// ============================================================================
+// JSON LINES - Daily append-only files shared by the tick recorder and the
+// decision journal
+// The current day is appended as plain <name>.jsonl; once the day is over
+// it is compressed into <name>.jsonl.gz. A crash can then only cut the last
+// plain line short, and the reader skips a line that does not parse. The
+// .gz file is replaced whole (temp file + rename), never appended in place.
+// ============================================================================
+
+// Moves a finished day's plain file into its .gz, keeping any earlier members
+async function compressFile(plainPath) {
+    const gzPath = `${plainPath}.gz`;
+    const tmpPath = `${gzPath}.tmp`;
+
+    const plain = await fs.promises.readFile(plainPath);
+    let existing = Buffer.alloc(0);
+    try {
+        existing = await fs.promises.readFile(gzPath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+        await handle.writeFile(Buffer.concat([existing, zlib.gzipSync(plain)]));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await fs.promises.rename(tmpPath, gzPath);
+    await fs.promises.unlink(plainPath);
+}
+
+// Streams the records of a .jsonl or .jsonl.gz file. Damage from a crash
+// (an unparseable line, a truncated gzip tail) is logged and skipped, and
+// everything readable is still yielded
+async function* readJsonLines(filePath) {
+    const file = fs.createReadStream(filePath);
+    const input = filePath.endsWith('.gz') ? file.pipe(zlib.createGunzip()) : file;
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let skipped = 0;
+
+    try {
+        for await (const line of lines) {
+            if (!line) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                skipped++;
+                continue;
+            }
+            yield record;
+        }
+    } catch (error) {
+        logger.error(`${filePath}: stopped at a damaged tail (${error.message})`);
+    } finally {
+        lines.close();
+        file.destroy();
+        if (skipped > 0) {
+            logger.error(`${filePath}: skipped ${skipped} unreadable line(s)`);
+        }
+    }
+}
+
+module.exports = {
+    compressFile,
+    readJsonLines
+};
@@ -0,0 +1,267 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+// ============================================================================
+// JSON STORAGE DRIVER - One file per key under data/
+// Writes go to a temp file that is fsynced and renamed over the old one, so
+// a crash leaves either the old or the new file. The previous copies are
+// kept in data/backups and read back when the live file is unreadable.
+// Keeps no trade/tick history beyond what the keys themselves hold.
+// ============================================================================
+
+// Snapshot ids are the creation time, with a counter when two share it
+const SNAPSHOT_ID = /^\d+(-\d+)?$/;
+
+class JsonStorageDriver {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || './data';
+        this.backupDir = path.join(this.dataDir, 'backups');
+        this.snapshotDir = path.join(this.dataDir, 'snapshots');
+        this.backupCount = options.backupCount !== undefined ? options.backupCount : 3;
+        this.writes = new Map();
+    }
+
+    get name() {
+        return 'json';
+    }
+
+    get supportsHistory() {
+        return false;
+    }
+
+    async init() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+        await fs.mkdir(this.backupDir, { recursive: true });
+
+        // Temp files left by a crash mid-write
+        for (const name of await fs.readdir(this.dataDir)) {
+            if (name.endsWith('.json.tmp')) {
+                await fs.unlink(path.join(this.dataDir, name));
+            }
+        }
+    }
+
+    async close() {
+        await Promise.all(this.writes.values());
+    }
+
+    getFilePath(key) {
+        return path.join(this.dataDir, `${key}.json`);
+    }
+
+    getBackupPath(key, generation) {
+        return path.join(this.backupDir, `${key}.${generation}.json`);
+    }
+
+    // ========================================================================
+    // KEYS
+    // ========================================================================
+
+    // { schemaVersion, data } from the live file, else from the newest readable backup
+    async read(key) {
+        let raw;
+        try {
+            raw = await fs.readFile(this.getFilePath(key), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        try {
+            return this.unwrap(JSON.parse(raw));
+        } catch (error) {
+            logger.error(`${key}.json is unreadable (${error.message}), trying backups`);
+        }
+
+        for (let generation = 1; generation <= this.backupCount; generation++) {
+            try {
+                const envelope = this.unwrap(JSON.parse(await fs.readFile(this.getBackupPath(key, generation), 'utf8')));
+                logger.system(`♻️  Restored ${key} from backup ${generation}`);
+                return envelope;
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Backup ${generation} of ${key} is unreadable: ${error.message}`);
+                }
+            }
+        }
+
+        throw new Error(`No readable copy of ${key}`);
+    }
+
+    // Files written before versioning hold the bare value
+    unwrap(parsed) {
+        const isEnvelope = parsed !== null && typeof parsed === 'object' &&
+            Number.isInteger(parsed.schemaVersion) && 'data' in parsed;
+        return isEnvelope
+            ? { schemaVersion: parsed.schemaVersion, data: parsed.data }
+            : { schemaVersion: 0, data: parsed };
+    }
+
+    write(key, envelope) {
+        return this.enqueue(key, () => this.writeAtomic(key, envelope));
+    }
+
+    // The deleted file is kept as the newest backup
+    remove(key) {
+        return this.enqueue(key, async () => {
+            await this.rotateBackups(key);
+            await fs.unlink(this.getFilePath(key));
+        });
+    }
+
+    async keys() {
+        try {
+            const names = await fs.readdir(this.dataDir);
+            return names
+                .filter(name => name.endsWith('.json'))
+                .map(name => name.slice(0, -'.json'.length))
+                .sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    // Writes to the same key run one after another
+    enqueue(key, task) {
+        const previous = this.writes.get(key) || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+
+        this.writes.set(key, next);
+        next.catch(() => {}).then(() => {
+            if (this.writes.get(key) === next) {
+                this.writes.delete(key);
+            }
+        });
+        return next;
+    }
+
+    async writeAtomic(key, envelope) {
+        const filePath = this.getFilePath(key);
+        const tmpPath = `${filePath}.tmp`;
+
+        const handle = await fs.open(tmpPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(envelope, null, 2), 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await this.rotateBackups(key);
+        await fs.rename(tmpPath, filePath);
+        await this.syncDir();
+    }
+
+    // key.1.json is the copy just replaced; the oldest generation drops off
+    async rotateBackups(key) {
+        if (this.backupCount <= 0) return;
+
+        try {
+            await fs.access(this.getFilePath(key));
+        } catch (error) {
+            return;
+        }
+
+        await fs.mkdir(this.backupDir, { recursive: true });
+        for (let generation = this.backupCount - 1; generation >= 1; generation--) {
+            try {
+                await fs.rename(this.getBackupPath(key, generation), this.getBackupPath(key, generation + 1));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        await fs.copyFile(this.getFilePath(key), this.getBackupPath(key, 1));
+    }
+
+    // Persist the rename itself; not supported on every platform
+    async syncDir() {
+        let handle;
+        try {
+            handle = await fs.open(this.dataDir, 'r');
+            await handle.sync();
+        } catch (error) {
+            // Best effort
+        } finally {
+            if (handle) await handle.close();
+        }
+    }
+
+    // ========================================================================
+    // SNAPSHOTS (data/snapshots/<id>.json)
+    // ========================================================================
+
+    async saveSnapshot(snapshot) {
+        await fs.mkdir(this.snapshotDir, { recursive: true });
+
+        let id = String(snapshot.createdAt);
+        const existing = await this.listSnapshotIds();
+        for (let n = 2; existing.includes(id); n++) {
+            id = `${snapshot.createdAt}-${n}`;
+        }
+
+        const filePath = this.snapshotPath(id);
+        await this.enqueue(`snapshot:${id}`, async () => {
+            const handle = await fs.open(filePath, 'wx');
+            try {
+                await handle.writeFile(JSON.stringify({ id, ...snapshot }), 'utf8');
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+        });
+        return id;
+    }
+
+    // Ids reach here from the control API and Telegram, so they must never
+    // name a file outside the snapshot directory
+    snapshotPath(id) {
+        if (!SNAPSHOT_ID.test(String(id))) {
+            throw Object.assign(new Error(`Invalid snapshot id: ${id}`), { statusCode: 400 });
+        }
+        return path.join(this.snapshotDir, `${id}.json`);
+    }
+
+    async listSnapshotIds() {
+        try {
+            return (await fs.readdir(this.snapshotDir))
+                .filter(name => name.endsWith('.json'))
+                .map(name => name.slice(0, -'.json'.length))
+                .filter(id => SNAPSHOT_ID.test(id));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async listSnapshots() {
+        const snapshots = [];
+        for (const id of await this.listSnapshotIds()) {
+            const { data, ...meta } = await this.loadSnapshot(id);
+            snapshots.push(meta);
+        }
+        return snapshots.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async loadSnapshot(id) {
+        try {
+            return JSON.parse(await fs.readFile(this.snapshotPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async deleteSnapshot(id) {
+        try {
+            await fs.unlink(this.snapshotPath(id));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+}
+
+module.exports = JsonStorageDriver;
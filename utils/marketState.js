@@ -0,0 +1,75 @@
+// ============================================================================
+// MARKET STATE - Everything the bot tracks for a single symbol
+// ============================================================================
+
+class MarketState {
+    constructor(symbol) {
+        this.symbol = symbol;
+
+        // Data
+        this.tickHistory = [];
+        this.historyLoaded = false;
+
+        // Learning structures (per symbol; pattern/context memory is shared)
+        this.qTable = null;
+        this.deepQTable = null;
+        this.metaQTable = null;
+        // FeaturePipeline and RegimeDetector (set up by the bot) and their latest output
+        this.featurePipeline = null;
+        this.features = null;
+        this.regimeDetector = null;
+        this.regime = null;
+
+        // Trading state
+        this.isPending = false;
+        this.currentContractId = null;
+        this.currentTrade = null;
+        this.nextTradeTime = 0;
+        this.signalTickAt = null;
+        this.decision = null;
+        // Buy sent but not confirmed yet; kept when its reply is lost
+        this.pendingBuy = null;
+        this.tickSubscriptionId = null;
+
+        // Statistics
+        this.wins = 0;
+        this.losses = 0;
+        this.consecutiveLosses = 0;
+        this.totalProfit = 0;
+
+        // Adaptive state
+        this.currentMode = 'balanced';
+        this.smoothedConfidence = 0.5;
+        // Latest RandomnessDiagnostics result
+        this.randomness = null;
+        this.dataIntegrity = {
+            score: 1.0,
+            recentAnomalies: 0
+        };
+    }
+
+    storageKey(name) {
+        return `${name}-${this.symbol}`;
+    }
+
+    get lastTick() {
+        return this.tickHistory.length > 0 ? this.tickHistory[this.tickHistory.length - 1] : null;
+    }
+
+    getStats() {
+        return {
+            wins: this.wins,
+            losses: this.losses,
+            totalProfit: this.totalProfit
+        };
+    }
+
+    restoreStats(stats) {
+        if (!stats) return;
+        this.wins = stats.wins || 0;
+        this.losses = stats.losses || 0;
+        this.totalProfit = stats.totalProfit || 0;
+    }
+}
+
+module.exports = MarketState;
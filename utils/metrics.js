@@ -0,0 +1,178 @@
+// ============================================================================
+// METRICS - Minimal Prometheus registry (text exposition format 0.0.4)
+// Counters and histograms are updated as events happen; gauges are filled
+// in by collectors right before each scrape.
+// ============================================================================
+
+function formatLabels(labels) {
+    const keys = Object.keys(labels);
+    if (keys.length === 0) return '';
+
+    const pairs = keys.map(key => {
+        const value = String(labels[key]).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return `${key}="${value}"`;
+    });
+    return `{${pairs.join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.series = new Map();
+    }
+
+    key(labels) {
+        return formatLabels(labels);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super('counter', name, help);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = this.key(labels);
+        const entry = this.series.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        this.series.set(key, entry);
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(entry => {
+            lines.push(`${this.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+        });
+        return lines;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help) {
+        super('gauge', name, help);
+    }
+
+    set(labels, value) {
+        if (typeof labels === 'number') {
+            value = labels;
+            labels = {};
+        }
+        this.series.set(this.key(labels), { labels, value });
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(entry => {
+            lines.push(`${this.name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`);
+        });
+        return lines;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super('histogram', name, help);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        if (typeof labels === 'number') {
+            value = labels;
+            labels = {};
+        }
+
+        const key = this.key(labels);
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, entry);
+        }
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(entry => {
+            this.buckets.forEach((bound, i) => {
+                const labels = formatLabels({ ...entry.labels, le: formatValue(bound) });
+                lines.push(`${this.name}_bucket${labels} ${entry.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+            lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        });
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor(prefix = '') {
+        this.prefix = prefix;
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            return this.metrics.get(metric.name);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(this.prefix + name, help));
+    }
+
+    gauge(name, help) {
+        return this.register(new Gauge(this.prefix + name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(this.prefix + name, help, buckets));
+    }
+
+    // Called before every render to refresh gauges from live state
+    onCollect(collector) {
+        this.collectors.push(collector);
+    }
+
+    render() {
+        this.collectors.forEach(collect => collect());
+
+        const lines = [];
+        this.metrics.forEach(metric => {
+            lines.push(...metric.render());
+        });
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram
+};
@@ -0,0 +1,54 @@
+// ============================================================================
+// STORAGE MIGRATIONS - Upgrades persisted files to the current schema
+// Migration N takes a file from schema N-1 to N: `up(data, key, context)`
+// returns the new value, `rename(key, context)` may move it to a new key and
+// `drop(key, context)` returning true deletes it, so the bot starts that
+// value from its defaults. `learnedState(state)` applies the same change to
+// the learned state held in a snapshot (see DerivTradingBot.captureLearnedState).
+// Files written before versioning are schema 0. Only ever append entries.
+// ============================================================================
+
+const LEGACY_QTABLE_KEYS = ['qtables', 'deepQtables', 'metaQtables'];
+const REGIME_QTABLE_KEY = /^(deepQtables|metaQtables)-/;
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Wrap unversioned files in the schema envelope',
+        up: data => data
+    },
+    {
+        version: 2,
+        description: 'Move single-symbol Q-tables to the primary symbol\'s keys',
+        rename: (key, context) => LEGACY_QTABLE_KEYS.includes(key) ? `${key}-${context.primarySymbol}` : key
+    },
+    {
+        // Same state keys, but "low/medium/high" volatility used to be fixed
+        // standard-deviation bands and is now the HMM regime's level
+        version: 3,
+        description: 'Reset deep and meta Q-tables keyed by the old volatility bands',
+        drop: key => REGIME_QTABLE_KEY.test(key),
+        learnedState: state => {
+            Object.values(state.markets || {}).forEach(learned => {
+                learned.deepQTable = null;
+                learned.metaQTable = null;
+            });
+            return state;
+        }
+    },
+    {
+        // Contexts stored volatility as the price's standard deviation, which
+        // does not compare with the 0-1 percentile rank matched against now
+        version: 4,
+        description: 'Clear context memory recorded with absolute volatility',
+        drop: key => key === 'contextMemory',
+        learnedState: state => ({ ...state, contextMemory: [] })
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+module.exports = {
+    MIGRATIONS,
+    SCHEMA_VERSION
+};
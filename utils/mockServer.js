@@ -0,0 +1,471 @@
+const WebSocket = require('ws');
+const logger = require('./logger');
+const ContractSimulator = require('./contractSimulator');
+const { CONTRACT_FAMILY, estimatePayoutRatio } = require('./contractFamilies');
+
+// ============================================================================
+// MOCK DERIV SERVER - Local stand-in for the Deriv WebSocket API
+// Speaks authorize, balance, ticks_history, ticks, proposal, buy,
+// proposal_open_contract, portfolio, profit_table, forget and ping over
+// synthetic or recorded ticks.
+// ============================================================================
+
+const DEFAULT_PRICES = {
+    R_10: 6000,
+    R_25: 2500,
+    R_50: 250,
+    R_75: 80000,
+    R_100: 1200
+};
+
+class TickFeed {
+    constructor(symbol, options = {}) {
+        this.symbol = symbol;
+        this.recorded = options.ticks || null;
+        this.cursor = 0;
+        this.history = [];
+
+        if (this.recorded) {
+            // Recorded ticks: the first part serves ticks_history, the rest streams
+            this.cursor = Math.min(options.historySize || 1000, Math.floor(this.recorded.length / 2));
+            this.history = this.recorded.slice(0, this.cursor);
+        } else {
+            this.price = options.startPrice || DEFAULT_PRICES[symbol] || 1000;
+            this.stepSize = options.stepSize || this.price * 0.0002;
+            this.epoch = Math.floor(Date.now() / 1000) - (options.historySize || 1000);
+
+            for (let i = 0; i < (options.historySize || 1000); i++) {
+                this.history.push(this.generate());
+            }
+        }
+    }
+
+    generate() {
+        this.price = Math.max(0.001, this.price + (Math.random() - 0.5) * 2 * this.stepSize);
+        this.epoch++;
+        return { epoch: this.epoch, quote: Math.round(this.price * 1000) / 1000 };
+    }
+
+    next() {
+        let tick;
+
+        if (this.recorded) {
+            if (this.cursor >= this.recorded.length) return null;
+            tick = this.recorded[this.cursor++];
+        } else {
+            tick = this.generate();
+        }
+
+        this.history.push(tick);
+        if (this.history.length > 5000) {
+            this.history.shift();
+        }
+
+        return { ...tick, symbol: this.symbol, digit: Math.floor(tick.quote * 100) % 10 };
+    }
+}
+
+class MockSession {
+    constructor(server, sendFn) {
+        this.server = server;
+        this.sendFn = sendFn;
+        this.subscriptions = new Map();
+        this.proposals = new Map();
+        this.authorized = false;
+    }
+
+    reply(request, msgType, body, subscriptionId = null) {
+        const message = { echo_req: request, msg_type: msgType, ...body };
+        if (request.req_id !== undefined) message.req_id = request.req_id;
+        if (request.passthrough !== undefined) message.passthrough = request.passthrough;
+        if (subscriptionId) message.subscription = { id: subscriptionId };
+        this.sendFn(message);
+    }
+
+    replyError(request, msgType, code, text) {
+        this.reply(request, msgType, { error: { code, message: text } });
+    }
+
+    subscribe(type, request, extra = {}) {
+        const id = this.server.nextId('sub');
+        this.subscriptions.set(id, { type, request, ...extra });
+        return id;
+    }
+
+    receive(request) {
+        if (request.authorize) return this.handleAuthorize(request);
+        if (request.ping) return this.reply(request, 'ping', { ping: 'pong' });
+        if (request.ticks_history) return this.handleTicksHistory(request);
+        if (request.ticks) return this.handleTicks(request);
+        if (request.forget) return this.handleForget(request);
+
+        if (!this.authorized && (request.balance || request.proposal || request.buy || request.proposal_open_contract || request.portfolio || request.profit_table)) {
+            const msgType = Object.keys(request).find(key => key !== 'req_id' && key !== 'passthrough');
+            return this.replyError(request, msgType, 'AuthorizationRequired', 'Please log in.');
+        }
+
+        if (request.balance) return this.handleBalance(request);
+        if (request.proposal) return this.handleProposal(request);
+        if (request.buy) return this.handleBuy(request);
+        if (request.proposal_open_contract) return this.handleOpenContract(request);
+        if (request.portfolio) return this.handlePortfolio(request);
+        if (request.profit_table) return this.handleProfitTable(request);
+
+        this.replyError(request, 'error', 'UnrecognisedRequest', 'Unrecognised request.');
+    }
+
+    handleAuthorize(request) {
+        if (this.server.token && request.authorize !== this.server.token) {
+            return this.replyError(request, 'authorize', 'InvalidToken', 'The token is invalid.');
+        }
+
+        this.authorized = true;
+        this.reply(request, 'authorize', {
+            authorize: {
+                balance: this.server.balance,
+                currency: this.server.currency,
+                loginid: 'VRTC0000001',
+                is_virtual: 1
+            }
+        });
+    }
+
+    handleBalance(request) {
+        const subscriptionId = request.subscribe ? this.subscribe('balance', request) : null;
+        this.reply(request, 'balance', {
+            balance: { balance: this.server.balance, currency: this.server.currency, id: subscriptionId }
+        }, subscriptionId);
+    }
+
+    handleTicksHistory(request) {
+        const feed = this.server.getFeed(request.ticks_history);
+        if (!feed) {
+            return this.replyError(request, 'history', 'InvalidSymbol', `Symbol ${request.ticks_history} is invalid.`);
+        }
+
+        const count = request.count || 1000;
+        const start = request.start || 0;
+        const ticks = feed.history.filter(t => t.epoch >= start).slice(-count);
+
+        this.reply(request, 'history', {
+            history: {
+                times: ticks.map(t => t.epoch),
+                prices: ticks.map(t => t.quote)
+            },
+            pip_size: 3
+        });
+    }
+
+    handleTicks(request) {
+        if (!this.server.getFeed(request.ticks)) {
+            return this.replyError(request, 'tick', 'InvalidSymbol', `Symbol ${request.ticks} is invalid.`);
+        }
+
+        const subscriptionId = this.subscribe('ticks', request, { symbol: request.ticks });
+        // Deriv acknowledges a tick subscription with the next tick, so nothing is sent now
+        return subscriptionId;
+    }
+
+    handleForget(request) {
+        const existed = this.subscriptions.delete(request.forget);
+        this.reply(request, 'forget', { forget: existed ? 1 : 0 });
+    }
+
+    handleProposal(request) {
+        if (!this.server.getFeed(request.symbol)) {
+            return this.replyError(request, 'proposal', 'InvalidSymbol', `Symbol ${request.symbol} is invalid.`);
+        }
+
+        if (!CONTRACT_FAMILY[request.contract_type]) {
+            return this.replyError(request, 'proposal', 'ContractCreationFailure', `Contract type ${request.contract_type} is not offered.`);
+        }
+
+        const barrier = request.barrier !== undefined ? Number(request.barrier) : null;
+        const family = CONTRACT_FAMILY[request.contract_type];
+        if ((family === 'overunder' || family === 'matchdiff') && (barrier === null || isNaN(barrier))) {
+            return this.replyError(request, 'proposal', 'ContractCreationFailure', 'A digit barrier is required.');
+        }
+        if ((request.contract_type === 'DIGITOVER' && barrier > 8) || (request.contract_type === 'DIGITUNDER' && barrier < 1)) {
+            return this.replyError(request, 'proposal', 'ContractCreationFailure', 'Barrier is out of range.');
+        }
+
+        const stake = parseFloat(request.amount);
+        const ratio = estimatePayoutRatio(request.contract_type, barrier, this.server.houseEdge);
+        const id = this.server.nextId('proposal');
+        const proposal = {
+            id,
+            ask_price: stake,
+            payout: Math.round(stake * (1 + ratio) * 100) / 100,
+            spot: this.server.getFeed(request.symbol).history.slice(-1)[0].quote,
+            longcode: `${request.contract_type}${barrier !== null ? ` ${barrier}` : ''} over ${request.duration} ticks on ${request.symbol}.`
+        };
+
+        this.proposals.set(id, { request, proposal });
+        this.reply(request, 'proposal', { proposal });
+    }
+
+    handleBuy(request) {
+        const entry = this.proposals.get(request.buy);
+        if (!entry) {
+            return this.replyError(request, 'buy', 'InvalidContractProposal', 'Proposal not found or expired.');
+        }
+        if (this.server.balance < entry.proposal.ask_price) {
+            return this.replyError(request, 'buy', 'InsufficientBalance', 'Your account balance is insufficient to buy this contract.');
+        }
+
+        this.proposals.delete(request.buy);
+        this.server.balance -= entry.proposal.ask_price;
+
+        const contractId = this.server.nextContractId++;
+        const contract = this.server.simulator.open({
+            id: contractId,
+            contractType: entry.request.contract_type,
+            barrier: entry.request.barrier,
+            stake: entry.proposal.ask_price,
+            payout: entry.proposal.payout,
+            duration: entry.request.duration,
+            symbol: entry.request.symbol
+        });
+        this.server.contracts.set(contractId, { contract, settled: null, purchaseTime: Math.floor(Date.now() / 1000) });
+
+        this.reply(request, 'buy', {
+            buy: {
+                contract_id: contractId,
+                buy_price: entry.proposal.ask_price,
+                payout: entry.proposal.payout,
+                balance_after: this.server.balance,
+                transaction_id: contractId * 2,
+                longcode: entry.proposal.longcode
+            }
+        });
+        this.pushBalance();
+    }
+
+    handleOpenContract(request) {
+        const entry = this.server.contracts.get(request.contract_id);
+        if (!entry) {
+            return this.replyError(request, 'proposal_open_contract', 'InvalidContractId', 'Contract not found.');
+        }
+
+        const subscriptionId = request.subscribe ? this.subscribe('contract', request, { contractId: request.contract_id }) : null;
+        this.reply(request, 'proposal_open_contract', {
+            proposal_open_contract: this.describeContract(entry)
+        }, subscriptionId);
+    }
+
+    handlePortfolio(request) {
+        const contracts = [...this.server.contracts.values()]
+            .filter(entry => !entry.settled)
+            .map(({ contract, purchaseTime }) => ({
+                contract_id: contract.id,
+                contract_type: contract.contractType,
+                symbol: contract.symbol,
+                buy_price: contract.stake,
+                payout: contract.payout,
+                purchase_time: purchaseTime
+            }));
+
+        this.reply(request, 'portfolio', { portfolio: { contracts } });
+    }
+
+    handleProfitTable(request) {
+        const transactions = [...this.server.contracts.values()]
+            .filter(entry => entry.settled && entry.purchaseTime >= (request.date_from || 0))
+            .map(({ contract, settled, purchaseTime }) => ({
+                contract_id: contract.id,
+                contract_type: contract.contractType,
+                shortcode: `${contract.contractType}_${contract.symbol}_${contract.payout}_${purchaseTime}_${contract.duration}T`,
+                buy_price: contract.stake,
+                sell_price: settled.won ? contract.payout : 0,
+                purchase_time: purchaseTime
+            }))
+            .slice(0, request.limit || 50);
+
+        this.reply(request, 'profit_table', { profit_table: { count: transactions.length, transactions } });
+    }
+
+    describeContract(entry) {
+        const { contract, settled } = entry;
+        const base = {
+            contract_id: contract.id,
+            contract_type: contract.contractType,
+            barrier: contract.barrier,
+            underlying: contract.symbol,
+            buy_price: contract.stake,
+            payout: contract.payout
+        };
+
+        if (!settled) {
+            return { ...base, is_sold: 0, status: 'open', profit: 0 };
+        }
+
+        return {
+            ...base,
+            is_sold: 1,
+            status: settled.won ? 'won' : 'lost',
+            profit: Math.round(settled.profit * 100) / 100,
+            payout: settled.won ? contract.payout : 0,
+            exit_tick: settled.exitTick.quote,
+            exit_tick_time: settled.exitTick.epoch
+        };
+    }
+
+    pushBalance() {
+        this.subscriptions.forEach((sub, id) => {
+            if (sub.type !== 'balance') return;
+            this.reply(sub.request, 'balance', {
+                balance: { balance: this.server.balance, currency: this.server.currency, id }
+            }, id);
+        });
+    }
+
+    // `settled` are the account's contracts this tick expired
+    onTick(tick, settled) {
+        this.subscriptions.forEach((sub, id) => {
+            if (sub.type === 'ticks' && sub.symbol === tick.symbol) {
+                this.reply(sub.request, 'tick', {
+                    tick: { epoch: tick.epoch, quote: tick.quote, symbol: tick.symbol, id }
+                }, id);
+            }
+        });
+
+        if (settled.length === 0) return;
+
+        settled.forEach(result => {
+            const entry = this.server.contracts.get(result.id);
+            this.subscriptions.forEach((sub, id) => {
+                if (sub.type === 'contract' && sub.contractId === result.id) {
+                    this.reply(sub.request, 'proposal_open_contract', {
+                        proposal_open_contract: this.describeContract(entry)
+                    }, id);
+                }
+            });
+        });
+
+        this.pushBalance();
+    }
+
+    close() {
+        this.subscriptions.clear();
+        this.server.sessions.delete(this);
+    }
+}
+
+class MockDerivServer {
+    constructor(options = {}) {
+        this.token = options.token || null;
+        this.balance = options.balance !== undefined ? options.balance : 10000;
+        this.currency = options.currency || 'USD';
+        this.payoutRatio = options.payoutRatio || 0.95;
+        // Odd/even pays payoutRatio; other contracts are priced with the same edge
+        this.houseEdge = 1 - 0.5 * (1 + this.payoutRatio);
+        this.tickIntervalMs = options.tickIntervalMs || 1000;
+
+        this.feeds = new Map();
+        const symbols = options.symbols || ['R_10'];
+        symbols.forEach(symbol => {
+            this.feeds.set(symbol, new TickFeed(symbol, {
+                ticks: options.ticks && options.ticks[symbol],
+                historySize: options.historySize
+            }));
+        });
+
+        this.sessions = new Set();
+        // Contracts belong to the account, so they outlive a dropped session
+        this.simulator = new ContractSimulator();
+        this.contracts = new Map();
+        this.counters = {};
+        this.nextContractId = 100000;
+        this.tickTimer = null;
+        this.wss = null;
+    }
+
+    nextId(prefix) {
+        this.counters[prefix] = (this.counters[prefix] || 0) + 1;
+        return `${prefix}-${this.counters[prefix]}`;
+    }
+
+    getFeed(symbol) {
+        return this.feeds.get(symbol) || null;
+    }
+
+    createSession(sendFn) {
+        const session = new MockSession(this, sendFn);
+        this.sessions.add(session);
+        this.start();
+        return session;
+    }
+
+    settleContracts(tick) {
+        const settled = this.simulator.onTick(tick);
+        settled.forEach(result => {
+            this.contracts.get(result.id).settled = result;
+            if (result.won) {
+                this.balance += result.payout;
+            }
+        });
+        return settled;
+    }
+
+    // Advance every feed by one tick; called by the timer or manually
+    emitTicks() {
+        this.feeds.forEach(feed => {
+            const tick = feed.next();
+            if (!tick) return;
+            const settled = this.settleContracts(tick);
+            this.sessions.forEach(session => session.onTick(tick, settled));
+        });
+    }
+
+    start() {
+        if (this.tickTimer || this.tickIntervalMs <= 0) return;
+        this.tickTimer = setInterval(() => this.emitTicks(), this.tickIntervalMs);
+    }
+
+    listen(port = 8765, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocket.Server({ port, host });
+
+            this.wss.on('listening', () => {
+                logger.system(`🧪 Mock Deriv server listening on ws://${host}:${port}`);
+                resolve(this.wss.address());
+            });
+            this.wss.on('error', reject);
+
+            this.wss.on('connection', (ws) => {
+                const session = this.createSession((message) => {
+                    if (ws.readyState === WebSocket.OPEN) {
+                        ws.send(JSON.stringify(message));
+                    }
+                });
+
+                ws.on('message', (data) => {
+                    try {
+                        session.receive(JSON.parse(data.toString()));
+                    } catch (error) {
+                        session.replyError({}, 'error', 'InputValidationFailed', error.message);
+                    }
+                });
+                ws.on('close', () => session.close());
+            });
+        });
+    }
+
+    close() {
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+
+        this.sessions.forEach(session => session.close());
+
+        return new Promise(resolve => {
+            if (!this.wss) return resolve();
+            this.wss.clients.forEach(client => client.terminate());
+            this.wss.close(() => resolve());
+            this.wss = null;
+        });
+    }
+}
+
+module.exports = MockDerivServer;
@@ -0,0 +1,227 @@
+const path = require('path');
+const logger = require('./logger');
+const StatisticalModel = require('../models/statistical');
+const MarkovModel = require('../models/markov');
+const TrendModel = require('../models/trend');
+const QLearningModel = require('../models/qLearning');
+const StreakModel = require('../models/streak');
+const PatternModel = require('../models/pattern');
+const EntropyModel = require('../models/entropy');
+const CycleModel = require('../models/cycle');
+const HigherOrderMarkovModel = require('../models/higherOrderMarkov');
+
+// ============================================================================
+// MODEL REGISTRY - The ensemble's member models, built in and plugged in
+// A model is an object with:
+//   name                       unique id (weights, accuracy, shadow variants)
+//   predict(ticks, ctx)        -> { odd, even [, prediction] } for the next tick;
+//                              ticks are the latest 500, ctx holds the shared
+//                              features (see DerivTradingBot.getModelSignals;
+//                              ctx.features holds the normalized FeaturePipeline
+//                              output, volatility is its percentile rank and
+//                              trendStrength its trend z-score)
+//   observe(ticks, ctx)        optional; called after every new tick with the
+//                              symbol's full history and ctx { symbol, market },
+//                              for models that count every tick, not only
+//                              the ones they predicted on
+//   learn(outcome)             optional; called after every settled odd/even
+//                              trade with { symbol, ticks, prediction, actual, won, trade }
+//   getState() / setState(s)   optional; persisted under `stateKey` (default
+//                              model-<name>) and captured in snapshots
+// A plugin module (config models.plugins: "./my-model.js" or
+// { "module": "...", "options": {...} }) exports such an object or a class
+// constructed with the options. models.disabled drops models by name, and
+// models.enabled adds the optional built-ins below (options in models.<name>).
+// ============================================================================
+
+const BUILTIN_MODELS = [
+    StatisticalModel,
+    MarkovModel,
+    TrendModel,
+    QLearningModel,
+    StreakModel,
+    PatternModel,
+    EntropyModel,
+    CycleModel
+];
+
+const OPTIONAL_MODELS = {
+    markovParity: options => new HigherOrderMarkovModel({ order: 4, ...options, name: 'markovParity', alphabet: 'parity' }),
+    markovDigits: options => new HigherOrderMarkovModel({ order: 2, ...options, name: 'markovDigits', alphabet: 'digits' })
+};
+
+class ModelRegistry {
+    constructor(options = {}) {
+        const disabled = options.disabled || [];
+        this.models = [];
+        this.sources = new Map();
+        // Last error per model, so a broken plugin is not logged on every tick
+        this.failures = new Map();
+
+        BUILTIN_MODELS.forEach(Model => {
+            const model = new Model();
+            if (!disabled.includes(model.name)) this.register(model, 'builtin');
+        });
+
+        (options.enabled || []).forEach(name => {
+            if (!OPTIONAL_MODELS[name]) {
+                throw new Error(`Unknown optional model "${name}" (available: ${Object.keys(OPTIONAL_MODELS).join(', ')})`);
+            }
+            if (!disabled.includes(name)) this.register(OPTIONAL_MODELS[name](options[name] || {}), 'builtin');
+        });
+
+        (options.plugins || []).forEach(spec => {
+            const { model, source } = this.loadPlugin(spec);
+            if (!disabled.includes(model.name)) this.register(model, source);
+        });
+    }
+
+    get names() {
+        return this.models.map(model => model.name);
+    }
+
+    get(name) {
+        return this.models.find(model => model.name === name) || null;
+    }
+
+    register(model, source) {
+        if (!model || typeof model.name !== 'string' || !model.name) {
+            throw new Error(`Model from ${source} has no name`);
+        }
+        if (typeof model.predict !== 'function') {
+            throw new Error(`Model "${model.name}" (${source}) has no predict(ticks, ctx)`);
+        }
+        if (this.get(model.name)) {
+            throw new Error(`Model "${model.name}" (${source}) is already registered by ${this.sources.get(model.name)}`);
+        }
+        if ((typeof model.getState === 'function') !== (typeof model.setState === 'function')) {
+            throw new Error(`Model "${model.name}" (${source}) needs both getState() and setState() to persist its state`);
+        }
+
+        this.models.push(model);
+        this.sources.set(model.name, source);
+    }
+
+    // Relative paths are resolved from the working directory, like data/
+    loadPlugin(spec) {
+        const { module: modulePath, options = {} } = typeof spec === 'string' ? { module: spec } : spec;
+        if (!modulePath) {
+            throw new Error(`Model plugin entry needs a module: ${JSON.stringify(spec)}`);
+        }
+
+        const resolved = modulePath.startsWith('.') || path.isAbsolute(modulePath) ? path.resolve(modulePath) : modulePath;
+        let exported;
+        try {
+            exported = require(resolved);
+        } catch (error) {
+            throw new Error(`Cannot load model plugin ${modulePath}: ${error.message}`);
+        }
+
+        const model = typeof exported === 'function' ? new exported(options) : exported;
+        return { model, source: modulePath };
+    }
+
+    // ========================================================================
+    // ENSEMBLE HOOKS
+    // ========================================================================
+
+    // Each model's probabilities and call; a model that throws or returns
+    // something unusable sits this tick out
+    predictAll(ticks, ctx) {
+        const models = {};
+        const predictions = {};
+
+        this.models.forEach(model => {
+            let result;
+            try {
+                result = model.predict(ticks, ctx);
+            } catch (error) {
+                this.reportFailure(model, `failed: ${error.message}`);
+                return;
+            }
+            if (!result || !Number.isFinite(result.odd) || !Number.isFinite(result.even)) {
+                this.reportFailure(model, `returned ${JSON.stringify(result)}, expected { odd, even }`);
+                return;
+            }
+            if (this.failures.delete(model.name)) {
+                logger.system(`Model ${model.name} recovered`);
+            }
+
+            models[model.name] = { odd: result.odd, even: result.even };
+            predictions[model.name] = result.prediction || (result.odd > result.even ? 'odd' : 'even');
+        });
+
+        return { models, predictions };
+    }
+
+    reportFailure(model, message) {
+        if (this.failures.get(model.name) === message) return;
+        this.failures.set(model.name, message);
+        logger.error(`Model ${model.name} ${message} (left out until it recovers)`);
+    }
+
+    observe(ticks, ctx) {
+        this.models.forEach(model => {
+            if (typeof model.observe !== 'function') return;
+            try {
+                model.observe(ticks, ctx);
+            } catch (error) {
+                logger.error(`Model ${model.name} failed to observe: ${error.message}`);
+            }
+        });
+    }
+
+    learn(outcome) {
+        this.models.forEach(model => {
+            if (typeof model.learn !== 'function') return;
+            try {
+                model.learn(outcome);
+            } catch (error) {
+                logger.error(`Model ${model.name} failed to learn: ${error.message}`);
+            }
+        });
+    }
+
+    // ========================================================================
+    // PERSISTED STATE
+    // ========================================================================
+
+    persisted() {
+        return this.models.filter(model => typeof model.getState === 'function');
+    }
+
+    stateKey(model) {
+        return model.stateKey || `model-${model.name}`;
+    }
+
+    getStates() {
+        const states = {};
+        this.persisted().forEach(model => {
+            states[model.name] = model.getState();
+        });
+        return states;
+    }
+
+    // Models missing from `states` keep what they have
+    setStates(states) {
+        this.persisted().forEach(model => {
+            if (states[model.name] !== undefined && states[model.name] !== null) {
+                model.setState(states[model.name]);
+            }
+        });
+    }
+
+    describe() {
+        return this.models.map(model => ({
+            name: model.name,
+            source: this.sources.get(model.name),
+            learns: typeof model.learn === 'function',
+            persisted: typeof model.getState === 'function'
+        }));
+    }
+}
+
+ModelRegistry.BUILTIN_MODELS = BUILTIN_MODELS;
+ModelRegistry.OPTIONAL_MODELS = OPTIONAL_MODELS;
+
+module.exports = ModelRegistry;
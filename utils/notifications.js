@@ -1,48 +1,109 @@
-const axios = require('axios');
+const https = require('https');
+const http = require('http');
 const logger = require('./logger');
 
+// ============================================================================
+// TELEGRAM NOTIFIER - Outbound alerts and inbound commands from one chat
+// TELEGRAM_API_URL points the client at a local stub of the Bot API.
+// ============================================================================
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
 class TelegramNotifier {
     constructor() {
         this.botToken = process.env.TELEGRAM_BOT_TOKEN;
         this.chatId = process.env.TELEGRAM_CHAT_ID;
-        this.enabled = this.botToken && this.chatId;
+        this.apiUrl = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/$/, '');
+        this.enabled = !!(this.botToken && this.chatId);
+
+        // Inbound command polling
+        this.commands = {};
+        this.isPolling = false;
+        this.pollRequest = null;
+        this.updateOffset = 0;
+        this.pollTimeoutSec = 25;
+        this.retryDelayMs = 5000;
 
         if (this.enabled) {
             logger.system('Telegram notifications enabled');
         }
     }
 
+    // POST a Bot API method; resolves with `result` or rejects on any failure
+    call(method, params = {}, timeoutMs = 10000) {
+        return new Promise((resolve, reject) => {
+            const url = new URL(`${this.apiUrl}/bot${this.botToken}/${method}`);
+            const body = JSON.stringify(params);
+            const client = url.protocol === 'http:' ? http : https;
+
+            const req = client.request(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                },
+                timeout: timeoutMs
+            }, res => {
+                let raw = '';
+                res.on('data', chunk => raw += chunk);
+                res.on('end', () => {
+                    try {
+                        const reply = JSON.parse(raw);
+                        if (reply.ok) {
+                            resolve(reply.result);
+                        } else {
+                            reject(new Error(reply.description || `HTTP ${res.statusCode}`));
+                        }
+                    } catch (error) {
+                        reject(new Error(`Invalid response (HTTP ${res.statusCode})`));
+                    }
+                });
+            });
+
+            req.on('timeout', () => req.destroy(new Error(`${method} timed out`)));
+            req.on('error', reject);
+            req.end(body);
+
+            if (method === 'getUpdates') {
+                this.pollRequest = req;
+            }
+        });
+    }
+
     async send(message) {
         if (!this.enabled) return;
 
         try {
-            await axios.post(
-                `https://api.telegram.org/bot${this.botToken}/sendMessage`,
-                {
-                    chat_id: this.chatId,
-                    text: message,
-                    parse_mode: 'HTML'
-                }
-            );
+            await this.call('sendMessage', {
+                chat_id: this.chatId,
+                text: message,
+                parse_mode: 'HTML'
+            });
         } catch (error) {
             logger.error(`Telegram notification failed: ${error.message}`);
         }
     }
 
-    notifyTrade(prediction, stake, confidence) {
+    // ========================================================================
+    // OUTBOUND NOTIFICATIONS
+    // ========================================================================
+
+    notifyTrade(symbol, prediction, stake, confidence) {
         const message = `
-🎯 <b>New Trade</b>
-Prediction: ${prediction.toUpperCase()}
+🎯 <b>New Trade</b> [${escapeHtml(symbol)}]
+Prediction: ${escapeHtml(prediction.toUpperCase())}
 Stake: $${stake}
 Confidence: ${(confidence * 100).toFixed(1)}%
         `.trim();
         this.send(message);
     }
 
-    notifyResult(profit, winRate) {
+    notifyResult(symbol, profit, winRate) {
         const emoji = profit > 0 ? '✅' : '❌';
         const message = `
-${emoji} <b>Trade Result</b>
+${emoji} <b>Trade Result</b> [${escapeHtml(symbol)}]
 Profit: $${profit.toFixed(2)}
 Win Rate: ${winRate}%
         `.trim();
@@ -58,6 +119,127 @@ Total P/L: $${totalProfit.toFixed(2)}
         `.trim();
         this.send(message);
     }
+
+    notifyModeSwitch(symbol, previousMode, mode) {
+        this.send(`🔀 <b>Mode Switch</b> [${escapeHtml(symbol)}]\n${previousMode.toUpperCase()} → ${mode.toUpperCase()}`);
+    }
+
+    notifyCooldown(symbol, seconds, reason) {
+        this.send(`🧊 <b>Cooldown</b> [${escapeHtml(symbol)}]\nPaused for ${seconds}s (${escapeHtml(reason)})`);
+    }
+
+    notifyRiskTrip(rule, reason) {
+        this.send(`🚨 <b>Risk Limit Hit</b> (${escapeHtml(rule)})\n${escapeHtml(reason)}\nTrading halted - /resume to override`);
+    }
+
+    notifyDisconnect(attempt, maxAttempts) {
+        this.send(`🔌 <b>Disconnected</b>\nReconnect attempt ${attempt}/${maxAttempts}`);
+    }
+
+    notifyHealth(event) {
+        const subject = event.symbol ? ` (${escapeHtml(event.symbol)})` : '';
+        this.send(`🩺 <b>Connection Health</b>${subject}\n${escapeHtml(event.type)} - ${escapeHtml(event.action)}`);
+    }
+
+    notifyPromotion(shadow, champion) {
+        this.send(`🏆 <b>Champion Replaced</b>\n${escapeHtml(shadow.name)} beat ${escapeHtml(champion.name)}: ${shadow.recentUnitsPerTrade.toFixed(3)} vs ${champion.recentUnitsPerTrade.toFixed(3)} per stake`);
+    }
+
+    notifyShutdown(reason, wins, losses, balance) {
+        const message = `
+🛑 <b>Bot Stopped</b> (${escapeHtml(reason)})
+Wins: ${wins}
+Losses: ${losses}
+Balance: $${balance.toFixed(2)}
+        `.trim();
+        return this.send(message);
+    }
+
+    // ========================================================================
+    // INBOUND COMMANDS
+    // ========================================================================
+
+    // `commands` maps a name (without the slash) to fn(args) => reply text
+    async startPolling(commands) {
+        if (!this.enabled || this.isPolling) return;
+
+        this.commands = commands;
+        this.isPolling = true;
+
+        // Skip commands that queued up while the bot was offline
+        try {
+            const pending = await this.call('getUpdates', { offset: -1, timeout: 0 });
+            if (pending.length > 0) {
+                this.updateOffset = pending[pending.length - 1].update_id + 1;
+            }
+        } catch (error) {
+            logger.error(`Telegram polling setup failed: ${error.message}`);
+        }
+
+        logger.system('📱 Telegram command polling started');
+        this.poll();
+    }
+
+    stopPolling() {
+        this.isPolling = false;
+        if (this.pollRequest) {
+            this.pollRequest.destroy();
+            this.pollRequest = null;
+        }
+    }
+
+    async poll() {
+        while (this.isPolling) {
+            try {
+                const updates = await this.call('getUpdates', {
+                    offset: this.updateOffset,
+                    timeout: this.pollTimeoutSec,
+                    allowed_updates: ['message']
+                }, (this.pollTimeoutSec + 10) * 1000);
+
+                for (const update of updates) {
+                    this.updateOffset = update.update_id + 1;
+                    await this.handleUpdate(update);
+                }
+            } catch (error) {
+                if (!this.isPolling) break;
+                logger.error(`Telegram polling failed: ${error.message}`);
+                await new Promise(resolve => setTimeout(resolve, this.retryDelayMs));
+            }
+        }
+    }
+
+    async handleUpdate(update) {
+        const message = update.message;
+        if (!message || typeof message.text !== 'string') return;
+
+        // Only the whitelisted chat may operate the bot
+        if (String(message.chat.id) !== String(this.chatId)) {
+            logger.system(`⚠️  Ignored Telegram command from chat ${message.chat.id}`);
+            return;
+        }
+
+        const [word, ...args] = message.text.trim().split(/\s+/);
+        if (!word.startsWith('/')) return;
+
+        // "/stake@MyBot 2" is how commands arrive in group chats
+        const name = word.slice(1).split('@')[0].toLowerCase();
+        const command = this.commands[name];
+
+        let reply;
+        if (!command) {
+            reply = `Unknown command. Available: ${Object.keys(this.commands).map(c => `/${c}`).join(' ')}`;
+        } else {
+            try {
+                reply = await command(args);
+            } catch (error) {
+                reply = `⚠️ ${error.message}`;
+            }
+        }
+
+        logger.system(`📱 Telegram command: /${name} ${args.join(' ')}`.trim());
+        await this.send(escapeHtml(reply));
+    }
 }
 
-module.exports = new TelegramNotifier();
\ No newline at end of file
+module.exports = new TelegramNotifier();
@@ -0,0 +1,47 @@
+const ContractSimulator = require('./contractSimulator');
+
+// ============================================================================
+// PAPER TRADER - Dry-run contracts settled on the real incoming ticks
+// ============================================================================
+
+class PaperTrader {
+    constructor(startingBalance = null) {
+        this.simulator = new ContractSimulator();
+        this.balance = startingBalance;
+        this.totalProfit = 0;
+        this.settledCount = 0;
+    }
+
+    get isFunded() {
+        return this.balance !== null;
+    }
+
+    fund(balance) {
+        this.balance = balance;
+    }
+
+    hasOpenContracts() {
+        return this.simulator.openContracts.length > 0;
+    }
+
+    open({ contractType, barrier, stake, payout, duration, symbol }) {
+        this.balance -= stake;
+        return this.simulator.open({ contractType, barrier, stake, payout, duration, symbol });
+    }
+
+    onTick(tick) {
+        const settled = this.simulator.onTick(tick);
+
+        settled.forEach(contract => {
+            if (contract.won) {
+                this.balance += contract.payout;
+            }
+            this.totalProfit += contract.profit;
+            this.settledCount++;
+        });
+
+        return settled;
+    }
+}
+
+module.exports = PaperTrader;
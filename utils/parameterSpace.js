@@ -0,0 +1,141 @@
+const config = require('./config');
+
+// ============================================================================
+// PARAMETER SPACE - The tunable analysis and learning settings
+// Each parameter is a config path with the range the optimizer may search;
+// the current value always comes from config (config.json, an overlay or a
+// runtime override), so an empty search reproduces the running bot.
+// ============================================================================
+
+const PARAMETERS = [
+    { path: 'learning.baseLearningRate', min: 0.02, max: 0.4 },
+    { path: 'learning.discountFactor', min: 0.5, max: 0.99 },
+    { path: 'learning.baseConfidenceThreshold', min: 0.52, max: 0.7 },
+    // Share of the deep (volatility/trend/streak) Q-table in the Q-learning model
+    { path: 'analysis.deepQWeight', min: 0, max: 1 },
+    { path: 'analysis.trendWeight', min: 0, max: 0.3 },
+    // Autocorrelation a period needs before it counts as a cycle
+    { path: 'analysis.cycleThreshold', min: 0.55, max: 0.85 },
+    // Share of the cycle model mixed into the fused probability
+    { path: 'analysis.cycleWeight', min: 0, max: 0.5 },
+    // Odd/even imbalance that triggers the statistical model's mean reversion, and its size
+    { path: 'analysis.meanReversionTrigger', min: 0.05, max: 0.3 },
+    { path: 'analysis.meanReversionStrength', min: 0, max: 0.2 },
+    // Weight of the newest confidence in the smoothed confidence
+    { path: 'analysis.confidenceSmoothing', min: 0.1, max: 1 }
+];
+
+class ParameterSpace {
+    // paths: restrict the search to these parameters (the rest keep their config values)
+    constructor(paths = null) {
+        if (paths) {
+            const unknown = paths.filter(path => !PARAMETERS.some(param => param.path === path));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown parameter(s): ${unknown.join(', ')} (tunable: ${PARAMETERS.map(param => param.path).join(', ')})`);
+            }
+        }
+        this.parameters = paths ? PARAMETERS.filter(param => paths.includes(param.path)) : PARAMETERS;
+    }
+
+    get paths() {
+        return this.parameters.map(param => param.path);
+    }
+
+    current() {
+        const params = {};
+        this.parameters.forEach(param => {
+            params[param.path] = config.get(param.path);
+        });
+        return params;
+    }
+
+    clamp(param, value) {
+        const bounded = Math.min(param.max, Math.max(param.min, value));
+        return Math.round(bounded * 10000) / 10000;
+    }
+
+    sample(random) {
+        const params = {};
+        this.parameters.forEach(param => {
+            params[param.path] = this.clamp(param, param.min + random() * (param.max - param.min));
+        });
+        return params;
+    }
+
+    // Every combination of `steps` evenly spaced values per parameter
+    grid(steps) {
+        let points = [{}];
+        this.parameters.forEach(param => {
+            const values = steps > 1
+                ? Array.from({ length: steps }, (_, i) => this.clamp(param, param.min + i * (param.max - param.min) / (steps - 1)))
+                : [this.clamp(param, (param.min + param.max) / 2)];
+            points = points.flatMap(point => values.map(value => ({ ...point, [param.path]: value })));
+        });
+        return points;
+    }
+
+    static gridSize(parameterCount, steps) {
+        return Math.pow(Math.max(steps, 1), parameterCount);
+    }
+
+    // Each parameter moves with probability `rate` by a normal step of `scale` x its range
+    mutate(params, random, rate = 0.3, scale = 0.15) {
+        const mutated = { ...params };
+        this.parameters.forEach(param => {
+            if (random() >= rate) return;
+            const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+            mutated[param.path] = this.clamp(param, params[param.path] + gaussian * scale * (param.max - param.min));
+        });
+        return mutated;
+    }
+
+    // Uniform crossover
+    crossover(a, b, random) {
+        const child = {};
+        this.parameters.forEach(param => {
+            child[param.path] = random() < 0.5 ? a[param.path] : b[param.path];
+        });
+        return child;
+    }
+
+    // Runs fn with the parameters set as config overrides, then puts the previous values back
+    async withParams(params, fn) {
+        const previous = {};
+        Object.keys(params).forEach(path => {
+            previous[path] = path in config.overrides ? { value: config.overrides[path] } : null;
+            config.set(path, params[path]);
+        });
+
+        try {
+            return await fn();
+        } finally {
+            Object.keys(previous).forEach(path => {
+                if (previous[path]) {
+                    config.set(path, previous[path].value);
+                } else {
+                    config.unset(path);
+                }
+            });
+        }
+    }
+
+    // { 'learning.discountFactor': 0.9 } -> { learning: { discountFactor: 0.9 } }
+    static toOverlay(params) {
+        const overlay = {};
+        Object.keys(params).forEach(path => {
+            const keys = path.split('.');
+            let node = overlay;
+            keys.slice(0, -1).forEach(key => {
+                node[key] = node[key] || {};
+                node = node[key];
+            });
+            node[keys[keys.length - 1]] = params[path];
+        });
+        return overlay;
+    }
+}
+
+module.exports = {
+    PARAMETERS,
+    ParameterSpace
+};
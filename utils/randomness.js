@@ -0,0 +1,218 @@
+// ============================================================================
+// RANDOMNESS DIAGNOSTICS - Rolling tests of the parity and digit streams
+// Each test returns a p-value for "this window is i.i.d. random"; a small
+// p-value means the stream shows structure a model could exploit. With the
+// gate on, the bot only trades while at least one test rejects randomness
+// at the configured significance level (Bonferroni-corrected by default,
+// since several tests run on the same window).
+// ============================================================================
+
+// ============================================================================
+// DISTRIBUTIONS
+// ============================================================================
+
+// Abramowitz & Stegun 7.1.26 (absolute error < 1.5e-7)
+function erf(x) {
+    const sign = x < 0 ? -1 : 1;
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    return sign * (1 - poly * Math.exp(-x * x));
+}
+
+function normalTwoSidedP(z) {
+    return Math.min(1, 1 - erf(Math.abs(z) / Math.SQRT2));
+}
+
+// Lanczos approximation
+function logGamma(x) {
+    const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach(c => {
+        series += c / ++y;
+    });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Regularized upper incomplete gamma Q(a, x) (Numerical Recipes gser/gcf)
+function gammaQ(a, x) {
+    if (x <= 0) return 1;
+
+    if (x < a + 1) {
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < 500; n++) {
+            term *= x / (a + n);
+            sum += term;
+            if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+        }
+        return 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+    }
+
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+function chiSquareP(statistic, degreesOfFreedom) {
+    return gammaQ(degreesOfFreedom / 2, statistic / 2);
+}
+
+// ============================================================================
+// TESTS (null when the window cannot be tested)
+// ============================================================================
+
+// Wald-Wolfowitz runs test on a 0/1 sequence
+function waldWolfowitz(bits) {
+    const n1 = bits.filter(bit => bit === 1).length;
+    const n0 = bits.length - n1;
+    if (n1 === 0 || n0 === 0) return null;
+
+    let runs = 1;
+    for (let i = 1; i < bits.length; i++) {
+        if (bits[i] !== bits[i - 1]) runs++;
+    }
+
+    const n = bits.length;
+    const mean = 2 * n1 * n0 / n + 1;
+    const variance = (mean - 1) * (mean - 2) / (n - 1);
+    if (!(variance > 0)) return null;
+
+    const z = (runs - mean) / Math.sqrt(variance);
+    return { statistic: z, pValue: normalTwoSidedP(z) };
+}
+
+// Pearson chi-square goodness of fit to `categories` equally likely values
+function chiSquareUniformity(values, categories) {
+    const counts = new Array(categories).fill(0);
+    values.forEach(value => counts[value]++);
+
+    const expected = values.length / categories;
+    const statistic = counts.reduce((sum, count) => sum + Math.pow(count - expected, 2) / expected, 0);
+    return { statistic, pValue: chiSquareP(statistic, categories - 1) };
+}
+
+// Sample autocorrelations r_1..r_maxLag
+function autocorrelations(values, maxLag) {
+    const n = values.length;
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    const deviations = values.map(value => value - mean);
+    const denominator = deviations.reduce((sum, d) => sum + d * d, 0);
+    if (denominator === 0) return null;
+
+    const correlations = [];
+    for (let lag = 1; lag <= maxLag; lag++) {
+        let numerator = 0;
+        for (let t = 0; t < n - lag; t++) {
+            numerator += deviations[t] * deviations[t + lag];
+        }
+        correlations.push(numerator / denominator);
+    }
+    return correlations;
+}
+
+// Lag-1 serial correlation; r ~ N(-1/n, 1/n) under independence
+function serialCorrelation(values) {
+    const correlations = autocorrelations(values, 1);
+    if (!correlations) return null;
+
+    const n = values.length;
+    const z = (correlations[0] + 1 / n) * Math.sqrt(n);
+    return { statistic: correlations[0], pValue: normalTwoSidedP(z) };
+}
+
+function ljungBox(values, lags) {
+    const correlations = autocorrelations(values, lags);
+    if (!correlations) return null;
+
+    const n = values.length;
+    const statistic = n * (n + 2) * correlations.reduce((sum, r, i) => sum + r * r / (n - i - 1), 0);
+    return { statistic, pValue: chiSquareP(statistic, lags) };
+}
+
+const TESTS = {
+    parityRuns: (parities) => waldWolfowitz(parities),
+    paritySerial: (parities) => serialCorrelation(parities),
+    parityLjungBox: (parities, digits, options) => ljungBox(parities, options.lags),
+    digitUniformity: (parities, digits) => chiSquareUniformity(digits, 10),
+    // Runs of high (5-9) and low (0-4) digits
+    digitRuns: (parities, digits) => waldWolfowitz(digits.map(digit => (digit >= 5 ? 1 : 0))),
+    digitLjungBox: (parities, digits, options) => ljungBox(digits, options.lags)
+};
+
+// ============================================================================
+// ROLLING DIAGNOSTICS
+// ============================================================================
+
+class RandomnessDiagnostics {
+    constructor(options = {}) {
+        this.window = options.window || 500;
+        this.minSamples = options.minSamples || 100;
+        this.significance = options.significance || 0.01;
+        this.correction = options.correction || 'bonferroni';
+        this.gate = options.gate || false;
+        this.lags = options.lags || 10;
+        this.tests = options.tests || Object.keys(TESTS);
+
+        const unknown = this.tests.filter(name => !TESTS[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown randomness test(s): ${unknown.join(', ')} (available: ${Object.keys(TESTS).join(', ')})`);
+        }
+    }
+
+    // Significance each single test is held to
+    get threshold() {
+        return this.correction === 'bonferroni' ? this.significance / this.tests.length : this.significance;
+    }
+
+    // { samples, pValues, rejected, tradeable } for the latest `window` ticks
+    evaluate(ticks) {
+        const recent = ticks.slice(-this.window);
+        const result = { samples: recent.length, pValues: {}, rejected: [], tradeable: false };
+        if (recent.length < this.minSamples) return result;
+
+        const digits = recent.map(tick => tick.digit);
+        const parities = digits.map(digit => digit % 2);
+
+        this.tests.forEach(name => {
+            const outcome = TESTS[name](parities, digits, { lags: this.lags });
+            result.pValues[name] = outcome ? outcome.pValue : null;
+            if (outcome && outcome.pValue < this.threshold) {
+                result.rejected.push(name);
+            }
+        });
+
+        result.tradeable = result.rejected.length > 0;
+        return result;
+    }
+
+    static format(result) {
+        return Object.keys(result.pValues)
+            .map(name => `${name} p=${result.pValues[name] === null ? 'n/a' : result.pValues[name].toFixed(3)}`)
+            .join(', ');
+    }
+}
+
+module.exports = {
+    TESTS,
+    RandomnessDiagnostics,
+    chiSquareP,
+    normalTwoSidedP
+};
@@ -0,0 +1,203 @@
+// ============================================================================
+// REGIME DETECTOR - Online Gaussian hidden Markov model for one symbol
+// It observes the z-scored return, volatility and digit entropy of every
+// tick (see FeaturePipeline), so the price scale of the symbol does not
+// matter. The HMM filters the hidden regime tick by tick and re-estimates
+// its emissions and transitions from the filtered posteriors, forgetting
+// old ticks at `adaptRate`.
+// States are named by ranking their means: the calmest state is "low"
+// volatility, the most disordered one "high" entropy, and so on.
+// ============================================================================
+
+const FEATURES = ['return', 'volatility', 'entropy'];
+const LEVELS = ['low', 'medium', 'high'];
+const MIN_VARIANCE = 0.01;
+const LOG_2PI = Math.log(2 * Math.PI);
+
+class RegimeDetector {
+    constructor(options = {}) {
+        this.states = options.states || 3;
+        this.warmup = options.warmup || 200;
+        this.adaptRate = options.adaptRate || 0.0005;
+        this.stickiness = options.stickiness !== undefined ? options.stickiness : 0.95;
+        // Effective observations a state never drops below, so a state that
+        // has been idle for long does not jump to the next tick it explains
+        this.minWeight = options.minWeight || 10;
+
+        if (!Number.isInteger(this.states) || this.states < 2 || this.states > 6) {
+            throw new Error(`Regime detector: states must be an integer from 2 to 6 (got ${this.states})`);
+        }
+
+        this.reset();
+    }
+
+    reset() {
+        const k = this.states;
+        const dims = FEATURES.length;
+
+        this.observations = 0;
+
+        // Spread the states along volatility and entropy to break the symmetry
+        this.means = Array.from({ length: k }, (_, state) => {
+            const offset = state - (k - 1) / 2;
+            return [0, offset, offset];
+        });
+        this.variances = Array.from({ length: k }, () => new Array(dims).fill(1));
+        this.weights = new Array(k).fill(this.minWeight);
+        this.transitionCounts = this.priorTransitions();
+        this.probabilities = new Array(k).fill(1 / k);
+    }
+
+    // Dirichlet prior pseudo-counts: staying is `stickiness` likely
+    priorTransitions() {
+        const k = this.states;
+        return Array.from({ length: k }, (_, from) =>
+            Array.from({ length: k }, (_, to) => this.minWeight * (from === to ? this.stickiness : (1 - this.stickiness) / (k - 1)))
+        );
+    }
+
+    get ready() {
+        return this.observations >= this.warmup;
+    }
+
+    // ========================================================================
+    // FILTERING & ONLINE ESTIMATION
+    // ========================================================================
+
+    transitionMatrix() {
+        return this.transitionCounts.map(row => {
+            const total = row.reduce((sum, count) => sum + count, 0);
+            return row.map(count => count / total);
+        });
+    }
+
+    logLikelihood(state, x) {
+        return x.reduce((sum, value, d) => {
+            const variance = this.variances[state][d];
+            return sum - 0.5 * (LOG_2PI + Math.log(variance) + Math.pow(value - this.means[state][d], 2) / variance);
+        }, 0);
+    }
+
+    step(x) {
+        const k = this.states;
+        const transitions = this.transitionMatrix();
+        const logLikelihoods = Array.from({ length: k }, (_, state) => this.logLikelihood(state, x));
+        const maxLog = Math.max(...logLikelihoods);
+        const likelihoods = logLikelihoods.map(value => Math.exp(value - maxLog));
+
+        // Joint of (previous state, current state) given this tick
+        const joint = this.probabilities.map((previous, from) =>
+            transitions[from].map((probability, to) => previous * probability * likelihoods[to])
+        );
+        const total = joint.reduce((sum, row) => sum + row.reduce((rowSum, value) => rowSum + value, 0), 0);
+        if (!(total > 0)) return;
+
+        const posterior = new Array(k).fill(0);
+        joint.forEach(row => row.forEach((value, to) => {
+            posterior[to] += value / total;
+        }));
+
+        const keep = 1 - this.adaptRate;
+        const prior = this.priorTransitions();
+        this.transitionCounts = this.transitionCounts.map((row, from) =>
+            row.map((count, to) => prior[from][to] + keep * (count - prior[from][to]) + joint[from][to] / total)
+        );
+
+        posterior.forEach((responsibility, state) => {
+            this.weights[state] = Math.max(this.minWeight, keep * this.weights[state] + responsibility);
+            const rate = responsibility / this.weights[state];
+            x.forEach((value, d) => {
+                const previousMean = this.means[state][d];
+                this.means[state][d] += rate * (value - previousMean);
+                this.variances[state][d] = Math.max(MIN_VARIANCE,
+                    (1 - rate) * this.variances[state][d] + rate * (value - previousMean) * (value - this.means[state][d]));
+            });
+        });
+
+        this.probabilities = posterior;
+    }
+
+    // Takes one tick's FeaturePipeline output; returns the regime
+    observe(features) {
+        this.step(FEATURES.map(name => features.z[name]));
+        this.observations++;
+        return this.current();
+    }
+
+    // ========================================================================
+    // LABELS
+    // ========================================================================
+
+    // Low/medium/high level of each state along one feature
+    levels(feature) {
+        const d = FEATURES.indexOf(feature);
+        const order = this.means.map((mean, state) => state).sort((a, b) => this.means[a][d] - this.means[b][d]);
+        const levels = new Array(this.states);
+        order.forEach((state, rank) => {
+            levels[state] = LEVELS[Math.round(rank * (LEVELS.length - 1) / (this.states - 1))];
+        });
+        return levels;
+    }
+
+    describe() {
+        const volatility = this.levels('volatility');
+        const entropy = this.levels('entropy');
+        return this.means.map((mean, state) => ({
+            state,
+            volatility: volatility[state],
+            entropy: entropy[state],
+            label: `${volatility[state]}-vol/${entropy[state]}-entropy`,
+            probability: this.probabilities[state],
+            means: { return: mean[0], volatility: mean[1], entropy: mean[2] }
+        }));
+    }
+
+    // Most likely regime with the full distribution, or null during warm-up
+    current() {
+        if (!this.ready) return null;
+
+        const regimes = this.describe();
+        const best = regimes.reduce((a, b) => (b.probability > a.probability ? b : a));
+        return {
+            state: best.state,
+            label: best.label,
+            volatility: best.volatility,
+            entropy: best.entropy,
+            probability: best.probability,
+            probabilities: regimes.map(regime => ({ label: regime.label, probability: regime.probability }))
+        };
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    getState() {
+        return {
+            states: this.states,
+            observations: this.observations,
+            means: this.means,
+            variances: this.variances,
+            weights: this.weights,
+            transitionCounts: this.transitionCounts,
+            probabilities: this.probabilities
+        };
+    }
+
+    // A saved model with a different number of states is ignored
+    setState(state) {
+        if (!state || state.states !== this.states || !Array.isArray(state.means)) return;
+
+        this.observations = state.observations;
+        this.means = state.means;
+        this.variances = state.variances;
+        this.weights = state.weights;
+        this.transitionCounts = state.transitionCounts;
+        this.probabilities = state.probabilities;
+    }
+}
+
+RegimeDetector.FEATURES = FEATURES;
+RegimeDetector.LEVELS = LEVELS;
+
+module.exports = RegimeDetector;
@@ -0,0 +1,185 @@
+const EventEmitter = require('events');
+
+// ============================================================================
+// RISK MANAGER - Circuit breakers consulted before every trade
+// A trip halts trading until the next UTC day (session trips until restart)
+// or until an operator resumes. Emits 'trip' when a limit is hit and
+// 'reset' when a new day clears a trip.
+// ============================================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function utcDate(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+class RiskManager extends EventEmitter {
+    // Every limit is optional; null or 0 disables it
+    constructor(limits = {}) {
+        super();
+        this.limits = {
+            dailyMaxLoss: limits.dailyMaxLoss || null,
+            sessionMaxLoss: limits.sessionMaxLoss || null,
+            dailyTakeProfit: limits.dailyTakeProfit || null,
+            maxDrawdownPct: limits.maxDrawdownPct || null,
+            maxConsecutiveLosses: limits.maxConsecutiveLosses || null,
+            maxTradesPerHour: limits.maxTradesPerHour || null
+        };
+
+        this.day = null;
+        this.dailyProfit = 0;
+        this.sessionProfit = 0;
+        this.consecutiveLosses = 0;
+        this.peakBalance = null;
+        this.recentTrades = [];
+        this.trip = null;
+    }
+
+    // ========================================================================
+    // PERSISTENCE
+    // ========================================================================
+
+    // Session counters are deliberately left out: a restart starts a new session
+    toJSON() {
+        return {
+            day: this.day,
+            dailyProfit: this.dailyProfit,
+            consecutiveLosses: this.consecutiveLosses,
+            peakBalance: this.peakBalance,
+            recentTrades: this.recentTrades,
+            trip: this.trip && this.trip.rule !== 'sessionMaxLoss' ? this.trip : null
+        };
+    }
+
+    // The drawdown peak is all-time, so it survives a saved state from an earlier day
+    restore(state, now) {
+        if (state && typeof state.peakBalance === 'number') {
+            this.peakBalance = state.peakBalance;
+        }
+        if (!state || state.day !== utcDate(now)) {
+            this.day = utcDate(now);
+            return;
+        }
+
+        this.day = state.day;
+        this.dailyProfit = state.dailyProfit || 0;
+        this.consecutiveLosses = state.consecutiveLosses || 0;
+        this.recentTrades = (state.recentTrades || []).filter(t => now - t < HOUR_MS);
+        this.trip = state.trip || null;
+    }
+
+    // ========================================================================
+    // CHECKS
+    // ========================================================================
+
+    // Starts a new day when the UTC date changes; clears the previous day's trip.
+    // Only the daily counters reset: drawdown keeps measuring from the all-time peak
+    rollDay(now) {
+        const today = utcDate(now);
+        if (this.day === today) return false;
+
+        const previousTrip = this.trip;
+        this.day = today;
+        this.dailyProfit = 0;
+
+        if (previousTrip && previousTrip.rule !== 'sessionMaxLoss') {
+            this.trip = null;
+            this.emit('reset', previousTrip);
+        }
+        return true;
+    }
+
+    // { allowed, reason } for a trade about to be placed at `now`
+    check(now) {
+        this.rollDay(now);
+
+        if (this.trip) {
+            return { allowed: false, reason: this.trip.reason };
+        }
+
+        this.recentTrades = this.recentTrades.filter(t => now - t < HOUR_MS);
+        if (this.limits.maxTradesPerHour && this.recentTrades.length >= this.limits.maxTradesPerHour) {
+            return { allowed: false, reason: `${this.recentTrades.length} trades in the last hour (max ${this.limits.maxTradesPerHour})` };
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    recordTrade(now) {
+        this.recentTrades.push(now);
+    }
+
+    observeBalance(balance) {
+        if (this.peakBalance === null || balance > this.peakBalance) {
+            this.peakBalance = balance;
+        }
+    }
+
+    // Update the counters with a settled contract and trip any limit it breaches
+    recordResult(profit, balance, now) {
+        this.rollDay(now);
+
+        this.dailyProfit += profit;
+        this.sessionProfit += profit;
+        this.consecutiveLosses = profit > 0 ? 0 : this.consecutiveLosses + 1;
+        this.observeBalance(balance);
+
+        if (this.trip) return null;
+
+        const limits = this.limits;
+        const drawdown = this.peakBalance > 0 ? (this.peakBalance - balance) / this.peakBalance : 0;
+
+        if (limits.dailyMaxLoss && -this.dailyProfit >= limits.dailyMaxLoss) {
+            return this.tripLimit('dailyMaxLoss', `Daily loss $${(-this.dailyProfit).toFixed(2)} reached the $${limits.dailyMaxLoss} limit`, now);
+        }
+        if (limits.sessionMaxLoss && -this.sessionProfit >= limits.sessionMaxLoss) {
+            return this.tripLimit('sessionMaxLoss', `Session loss $${(-this.sessionProfit).toFixed(2)} reached the $${limits.sessionMaxLoss} limit`, now);
+        }
+        if (limits.dailyTakeProfit && this.dailyProfit >= limits.dailyTakeProfit) {
+            return this.tripLimit('dailyTakeProfit', `Daily profit $${this.dailyProfit.toFixed(2)} reached the $${limits.dailyTakeProfit} target`, now);
+        }
+        if (limits.maxDrawdownPct && drawdown >= limits.maxDrawdownPct) {
+            return this.tripLimit('maxDrawdownPct', `Drawdown ${(drawdown * 100).toFixed(1)}% from peak $${this.peakBalance.toFixed(2)} (max ${(limits.maxDrawdownPct * 100).toFixed(0)}%)`, now);
+        }
+        if (limits.maxConsecutiveLosses && this.consecutiveLosses >= limits.maxConsecutiveLosses) {
+            return this.tripLimit('maxConsecutiveLosses', `${this.consecutiveLosses} consecutive losses (max ${limits.maxConsecutiveLosses})`, now);
+        }
+
+        return null;
+    }
+
+    tripLimit(rule, reason, now) {
+        this.trip = { rule, reason, at: now, day: this.day };
+        this.emit('trip', this.trip);
+        return this.trip;
+    }
+
+    // Operator override: trade again until the next limit is hit
+    clearTrip() {
+        if (!this.trip) return false;
+
+        if (this.trip.rule === 'maxConsecutiveLosses') {
+            this.consecutiveLosses = 0;
+        }
+        if (this.trip.rule === 'sessionMaxLoss') {
+            this.sessionProfit = 0;
+        }
+        this.trip = null;
+        return true;
+    }
+
+    getStatus() {
+        return {
+            day: this.day,
+            dailyProfit: this.dailyProfit,
+            sessionProfit: this.sessionProfit,
+            consecutiveLosses: this.consecutiveLosses,
+            peakBalance: this.peakBalance,
+            tradesLastHour: this.recentTrades.length,
+            trip: this.trip,
+            limits: this.limits
+        };
+    }
+}
+
+module.exports = RiskManager;
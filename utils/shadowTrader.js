@@ -0,0 +1,175 @@
+const EventEmitter = require('events');
+const ContractSimulator = require('./contractSimulator');
+
+// ============================================================================
+// SHADOW TRADER - Challenger analyzer variants traded virtually
+// Each shadow re-weights the same model signals the champion sees and opens
+// flat-stake odd/even contracts that settle on the real next ticks. Results
+// are kept in stake units (a win earns the payout ratio, a loss costs 1) so
+// they compare with the champion's real trades whatever their stake.
+//
+// A variant: { name, weights: { markov: 1.5, ... }, disabledModels: ['cycle'],
+// confidenceThreshold: 0.6 }. Weights multiply the adaptive weights, and a
+// missing threshold means the champion's adaptive one.
+// Emits 'promote' ({ shadow, champion }) when a challenger's mean result over
+// the last `promoteAfterTrades` trades beats the champion's by `minEdge`.
+// ============================================================================
+
+class ShadowTrader extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.promoteAfterTrades = options.promoteAfterTrades || 200;
+        this.minEdge = options.minEdge !== undefined ? options.minEdge : 0.02;
+        this.autoPromote = options.autoPromote || false;
+        this.confidenceSmoothing = options.confidenceSmoothing !== undefined ? options.confidenceSmoothing : 0.3;
+
+        this.simulator = new ContractSimulator();
+        this.champion = this.createEntry({ name: options.championName || 'champion' });
+        this.shadows = (options.variants || []).map(variant => this.createEntry(variant));
+    }
+
+    get enabled() {
+        return this.shadows.length > 0;
+    }
+
+    createEntry(variant) {
+        if (!variant.name) {
+            throw new Error('Every shadow variant needs a name');
+        }
+        return {
+            name: variant.name,
+            variant,
+            trades: 0,
+            wins: 0,
+            units: 0,
+            recent: [],
+            // Per-symbol confidence smoothing, as the champion does
+            smoothedConfidence: new Map()
+        };
+    }
+
+    getShadow(name) {
+        return this.shadows.find(shadow => shadow.name === name) || null;
+    }
+
+    hasOpenContract(shadow, symbol) {
+        return this.simulator.openContracts.some(contract => contract.shadow === shadow.name && contract.symbol === symbol);
+    }
+
+    smoothConfidence(shadow, symbol, confidence) {
+        const previous = shadow.smoothedConfidence.has(symbol) ? shadow.smoothedConfidence.get(symbol) : 0.5;
+        const smoothed = (1 - this.confidenceSmoothing) * previous + this.confidenceSmoothing * confidence;
+        shadow.smoothedConfidence.set(symbol, smoothed);
+        return smoothed;
+    }
+
+    open(shadow, { symbol, prediction, payoutRatio, duration }) {
+        const contract = this.simulator.open({
+            contractType: prediction === 'odd' ? 'DIGITODD' : 'DIGITEVEN',
+            stake: 1,
+            payout: 1 + payoutRatio,
+            duration,
+            symbol
+        });
+        contract.shadow = shadow.name;
+        return contract;
+    }
+
+    // Settles virtual contracts ending on this tick; returns them
+    onTick(tick) {
+        const settled = this.simulator.onTick(tick);
+
+        for (const contract of settled) {
+            const shadow = this.getShadow(contract.shadow);
+            if (!shadow) continue;
+
+            this.record(shadow, contract.won, contract.profit);
+            this.checkPromotion(shadow);
+        }
+        return settled;
+    }
+
+    // The champion's real trades, normalised to stake units
+    recordChampion(won, profit, stake) {
+        this.record(this.champion, won, stake > 0 ? profit / stake : (won ? 0 : -1));
+    }
+
+    record(entry, won, units) {
+        entry.trades++;
+        if (won) entry.wins++;
+        entry.units += units;
+
+        entry.recent.push(units);
+        if (entry.recent.length > this.promoteAfterTrades) {
+            entry.recent.shift();
+        }
+    }
+
+    checkPromotion(shadow) {
+        if (!this.autoPromote) return;
+        if (shadow.recent.length < this.promoteAfterTrades || this.champion.recent.length < this.promoteAfterTrades) return;
+
+        if (this.meanUnits(shadow) > this.meanUnits(this.champion) + this.minEdge) {
+            this.emit('promote', { shadow: this.summarize(shadow), champion: this.summarize(this.champion) });
+        }
+    }
+
+    meanUnits(entry) {
+        return entry.recent.length > 0 ? entry.recent.reduce((sum, units) => sum + units, 0) / entry.recent.length : 0;
+    }
+
+    // The challenger takes the champion's place; the old champion keeps
+    // running as a shadow under its own name and variant
+    promote(name, championVariant) {
+        const shadow = this.getShadow(name);
+        if (!shadow) {
+            throw new Error(`Unknown shadow "${name}"`);
+        }
+
+        const demoted = this.createEntry({ ...championVariant, name: this.champion.name });
+        this.shadows = this.shadows.map(entry => entry === shadow ? demoted : entry);
+
+        // Its virtual contracts no longer count for anyone
+        this.simulator.openContracts = this.simulator.openContracts.filter(contract => contract.shadow !== name);
+
+        this.champion = this.createEntry({ name: shadow.name });
+        return shadow.variant;
+    }
+
+    // After a restart: a persisted champion that is also configured as a
+    // shadow swaps places with the default variant again
+    restoreChampion(variant) {
+        if (this.getShadow(variant.name)) {
+            this.promote(variant.name, { name: this.champion.name });
+        } else {
+            this.champion = this.createEntry({ name: variant.name });
+        }
+    }
+
+    summarize(entry) {
+        return {
+            name: entry.name,
+            trades: entry.trades,
+            wins: entry.wins,
+            winRate: entry.trades > 0 ? entry.wins / entry.trades : null,
+            units: entry.units,
+            unitsPerTrade: entry.trades > 0 ? entry.units / entry.trades : null,
+            recentUnitsPerTrade: entry.recent.length > 0 ? this.meanUnits(entry) : null
+        };
+    }
+
+    getReport() {
+        return {
+            promoteAfterTrades: this.promoteAfterTrades,
+            autoPromote: this.autoPromote,
+            champion: this.summarize(this.champion),
+            shadows: this.shadows.map(shadow => ({
+                ...this.summarize(shadow),
+                variant: shadow.variant,
+                openContracts: this.simulator.openContracts.filter(contract => contract.shadow === shadow.name).length
+            }))
+        };
+    }
+}
+
+module.exports = ShadowTrader;
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// SQLITE STORAGE DRIVER - Keys plus queryable long-term history in one file
+// Keys live in a kv table next to trades, ticks, per-model predictions,
+// sessions and learning snapshots. Needs the optional better-sqlite3
+// package, which is only loaded when this driver is selected.
+// ============================================================================
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS kv (
+        key TEXT PRIMARY KEY,
+        schema_version INTEGER NOT NULL,
+        saved_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at INTEGER NOT NULL,
+        ended_at INTEGER,
+        symbols TEXT,
+        trading INTEGER,
+        trades INTEGER,
+        wins INTEGER,
+        profit REAL,
+        end_reason TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS trades (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER REFERENCES sessions(id),
+        contract_id TEXT,
+        symbol TEXT NOT NULL,
+        family TEXT,
+        contract_type TEXT,
+        barrier TEXT,
+        prediction TEXT,
+        stake REAL,
+        profit REAL NOT NULL,
+        won INTEGER NOT NULL,
+        opened_at INTEGER,
+        settled_at INTEGER NOT NULL,
+        mode TEXT,
+        state TEXT,
+        deep_state TEXT,
+        confidence REAL,
+        probability REAL,
+        calibrated_probability REAL,
+        entropy REAL,
+        volatility REAL,
+        streak INTEGER,
+        health_score REAL,
+        data TEXT
+    );
+    CREATE INDEX IF NOT EXISTS trades_settled_at ON trades (settled_at);
+    CREATE INDEX IF NOT EXISTS trades_symbol ON trades (symbol, settled_at);
+
+    CREATE TABLE IF NOT EXISTS predictions (
+        trade_id INTEGER NOT NULL REFERENCES trades(id) ON DELETE CASCADE,
+        model TEXT NOT NULL,
+        prediction TEXT,
+        correct INTEGER,
+        PRIMARY KEY (trade_id, model)
+    );
+
+    CREATE TABLE IF NOT EXISTS ticks (
+        symbol TEXT NOT NULL,
+        epoch INTEGER NOT NULL,
+        quote REAL NOT NULL,
+        digit INTEGER,
+        valid INTEGER NOT NULL DEFAULT 1,
+        PRIMARY KEY (symbol, epoch)
+    ) WITHOUT ROWID;
+
+    CREATE TABLE IF NOT EXISTS snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at INTEGER NOT NULL,
+        label TEXT,
+        reason TEXT,
+        schema_version INTEGER NOT NULL,
+        meta TEXT,
+        data TEXT NOT NULL
+    );
+`;
+
+// Grouping expressions winRateBy() accepts; never interpolate anything else
+const DIMENSIONS = {
+    hour: "CAST(strftime('%H', settled_at / 1000, 'unixepoch') AS INTEGER)",
+    weekday: "CAST(strftime('%w', settled_at / 1000, 'unixepoch') AS INTEGER)",
+    day: "strftime('%Y-%m-%d', settled_at / 1000, 'unixepoch')",
+    symbol: 'symbol',
+    family: 'family',
+    contractType: 'contract_type',
+    mode: 'mode',
+    state: 'state',
+    deepState: 'deep_state',
+    streak: 'streak'
+};
+
+function loadDriverModule() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('The sqlite storage driver needs the better-sqlite3 package (npm install better-sqlite3)');
+    }
+}
+
+// Dates as YYYY-MM-DD or epoch milliseconds
+function toMillis(value) {
+    if (value === undefined || value === null) return null;
+    return typeof value === 'number' ? value : Date.parse(value);
+}
+
+function json(value) {
+    return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+class SqliteStorageDriver {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || './data';
+        this.file = options.file || path.join(this.dataDir, 'bot.db');
+        this.db = null;
+        this.statements = {};
+    }
+
+    get name() {
+        return 'sqlite';
+    }
+
+    get supportsHistory() {
+        return true;
+    }
+
+    async init() {
+        const Database = loadDriverModule();
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            read: this.db.prepare('SELECT schema_version, data FROM kv WHERE key = ?'),
+            write: this.db.prepare(`
+                INSERT INTO kv (key, schema_version, saved_at, data) VALUES (@key, @schemaVersion, @savedAt, @data)
+                ON CONFLICT (key) DO UPDATE SET schema_version = excluded.schema_version, saved_at = excluded.saved_at, data = excluded.data
+            `),
+            remove: this.db.prepare('DELETE FROM kv WHERE key = ?'),
+            keys: this.db.prepare('SELECT key FROM kv ORDER BY key'),
+            insertTrade: this.db.prepare(`
+                INSERT INTO trades (
+                    session_id, contract_id, symbol, family, contract_type, barrier, prediction, stake,
+                    profit, won, opened_at, settled_at, mode, state, deep_state, confidence, probability,
+                    calibrated_probability, entropy, volatility, streak, health_score, data
+                ) VALUES (
+                    @sessionId, @contractId, @symbol, @family, @contractType, @barrier, @prediction, @stake,
+                    @profit, @won, @openedAt, @settledAt, @mode, @state, @deepState, @confidence, @probability,
+                    @calibratedProbability, @entropy, @volatility, @streak, @healthScore, @data
+                )
+            `),
+            insertPrediction: this.db.prepare(
+                'INSERT OR REPLACE INTO predictions (trade_id, model, prediction, correct) VALUES (?, ?, ?, ?)'
+            ),
+            insertTick: this.db.prepare(
+                'INSERT OR IGNORE INTO ticks (symbol, epoch, quote, digit, valid) VALUES (?, ?, ?, ?, ?)'
+            ),
+            startSession: this.db.prepare('INSERT INTO sessions (started_at, symbols, trading) VALUES (?, ?, ?)'),
+            endSession: this.db.prepare(`
+                UPDATE sessions SET ended_at = @endedAt, end_reason = @reason,
+                    trades = (SELECT COUNT(*) FROM trades WHERE session_id = @id),
+                    wins = (SELECT COALESCE(SUM(won), 0) FROM trades WHERE session_id = @id),
+                    profit = (SELECT COALESCE(SUM(profit), 0) FROM trades WHERE session_id = @id)
+                WHERE id = @id
+            `),
+            insertSnapshot: this.db.prepare(`
+                INSERT INTO snapshots (created_at, label, reason, schema_version, meta, data)
+                VALUES (@createdAt, @label, @reason, @schemaVersion, @meta, @data)
+            `),
+            listSnapshots: this.db.prepare(
+                'SELECT id, created_at, label, reason, schema_version, meta FROM snapshots ORDER BY created_at, id'
+            ),
+            loadSnapshot: this.db.prepare('SELECT * FROM snapshots WHERE id = ?'),
+            deleteSnapshot: this.db.prepare('DELETE FROM snapshots WHERE id = ?')
+        };
+
+        this.recordTradeTransaction = this.db.transaction((row, predictions) => {
+            const tradeId = this.statements.insertTrade.run(row).lastInsertRowid;
+            for (const { model, prediction, correct } of predictions) {
+                this.statements.insertPrediction.run(tradeId, model, prediction, correct === null ? null : Number(correct));
+            }
+            return Number(tradeId);
+        });
+        this.recordTicksTransaction = this.db.transaction(ticks => {
+            for (const tick of ticks) {
+                this.statements.insertTick.run(tick.symbol, tick.epoch, tick.quote, tick.digit, tick.valid === false ? 0 : 1);
+            }
+        });
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // ========================================================================
+    // KEYS
+    // ========================================================================
+
+    async read(key) {
+        const row = this.statements.read.get(key);
+        return row ? { schemaVersion: row.schema_version, data: JSON.parse(row.data) } : null;
+    }
+
+    async write(key, envelope) {
+        this.statements.write.run({
+            key,
+            schemaVersion: envelope.schemaVersion,
+            savedAt: envelope.savedAt,
+            data: JSON.stringify(envelope.data)
+        });
+    }
+
+    async remove(key) {
+        this.statements.remove.run(key);
+    }
+
+    async keys() {
+        return this.statements.keys.all().map(row => row.key);
+    }
+
+    // ========================================================================
+    // HISTORY
+    // ========================================================================
+
+    startSession({ startedAt, symbols, trading }) {
+        return Number(this.statements.startSession.run(startedAt, symbols.join(','), trading ? 1 : 0).lastInsertRowid);
+    }
+
+    // Totals are counted from the session's recorded trades
+    endSession(id, { endedAt, reason }) {
+        this.statements.endSession.run({ id, endedAt, reason: reason || null });
+    }
+
+    // One settled contract and what each model predicted for it; returns the trade id
+    recordTrade(trade, predictions = []) {
+        return this.recordTradeTransaction({
+            sessionId: trade.sessionId || null,
+            contractId: trade.contractId !== undefined && trade.contractId !== null ? String(trade.contractId) : null,
+            symbol: trade.symbol,
+            family: trade.family || null,
+            contractType: trade.contractType || null,
+            barrier: trade.barrier !== undefined && trade.barrier !== null ? String(trade.barrier) : null,
+            prediction: trade.prediction !== undefined && trade.prediction !== null ? String(trade.prediction) : null,
+            stake: trade.stake !== undefined ? trade.stake : null,
+            profit: trade.profit,
+            won: trade.won ? 1 : 0,
+            openedAt: trade.timestamp || null,
+            settledAt: trade.settledAt,
+            mode: trade.mode || null,
+            state: trade.state || null,
+            deepState: trade.deepState || null,
+            confidence: trade.confidence !== undefined ? trade.confidence : null,
+            probability: trade.probability !== undefined ? trade.probability : null,
+            calibratedProbability: trade.calibratedProbability !== undefined ? trade.calibratedProbability : null,
+            entropy: trade.entropy !== undefined ? trade.entropy : null,
+            volatility: trade.volatility !== undefined ? trade.volatility : null,
+            streak: trade.streak !== undefined ? trade.streak : null,
+            healthScore: trade.healthScore !== undefined ? trade.healthScore : null,
+            data: json(trade.data)
+        }, predictions);
+    }
+
+    recordTicks(ticks) {
+        this.recordTicksTransaction(ticks);
+    }
+
+    // [{ bucket, trades, wins, winRate, profit }] grouped by one of DIMENSIONS
+    winRateBy(dimension, filters = {}) {
+        const expression = DIMENSIONS[dimension];
+        if (!expression) {
+            throw new Error(`Unknown dimension "${dimension}" (expected one of: ${Object.keys(DIMENSIONS).join(', ')})`);
+        }
+
+        const { where, params } = this.buildFilters(filters);
+        return this.db.prepare(`
+            SELECT ${expression} AS bucket, COUNT(*) AS trades, SUM(won) AS wins,
+                   ROUND(AVG(won), 4) AS winRate, ROUND(SUM(profit), 2) AS profit
+            FROM trades ${where}
+            GROUP BY bucket ORDER BY bucket
+        `).all(params);
+    }
+
+    // Per-model hit rate over the recorded trades
+    modelAccuracy(filters = {}) {
+        const { where, params } = this.buildFilters(filters, 't.');
+        return this.db.prepare(`
+            SELECT p.model AS model, COUNT(p.correct) AS predictions, SUM(p.correct) AS correct,
+                   ROUND(AVG(p.correct), 4) AS accuracy
+            FROM predictions p JOIN trades t ON t.id = p.trade_id
+            ${where ? `${where} AND` : 'WHERE'} p.correct IS NOT NULL
+            GROUP BY p.model ORDER BY accuracy DESC
+        `).all(params);
+    }
+
+    getTicks({ symbol, from, to, validOnly = true } = {}) {
+        const clauses = ['symbol = @symbol'];
+        const params = { symbol };
+        if (from !== undefined) {
+            clauses.push('epoch >= @from');
+            params.from = Math.floor(toMillis(from) / 1000);
+        }
+        if (to !== undefined) {
+            clauses.push('epoch <= @to');
+            params.to = Math.floor(toMillis(to) / 1000);
+        }
+        if (validOnly) clauses.push('valid = 1');
+
+        return this.db.prepare(`SELECT epoch, quote, digit FROM ticks WHERE ${clauses.join(' AND ')} ORDER BY epoch`)
+            .all(params)
+            .map(tick => ({ ...tick, symbol }));
+    }
+
+    buildFilters({ symbol, from, to, sessionId } = {}, prefix = '') {
+        const clauses = [];
+        const params = {};
+        if (symbol) {
+            clauses.push(`${prefix}symbol = @symbol`);
+            params.symbol = symbol;
+        }
+        if (from !== undefined && from !== null) {
+            clauses.push(`${prefix}settled_at >= @from`);
+            params.from = toMillis(from);
+        }
+        if (to !== undefined && to !== null) {
+            clauses.push(`${prefix}settled_at < @to`);
+            params.to = toMillis(to);
+        }
+        if (sessionId) {
+            clauses.push(`${prefix}session_id = @sessionId`);
+            params.sessionId = sessionId;
+        }
+        return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+    }
+
+    // ========================================================================
+    // SNAPSHOTS
+    // ========================================================================
+
+    async saveSnapshot(snapshot) {
+        const { createdAt, label, reason, schemaVersion, data, ...meta } = snapshot;
+        const result = this.statements.insertSnapshot.run({
+            createdAt,
+            label: label || null,
+            reason: reason || null,
+            schemaVersion,
+            meta: json(meta),
+            data: JSON.stringify(data)
+        });
+        return String(result.lastInsertRowid);
+    }
+
+    async listSnapshots() {
+        return this.statements.listSnapshots.all().map(row => this.toSnapshot(row));
+    }
+
+    async loadSnapshot(id) {
+        const row = this.statements.loadSnapshot.get(Number(id));
+        return row ? { ...this.toSnapshot(row), data: JSON.parse(row.data) } : null;
+    }
+
+    async deleteSnapshot(id) {
+        return this.statements.deleteSnapshot.run(Number(id)).changes > 0;
+    }
+
+    toSnapshot(row) {
+        return {
+            ...(row.meta ? JSON.parse(row.meta) : {}),
+            id: String(row.id),
+            createdAt: row.created_at,
+            label: row.label,
+            reason: row.reason,
+            schemaVersion: row.schema_version
+        };
+    }
+}
+
+SqliteStorageDriver.DIMENSIONS = Object.keys(DIMENSIONS);
+
+module.exports = SqliteStorageDriver;
@@ -0,0 +1,131 @@
+// ============================================================================
+// STAKING - Selectable stake sizing strategies
+// Each strategy maps the sizer's progression state and the trade's odds to a
+// raw stake; StakeSizer applies the overlay multiplier, bounds and rounding.
+// A raw stake of 0 or less means "do not trade".
+// ============================================================================
+
+const FIBONACCI = [1, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89];
+
+// Kelly fraction of bankroll for win probability p and net payout ratio b
+function kellyFraction(probability, payoutRatio) {
+    if (!(payoutRatio > 0)) return 0;
+    return (probability * payoutRatio - (1 - probability)) / payoutRatio;
+}
+
+const STRATEGIES = {
+    flat: ({ baseStake }) => baseStake,
+
+    // Double (by multiplier) after every loss, back to base after a win
+    martingale: ({ baseStake, state, options }) =>
+        baseStake * Math.pow(options.martingaleMultiplier, state.consecutiveLosses),
+
+    // Press winners for a few steps, back to base after a loss
+    antiMartingale: ({ baseStake, state, options }) =>
+        baseStake * Math.pow(options.martingaleMultiplier, state.consecutiveWins % (options.antiMartingaleSteps + 1)),
+
+    // One unit up after a loss, one unit down after a win
+    dalembert: ({ baseStake, state, options }) =>
+        baseStake + state.dalembertLevel * (options.dalembertUnit || baseStake),
+
+    // One step along the sequence after a loss, two steps back after a win
+    fibonacci: ({ baseStake, state }) =>
+        baseStake * FIBONACCI[Math.min(state.fibonacciIndex, FIBONACCI.length - 1)],
+
+    kelly: ({ balance, probability, payoutRatio, options }) => {
+        if (!(balance > 0) || probability === undefined) return 0;
+        return balance * options.kellyFraction * kellyFraction(probability, payoutRatio);
+    },
+
+    fixedFraction: ({ baseStake, balance, options }) =>
+        balance > 0 ? balance * options.balanceFraction : baseStake
+};
+
+class StakeSizer {
+    constructor(options = {}) {
+        this.options = {
+            strategy: 'martingale',
+            martingaleMultiplier: 2,
+            antiMartingaleSteps: 3,
+            dalembertUnit: null,
+            kellyFraction: 0.25,
+            balanceFraction: 0.01,
+            minStake: 0.35,
+            maxStakeMultiple: 10,
+            ...options
+        };
+
+        if (!STRATEGIES[this.options.strategy]) {
+            throw new Error(`Unknown staking strategy "${this.options.strategy}" (available: ${Object.keys(STRATEGIES).join(', ')})`);
+        }
+
+        this.state = {
+            consecutiveWins: 0,
+            consecutiveLosses: 0,
+            dalembertLevel: 0,
+            fibonacciIndex: 0
+        };
+    }
+
+    get strategy() {
+        return this.options.strategy;
+    }
+
+    // The progression is tracked for every strategy, so a saved state
+    // still applies after the strategy is changed in config
+    toJSON() {
+        return { strategy: this.options.strategy, state: { ...this.state } };
+    }
+
+    restore(saved) {
+        if (!saved || !saved.state) return;
+
+        Object.keys(this.state).forEach(key => {
+            const value = saved.state[key];
+            if (Number.isInteger(value) && value >= 0) this.state[key] = value;
+        });
+        this.state.fibonacciIndex = Math.min(this.state.fibonacciIndex, FIBONACCI.length - 1);
+    }
+
+    recordResult(won) {
+        const state = this.state;
+
+        if (won) {
+            state.consecutiveWins++;
+            state.consecutiveLosses = 0;
+            state.dalembertLevel = Math.max(0, state.dalembertLevel - 1);
+            state.fibonacciIndex = Math.max(0, state.fibonacciIndex - 2);
+        } else {
+            state.consecutiveLosses++;
+            state.consecutiveWins = 0;
+            state.dalembertLevel++;
+            state.fibonacciIndex = Math.min(state.fibonacciIndex + 1, FIBONACCI.length - 1);
+        }
+    }
+
+    // Returns the stake to place, or 0 when the strategy says not to trade
+    size({ baseStake, balance, probability, payoutRatio, multiplier = 1 }) {
+        const raw = STRATEGIES[this.options.strategy]({
+            baseStake,
+            balance,
+            probability,
+            payoutRatio,
+            state: this.state,
+            options: this.options
+        });
+
+        if (!(raw > 0)) return 0;
+        // Raising a Kelly stake to the minimum would bet more than the edge supports
+        if (this.options.strategy === 'kelly' && raw * multiplier < this.options.minStake) return 0;
+
+        const maxStake = baseStake * this.options.maxStakeMultiple;
+        const stake = Math.min(Math.max(raw * multiplier, this.options.minStake), maxStake);
+        return Math.round(stake * 100) / 100;
+    }
+}
+
+module.exports = {
+    STRATEGIES,
+    StakeSizer,
+    kellyFraction
+};
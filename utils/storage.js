@@ -1,25 +1,69 @@
-const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
+const { MIGRATIONS, SCHEMA_VERSION } = require('./migrations');
+const JsonStorageDriver = require('./jsonStorageDriver');
+const SqliteStorageDriver = require('./sqliteStorageDriver');
+
+// ============================================================================
+// STORAGE - Versioned keys over a pluggable driver
+// Every value is stored in an envelope { schemaVersion, key, savedAt, data }.
+// The JSON driver keeps one file per key; the SQLite driver adds tables for
+// trades, ticks, model predictions, sessions and learning snapshots so the
+// full history stays queryable. History calls are no-ops on the JSON driver.
+//
+// A driver implements init(), close(), read(key) -> { schemaVersion, data },
+// write(key, envelope), remove(key), keys(), the snapshot methods and,
+// when supportsHistory is true, startSession/endSession/recordTrade/
+// recordTicks/winRateBy/modelAccuracy/getTicks.
+// ============================================================================
+
+const DRIVERS = {
+    json: JsonStorageDriver,
+    sqlite: SqliteStorageDriver
+};
 
 class Storage {
     constructor(dataDir = './data') {
         this.dataDir = dataDir;
+        this.schemaVersion = SCHEMA_VERSION;
+        this.driver = new JsonStorageDriver({ dataDir });
         this.cache = new Map();
+        this.sessionId = null;
     }
 
-    async init() {
+    get supportsHistory() {
+        return this.driver.supportsHistory;
+    }
+
+    async init(options = {}) {
+        const driverName = options.driver || 'json';
+        const Driver = DRIVERS[driverName];
+        if (!Driver) {
+            throw new Error(`Unknown storage driver "${driverName}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+        }
+
         try {
-            await fs.mkdir(this.dataDir, { recursive: true });
-            logger.system('Storage initialized');
+            this.driver = new Driver({
+                dataDir: this.dataDir,
+                backupCount: options.backupCount,
+                file: options.sqlitePath
+            });
+            this.cache.clear();
+            await this.driver.init();
+
+            if (this.driver.name !== 'json' && options.importJson !== false) {
+                await this.importJsonFiles();
+            }
+
+            logger.system(`Storage initialized (${this.driver.name})`);
         } catch (error) {
             logger.error(`Failed to initialize storage: ${error.message}`);
             throw error;
         }
     }
 
-    getFilePath(key) {
-        return path.join(this.dataDir, `${key}.json`);
+    async close() {
+        await this.driver.close();
     }
 
     async get(key, defaultValue = null) {
@@ -29,18 +73,16 @@ class Storage {
                 return this.cache.get(key);
             }
 
-            const filePath = this.getFilePath(key);
-            const data = await fs.readFile(filePath, 'utf8');
-            const parsed = JSON.parse(data);
+            const envelope = await this.driver.read(key);
+            if (!envelope) {
+                return defaultValue;
+            }
 
             // Update cache
-            this.cache.set(key, parsed);
+            this.cache.set(key, envelope.data);
 
-            return parsed;
+            return envelope.data;
         } catch (error) {
-            if (error.code === 'ENOENT') {
-                return defaultValue;
-            }
             logger.error(`Failed to read ${key}: ${error.message}`);
             return defaultValue;
         }
@@ -48,8 +90,12 @@ class Storage {
 
     async set(key, value) {
         try {
-            const filePath = this.getFilePath(key);
-            await fs.writeFile(filePath, JSON.stringify(value, null, 2), 'utf8');
+            await this.driver.write(key, {
+                schemaVersion: this.schemaVersion,
+                key,
+                savedAt: new Date().toISOString(),
+                data: value
+            });
 
             // Update cache
             this.cache.set(key, value);
@@ -63,8 +109,7 @@ class Storage {
 
     async delete(key) {
         try {
-            const filePath = this.getFilePath(key);
-            await fs.unlink(filePath);
+            await this.driver.remove(key);
             this.cache.delete(key);
             return true;
         } catch (error) {
@@ -75,9 +120,200 @@ class Storage {
         }
     }
 
+    async listKeys() {
+        return this.driver.keys();
+    }
+
+    // First start on a new driver: copy the keys the JSON files already hold
+    async importJsonFiles() {
+        if ((await this.driver.keys()).length > 0) return;
+
+        const source = new JsonStorageDriver({ dataDir: this.dataDir, backupCount: 0 });
+        const keys = await source.keys();
+        let imported = 0;
+
+        for (const key of keys) {
+            try {
+                const envelope = await source.read(key);
+                if (!envelope) continue;
+                await this.driver.write(key, {
+                    schemaVersion: envelope.schemaVersion,
+                    key,
+                    savedAt: new Date().toISOString(),
+                    data: envelope.data
+                });
+                imported++;
+            } catch (error) {
+                logger.error(`Skipping import of ${key}: ${error.message}`);
+            }
+        }
+
+        if (imported > 0) {
+            logger.system(`📥 Imported ${imported} JSON files into ${this.driver.name} storage`);
+        }
+    }
+
+    // ========================================================================
+    // MIGRATIONS
+    // ========================================================================
+
+    // Brings every key below the current schema up to date; returns how many changed
+    async migrate(migrations, context = {}) {
+        let migrated = 0;
+
+        for (const key of await this.listKeys()) {
+            let envelope;
+            try {
+                envelope = await this.driver.read(key);
+            } catch (error) {
+                logger.error(`Skipping migration of ${key}: ${error.message}`);
+                continue;
+            }
+            if (!envelope) continue;
+
+            if (envelope.schemaVersion > this.schemaVersion) {
+                logger.error(`${key} has schema v${envelope.schemaVersion}, newer than this build (v${this.schemaVersion})`);
+                continue;
+            }
+            if (envelope.schemaVersion === this.schemaVersion) continue;
+
+            let data = envelope.data;
+            let targetKey = key;
+            const applied = migrations.filter(migration => migration.version > envelope.schemaVersion);
+            let dropped = null;
+
+            for (const migration of applied) {
+                if (migration.up) {
+                    data = migration.up(data, targetKey, context);
+                }
+                if (migration.rename) {
+                    targetKey = migration.rename(targetKey, context);
+                }
+                if (migration.drop && migration.drop(targetKey, context)) {
+                    dropped = migration;
+                    break;
+                }
+            }
+
+            if (dropped) {
+                await this.delete(key);
+                migrated++;
+                logger.system(`🔧 Removed ${key} v${envelope.schemaVersion} (${dropped.description})`);
+                continue;
+            }
+
+            if (targetKey !== key && (await this.listKeys()).includes(targetKey)) {
+                // A newer value already lives under the new key
+                logger.system(`🔧 ${key} superseded by ${targetKey}, removed`);
+                await this.delete(key);
+                continue;
+            }
+
+            if (!(await this.set(targetKey, data))) continue;
+            if (targetKey !== key) {
+                await this.delete(key);
+            }
+
+            migrated++;
+            logger.system(`🔧 Migrated ${key} v${envelope.schemaVersion} -> ${targetKey} v${this.schemaVersion} (${applied.map(m => m.description).join('; ')})`);
+        }
+
+        return migrated;
+    }
+
+    // ========================================================================
+    // HISTORY (drivers with supportsHistory only)
+    // ========================================================================
+
+    // History writes never interrupt trading; failures are only logged
+    recordHistory(description, write) {
+        if (!this.driver.supportsHistory) return null;
+        try {
+            return write();
+        } catch (error) {
+            logger.error(`Failed to record ${description}: ${error.message}`);
+            return null;
+        }
+    }
+
+    startSession(session) {
+        this.sessionId = this.recordHistory('session start', () => this.driver.startSession(session));
+        return this.sessionId;
+    }
+
+    endSession(summary) {
+        if (this.sessionId === null) return;
+        this.recordHistory('session end', () => this.driver.endSession(this.sessionId, summary));
+        this.sessionId = null;
+    }
+
+    recordTrade(trade, predictions = []) {
+        return this.recordHistory('trade', () => this.driver.recordTrade({ ...trade, sessionId: this.sessionId }, predictions));
+    }
+
+    recordTicks(ticks) {
+        if (ticks.length === 0) return;
+        this.recordHistory('ticks', () => this.driver.recordTicks(ticks));
+    }
+
+    requireHistory() {
+        if (!this.driver.supportsHistory) {
+            throw new Error(`The ${this.driver.name} storage driver keeps no history; set storage.driver to "sqlite"`);
+        }
+    }
+
+    winRateBy(dimension, filters = {}) {
+        this.requireHistory();
+        return this.driver.winRateBy(dimension, filters);
+    }
+
+    modelAccuracy(filters = {}) {
+        this.requireHistory();
+        return this.driver.modelAccuracy(filters);
+    }
+
+    getTicks(query) {
+        this.requireHistory();
+        return this.driver.getTicks(query);
+    }
+
+    // ========================================================================
+    // SNAPSHOTS
+    // ========================================================================
+
+    saveSnapshot(snapshot) {
+        return this.driver.saveSnapshot({ schemaVersion: this.schemaVersion, ...snapshot });
+    }
+
+    listSnapshots() {
+        return this.driver.listSnapshots();
+    }
+
+    // Snapshots from older schemas get the learned-state migrations since
+    // theirs, so a restore cannot bring back what a migration removed
+    async loadSnapshot(id) {
+        const snapshot = await this.driver.loadSnapshot(id);
+        const version = snapshot ? snapshot.schemaVersion || 0 : this.schemaVersion;
+        if (version >= this.schemaVersion || !snapshot.data) return snapshot;
+
+        let data = snapshot.data;
+        MIGRATIONS
+            .filter(migration => migration.version > version && migration.learnedState)
+            .forEach(migration => {
+                data = migration.learnedState(data);
+            });
+        return { ...snapshot, data, schemaVersion: this.schemaVersion, migratedFrom: version };
+    }
+
+    deleteSnapshot(id) {
+        return this.driver.deleteSnapshot(id);
+    }
+
     clearCache() {
         this.cache.clear();
     }
 }
 
-module.exports = new Storage();
\ No newline at end of file
+Storage.DRIVERS = Object.keys(DRIVERS);
+
+module.exports = new Storage();
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { compressFile, readJsonLines } = require('./jsonLines');
+
+// ============================================================================
+// TICK RECORDER - Archives every live tick to daily files
+// Layout: <dir>/<SYMBOL>/<YYYY-MM-DD>.jsonl, one JSON tick per line, gzip'd
+// to <YYYY-MM-DD>.jsonl.gz when a later day starts (see jsonLines). Ticks
+// that arrive for a day already compressed (a gap filled after midnight)
+// go to a new plain file that the next roll folds in.
+// ============================================================================
+
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl(\.gz)?$/;
+
+function utcDay(epochSeconds) {
+    return new Date(epochSeconds * 1000).toISOString().slice(0, 10);
+}
+
+// Accepts 'YYYY-MM-DD', a Date or epoch seconds; returns epoch seconds
+function toEpoch(value, endOfDay = false) {
+    if (value === undefined || value === null) return endOfDay ? Infinity : -Infinity;
+    if (typeof value === 'number') return value;
+
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const start = Date.parse(`${value}T00:00:00Z`) / 1000;
+        return endOfDay ? start + 86399 : start;
+    }
+
+    const ms = value instanceof Date ? value.getTime() : Date.parse(value);
+    if (isNaN(ms)) throw new Error(`Invalid date: ${value}`);
+    return Math.floor(ms / 1000);
+}
+
+class TickRecorder {
+    constructor(options = {}) {
+        this.dir = options.dir || './data/ticks';
+        this.flushIntervalMs = options.flushIntervalMs || 5000;
+        this.maxBuffered = options.maxBuffered || 1000;
+
+        this.buffers = new Map();
+        this.bufferedCount = 0;
+        this.flushTimer = null;
+        this.flushing = Promise.resolve();
+        this.recordedCount = 0;
+        // Newest day recorded; earlier days are compressed after the next flush
+        this.day = null;
+        this.rolled = false;
+    }
+
+    // Days left uncompressed by an earlier run are compressed right away
+    start(now = Date.now()) {
+        this.day = utcDay(now / 1000);
+        this.rolled = true;
+        this.flushTimer = setInterval(() => this.flush(), this.flushIntervalMs);
+        this.flushTimer.unref();
+        logger.system(`🎞️  Recording ticks to ${this.dir}`);
+    }
+
+    async close() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        await this.flush();
+    }
+
+    filePath(symbol, day) {
+        return path.join(this.dir, symbol, `${day}.jsonl`);
+    }
+
+    record(tick, valid) {
+        const day = utcDay(tick.epoch);
+        const file = this.filePath(tick.symbol, day);
+        if (!this.day || day > this.day) {
+            this.rolled = this.rolled || this.day !== null;
+            this.day = day;
+        }
+        const line = JSON.stringify({
+            epoch: tick.epoch,
+            quote: tick.quote,
+            digit: tick.digit,
+            symbol: tick.symbol,
+            valid
+        });
+
+        if (!this.buffers.has(file)) {
+            this.buffers.set(file, []);
+        }
+        this.buffers.get(file).push(line);
+        this.bufferedCount++;
+        this.recordedCount++;
+
+        if (this.bufferedCount >= this.maxBuffered) {
+            this.flush();
+        }
+    }
+
+    // Writes are chained so lines never interleave within a file
+    flush() {
+        if (this.bufferedCount === 0 && !this.rolled) return this.flushing;
+
+        const pending = this.buffers;
+        const compressBefore = this.rolled ? this.day : null;
+        this.buffers = new Map();
+        this.bufferedCount = 0;
+        this.rolled = false;
+
+        this.flushing = this.flushing.then(async () => {
+            for (const [file, lines] of pending) {
+                try {
+                    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                    await fs.promises.appendFile(file, lines.join('\n') + '\n');
+                } catch (error) {
+                    logger.error(`Failed to record ${lines.length} ticks to ${file}: ${error.message}`);
+                }
+            }
+            if (compressBefore) {
+                await this.compressDays(compressBefore);
+            }
+        });
+        return this.flushing;
+    }
+
+    async compressDays(beforeDay) {
+        for (const symbol of TickRecorder.listSymbols(this.dir)) {
+            const symbolDir = path.join(this.dir, symbol);
+            const finished = fs.readdirSync(symbolDir).filter(name => {
+                const match = DAY_FILE.exec(name);
+                return match && !match[2] && match[1] < beforeDay;
+            });
+
+            for (const name of finished) {
+                try {
+                    await compressFile(path.join(symbolDir, name));
+                } catch (error) {
+                    logger.error(`Failed to compress ${path.join(symbolDir, name)}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    // ========================================================================
+    // READER
+    // ========================================================================
+
+    static listSymbols(dir = './data/ticks') {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    static listDays(symbol, dir = './data/ticks') {
+        const symbolDir = path.join(dir, symbol);
+        if (!fs.existsSync(symbolDir)) return [];
+        const days = new Set();
+        fs.readdirSync(symbolDir).forEach(name => {
+            const match = DAY_FILE.exec(name);
+            if (match) days.add(match[1]);
+        });
+        return [...days].sort();
+    }
+
+    // Streams one symbol's ticks between `from` and `to` (inclusive, UTC)
+    static async *read({ symbol, from, to, dir = './data/ticks', validOnly = false }) {
+        const fromEpoch = toEpoch(from);
+        const toEpochValue = toEpoch(to, true);
+        const days = TickRecorder.listDays(symbol, dir).filter(day => {
+            const start = toEpoch(day);
+            return start + 86399 >= fromEpoch && start <= toEpochValue;
+        });
+
+        // A day's compressed part comes before its plain part. Ticks are
+        // recorded in epoch order, so anything not newer than the last one
+        // is a copy left by a crash between compressing and deleting
+        let lastEpoch = -Infinity;
+        for (const day of days) {
+            const files = [`${day}.jsonl.gz`, `${day}.jsonl`]
+                .map(name => path.join(dir, symbol, name))
+                .filter(file => fs.existsSync(file));
+
+            for (const file of files) {
+                for await (const tick of readJsonLines(file)) {
+                    if (!(tick.epoch > lastEpoch)) continue;
+                    lastEpoch = tick.epoch;
+                    if (tick.epoch < fromEpoch || tick.epoch > toEpochValue) continue;
+                    if (validOnly && !tick.valid) continue;
+                    yield tick;
+                }
+            }
+        }
+    }
+
+    static async readAll(options) {
+        const ticks = [];
+        for await (const tick of TickRecorder.read(options)) {
+            ticks.push(tick);
+        }
+        return ticks;
+    }
+}
+
+module.exports = TickRecorder;
@@ -0,0 +1,57 @@
+// ============================================================================
+// TRADE SCHEDULER - Decides which symbol may analyze and trade next
+// A slot is held from the start of analysis until the contract settles,
+// so at most maxOpen symbols are ever in flight. Among symbols that are
+// ready at the same time, the one that traded least recently goes first.
+// ============================================================================
+
+class TradeScheduler {
+    constructor(options = {}) {
+        this.maxOpen = options.maxOpen || 1;
+        this.fairnessWindowMs = options.fairnessWindowMs !== undefined ? options.fairnessWindowMs : 10000;
+
+        this.active = new Set();
+        this.lastGrantAt = new Map();
+        this.lastReadyAt = new Map();
+    }
+
+    get openCount() {
+        return this.active.size;
+    }
+
+    isActive(symbol) {
+        return this.active.has(symbol);
+    }
+
+    requestSlot(symbol, now) {
+        this.lastReadyAt.set(symbol, now);
+
+        if (this.active.has(symbol) || this.active.size >= this.maxOpen) {
+            return false;
+        }
+
+        // Let a symbol that has waited longer take this slot first
+        const myLastGrant = this.lastGrantAt.get(symbol) || 0;
+        for (const [other, readyAt] of this.lastReadyAt) {
+            if (other === symbol || this.active.has(other)) continue;
+            if (now - readyAt > this.fairnessWindowMs) continue;
+            if ((this.lastGrantAt.get(other) || 0) < myLastGrant) {
+                return false;
+            }
+        }
+
+        this.active.add(symbol);
+        this.lastGrantAt.set(symbol, now);
+        return true;
+    }
+
+    release(symbol) {
+        this.active.delete(symbol);
+    }
+
+    reset() {
+        this.active.clear();
+    }
+}
+
+module.exports = TradeScheduler;
@@ -0,0 +1,124 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+// ============================================================================
+// TRANSPORTS
+// Every transport is an EventEmitter exposing connect(), send(payload),
+// close(), teardown() and isOpen(), and emitting 'open', 'message' (raw JSON
+// string), 'close' and 'error'. connect() may be called again after a close.
+// teardown() drops the connection, or an attempt still opening, silently.
+// ============================================================================
+
+class WebSocketTransport extends EventEmitter {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.ws = null;
+    }
+
+    describe() {
+        return this.url.split('?')[0];
+    }
+
+    connect() {
+        this.teardown();
+
+        const ws = new WebSocket(this.url);
+        this.ws = ws;
+
+        ws.on('open', () => this.emit('open'));
+        ws.on('message', (data) => this.emit('message', data.toString()));
+        ws.on('close', () => this.emit('close'));
+        ws.on('error', (error) => this.emit('error', error));
+    }
+
+    isOpen() {
+        return this.ws !== null && this.ws.readyState === WebSocket.OPEN;
+    }
+
+    send(payload) {
+        this.ws.send(JSON.stringify(payload));
+    }
+
+    close() {
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+
+    // Drop a previous socket without letting its close event reach the bot
+    teardown() {
+        if (this.ws) {
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => {});
+            this.ws.terminate();
+            this.ws = null;
+        }
+    }
+}
+
+// Talks to a MockDerivServer in the same process, no sockets involved
+class InProcessTransport extends EventEmitter {
+    constructor(server) {
+        super();
+        this.server = server;
+        this.session = null;
+    }
+
+    describe() {
+        return 'in-process mock server';
+    }
+
+    connect() {
+        this.teardown();
+
+        // Replies are delivered asynchronously, as they would be over a
+        // socket, and only while this session is still the current one
+        const session = this.server.createSession((message) => {
+            const data = JSON.stringify(message);
+            setImmediate(() => {
+                if (this.session === session) this.emit('message', data);
+            });
+        });
+        this.session = session;
+
+        setImmediate(() => {
+            if (this.session === session) this.emit('open');
+        });
+    }
+
+    isOpen() {
+        return this.session !== null;
+    }
+
+    send(payload) {
+        // Round-trip through JSON so both sides see what a socket would carry
+        this.session.receive(JSON.parse(JSON.stringify(payload)));
+    }
+
+    close() {
+        if (this.session) {
+            this.session.close();
+            this.session = null;
+            setImmediate(() => this.emit('close'));
+        }
+    }
+
+    teardown() {
+        if (this.session) {
+            this.session.close();
+            this.session = null;
+        }
+    }
+}
+
+function createTransport(url, appId) {
+    const separator = url.includes('?') ? '&' : '?';
+    return new WebSocketTransport(`${url}${separator}app_id=${appId}`);
+}
+
+module.exports = {
+    WebSocketTransport,
+    InProcessTransport,
+    createTransport
+};
@@ -0,0 +1,310 @@
+const logger = require('./logger');
+const config = require('./config');
+const Backtester = require('./backtester');
+const { ParameterSpace } = require('./parameterSpace');
+
+// ============================================================================
+// WALK-FORWARD OPTIMIZER - Searches the parameter space on recorded ticks
+// The ticks are cut into rolling folds: each fold searches on a training
+// window and replays the winner (and, for comparison, the current config)
+// on the test window that follows it, which the search never saw. Only those
+// out-of-sample results say whether the tuning generalises.
+//
+//   | train 1          | test 1 |
+//            | train 2          | test 2 |
+//                     | train 3          | test 3 |
+//
+// Methods: random, grid and evolutionary (elitist, tournament selection,
+// uniform crossover, normal mutation). Every backtest starts from fresh
+// learned state, and the recommendation is the winner of the latest fold.
+// ============================================================================
+
+const METHODS = ['random', 'grid', 'evolutionary'];
+
+// Small seeded PRNG (mulberry32) so a search can be repeated
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class WalkForwardOptimizer {
+    constructor(options = {}) {
+        this.ticks = options.ticks || [];
+        this.symbol = options.symbol || config.symbol;
+        this.space = options.space || new ParameterSpace();
+        this.method = options.method || config.get('optimizer.method', 'random');
+        this.iterations = options.iterations || config.get('optimizer.iterations', 30);
+        this.folds = options.folds || config.get('optimizer.folds', 4);
+        this.trainRatio = options.trainRatio || config.get('optimizer.trainRatio', 3);
+        this.gridSteps = options.gridSteps || config.get('optimizer.gridSteps', 3);
+        this.population = options.population || config.get('optimizer.population', 10);
+        this.minTrades = options.minTrades !== undefined ? options.minTrades : config.get('optimizer.minTrades', 10);
+        this.drawdownPenalty = options.drawdownPenalty !== undefined ? options.drawdownPenalty : config.get('optimizer.drawdownPenalty', 0.5);
+        this.warmupTicks = options.warmupTicks || config.get('backtest.warmupTicks', 100);
+        this.payoutRatio = options.payoutRatio;
+        this.seed = options.seed !== undefined ? options.seed : Date.now();
+
+        if (!METHODS.includes(this.method)) {
+            throw new Error(`Unknown search method "${this.method}" (use ${METHODS.join(', ')})`);
+        }
+
+        this.random = createRandom(this.seed);
+        this.backtests = 0;
+    }
+
+    // ========================================================================
+    // FOLDS
+    // ========================================================================
+
+    buildFolds() {
+        const testLength = Math.floor(this.ticks.length / (this.folds + this.trainRatio));
+        const trainLength = testLength * this.trainRatio;
+
+        if (testLength <= this.warmupTicks) {
+            throw new Error(`${this.ticks.length} ticks give ${this.folds} test windows of ${testLength} ticks; ` +
+                `each needs more than the ${this.warmupTicks} warm-up ticks (record more ticks or use fewer folds)`);
+        }
+
+        const folds = [];
+        for (let i = 0; i < this.folds; i++) {
+            const trainStart = i * testLength;
+            const trainEnd = trainStart + trainLength;
+            const testEnd = trainEnd + testLength;
+            folds.push({
+                index: i + 1,
+                train: this.ticks.slice(trainStart, trainEnd),
+                // The warm-up comes from the end of the training window, so
+                // every test tick is traded
+                test: this.ticks.slice(trainEnd - this.warmupTicks, testEnd)
+            });
+        }
+        return folds;
+    }
+
+    describeWindow(ticks, warmup = 0) {
+        return {
+            ticks: ticks.length - warmup,
+            from: new Date(ticks[warmup].epoch * 1000).toISOString(),
+            to: new Date(ticks[ticks.length - 1].epoch * 1000).toISOString()
+        };
+    }
+
+    // ========================================================================
+    // EVALUATION
+    // ========================================================================
+
+    async backtest(params, ticks) {
+        this.backtests++;
+        const backtester = new Backtester({
+            ticks,
+            symbol: this.symbol,
+            payoutRatio: this.payoutRatio,
+            warmupTicks: this.warmupTicks
+        });
+
+        // Hundreds of backtests would otherwise flood the console and logs
+        const silent = logger.silent;
+        logger.silent = true;
+        try {
+            const report = await this.space.withParams(params, () => backtester.run());
+            return this.summarize(report);
+        } finally {
+            logger.silent = silent;
+        }
+    }
+
+    summarize(report) {
+        return {
+            trades: report.trades,
+            wins: report.wins,
+            winRate: report.winRate,
+            totalProfit: report.totalProfit,
+            profitPerTrade: report.trades > 0 ? report.totalProfit / report.trades : 0,
+            maxDrawdown: report.maxDrawdown,
+            score: this.score(report)
+        };
+    }
+
+    // P/L less a share of the drawdown; too few trades to judge scores -Infinity
+    score(report) {
+        if (report.trades < this.minTrades) return -Infinity;
+        return report.totalProfit - this.drawdownPenalty * report.maxDrawdown;
+    }
+
+    // ========================================================================
+    // SEARCH
+    // ========================================================================
+
+    // Evaluated candidates on the training ticks, best first
+    async search(ticks) {
+        const evaluated = new Map();
+        const evaluate = async (params) => {
+            const key = JSON.stringify(params);
+            if (!evaluated.has(key)) {
+                evaluated.set(key, { params, ...(await this.backtest(params, ticks)) });
+            }
+            return evaluated.get(key);
+        };
+
+        if (this.method === 'grid') {
+            for (const params of this.space.grid(this.gridSteps)) {
+                await evaluate(params);
+            }
+        } else if (this.method === 'random') {
+            // The current settings compete too, so tuning never loses in-sample
+            await evaluate(this.space.current());
+            for (let i = 1; i < this.iterations; i++) {
+                await evaluate(this.space.sample(this.random));
+            }
+        } else {
+            await this.evolve(evaluate);
+        }
+
+        return this.rank([...evaluated.values()]);
+    }
+
+    async evolve(evaluate) {
+        let population = [await evaluate(this.space.current())];
+        while (population.length < Math.min(this.population, this.iterations)) {
+            population.push(await evaluate(this.space.sample(this.random)));
+        }
+
+        const elite = Math.max(1, Math.round(this.population * 0.2));
+        let evaluations = population.length;
+
+        while (evaluations < this.iterations) {
+            population = this.rank(population);
+            const next = population.slice(0, elite);
+
+            while (next.length < this.population && evaluations < this.iterations) {
+                const parentA = this.tournament(population);
+                const parentB = this.tournament(population);
+                const child = this.space.mutate(this.space.crossover(parentA.params, parentB.params, this.random), this.random);
+                next.push(await evaluate(child));
+                evaluations++;
+            }
+            population = next;
+        }
+    }
+
+    tournament(population, size = 3) {
+        let best = null;
+        for (let i = 0; i < size; i++) {
+            const candidate = population[Math.floor(this.random() * population.length)];
+            if (!best || candidate.score > best.score) best = candidate;
+        }
+        return best;
+    }
+
+    rank(candidates) {
+        return [...candidates].sort((a, b) => b.score - a.score || b.totalProfit - a.totalProfit);
+    }
+
+    // ========================================================================
+    // WALK-FORWARD RUN
+    // ========================================================================
+
+    async run() {
+        if (this.method === 'grid') {
+            const size = ParameterSpace.gridSize(this.space.parameters.length, this.gridSteps);
+            if (size > this.iterations) {
+                throw new Error(`A ${this.gridSteps}-step grid over ${this.space.parameters.length} parameters has ${size} points, ` +
+                    `more than the ${this.iterations} iterations allowed (narrow it with --params or --steps, or raise --iterations)`);
+            }
+        }
+
+        const folds = this.buildFolds();
+        const current = this.space.current();
+        const results = [];
+
+        logger.system(`🔬 Walk-forward ${this.method} search: ${folds.length} folds, ${this.space.parameters.length} parameters, seed ${this.seed}`);
+
+        for (const fold of folds) {
+            const ranked = await this.search(fold.train);
+            const best = ranked[0];
+            // Nothing traded enough to judge: keep the current settings
+            const chosen = best.score === -Infinity ? { params: current, ...(await this.backtest(current, fold.train)) } : best;
+
+            const outOfSample = await this.backtest(chosen.params, fold.test);
+            const baseline = await this.backtest(current, fold.test);
+
+            results.push({
+                fold: fold.index,
+                train: this.describeWindow(fold.train),
+                test: this.describeWindow(fold.test, this.warmupTicks),
+                candidates: ranked.length,
+                // false: no candidate reached minTrades and the current settings were kept
+                searched: chosen === best,
+                params: chosen.params,
+                inSample: this.withoutParams(chosen),
+                outOfSample,
+                baseline
+            });
+
+            logger.system(`🔬 Fold ${fold.index}/${folds.length}: in-sample $${chosen.totalProfit.toFixed(2)} (${chosen.trades} trades) | ` +
+                `out-of-sample $${outOfSample.totalProfit.toFixed(2)} (${outOfSample.trades} trades) vs current settings $${baseline.totalProfit.toFixed(2)}`);
+        }
+
+        const best = results[results.length - 1].params;
+        return {
+            method: this.method,
+            symbol: this.symbol,
+            seed: this.seed,
+            ticks: this.ticks.length,
+            backtests: this.backtests,
+            objective: `P/L - ${this.drawdownPenalty} x max drawdown, at least ${this.minTrades} trades`,
+            parameters: this.space.paths,
+            current,
+            best,
+            overlay: ParameterSpace.toOverlay(best),
+            folds: results,
+            inSample: this.aggregate(results.map(result => result.inSample)),
+            outOfSample: this.aggregate(results.map(result => result.outOfSample)),
+            baseline: this.aggregate(results.map(result => result.baseline)),
+            stability: this.stability(results)
+        };
+    }
+
+    withoutParams({ params, ...summary }) {
+        return summary;
+    }
+
+    aggregate(summaries) {
+        const trades = summaries.reduce((sum, summary) => sum + summary.trades, 0);
+        const wins = summaries.reduce((sum, summary) => sum + summary.wins, 0);
+        const totalProfit = summaries.reduce((sum, summary) => sum + summary.totalProfit, 0);
+        return {
+            trades,
+            wins,
+            winRate: trades > 0 ? wins / trades : 0,
+            totalProfit,
+            profitPerTrade: trades > 0 ? totalProfit / trades : 0,
+            maxDrawdown: Math.max(...summaries.map(summary => summary.maxDrawdown)),
+            profitableFolds: summaries.filter(summary => summary.totalProfit > 0).length
+        };
+    }
+
+    // How far each fold's winner wandered; a wide spread means the optimum is noise
+    stability(results) {
+        const spread = {};
+        this.space.parameters.forEach(param => {
+            const values = results.map(result => result.params[param.path]);
+            spread[param.path] = {
+                min: Math.min(...values),
+                max: Math.max(...values),
+                spreadOfRange: (Math.max(...values) - Math.min(...values)) / (param.max - param.min)
+            };
+        });
+        return spread;
+    }
+}
+
+WalkForwardOptimizer.METHODS = METHODS;
+
+module.exports = WalkForwardOptimizer;